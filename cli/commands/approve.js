@@ -1,8 +1,13 @@
 /**
  * Approve Command
  *
- * Approves a draft manifest and transitions it to approved status.
- * Creates an approved manifest file with updated metadata.
+ * Records the reviewer's sign-off on a draft manifest and, once the approval
+ * policy's quorum is met, transitions it to approved status. Detection
+ * decisions made before the quorum is met are kept on the draft and applied
+ * by the sign-off that completes it. Creates an
+ * approved manifest file with updated metadata, signed when a signing key is
+ * configured; every sign-off and transition is appended to the workspace
+ * audit log.
  */
 
 const fs = require('fs-extra');
@@ -17,6 +22,19 @@ const {
 } = require('../../workflow/overrides');
 const { getApprovedPath } = require('../../workflow/paths');
 const { runFullValidation } = require('../../workflow/validation-service');
+const {
+  applyDetectionDecisions,
+  recordDetectionDecisions,
+  exportDetectionRules
+} = require('../../workflow/detections');
+const {
+  resolveApprovalPolicy,
+  recordSignOff,
+  evaluateApprovalPolicy
+} = require('../../workflow/approval-policy');
+const { appendAuditEntry, AUDIT_EVENTS } = require('../../workflow/audit-log');
+const { contentHash, fileContentHash } = require('../../workflow/content-hash.cjs');
+const { loadSigningKey, signManifest } = require('../../workflow/signing.cjs');
 
 /**
  * Approve command handler
@@ -24,6 +42,15 @@ const { runFullValidation } = require('../../workflow/validation-service');
  * @param {string} manifestPath - Path to manifest file
  * @param {Object} options - Command options
  * @param {boolean} options.force - Force approval despite warnings
+ * @param {Array<string>} [options.accept] - Detections to accept (id, name, path or kind)
+ * @param {Array<string>} [options.reject] - Detections to reject and strip from the approved manifest
+ * @param {string} [options.reason] - Reason recorded with rejected detections
+ * @param {string} [options.reviewer] - Reviewer recorded on decisions and approval (default: $USER)
+ * @param {string} [options.exportRules] - Export the decisions as override rules to this file
+ * @param {string} [options.team] - Team the reviewer signs off for
+ * @param {string} [options.comment] - Comment recorded with the sign-off
+ * @param {string} [options.policy] - Approval policy file (default: approval-policy.json next to the manifest)
+ * @param {string} [options.signKey] - Ed25519 private key to sign the approved manifest with (default: $PROTO_SIGNING_KEY)
  */
 async function approveCommand(manifestPath, options) {
   try {
@@ -38,7 +65,7 @@ async function approveCommand(manifestPath, options) {
     const manifest = JSON.parse(content);
 
     const overrides = await loadOverrides(manifestPath) || [];
-    const manifestForApproval = overrides.length > 0
+    let manifestForApproval = overrides.length > 0
       ? applyOverrides(manifest, overrides)
       : manifest;
     const overrideFilePath = overrides.length > 0 ? getOverridePath(manifestPath) : null;
@@ -63,6 +90,24 @@ async function approveCommand(manifestPath, options) {
       return;
     }
 
+    // Apply per-detection review decisions
+    const reviewer = options.reviewer || process.env.USER || 'cli';
+    const review = applyDetectionDecisions(manifestForApproval, {
+      accept: options.accept || [],
+      reject: options.reject || [],
+      reviewer,
+      reason: options.reason
+    });
+    manifestForApproval = review.manifest;
+
+    if (review.accepted.length > 0 || review.rejected.length > 0) {
+      console.log(`🧐 Detections reviewed: ${review.accepted.length} accepted, ${review.rejected.length} rejected`);
+      review.rejected.forEach(detection => {
+        console.log(`   ✗ ${detection.id} (stripped from ${detection.path})`);
+      });
+      console.log('');
+    }
+
     // Validate manifest
     console.log('🔍 Running validation...\n');
     const validation = await runFullValidation({
@@ -134,22 +179,115 @@ async function approveCommand(manifestPath, options) {
       console.log('');
     }
 
+    // Load the signing key up front so a bad key fails before anything is written
+    const signKeyPath = options.signKey || process.env.PROTO_SIGNING_KEY;
+    const signingKey = signKeyPath ? await loadSigningKey(signKeyPath) : null;
+
+    // Record the sign-off on the draft and check the approval quorum
+    const { policy, source: policySource } = await resolveApprovalPolicy(manifestPath, options.policy);
+    const workspaceDir = path.dirname(manifestPath);
+    const urn = manifestForApproval.metadata?.urn || null;
+
+    let signedDraft = recordSignOff(manifest, { reviewer, team: options.team, comment: options.comment });
+    manifestForApproval.metadata = manifestForApproval.metadata || {};
+    manifestForApproval.metadata.approvals = signedDraft.metadata.approvals;
+
+    // Requirements come from the draft as discovered, so rejecting detections
+    // or overriding the classification cannot lower the quorum
+    const evaluation = evaluateApprovalPolicy(manifestForApproval, policy, { requirementsFrom: manifest });
+    if (!evaluation.satisfied) {
+      signedDraft = recordDetectionDecisions(signedDraft, review);
+    }
+    await fs.writeJson(manifestPath, signedDraft, { spaces: 2 });
+
+    await appendAuditEntry(workspaceDir, {
+      event: AUDIT_EVENTS.VOTE,
+      urn,
+      manifest: path.basename(manifestPath),
+      actor: reviewer,
+      before_hash: contentHash(manifest),
+      after_hash: contentHash(signedDraft),
+      ...(options.team && { team: options.team }),
+      ...(options.comment && { comment: options.comment })
+    });
+
+    const { requirements } = evaluation;
+    console.log(`🗳️  Sign-off recorded for ${reviewer}${options.team ? ` (${options.team})` : ''}: ${evaluation.approvers.length}/${requirements.min_approvals} approval(s)`);
+    if (policySource) {
+      const rules = requirements.rules.length > 0 ? requirements.rules.join(', ') : 'default';
+      console.log(`   Policy: ${policySource} (${rules})`);
+    }
+    console.log('');
+
+    if (!evaluation.satisfied) {
+      printInfo('Approval pending - the policy still requires:');
+      evaluation.missing.forEach(item => console.log(`   • ${item}`));
+      console.log('\n📄 Sign-offs saved to:', manifestPath);
+      if (signedDraft.metadata.detection_decisions) {
+        console.log(`🧐 ${signedDraft.metadata.detection_decisions.length} detection decision(s) saved for the final sign-off`);
+      }
+      if (options.exportRules) {
+        exportReviewRules(review, options.exportRules, reviewer, manifestForApproval);
+      }
+      console.log('');
+      return;
+    }
+
     // Transition to approved state
     console.log('📝 Transitioning state: draft → approved\n');
 
-    const approvedManifest = approve(manifestForApproval, {
+    let approvedManifest = approve(manifestForApproval, {
       force: options.force || false,
-      approvedBy: process.env.USER || 'cli'
+      approvedBy: reviewer,
+      policy,
+      requirementsFrom: manifest
     });
+    if (signingKey) {
+      approvedManifest = signManifest(approvedManifest, signingKey);
+    }
+    const stateChange = approvedManifest.metadata.state_history[approvedManifest.metadata.state_history.length - 1];
 
     // Generate approved file path
     // Convert: artifacts/manifest.draft.json → artifacts/manifest.approved.json
     const approvedPath = getApprovedPath(manifestPath);
 
+    // Record overrides and detection decisions folded into the approved manifest
+    if (overrides.length > 0 || review.accepted.length > 0 || review.rejected.length > 0) {
+      await appendAuditEntry(workspaceDir, {
+        event: AUDIT_EVENTS.OVERRIDE,
+        urn,
+        manifest: path.basename(approvedPath),
+        actor: reviewer,
+        before_hash: contentHash(signedDraft),
+        after_hash: contentHash(manifestForApproval),
+        action: 'approve',
+        overrides: overrides.length,
+        accepted: review.accepted.map(detection => detection.id),
+        rejected: review.rejected.map(detection => detection.id)
+      });
+    }
+
     // Write approved manifest
+    const previousHash = await fileContentHash(approvedPath);
     await fs.ensureDir(path.dirname(approvedPath));
     await fs.writeJson(approvedPath, approvedManifest, { spaces: 2 });
 
+    await appendAuditEntry(workspaceDir, {
+      event: AUDIT_EVENTS.TRANSITION,
+      urn,
+      manifest: path.basename(approvedPath),
+      actor: reviewer,
+      before_hash: previousHash,
+      after_hash: contentHash(approvedManifest),
+      draft_hash: contentHash(signedDraft),
+      from: stateChange.from,
+      to: stateChange.to,
+      forced: stateChange.forced,
+      approvers: evaluation.approvers.map(approver => approver.reviewer),
+      ...(requirements.rules.length > 0 && { policy_rules: requirements.rules }),
+      ...(signingKey && { signed_by: approvedManifest.metadata.signature.key_id })
+    });
+
     // Success summary
     console.log('═══════════════════════════════════════════════════\n');
     printSuccess('✅ Manifest approved successfully!');
@@ -162,11 +300,21 @@ async function approveCommand(manifestPath, options) {
     if (approvedManifest.metadata.approved_by) {
       console.log('👤 Approved by:', approvedManifest.metadata.approved_by);
     }
+    if (evaluation.approvers.length > 1) {
+      console.log('🗳️  Signed off by:', evaluation.approvers.map(approver => approver.reviewer).join(', '));
+    }
+    if (approvedManifest.metadata.signature) {
+      console.log('🔏 Signed with key:', approvedManifest.metadata.signature.key_id);
+    }
 
     if (approvedManifest.metadata.overrides?.length) {
       console.log('🔧 Overrides preserved:', approvedManifest.metadata.overrides.length);
     }
 
+    if (options.exportRules) {
+      exportReviewRules(review, options.exportRules, reviewer, approvedManifest);
+    }
+
     if (combined.warnings.length > 0) {
       console.log('');
       printWarning(`Note: ${combined.warnings.length} warning(s) were present at approval`);
@@ -188,4 +336,27 @@ async function approveCommand(manifestPath, options) {
   }
 }
 
+/**
+ * Export review decisions as override rules
+ * @private
+ */
+function exportReviewRules(review, rulesPath, reviewer, manifest) {
+  const { exporter, rules, skipped } = exportDetectionRules(review, {
+    author: reviewer,
+    context: manifest.dataset?.name || manifest.service?.name || manifest.event?.name
+  });
+  if (rules.length > 0) {
+    const exported = exporter.exportToFile(rulesPath, { pretty: true });
+    if (!exported.success) {
+      throw new Error(`Rule export failed: ${exported.error}`);
+    }
+    console.log(`📤 Exported ${exported.count} override rule(s) to ${rulesPath}`);
+  } else {
+    printWarning('No review decisions to export as override rules');
+  }
+  if (skipped.length > 0) {
+    console.log(`   Skipped ${skipped.length} decision(s) without a rule form: ${skipped.map(s => s.id).join(', ')}`);
+  }
+}
+
 module.exports = { approveCommand, getApprovedPath };
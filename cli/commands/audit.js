@@ -0,0 +1,125 @@
+/**
+ * Audit Command
+ *
+ * Reads a workspace's hash-chained audit log:
+ *
+ *   audit verify        check the chain for edits, gaps and reordering, and
+ *                       the manifests for edits made outside the workflow
+ *   audit show <urn>    timeline of everything recorded for a URN
+ *
+ * Exits with 1 when verification finds problems.
+ */
+
+const { readAuditLog, verifyAuditLog, getAuditLogPath } = require('../../workflow/audit-log');
+const { printSuccess, printError } = require('../utils/output');
+
+const SUBCOMMANDS = ['verify', 'show'];
+const REPORT_FORMATS = ['text', 'json'];
+
+/**
+ * Audit command handler
+ *
+ * @param {string} subcommand - verify or show
+ * @param {string} [urn] - URN to show (show)
+ * @param {Object} options - Command options
+ * @param {string} [options.workspace] - Workspace directory holding the log (default: artifacts)
+ * @param {string} [options.format] - text or json
+ * @param {boolean} [options.files] - verify: compare manifests with their last recorded hash (default: true)
+ * @returns {Promise<Object|null>} Verification report or timeline
+ */
+async function auditCommand(subcommand, urn, options = {}) {
+  try {
+    if (!SUBCOMMANDS.includes(subcommand)) {
+      throw new Error(`Unknown audit subcommand: ${subcommand} (expected ${SUBCOMMANDS.join(', ')})`);
+    }
+
+    const format = (options.format || 'text').toLowerCase();
+    if (!REPORT_FORMATS.includes(format)) {
+      throw new Error(`Unsupported report format: ${options.format} (expected ${REPORT_FORMATS.join(', ')})`);
+    }
+
+    const workspace = options.workspace || 'artifacts';
+
+    if (subcommand === 'verify') {
+      const report = await verifyAuditLog(workspace, { checkFiles: options.files !== false });
+      if (format === 'json') {
+        console.log(JSON.stringify(report, null, 2));
+      } else if (report.valid) {
+        printSuccess(`Audit log intact: ${report.entries} entr${report.entries === 1 ? 'y' : 'ies'} in ${report.path}`);
+        console.log(`   Head: ${report.head || 'none'}`);
+      } else {
+        printError(`Audit log verification failed: ${report.issues.length} problem(s) in ${report.path}`);
+        report.issues.forEach(issue => console.log(`   line ${issue.line} [${issue.type}] ${issue.message}`));
+      }
+
+      if (!report.valid) {
+        process.exitCode = 1;
+      }
+      return report;
+    }
+
+    if (!urn) {
+      throw new Error('Missing argument: <urn> for audit show');
+    }
+
+    const entries = await readAuditLog(workspace, { urn });
+    const timeline = { urn, path: getAuditLogPath(workspace), entries };
+    console.log(format === 'json' ? JSON.stringify(timeline, null, 2) : renderTimeline(timeline));
+    return timeline;
+  } catch (error) {
+    printError(`Audit ${subcommand} failed: ${error.message}`);
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+/**
+ * @private
+ */
+function renderTimeline(timeline) {
+  if (timeline.entries.length === 0) {
+    return `No audit entries for ${timeline.urn} in ${timeline.path}`;
+  }
+
+  const lines = [`Audit timeline for ${timeline.urn} (${timeline.entries.length} entr${timeline.entries.length === 1 ? 'y' : 'ies'})`, ''];
+  for (const entry of timeline.entries) {
+    const detail = describeEntry(entry);
+    lines.push(`  #${entry.seq} ${entry.timestamp}  ${entry.event.padEnd(10)} ${entry.actor || 'unknown'}${detail ? `  ${detail}` : ''}`);
+    const hashes = [entry.before_hash, entry.after_hash].map(shortHash);
+    lines.push(`      ${entry.manifest || ''} ${hashes[0]} → ${hashes[1]}`.trimEnd());
+  }
+  return lines.join('\n');
+}
+
+/**
+ * One-line summary of what an entry recorded
+ * @private
+ */
+function describeEntry(entry) {
+  switch (entry.event) {
+    case 'transition':
+      return `${entry.from} → ${entry.to}${entry.forced ? ' (forced)' : ''}${entry.reason ? `: ${entry.reason}` : ''}`;
+    case 'vote':
+      return `signed off${entry.team ? ` for ${entry.team}` : ''}${entry.comment ? `: ${entry.comment}` : ''}`;
+    case 'review':
+      return `${entry.valid ? 'valid' : 'invalid'} (${entry.errors} error(s), ${entry.warnings} warning(s))`;
+    case 'override': {
+      const parts = [`${entry.overrides || 0} override(s)`];
+      if (entry.rejected?.length) parts.push(`rejected ${entry.rejected.join(', ')}`);
+      return `${entry.action || 'override'}: ${parts.join('; ')}`;
+    }
+    default:
+      return '';
+  }
+}
+
+/**
+ * @private
+ */
+function shortHash(hash) {
+  return hash ? hash.slice(0, 12) : '∅';
+}
+
+module.exports = {
+  auditCommand
+};
@@ -0,0 +1,65 @@
+/**
+ * CDC Command
+ *
+ * Generates Debezium-style CDC event manifests from a Data Protocol
+ * manifest, one per captured table, linked back to the table's data URN.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { generateCDCManifests } = require('../../generators/cdc/cdc-manifest-generator');
+const { formatOutput, printSuccess, printError, printWarning } = require('../utils/output');
+const { isCI } = require('../utils/detect-ci');
+
+/**
+ * CDC command handler
+ *
+ * @param {string} manifestPath - Path to a data manifest (single dataset or catalog)
+ * @param {Object} options - Command options
+ * @param {string} [options.output] - Output directory
+ * @param {string} [options.topicPrefix] - Debezium topic.prefix
+ * @param {string} [options.topic] - Topic template ({prefix}, {schema}, {table})
+ * @param {string} [options.dlq] - DLQ topic template
+ * @returns {Promise<Array<string>|null>} Written file paths
+ */
+async function cdcCommand(manifestPath, options = {}) {
+  try {
+    if (!await fs.pathExists(manifestPath)) {
+      throw new Error(`Manifest not found: ${manifestPath}`);
+    }
+
+    const manifest = await fs.readJson(manifestPath);
+    const convention = {};
+    if (options.topicPrefix) convention.topicPrefix = options.topicPrefix;
+    if (options.topic) convention.topic = options.topic;
+    if (options.dlq) convention.dlq = options.dlq;
+
+    const events = generateCDCManifests(manifest, convention);
+    if (events.length === 0) {
+      printWarning(`No tables to capture in ${manifestPath}`);
+      return [];
+    }
+
+    const outputDir = options.output || 'artifacts';
+    await fs.ensureDir(outputDir);
+
+    const written = [];
+    for (const event of events) {
+      const outputPath = path.join(outputDir, `event-manifest.${event.event.name.replace(/[^\w.-]+/g, '-')}.draft.json`);
+      await fs.writeFile(outputPath, `${formatOutput(event, 'json', isCI())}\n`, 'utf-8');
+      written.push(outputPath);
+      printSuccess(`CDC manifest saved to: ${outputPath}`);
+      for (const warning of event.metadata.warnings || []) {
+        printWarning(warning);
+      }
+    }
+
+    return written;
+  } catch (error) {
+    printError(`CDC generation failed: ${error.message}`);
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+module.exports = { cdcCommand };
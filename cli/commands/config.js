@@ -0,0 +1,57 @@
+/**
+ * Config Command
+ *
+ * Shows the project configuration commands run with:
+ *
+ *   config print    defaults merged with the nearest protocol.config.{json,js}
+ *
+ * Flags given to a command still take precedence over what is printed here.
+ */
+
+const { loadConfig, CONFIG_FILES } = require('../utils/config');
+const { printError } = require('../utils/output');
+
+const SUBCOMMANDS = ['print'];
+const REPORT_FORMATS = ['text', 'json'];
+
+/**
+ * Config command handler
+ *
+ * @param {string} subcommand - print
+ * @param {Object} options - Command options
+ * @param {string} [options.config] - Explicit config file (default: search upward from the working directory)
+ * @param {string} [options.cwd] - Directory to search from (default: cwd)
+ * @param {string} [options.format] - text or json
+ * @returns {Promise<{config: Object, source: string|null}|null>} Effective config and the file it came from
+ */
+async function configCommand(subcommand, options = {}) {
+  try {
+    if (!SUBCOMMANDS.includes(subcommand)) {
+      throw new Error(`Unknown config subcommand: ${subcommand} (expected ${SUBCOMMANDS.join(', ')})`);
+    }
+
+    const format = (options.format || 'text').toLowerCase();
+    if (!REPORT_FORMATS.includes(format)) {
+      throw new Error(`Unsupported report format: ${options.format} (expected ${REPORT_FORMATS.join(', ')})`);
+    }
+
+    const result = await loadConfig({ configPath: options.config, cwd: options.cwd });
+    if (format === 'json') {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      console.log(result.source
+        ? `# Config file: ${result.source}`
+        : `# No ${CONFIG_FILES.join(' or ')} found; using defaults`);
+      console.log(JSON.stringify(result.config, null, 2));
+    }
+    return result;
+  } catch (error) {
+    printError(`Config ${subcommand} failed: ${error.message}`);
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+module.exports = {
+  configCommand
+};
@@ -0,0 +1,121 @@
+/**
+ * Diff Command
+ *
+ * Compares two manifests and prints a categorized change summary, or emits
+ * it as JSON or Markdown. With a manifests directory the workspace graph is
+ * built so breaking changes are scored against their downstream consumers.
+ *
+ * With `--base <rev>` the manifests under a directory are compared between
+ * two git revisions instead (`--head`, or the working tree), giving one
+ * aggregate report with a verdict per changed file.
+ *
+ * Exit codes: 0 unchanged, 1 error, 2 non-breaking changes, 3 breaking changes.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { diffManifests, renderDiffText, renderDiffMarkdown, DIFF_STATUS } = require('../../workflow/manifest-diff');
+const { diffRevisions, renderRevisionsText, renderRevisionsMarkdown } = require('../../workflow/git-diff');
+const { loadManifestsFromDirectory, buildGraph } = require('../../workflow/graph-builder');
+const { printSuccess, printError } = require('../utils/output');
+
+/**
+ * Exit code per diff outcome
+ */
+const DIFF_EXIT_CODES = {
+  [DIFF_STATUS.UNCHANGED]: 0,
+  error: 1,
+  [DIFF_STATUS.NON_BREAKING]: 2,
+  [DIFF_STATUS.BREAKING]: 3
+};
+
+const REPORT_FORMATS = ['text', 'json', 'markdown'];
+
+/**
+ * Diff command handler
+ *
+ * @param {string} oldPath - Path to the previous manifest (with --base: manifests directory, default `.`)
+ * @param {string} newPath - Path to the new manifest (unused with --base)
+ * @param {Object} options - Command options
+ * @param {string} [options.format] - Report format: text, json or markdown
+ * @param {string} [options.output] - Write the report to this file instead of stdout
+ * @param {string} [options.manifests] - Manifests directory for downstream impact
+ * @param {string} [options.base] - Git revision to compare against
+ * @param {string} [options.head] - Git revision to compare (default: working tree)
+ * @returns {Promise<Object|null>} Diff report
+ */
+async function diffCommand(oldPath, newPath, options = {}) {
+  try {
+    const format = (options.format || 'text').toLowerCase();
+    if (!REPORT_FORMATS.includes(format)) {
+      throw new Error(`Unsupported report format: ${options.format} (expected ${REPORT_FORMATS.join(', ')})`);
+    }
+
+    let graph;
+    if (options.manifests) {
+      if (!await fs.pathExists(options.manifests)) {
+        throw new Error(`Manifests directory not found: ${options.manifests}`);
+      }
+      ({ graph } = buildGraph(await loadManifestsFromDirectory(options.manifests)));
+    }
+
+    let report;
+    let rendered;
+    if (options.base) {
+      if (newPath) {
+        throw new Error('With --base, pass a single manifests directory (use --head to pick the other revision)');
+      }
+      report = diffRevisions({ base: options.base, head: options.head, dir: oldPath || '.', graph });
+      if (format === 'json') {
+        rendered = JSON.stringify(report, null, 2);
+      } else {
+        rendered = format === 'markdown' ? renderRevisionsMarkdown(report) : renderRevisionsText(report);
+      }
+    } else {
+      if (!oldPath || !newPath) {
+        throw new Error('Pass two manifests to compare, or --base <revision> for a git diff');
+      }
+      report = diffManifests(await readManifest(oldPath), await readManifest(newPath), { graph });
+      const context = { oldPath, newPath };
+      if (format === 'json') {
+        rendered = JSON.stringify(report, null, 2);
+      } else {
+        rendered = format === 'markdown' ? renderDiffMarkdown(report, context) : renderDiffText(report, context);
+      }
+    }
+
+    if (options.output) {
+      await fs.ensureDir(path.dirname(path.resolve(options.output)));
+      await fs.writeFile(options.output, `${rendered.trimEnd()}\n`, 'utf-8');
+      printSuccess(`Diff report saved to: ${options.output}`);
+    } else {
+      console.log(rendered.trimEnd());
+    }
+
+    if (report.status !== DIFF_STATUS.UNCHANGED) {
+      process.exitCode = DIFF_EXIT_CODES[report.status];
+    }
+
+    return report;
+  } catch (error) {
+    printError(`Diff failed: ${error.message}`);
+    process.exitCode = DIFF_EXIT_CODES.error;
+    return null;
+  }
+}
+
+/**
+ * Read a manifest file
+ * @private
+ */
+async function readManifest(manifestPath) {
+  if (!await fs.pathExists(manifestPath)) {
+    throw new Error(`Manifest not found: ${manifestPath}`);
+  }
+  return fs.readJson(manifestPath);
+}
+
+module.exports = {
+  diffCommand,
+  DIFF_EXIT_CODES
+};
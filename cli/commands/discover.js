@@ -2,33 +2,85 @@
  * Discover Command
  *
  * Discovers contracts and converts them to protocol manifests.
- * Supports OpenAPI specs (URLs and files) and database connections.
+ * Supports OpenAPI specs (URLs and files), GraphQL schemas (SDL or
+ * introspection JSON), Protobuf/gRPC service definitions, Postman
+ * collections and HAR captures, database connections (PostgreSQL,
+ * MySQL/MariaDB), offline Postgres DDL files, Prisma schemas, dbt artifacts,
+ * AsyncAPI specs, schema registry exports and captured CloudEvents samples.
  */
 
 const fs = require('fs-extra');
 const path = require('path');
 const { OpenAPIImporter } = require('../../importers/openapi/importer');
 const { PostgresImporter } = require('../../importers/postgres/importer');
+const { MySQLImporter } = require('../../importers/mysql/importer');
+const { SQLDDLImporter } = require('../../importers/sql/importer');
 const { importAsyncAPI } = require('../../importers/asyncapi/importer');
+const { GraphQLImporter } = require('../../importers/graphql/importer');
+const { ProtobufImporter } = require('../../importers/protobuf/importer');
+const { TrafficImporter } = require('../../importers/traffic/importer');
+const { importSchemaRegistry } = require('../../importers/schema-registry/importer');
+const { importCloudEvents } = require('../../importers/cloudevents/importer');
+const { DbtImporter } = require('../../importers/dbt/importer');
+const { PrismaImporter } = require('../../importers/prisma/importer');
+const { findRootSpec } = require('../../importers/shared/spec-bundle');
+const { loadManifestsFromDirectory, buildGraph } = require('../../workflow/graph-builder');
+const {
+  detectDrift,
+  renderDriftMarkdown,
+  getAcknowledgementPath,
+  parseAcknowledgements,
+  DRIFT_STATUS
+} = require('../../workflow/drift');
+const { appendAuditEntry, AUDIT_EVENTS } = require('../../workflow/audit-log');
+const { contentHash, fileContentHash } = require('../../workflow/content-hash.cjs');
 const { createSpinner } = require('../utils/progress');
-const { formatOutput, prettyPrintSummary, printSuccess, printError } = require('../utils/output');
+const { formatOutput, prettyPrintSummary, printSuccess, printError, printWarning, printInfo } = require('../utils/output');
 const { isCI } = require('../utils/detect-ci');
 
 const SUPPORTED_TYPES = new Set(['api', 'data', 'event', 'auto']);
 const MANIFEST_TYPE_BY_SOURCE = {
   postgres: 'data',
   mysql: 'data',
+  'sql-ddl': 'data',
+  prisma: 'data',
+  dbt: 'data',
   openapi: 'api',
   'openapi-url': 'api',
+  graphql: 'api',
+  protobuf: 'api',
+  postman: 'api',
+  har: 'api',
   asyncapi: 'event',
-  'asyncapi-url': 'event'
+  'asyncapi-url': 'event',
+  'schema-registry': 'event',
+  cloudevents: 'event'
+};
+
+// protocol.config importer sections, by source type
+const IMPORTER_CONFIG_KEY_BY_SOURCE = {
+  postgres: 'postgres',
+  mysql: 'mysql',
+  'sql-ddl': 'sql',
+  prisma: 'prisma',
+  dbt: 'dbt',
+  openapi: 'openapi',
+  'openapi-url': 'openapi',
+  graphql: 'graphql',
+  protobuf: 'protobuf',
+  postman: 'traffic',
+  har: 'traffic',
+  asyncapi: 'asyncapi',
+  'asyncapi-url': 'asyncapi',
+  'schema-registry': 'schemaRegistry',
+  cloudevents: 'cloudevents'
 };
 
 /**
  * Detect source type from source string
  *
  * @param {string} source - Source path, URL, or connection string
- * @returns {string} Detected type: 'postgres', 'mysql', 'openapi', 'openapi-url'
+ * @returns {string} Detected type: 'postgres', 'mysql', 'sql-ddl', 'prisma', 'dbt', 'graphql', 'protobuf', 'postman', 'har', 'openapi', 'openapi-url', 'schema-registry', 'cloudevents'
  * @throws {Error} If type cannot be detected
  */
 function detectSourceType(source) {
@@ -49,6 +101,24 @@ function detectSourceType(source) {
     }
     return 'openapi-url';
   }
+  if (source.match(/\.sql$/i)) {
+    return 'sql-ddl';
+  }
+  if (source.match(/\.prisma$/i)) {
+    return 'prisma';
+  }
+  if (source.match(/\.(graphqls?|gql)$/i)) {
+    return 'graphql';
+  }
+  if (source.match(/\.proto$/i)) {
+    return 'protobuf';
+  }
+  if (source.match(/\.har$/i)) {
+    return 'har';
+  }
+  if (source.match(/\.(ndjson|jsonl)$/i)) {
+    return 'cloudevents';
+  }
   if (source.match(/\.(json|yaml|yml)$/i)) {
     // Try to detect AsyncAPI by reading file for 'asyncapi' keyword
     try {
@@ -57,23 +127,104 @@ function detectSourceType(source) {
       if (content.includes('asyncapi:') || content.includes('"asyncapi"')) {
         return 'asyncapi';
       }
+      // dbt artifacts (manifest.json, catalog.json) carry a dbt_schema_version
+      if (content.includes('"dbt_schema_version"')) {
+        return 'dbt';
+      }
+      // GraphQL introspection results carry a __schema root
+      if (content.includes('"__schema"')) {
+        return 'graphql';
+      }
+      if (content.includes('"_postman_id"') || content.includes('schema.getpostman.com')) {
+        return 'postman';
+      }
+      if (/^\s*\{\s*"log"\s*:/.test(content) && content.includes('"entries"')) {
+        return 'har';
+      }
     } catch (error) {
       // If file read fails, fall through to default detection
     }
     return 'openapi';
   }
+  if (isDbtProject(source)) {
+    return 'dbt';
+  }
+  if (isSchemaRegistryExport(source)) {
+    return 'schema-registry';
+  }
+  const specKind = detectSpecDirectory(source);
+  if (specKind) {
+    return specKind;
+  }
 
   throw new Error(
     `Could not detect source type. Supported formats:\n` +
     '  - PostgreSQL: postgresql://...\n' +
     '  - MySQL: mysql://...\n' +
-    '  - OpenAPI file: ./spec.json, ./spec.yaml\n' +
+    '  - Postgres DDL file: ./schema.sql\n' +
+    '  - Prisma schema: ./prisma/schema.prisma\n' +
+    '  - dbt artifacts: ./target/manifest.json, ./my-dbt-project/\n' +
+    '  - OpenAPI file: ./spec.json, ./spec.yaml, or a multi-file spec directory\n' +
     '  - OpenAPI URL: https://...\n' +
-    '  - AsyncAPI file: ./asyncapi.yaml\n' +
-    '  - AsyncAPI URL: https://...asyncapi...'
+    '  - GraphQL: ./schema.graphql, ./introspection.json\n' +
+    '  - Protobuf/gRPC: ./service.proto\n' +
+    '  - Postman collection: ./api.postman_collection.json\n' +
+    '  - HAR capture: ./traffic.har\n' +
+    '  - AsyncAPI file: ./asyncapi.yaml, or a multi-file spec directory\n' +
+    '  - AsyncAPI URL: https://...asyncapi...\n' +
+    '  - Schema registry export: ./registry-export/\n' +
+    '  - CloudEvents samples: ./events.ndjson'
   );
 }
 
+/**
+ * Check whether a path is a dbt project or target directory
+ * (a `manifest.json` directly or under `target/`)
+ *
+ * @param {string} source - Source path
+ * @returns {boolean}
+ */
+function isDbtProject(source) {
+  try {
+    if (!fs.statSync(source).isDirectory()) return false;
+    return fs.existsSync(path.join(source, 'manifest.json')) ||
+      fs.existsSync(path.join(source, 'target', 'manifest.json'));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check whether a path is a schema registry export directory
+ * (a `subjects/` folder or a top-level `config.json` next to subject folders)
+ *
+ * @param {string} source - Source path
+ * @returns {boolean}
+ */
+function isSchemaRegistryExport(source) {
+  try {
+    if (!fs.statSync(source).isDirectory()) return false;
+    return fs.existsSync(path.join(source, 'subjects')) || fs.existsSync(path.join(source, 'config.json'));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Detect a multi-file OpenAPI/AsyncAPI spec directory by its root document
+ *
+ * @param {string} source - Source path
+ * @returns {string|null} 'openapi', 'asyncapi' or null
+ */
+function detectSpecDirectory(source) {
+  try {
+    if (!fs.statSync(source).isDirectory()) return null;
+    return findRootSpec(source)?.kind || null;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Determine manifest type from provided contract type and detected source
  *
@@ -93,9 +244,9 @@ function determineManifestType(type, sourceType) {
     throw new Error(`Unsupported contract type: ${type}`);
   }
 
-  // Event discovery now supported via AsyncAPI
-  if (normalizedType === 'event' && !['asyncapi', 'asyncapi-url'].includes(sourceType)) {
-    throw new Error('Event discovery requires AsyncAPI specification');
+  // Event discovery supported via AsyncAPI and schema registry exports
+  if (normalizedType === 'event' && !['asyncapi', 'asyncapi-url', 'schema-registry', 'cloudevents'].includes(sourceType)) {
+    throw new Error('Event discovery requires AsyncAPI specification, schema registry export or CloudEvents samples');
   }
 
   if (inferredType !== 'contract' && inferredType !== normalizedType) {
@@ -116,6 +267,25 @@ function generateOutputFilename(manifestType, format) {
   return `${manifestType}-manifest.draft.${format}`;
 }
 
+/**
+ * Generate output filename for a companion manifest
+ * (per-dataset data manifests, event manifests)
+ *
+ * @param {Object} companion - Companion manifest
+ * @param {string} format - Output format (json, yaml)
+ * @returns {string} Output filename
+ */
+function generateCompanionFilename(companion, format) {
+  if (companion.dataset) {
+    const slug = companion.dataset.name.replace(/[^\w.-]+/g, '-');
+    return `data-manifest.${slug}.draft.${format}`;
+  }
+  // Keep the domain so same-named events from different services don't collide
+  const urn = companion.metadata?.urn || companion.urn;
+  const slug = urn.replace(/^urn:(proto:event|events):/, '').replace(/[^\w.-]+/g, '-');
+  return `event-manifest.${slug}.draft.${format}`;
+}
+
 /**
  * Normalise output format and validate support
  *
@@ -166,33 +336,124 @@ function augmentProvenance(manifest, source) {
   manifest.provenance = provenance;
 }
 
+/**
+ * Compare a re-discovered manifest against its approved version and write
+ * `drift-report.json` / `drift-report.md` to the output directory
+ *
+ * Entries in the approved manifest's `.drift-ack.json` sidecar let reviewers
+ * acknowledge breaking drift for one source spec hash without re-approving.
+ *
+ * @param {Object} manifest - Freshly imported manifest
+ * @param {string} approvedPath - Path to the approved manifest
+ * @param {Object} context - { source, outputDir }
+ * @returns {Promise<{report: Object, jsonPath: string, markdownPath: string}>}
+ */
+async function runDriftCheck(manifest, approvedPath, { source, outputDir }) {
+  if (!await fs.pathExists(approvedPath)) {
+    throw new Error(`Approved manifest not found: ${approvedPath}`);
+  }
+
+  const approved = await fs.readJson(approvedPath);
+
+  // Downstream impact comes from the approved manifest's workspace
+  const entries = await loadManifestsFromDirectory(path.dirname(path.resolve(approvedPath)));
+  const { graph } = buildGraph(entries);
+
+  const acknowledgementPath = getAcknowledgementPath(approvedPath);
+  const acknowledgements = await fs.pathExists(acknowledgementPath)
+    ? parseAcknowledgements(await fs.readJson(acknowledgementPath), acknowledgementPath)
+    : [];
+
+  const report = detectDrift(approved, manifest, { graph, acknowledgements });
+  report.source = source;
+  report.approved_path = approvedPath;
+
+  const jsonPath = path.resolve(outputDir, 'drift-report.json');
+  const markdownPath = path.resolve(outputDir, 'drift-report.md');
+  await fs.ensureDir(outputDir);
+  await fs.writeJson(jsonPath, report, { spaces: 2 });
+  await fs.writeFile(markdownPath, renderDriftMarkdown(report, { source, approvedPath }), 'utf-8');
+
+  return { report, jsonPath, markdownPath };
+}
+
 /**
  * Execute importer based on detected source type
  *
  * @param {string} sourceType - Detected source type
  * @param {string} source - Source path, URL, or connection string
  * @param {Object} spinner - Spinner instance for progress updates
+ * @param {Array<Object>} [companions] - Collects additional manifests (e.g. GraphQL subscriptions, OpenAPI webhooks, dbt datasets)
+ * @param {Object} [options] - Importer options
+ * @param {boolean} [options.allowRemoteRefs] - Fetch remote $refs in local OpenAPI/AsyncAPI specs
+ * @param {Object} [options.importers] - Per-importer options from protocol.config (e.g. importers.postgres)
  * @returns {Promise<Object>} Imported manifest
  */
-async function runImporter(sourceType, source, spinner) {
+async function runImporter(sourceType, source, spinner, companions = [], options = {}) {
+  const importerOptions = {
+    ...(options.importers?.[IMPORTER_CONFIG_KEY_BY_SOURCE[sourceType]] || {}),
+    ...(options.allowRemoteRefs && { allowRemoteRefs: true })
+  };
+
   switch (sourceType) {
     case 'postgres': {
       if (spinner) spinner.text = 'Introspecting PostgreSQL schema...';
-      const pgImporter = new PostgresImporter();
+      const pgImporter = new PostgresImporter(importerOptions);
       return pgImporter.import(source);
     }
-    case 'mysql':
-      throw new Error('MySQL support is not yet implemented');
+    case 'mysql': {
+      if (spinner) spinner.text = 'Introspecting MySQL schema...';
+      const mysqlImporter = new MySQLImporter(importerOptions);
+      return mysqlImporter.import(source);
+    }
+    case 'sql-ddl': {
+      if (spinner) spinner.text = 'Parsing SQL DDL...';
+      const ddlImporter = new SQLDDLImporter(importerOptions);
+      return ddlImporter.import(source);
+    }
+    case 'prisma': {
+      if (spinner) spinner.text = 'Parsing Prisma schema...';
+      const prismaImporter = new PrismaImporter(importerOptions);
+      return prismaImporter.import(source);
+    }
+    case 'dbt': {
+      if (spinner) spinner.text = 'Reading dbt artifacts...';
+      const dbtImporter = new DbtImporter(importerOptions);
+      const manifest = await dbtImporter.import(source);
+      // Each dataset is also written standalone so graph-builder sees its lineage
+      companions.push(...manifest.datasets);
+      return manifest;
+    }
     case 'openapi':
     case 'openapi-url': {
       if (spinner) spinner.text = 'Parsing OpenAPI specification...';
-      const apiImporter = new OpenAPIImporter();
-      return apiImporter.import(source);
+      const apiImporter = new OpenAPIImporter(importerOptions);
+      const result = await apiImporter.importWithEvents(source);
+      companions.push(...result.events);
+      return result.manifest;
+    }
+    case 'graphql': {
+      if (spinner) spinner.text = 'Parsing GraphQL schema...';
+      const graphqlImporter = new GraphQLImporter(importerOptions);
+      const result = await graphqlImporter.importWithEvents(source);
+      companions.push(...result.events);
+      return result.manifest;
+    }
+    case 'protobuf': {
+      if (spinner) spinner.text = 'Parsing Protobuf definitions...';
+      const protobufImporter = new ProtobufImporter(importerOptions);
+      return protobufImporter.import(source);
+    }
+    case 'postman':
+    case 'har': {
+      if (spinner) spinner.text = 'Inferring API from observed traffic...';
+      const trafficImporter = new TrafficImporter({ ...importerOptions, format: sourceType });
+      return trafficImporter.import(source);
     }
     case 'asyncapi':
     case 'asyncapi-url': {
       if (spinner) spinner.text = 'Importing AsyncAPI specification...';
-      const result = await importAsyncAPI(source, { timeout: 30000 });
+      const result = await importAsyncAPI(source, { timeout: 30000, ...importerOptions });
 
       // Return first manifest (or combined if multiple channels)
       // For now, return first manifest to match OpenAPI/Postgres behavior
@@ -211,19 +472,76 @@ async function runImporter(sourceType, source, spinner) {
 
       return primaryManifest;
     }
+    case 'schema-registry': {
+      if (spinner) spinner.text = 'Importing schema registry export...';
+      const result = await importSchemaRegistry(source, importerOptions);
+
+      if (result.manifests.length === 0) {
+        throw new Error('No subjects with schema versions found in registry export');
+      }
+
+      const [primaryManifest, ...rest] = result.manifests;
+      companions.push(...rest);
+      primaryManifest.metadata = {
+        ...primaryManifest.metadata,
+        subject_count: result.metadata.subject_count,
+        version_count: result.metadata.version_count
+      };
+
+      return primaryManifest;
+    }
+    case 'cloudevents': {
+      if (spinner) spinner.text = 'Inferring events from CloudEvents samples...';
+      const result = await importCloudEvents(source, importerOptions);
+
+      const [primaryManifest, ...rest] = result.manifests;
+      companions.push(...rest);
+      primaryManifest.metadata = {
+        ...primaryManifest.metadata,
+        total_sample_count: result.metadata.sample_count,
+        event_type_count: result.metadata.event_type_count,
+        skipped_samples: result.metadata.skipped || undefined
+      };
+
+      return primaryManifest;
+    }
     default:
       throw new Error(`Unsupported source type: ${sourceType}`);
   }
 }
 
+/**
+ * Save a discovered manifest and record the discovery in the workspace audit log
+ * @private
+ */
+async function saveAuditedManifest(manifest, outputPath, format) {
+  const beforeHash = await fileContentHash(outputPath);
+  await saveManifest(manifest, outputPath, format);
+  await appendAuditEntry(path.dirname(outputPath), {
+    event: AUDIT_EVENTS.DISCOVER,
+    urn: manifest.metadata?.urn || manifest.urn || null,
+    manifest: path.basename(outputPath),
+    actor: process.env.USER || 'cli',
+    before_hash: beforeHash,
+    after_hash: contentHash(JSON.parse(JSON.stringify(manifest)))
+  });
+}
+
 /**
  * Discover command handler
  *
  * @param {string} type - Contract type (api, data, event)
- * @param {string} source - Source path, URL, or connection string
+ * @param {string} source - Source path, URL, or connection string, or `@name` of a protocol.config source list
  * @param {Object} options - Command options
+ * @param {Object} [options.importers] - Per-importer options from protocol.config
+ * @param {Object} [options.sources] - Named source lists from protocol.config
+ * @returns {Promise<Object|Array<Object>|null>} Manifest, or one per source for a source list
  */
 async function discoverCommand(type, source, options = {}) {
+  if (typeof source === 'string' && source.startsWith('@')) {
+    return discoverSourceList(type, source.slice(1), options);
+  }
+
   const format = normalizeFormat(options.format);
   const outputDir = options.output || 'artifacts';
   let spinner;
@@ -237,14 +555,25 @@ async function discoverCommand(type, source, options = {}) {
       spinner.start();
     }
 
-    const manifest = await runImporter(sourceType, source, spinner);
+    const companions = [];
+    const manifest = await runImporter(sourceType, source, spinner, companions, {
+      allowRemoteRefs: Boolean(options.allowRemoteRefs),
+      importers: options.importers
+    });
 
     augmentProvenance(manifest, source);
 
     const filename = generateOutputFilename(manifestType, format);
     const outputPath = path.resolve(outputDir, filename);
 
-    await saveManifest(manifest, outputPath, format);
+    await saveAuditedManifest(manifest, outputPath, format);
+
+    const companionPaths = [];
+    for (const companion of companions) {
+      const companionPath = path.resolve(outputDir, generateCompanionFilename(companion, format));
+      await saveAuditedManifest(companion, companionPath, format);
+      companionPaths.push(companionPath);
+    }
 
     if (spinner && typeof spinner.succeed === 'function') {
       spinner.succeed('Contract discovered successfully');
@@ -252,10 +581,34 @@ async function discoverCommand(type, source, options = {}) {
 
     console.log(prettyPrintSummary(manifest));
     printSuccess(`Manifest saved to: ${outputPath}`);
+    companions.forEach((companion, idx) => {
+      const label = companion.dataset ? 'Dataset manifest' : 'Event manifest';
+      printSuccess(`${label} saved to: ${companionPaths[idx]}`);
+    });
 
     if (manifest.metadata?.status === 'error') {
       printError('Import completed with errors. Review manifest for details.');
       process.exitCode = 1;
+      return manifest;
+    }
+
+    if (options.against) {
+      const { report, jsonPath, markdownPath } = await runDriftCheck(manifest, options.against, { source, outputDir });
+
+      if (report.status === DRIFT_STATUS.UNCHANGED) {
+        printSuccess(report.short_circuit
+          ? 'No drift: source spec hash matches the approved manifest'
+          : 'No drift detected against the approved manifest');
+      } else if (report.status === DRIFT_STATUS.BREAKING && report.acknowledged) {
+        printWarning(`Breaking drift acknowledged: ${report.summary.breaking} breaking change(s) (${report.acknowledged.reason})`);
+      } else if (report.status === DRIFT_STATUS.BREAKING) {
+        printError(`Breaking drift detected: ${report.summary.breaking} breaking change(s), risk score ${report.breaking.riskScore}/100`);
+        process.exitCode = 1;
+      } else {
+        printWarning(`Non-breaking drift detected: ${report.summary.totalChanges} change(s)`);
+      }
+
+      printInfo(`Drift report saved to: ${jsonPath}, ${markdownPath}`);
     }
 
     return manifest;
@@ -275,13 +628,66 @@ async function discoverCommand(type, source, options = {}) {
   }
 }
 
+/**
+ * Discover every source in a named protocol.config source list
+ *
+ * Entries without their own `output` are written to a subdirectory of the
+ * list's output named after the source, so sources of the same type do not
+ * overwrite each other's manifests.
+ * @private
+ */
+async function discoverSourceList(type, name, options) {
+  const list = options.sources?.[name];
+  if (!list) {
+    const known = Object.keys(options.sources || {});
+    printError(`Discovery failed: unknown source list @${name}${known.length > 0 ? ` (configured: ${known.join(', ')})` : ' (no sources in protocol.config)'}`);
+    process.exitCode = 1;
+    return null;
+  }
+  if (options.against) {
+    printError('Discovery failed: --against compares a single source; it cannot be used with a source list');
+    process.exitCode = 1;
+    return null;
+  }
+
+  printInfo(`Discovering ${list.length} source(s) from @${name}`);
+  const outputDir = options.output || 'artifacts';
+  const usedSlugs = new Set();
+  const manifests = [];
+  for (const entry of list) {
+    let output = entry.output;
+    if (!output) {
+      const base = sourceSlug(entry.source);
+      let slug = base;
+      for (let n = 2; usedSlugs.has(slug); n++) slug = `${base}-${n}`;
+      usedSlugs.add(slug);
+      output = path.join(outputDir, slug);
+    }
+    manifests.push(await discoverCommand(entry.type === 'auto' ? type : entry.type, entry.source, { ...options, output }));
+  }
+  return manifests;
+}
+
+/**
+ * Directory name for a source: the file or last path segment without its
+ * extension (`specs/orders.yaml` → `orders`, `postgresql://host/shop` → `shop`)
+ * @private
+ */
+function sourceSlug(source) {
+  const trimmed = source.replace(/[?#].*$/, '').replace(/\/+$/, '');
+  const name = path.basename(trimmed, path.extname(trimmed)).replace(/[^\w.-]+/g, '-');
+  return name || 'source';
+}
+
 module.exports = {
   discoverCommand,
   detectSourceType,
   determineManifestType,
   generateOutputFilename,
+  generateCompanionFilename,
   normalizeFormat,
   runImporter,
   saveManifest,
-  augmentProvenance
+  augmentProvenance,
+  runDriftCheck
 };
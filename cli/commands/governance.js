@@ -104,7 +104,7 @@ async function governanceCommand(options = {}) {
     printInfo('Initializing governance generator...');
     const { graph, manifests } = await loadWorkspaceGraph(manifestDir);
 
-    const overrideEngine = new OverrideEngine(cwd);
+    const overrideEngine = new OverrideEngine(cwd, { packs: options.overridePacks });
     const generator = new GovernanceGenerator({
       graph,
       overrideEngine,
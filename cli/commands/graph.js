@@ -0,0 +1,252 @@
+/**
+ * Graph Command
+ *
+ * Exposes ProtocolGraph analysis on a manifests directory:
+ *
+ *   graph impact <urn>            what a change to <urn> reaches, and what reaches it
+ *   graph pii <endpoint-urn>      paths from PII data sources to an endpoint
+ *   graph path <from> <to>        all paths between two nodes
+ *   graph cycles                  dependency cycles
+ *   graph stats                   node, edge, cycle and PII counts
+ *   graph export --format <fmt>   dot, mermaid, graphml or json
+ *
+ * URNs may omit the version when only one version is in the workspace.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { loadManifestsFromDirectory, buildGraph } = require('../../workflow/graph-builder');
+const { isValidURN } = require('../../core/graph/urn-utils');
+const { exportGraph, EXPORT_FORMATS } = require('../../core/graph/export');
+const { printSuccess, printError, printWarning } = require('../utils/output');
+
+const SUBCOMMANDS = ['impact', 'pii', 'path', 'cycles', 'stats', 'export'];
+const REPORT_FORMATS = ['text', 'json'];
+
+/**
+ * Graph command handler
+ *
+ * @param {string} subcommand - One of SUBCOMMANDS
+ * @param {Array<string>} args - Subcommand arguments (URNs)
+ * @param {Object} options - Command options
+ * @param {string} [options.manifests] - Manifests directory (default: protocols)
+ * @param {string} [options.format] - text or json; for export: dot, mermaid, graphml or json
+ * @param {string} [options.output] - Write the result to this file instead of stdout
+ * @param {string|number} [options.maxDepth] - Traversal depth limit for impact, pii and path
+ * @returns {Promise<Object|null>} Subcommand result
+ */
+async function graphCommand(subcommand, args = [], options = {}) {
+  try {
+    if (!SUBCOMMANDS.includes(subcommand)) {
+      throw new Error(`Unknown graph subcommand: ${subcommand} (expected ${SUBCOMMANDS.join(', ')})`);
+    }
+
+    const isExport = subcommand === 'export';
+    const format = (options.format || (isExport ? 'dot' : 'text')).toLowerCase();
+    const formats = isExport ? EXPORT_FORMATS : REPORT_FORMATS;
+    if (!formats.includes(format)) {
+      throw new Error(`Unsupported format for graph ${subcommand}: ${options.format} (expected ${formats.join(', ')})`);
+    }
+
+    const { graph, stats } = await loadWorkspaceGraph(options.manifests || 'protocols');
+    const maxDepth = options.maxDepth ? parseInt(options.maxDepth, 10) : undefined;
+
+    let result;
+    let rendered;
+    switch (subcommand) {
+      case 'impact': {
+        const urn = resolveNode(graph, requireArgs(args, ['urn'])[0]);
+        result = graph.impactOfChange(urn, maxDepth ? { maxDepth } : {});
+        rendered = renderImpact(result);
+        break;
+      }
+      case 'pii': {
+        const urn = resolveNode(graph, requireArgs(args, ['endpoint-urn'])[0]);
+        result = graph.tracePIIFlow(urn, maxDepth ? { maxDepth } : {});
+        rendered = renderPIIFlow(result);
+        break;
+      }
+      case 'path': {
+        const [from, to] = requireArgs(args, ['from', 'to']).map(urn => resolveNode(graph, urn));
+        result = { from, to, paths: graph.findAllPaths(from, to, maxDepth ? { maxDepth } : {}) };
+        rendered = renderPaths(result);
+        break;
+      }
+      case 'cycles':
+        result = { cycles: graph.detectCycles() };
+        rendered = renderCycles(result);
+        break;
+      case 'stats': {
+        const pii = graph.getPIISummary();
+        result = {
+          ...graph.getStats(),
+          cycles: graph.detectCycles().length,
+          piiSources: pii.totalPIISources,
+          piiExposingEndpoints: pii.totalExposingEndpoints,
+          duplicateURNs: stats.duplicateURNs,
+          unresolvedEdges: stats.unresolvedEdges
+        };
+        rendered = renderStats(result);
+        break;
+      }
+      case 'export':
+        rendered = exportGraph(graph, format);
+        result = { format, nodes: graph.graph.order, edges: graph.graph.size };
+        break;
+    }
+
+    if (!isExport && format === 'json') {
+      rendered = JSON.stringify(result, null, 2);
+    }
+
+    if (options.output) {
+      await fs.ensureDir(path.dirname(path.resolve(options.output)));
+      await fs.writeFile(options.output, `${rendered.trimEnd()}\n`, 'utf-8');
+      printSuccess(`Graph ${subcommand} written to: ${options.output}`);
+    } else {
+      console.log(rendered.trimEnd());
+    }
+
+    return result;
+  } catch (error) {
+    printError(`Graph ${subcommand} failed: ${error.message}`);
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+/**
+ * Build the graph from every manifest with a graph-form URN
+ * @private
+ */
+async function loadWorkspaceGraph(manifestDir) {
+  if (!await fs.pathExists(manifestDir)) {
+    throw new Error(`Manifests directory not found: ${manifestDir}`);
+  }
+
+  const entries = await loadManifestsFromDirectory(manifestDir);
+  const usable = entries.filter(entry => isValidURN(entry.manifest?.metadata?.urn));
+  const skipped = entries.length - usable.length;
+  if (skipped > 0) {
+    printWarning(`Skipped ${skipped} manifest(s) without a valid URN or unreadable JSON`);
+  }
+
+  return buildGraph(usable);
+}
+
+/**
+ * Resolve a URN argument to a node, allowing the version to be omitted
+ * @private
+ */
+function resolveNode(graph, urn) {
+  if (graph.hasNode(urn)) return urn;
+
+  const matches = graph.resolveURN(urn);
+  if (matches.length === 1) return matches[0];
+  if (matches.length > 1) {
+    throw new Error(`Ambiguous URN ${urn}; matches ${matches.join(', ')}`);
+  }
+  throw new Error(`Node not found: ${urn}`);
+}
+
+/**
+ * Check positional arguments
+ * @private
+ */
+function requireArgs(args, names) {
+  if (args.length < names.length) {
+    throw new Error(`Missing argument(s): ${names.slice(args.length).map(name => `<${name}>`).join(' ')}`);
+  }
+  return args.slice(0, names.length);
+}
+
+/**
+ * @private
+ */
+function renderImpact(impact) {
+  const lines = [`Impact of ${impact.node}`, ''];
+  const section = (label, direct, transitive) => {
+    lines.push(`${label}: ${direct.length} direct, ${transitive.length} transitive`);
+    direct.forEach(urn => lines.push(`  - ${urn}`));
+    transitive.forEach(urn => lines.push(`  - ${urn} (transitive)`));
+  };
+
+  section('Downstream', impact.downstream.direct, impact.downstream.transitive);
+  section('Upstream', impact.upstream.direct, impact.upstream.transitive);
+  lines.push('', `Total impact: ${impact.totalImpact} node(s)`);
+  return lines.join('\n');
+}
+
+/**
+ * @private
+ */
+function renderPIIFlow(flow) {
+  if (!flow.hasPII) {
+    return `No PII flows into ${flow.endpoint}`;
+  }
+
+  const lines = [
+    `PII flows into ${flow.endpoint} from ${flow.sources.length} source(s) (confidence ${Math.round(flow.confidence * 100)}%)`,
+    ''
+  ];
+  for (const { path: nodes, confidence } of flow.paths) {
+    lines.push(`  ${nodes.join(' → ')}  (${Math.round(confidence * 100)}%)`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * @private
+ */
+function renderPaths(result) {
+  if (result.paths.length === 0) {
+    return `No path from ${result.from} to ${result.to}`;
+  }
+
+  const lines = [`${result.paths.length} path(s) from ${result.from} to ${result.to}`, ''];
+  for (const nodes of result.paths) {
+    lines.push(`  ${nodes.join(' → ')}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * @private
+ */
+function renderCycles(result) {
+  if (result.cycles.length === 0) {
+    return 'No cycles detected.';
+  }
+
+  const lines = [`${result.cycles.length} cycle(s) detected`, ''];
+  result.cycles.forEach((cycle, index) => {
+    lines.push(`  ${index + 1}. ${[...cycle, cycle[0]].join(' → ')}`);
+  });
+  return lines.join('\n');
+}
+
+/**
+ * @private
+ */
+function renderStats(stats) {
+  const lines = [
+    `Nodes: ${stats.nodes}`,
+    ...Object.entries(stats.nodesByKind).map(([kind, count]) => `  ${kind}: ${count}`),
+    `Edges: ${stats.edges}`,
+    `Authorities: ${stats.authorities}`,
+    `Cycles: ${stats.cycles}`,
+    `PII sources: ${stats.piiSources}`,
+    `PII-exposing endpoints: ${stats.piiExposingEndpoints}`
+  ];
+  if (stats.unresolvedEdges.length > 0) {
+    lines.push(`Unresolved references: ${stats.unresolvedEdges.length}`);
+  }
+  if (stats.duplicateURNs.length > 0) {
+    lines.push(`Duplicate URNs: ${stats.duplicateURNs.join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  graphCommand
+};
@@ -0,0 +1,223 @@
+/**
+ * Lifecycle Command
+ *
+ * Moves manifests through the lifecycle after discovery and lists the ones
+ * that have outlived their sunset date:
+ *
+ *   lifecycle overdue                      manifests past their sunset date
+ *   lifecycle submit <manifest>            draft → in_review
+ *   lifecycle reject <manifest> --reason   in_review → rejected
+ *   lifecycle deprecate <manifest>         approved → deprecated
+ *   lifecycle sunset <manifest> --sunset-at <date> [--replacement <urn>]
+ *   lifecycle retire <manifest>            sunset/deprecated → retired
+ *
+ * Deprecate, sunset and retire refuse while other manifests in the workspace
+ * still consume the manifest, unless --force is given. Transitions rewrite the
+ * manifest in place and are appended to the workspace audit log. A transition
+ * invalidates an existing signature: the manifest is re-signed with
+ * --sign-key, otherwise the signature is dropped.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { loadManifestsFromDirectory, buildGraph } = require('../../workflow/graph-builder');
+const { isValidURN } = require('../../core/graph/urn-utils');
+const {
+  submitForReview,
+  reject,
+  deprecate,
+  sunset,
+  retire,
+  findActiveConsumers,
+  isPastSunset
+} = require('../../workflow/state-machine');
+const { appendAuditEntry, AUDIT_EVENTS } = require('../../workflow/audit-log');
+const { contentHash } = require('../../workflow/content-hash.cjs');
+const { loadSigningKey, signManifest } = require('../../workflow/signing.cjs');
+const { printSuccess, printError } = require('../utils/output');
+
+const TRANSITION_SUBCOMMANDS = {
+  submit: submitForReview,
+  reject,
+  deprecate,
+  sunset,
+  retire
+};
+const SUBCOMMANDS = ['overdue', ...Object.keys(TRANSITION_SUBCOMMANDS)];
+const REPORT_FORMATS = ['text', 'json'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lifecycle command handler
+ *
+ * @param {string} subcommand - One of SUBCOMMANDS
+ * @param {string} [target] - Manifest file (transition subcommands)
+ * @param {Object} options - Command options
+ * @param {string} [options.manifests] - Manifests directory (overdue: default protocols; transitions: the manifest's directory)
+ * @param {string} [options.format] - overdue report format: text or json
+ * @param {string} [options.at] - overdue: reference date (default: now)
+ * @param {string} [options.reason] - Reason recorded on reject and deprecate
+ * @param {string} [options.sunsetAt] - sunset: date after which the manifest may be retired
+ * @param {string} [options.replacement] - sunset: URN of the replacing manifest
+ * @param {string} [options.reviewer] - Actor recorded on the transition (default: $USER)
+ * @param {boolean} [options.force] - Transition despite active consumers or an unreached sunset date
+ * @param {string} [options.signKey] - Ed25519 private key to re-sign the transitioned manifest with (default: $PROTO_SIGNING_KEY)
+ * @returns {Promise<Object|null>} Overdue report or transitioned manifest
+ */
+async function lifecycleCommand(subcommand, target, options = {}) {
+  try {
+    if (!SUBCOMMANDS.includes(subcommand)) {
+      throw new Error(`Unknown lifecycle subcommand: ${subcommand} (expected ${SUBCOMMANDS.join(', ')})`);
+    }
+
+    if (subcommand === 'overdue') {
+      return await listOverdue(options);
+    }
+
+    if (!target) {
+      throw new Error(`Missing argument: <manifest> for lifecycle ${subcommand}`);
+    }
+    return await runTransition(subcommand, target, options);
+  } catch (error) {
+    printError(`Lifecycle ${subcommand} failed: ${error.message}`);
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+/**
+ * Report manifests past their sunset date
+ * @private
+ */
+async function listOverdue(options) {
+  const format = (options.format || 'text').toLowerCase();
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`Unsupported report format: ${options.format} (expected ${REPORT_FORMATS.join(', ')})`);
+  }
+
+  const at = options.at ? new Date(options.at) : new Date();
+  if (Number.isNaN(at.getTime())) {
+    throw new Error(`Invalid date: ${options.at}`);
+  }
+
+  const { entries, graph } = await loadWorkspace(options.manifests || 'protocols');
+  const overdue = entries
+    .filter(entry => isPastSunset(entry.manifest, at))
+    .map(({ path: file, manifest }) => ({
+      urn: manifest.metadata.urn,
+      path: file,
+      status: manifest.metadata.status,
+      sunset_at: manifest.metadata.sunset_at,
+      days_overdue: Math.floor((at - new Date(manifest.metadata.sunset_at)) / DAY_MS),
+      replaced_by: manifest.metadata.replaced_by || null,
+      active_consumers: findActiveConsumers(graph, manifest.metadata.urn).map(consumer => consumer.urn)
+    }))
+    .sort((a, b) => b.days_overdue - a.days_overdue || a.urn.localeCompare(b.urn));
+
+  const report = { at: at.toISOString(), overdue };
+  console.log(format === 'json' ? JSON.stringify(report, null, 2) : renderOverdue(report));
+  return report;
+}
+
+/**
+ * Apply a lifecycle transition to a manifest file
+ * @private
+ */
+async function runTransition(subcommand, manifestPath, options) {
+  if (!await fs.pathExists(manifestPath)) {
+    throw new Error(`Manifest not found: ${manifestPath}`);
+  }
+
+  const manifest = await fs.readJson(manifestPath);
+  const actor = options.reviewer || process.env.USER || 'cli';
+  const workspaceDir = options.manifests || path.dirname(manifestPath);
+  const { graph } = await loadWorkspace(workspaceDir);
+
+  // Load the signing key up front so a bad key fails before anything is written
+  const signKeyPath = options.signKey || process.env.PROTO_SIGNING_KEY;
+  const signingKey = signKeyPath ? await loadSigningKey(signKeyPath) : null;
+
+  let updated = TRANSITION_SUBCOMMANDS[subcommand](manifest, {
+    actor,
+    reason: options.reason,
+    sunsetAt: options.sunsetAt,
+    replacement: options.replacement,
+    force: Boolean(options.force),
+    graph
+  });
+
+  if (updated === manifest) {
+    console.log(`Manifest is already ${manifest.metadata.status}: ${manifestPath}`);
+    return manifest;
+  }
+  if (signingKey) {
+    updated = signManifest(updated, signingKey);
+  }
+  const history = updated.metadata.state_history;
+  const stateChange = history[history.length - 1];
+
+  await fs.writeJson(manifestPath, updated, { spaces: 2 });
+  await appendAuditEntry(path.dirname(manifestPath), {
+    event: AUDIT_EVENTS.TRANSITION,
+    urn: updated.metadata.urn || null,
+    manifest: path.basename(manifestPath),
+    actor,
+    before_hash: contentHash(manifest),
+    after_hash: contentHash(updated),
+    from: stateChange.from,
+    to: stateChange.to,
+    forced: stateChange.forced,
+    ...(options.reason && { reason: options.reason }),
+    ...(updated.metadata.sunset_at && stateChange.to === 'sunset' && { sunset_at: updated.metadata.sunset_at }),
+    ...(updated.metadata.replaced_by && stateChange.to === 'sunset' && { replaced_by: updated.metadata.replaced_by }),
+    ...(signingKey && { signed_by: updated.metadata.signature.key_id })
+  });
+
+  printSuccess(`${manifest.metadata.urn || manifestPath}: ${stateChange.from} → ${stateChange.to}`);
+  if (stateChange.to === 'sunset') {
+    console.log(`   Sunset at ${updated.metadata.sunset_at}${updated.metadata.replaced_by ? `, replaced by ${updated.metadata.replaced_by}` : ''}`);
+  }
+  return updated;
+}
+
+/**
+ * Load a workspace's manifests and build their graph
+ * @private
+ */
+async function loadWorkspace(manifestDir) {
+  if (!await fs.pathExists(manifestDir)) {
+    throw new Error(`Manifests directory not found: ${manifestDir}`);
+  }
+
+  const entries = (await loadManifestsFromDirectory(manifestDir))
+    .filter(entry => isValidURN(entry.manifest?.metadata?.urn))
+    .sort((a, b) => a.path.localeCompare(b.path));
+  const { graph } = buildGraph(entries);
+  return { entries, graph };
+}
+
+/**
+ * @private
+ */
+function renderOverdue(report) {
+  if (report.overdue.length === 0) {
+    return 'No manifests past their sunset date.';
+  }
+
+  const lines = [`${report.overdue.length} manifest(s) past their sunset date (as of ${report.at})`, ''];
+  for (const item of report.overdue) {
+    lines.push(`  ${item.urn} [${item.status}] sunset ${item.sunset_at}, ${item.days_overdue} day(s) overdue`);
+    lines.push(`    ${path.basename(item.path)}`);
+    if (item.replaced_by) {
+      lines.push(`    replaced by ${item.replaced_by}`);
+    }
+    if (item.active_consumers.length > 0) {
+      lines.push(`    ${item.active_consumers.length} active consumer(s): ${item.active_consumers.join(', ')}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  lifecycleCommand
+};
@@ -0,0 +1,140 @@
+/**
+ * Rebase Command
+ *
+ * Replays reviewer overrides against a re-discovered draft, reports
+ * conflicts per override, and writes the rebased override file back.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const { printInfo, printSuccess, printError, printWarning } = require('../utils/output');
+const { isCI } = require('../utils/detect-ci');
+const {
+  loadOverrides,
+  saveOverrides,
+  rebaseOverrides,
+  getOverridePath,
+  REBASE_STRATEGIES
+} = require('../../workflow/overrides');
+const { appendAuditEntry, AUDIT_EVENTS } = require('../../workflow/audit-log');
+const { fileContentHash } = require('../../workflow/content-hash.cjs');
+
+const STATUS_ICONS = {
+  clean: '✅',
+  redundant: '➖',
+  conflict: '⚠️ '
+};
+
+/**
+ * Rebase command handler
+ *
+ * @param {string} manifestPath - Path to the re-discovered draft manifest
+ * @param {Object} options - Command options
+ * @param {string} [options.base] - Manifest the overrides were recorded against
+ * @param {string} [options.strategy] - Resolve every conflict with 'ours' or 'theirs'
+ * @returns {Promise<Object|null>} Rebase result, or null when nothing was rebased
+ */
+async function rebaseCommand(manifestPath, options = {}) {
+  let rl = null;
+
+  try {
+    if (!await fs.pathExists(manifestPath)) {
+      throw new Error(`Manifest not found: ${manifestPath}`);
+    }
+
+    if (options.strategy && !REBASE_STRATEGIES.includes(options.strategy)) {
+      throw new Error(`Unknown strategy: ${options.strategy} (expected ${REBASE_STRATEGIES.join(' or ')})`);
+    }
+
+    const overrides = await loadOverrides(manifestPath);
+    if (!overrides || overrides.length === 0) {
+      printInfo(`No overrides to rebase for ${manifestPath}`);
+      return null;
+    }
+
+    const manifest = await fs.readJson(manifestPath);
+    const base = options.base ? await fs.readJson(options.base) : null;
+
+    // Prompt per conflict when no strategy is given and a human is attached
+    let resolve = null;
+    if (!options.strategy && process.stdin.isTTY && !isCI()) {
+      rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+      resolve = conflict => promptResolution(rl, conflict);
+    }
+
+    const result = await rebaseOverrides(overrides, manifest, {
+      base,
+      strategy: options.strategy,
+      resolve
+    });
+
+    console.log('\n🔁 Rebasing Overrides');
+    console.log('═══════════════════════════════════════════════════\n');
+
+    for (const entry of result.results) {
+      const resolution = entry.resolution ? ` → ${entry.resolution}` : '';
+      console.log(`${STATUS_ICONS[entry.status]} [${entry.index}] ${entry.operation} ${entry.path}: ${entry.status}${resolution}`);
+      if (entry.conflict) {
+        console.log(`     ${entry.conflict.type}: ${entry.conflict.message}`);
+      }
+    }
+    console.log('');
+
+    if (result.unresolved > 0) {
+      printError(`${result.unresolved} unresolved conflict(s); override file left unchanged.`);
+      console.log('💡 Re-run with --strategy ours|theirs or interactively to resolve\n');
+      process.exitCode = 1;
+      return result;
+    }
+
+    const overridePath = getOverridePath(manifestPath);
+    const beforeHash = await fileContentHash(overridePath);
+    await saveOverrides(manifestPath, result.overrides);
+    await appendAuditEntry(path.dirname(manifestPath), {
+      event: AUDIT_EVENTS.OVERRIDE,
+      urn: manifest.metadata?.urn || null,
+      manifest: path.basename(overridePath),
+      actor: process.env.USER || 'cli',
+      before_hash: beforeHash,
+      after_hash: await fileContentHash(overridePath),
+      action: 'rebase',
+      overrides: result.overrides.length,
+      conflicts: result.conflicts
+    });
+
+    if (result.conflicts > 0) {
+      printWarning(`Resolved ${result.conflicts} conflict(s)`);
+    }
+    printSuccess(`Rebased ${result.overrides.length} override(s) into ${overridePath}`);
+
+    return result;
+  } catch (error) {
+    printError(`Rebase failed: ${error.message}`);
+    process.exitCode = 1;
+    return null;
+  } finally {
+    if (rl) rl.close();
+  }
+}
+
+/**
+ * Ask the reviewer how to resolve one conflict
+ * @private
+ */
+async function promptResolution(rl, conflict) {
+  console.log(`\n⚠️  Conflict on ${conflict.operation} ${conflict.path}: ${conflict.conflict.message}`);
+  console.log(`   base:    ${JSON.stringify(conflict.base_value)}`);
+  console.log(`   current: ${JSON.stringify(conflict.current_value)}`);
+
+  const ask = question => new Promise(resolve => rl.question(question, answer => resolve(answer.trim().toLowerCase())));
+  const answer = await ask('   Keep override (o)urs, accept draft (t)heirs, or (s)kip? ');
+
+  if (['o', 'ours'].includes(answer)) return 'ours';
+  if (['t', 'theirs'].includes(answer)) return 'theirs';
+  return null;
+}
+
+module.exports = {
+  rebaseCommand
+};
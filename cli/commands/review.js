@@ -6,6 +6,7 @@
  */
 
 const fs = require('fs-extra');
+const path = require('path');
 const { printInfo, printWarning, printError, printSuccess } = require('../utils/output');
 const {
   loadOverrides,
@@ -14,6 +15,8 @@ const {
   getOverridePath
 } = require('../../workflow/overrides');
 const { runFullValidation } = require('../../workflow/validation-service');
+const { appendAuditEntry, AUDIT_EVENTS } = require('../../workflow/audit-log');
+const { contentHash } = require('../../workflow/content-hash.cjs');
 
 /**
  * Review command handler
@@ -247,6 +250,19 @@ async function reviewCommand(manifestPath, options) {
 
     const errorCount = combined.errors.length;
 
+    const manifestHash = contentHash(manifest);
+    await appendAuditEntry(path.dirname(manifestPath), {
+      event: AUDIT_EVENTS.REVIEW,
+      urn: manifest.metadata?.urn || null,
+      manifest: path.basename(manifestPath),
+      actor: process.env.USER || 'cli',
+      before_hash: manifestHash,
+      after_hash: manifestHash,
+      valid: combined.valid,
+      errors: errorCount,
+      warnings: combined.warnings.length
+    });
+
     if (combined.valid) {
       printSuccess('✅ Manifest is valid and ready for approval');
 
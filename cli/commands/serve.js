@@ -7,6 +7,7 @@ const fs = require('fs');
  * @param {string} artifactsPath - Path to artifacts directory (required)
  * @param {object} options - Command options
  * @param {number} options.port - Port to listen on (default: 3000)
+ * @param {string} [options.trustStore] - Trust store for signature verification (default: $PROTO_TRUST_STORE)
  */
 async function serveCommand(artifactsPath, options) {
   // Validate artifacts directory exists
@@ -31,7 +32,8 @@ async function serveCommand(artifactsPath, options) {
   }
 
   const server = new ProtocolViewerServer(resolvedPath, {
-    port: parsedPort
+    port: parsedPort,
+    trustStore: options.trustStore || process.env.PROTO_TRUST_STORE
   });
 
   try {
@@ -0,0 +1,170 @@
+/**
+ * Signature Command
+ *
+ * Manages the Ed25519 keys approve signs manifests with and checks the
+ * signatures against a trust store of allowed public keys:
+ *
+ *   signature keygen <name>               write <name>.key and <name>.pub
+ *   signature verify <manifest|dir>       verify one manifest, or every approved manifest in a directory
+ *
+ * Verify exits with 1 when any manifest is unsigned, signed with an untrusted
+ * key, or modified after signing.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const {
+  generateSigningKeyPair,
+  loadTrustStore,
+  verifyManifestSignature
+} = require('../../workflow/signing.cjs');
+const { printSuccess, printError } = require('../utils/output');
+
+const SUBCOMMANDS = ['keygen', 'verify'];
+const REPORT_FORMATS = ['text', 'json'];
+
+/**
+ * Signature command handler
+ *
+ * @param {string} subcommand - keygen or verify
+ * @param {string} target - Key name (keygen) or manifest file or directory (verify)
+ * @param {Object} options - Command options
+ * @param {string} [options.output] - keygen: directory to write the key pair to (default: current directory)
+ * @param {boolean} [options.force] - keygen: overwrite existing key files
+ * @param {string} [options.trustStore] - verify: trust store path (default: $PROTO_TRUST_STORE)
+ * @param {string} [options.format] - verify: text or json
+ * @returns {Promise<Object|null>} Generated key info or verification report
+ */
+async function signatureCommand(subcommand, target, options = {}) {
+  try {
+    if (!SUBCOMMANDS.includes(subcommand)) {
+      throw new Error(`Unknown signature subcommand: ${subcommand} (expected ${SUBCOMMANDS.join(', ')})`);
+    }
+    if (!target) {
+      throw new Error(`Missing argument: <${subcommand === 'keygen' ? 'name' : 'manifest'}> for signature ${subcommand}`);
+    }
+
+    return subcommand === 'keygen'
+      ? await generateKeys(target, options)
+      : await verifySignatures(target, options);
+  } catch (error) {
+    printError(`Signature ${subcommand} failed: ${error.message}`);
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+/**
+ * Write a new key pair
+ * @private
+ */
+async function generateKeys(name, options) {
+  const outputDir = options.output || '.';
+  const privatePath = path.join(outputDir, `${name}.key`);
+  const publicPath = path.join(outputDir, `${name}.pub`);
+
+  if (!options.force) {
+    for (const file of [privatePath, publicPath]) {
+      if (await fs.pathExists(file)) {
+        throw new Error(`${file} already exists (use --force to overwrite)`);
+      }
+    }
+  }
+
+  const { privateKey, publicKey, keyId } = generateSigningKeyPair();
+  await fs.ensureDir(outputDir);
+  await fs.writeFile(privatePath, privateKey, { encoding: 'utf-8', mode: 0o600 });
+  await fs.writeFile(publicPath, publicKey, 'utf-8');
+
+  printSuccess(`Generated Ed25519 key ${keyId}`);
+  console.log(`   Private key: ${privatePath} (pass to approve --sign-key; keep it secret)`);
+  console.log(`   Public key:  ${publicPath} (add to the trust store)`);
+  return { key_id: keyId, private_key: privatePath, public_key: publicPath };
+}
+
+/**
+ * Verify a manifest, or the approved manifests in a directory
+ * @private
+ */
+async function verifySignatures(target, options) {
+  const format = (options.format || 'text').toLowerCase();
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`Unsupported report format: ${options.format} (expected ${REPORT_FORMATS.join(', ')})`);
+  }
+
+  const trustStorePath = options.trustStore || process.env.PROTO_TRUST_STORE;
+  if (!trustStorePath) {
+    throw new Error('No trust store given (use --trust-store or set PROTO_TRUST_STORE)');
+  }
+  if (!await fs.pathExists(target)) {
+    throw new Error(`Manifest not found: ${target}`);
+  }
+
+  const trustStore = await loadTrustStore(trustStorePath);
+  const manifests = await loadTargets(target);
+
+  const results = manifests.map(({ file, manifest }) => ({
+    path: file,
+    urn: manifest.metadata?.urn || null,
+    ...verifyManifestSignature(manifest, trustStore)
+  }));
+  const report = {
+    trust_store: trustStorePath,
+    valid: results.every(result => result.valid),
+    results
+  };
+
+  console.log(format === 'json' ? JSON.stringify(report, null, 2) : renderReport(report));
+  if (!report.valid) {
+    process.exitCode = 1;
+  }
+  return report;
+}
+
+/**
+ * Manifests to verify: the file itself, or every approved manifest in a directory
+ * @private
+ */
+async function loadTargets(target) {
+  if (!(await fs.stat(target)).isDirectory()) {
+    return [{ file: target, manifest: await fs.readJson(target) }];
+  }
+
+  const manifests = [];
+  const files = (await fs.readdir(target)).filter(file => file.endsWith('.json')).sort();
+  for (const file of files) {
+    let manifest;
+    try {
+      manifest = await fs.readJson(path.join(target, file));
+    } catch {
+      continue;
+    }
+    if (manifest?.metadata?.status === 'approved') {
+      manifests.push({ file: path.join(target, file), manifest });
+    }
+  }
+  return manifests;
+}
+
+/**
+ * @private
+ */
+function renderReport(report) {
+  if (report.results.length === 0) {
+    return 'No approved manifests to verify.';
+  }
+
+  const lines = report.results.map(result => {
+    const mark = result.valid ? '✓' : '✗';
+    return `  ${mark} ${result.urn || result.path} [${result.status}] ${result.message}`;
+  });
+  const failed = report.results.filter(result => !result.valid).length;
+  const summary = failed === 0
+    ? `All ${report.results.length} manifest(s) carry a trusted signature`
+    : `${failed} of ${report.results.length} manifest(s) failed signature verification`;
+  return [summary, ...lines].join('\n');
+}
+
+module.exports = {
+  signatureCommand
+};
@@ -0,0 +1,67 @@
+/**
+ * Validate Command
+ *
+ * Validates every manifest in a directory against the structural and
+ * cross-protocol rules, using a graph built from the whole set. Issues are
+ * reported per file with JSON-pointer locations as text, JSON or SARIF 2.1.
+ *
+ * Exits with 1 when any manifest has errors.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { validateWorkspace, renderValidationText, toSarif } = require('../../workflow/workspace-validation');
+const { printSuccess, printError } = require('../utils/output');
+
+const REPORT_FORMATS = ['text', 'json', 'sarif'];
+
+/**
+ * Validate command handler
+ *
+ * @param {string} dir - Manifests directory
+ * @param {Object} options - Command options
+ * @param {string} [options.format] - Report format: text, json or sarif
+ * @param {string} [options.output] - Write the report to this file instead of stdout
+ * @returns {Promise<Object|null>} Validation report
+ */
+async function validateCommand(dir, options = {}) {
+  try {
+    const format = (options.format || 'text').toLowerCase();
+    if (!REPORT_FORMATS.includes(format)) {
+      throw new Error(`Unsupported report format: ${options.format} (expected ${REPORT_FORMATS.join(', ')})`);
+    }
+
+    const report = await validateWorkspace(dir);
+
+    let rendered;
+    if (format === 'sarif') {
+      rendered = JSON.stringify(toSarif(report), null, 2);
+    } else if (format === 'json') {
+      rendered = JSON.stringify(report, null, 2);
+    } else {
+      rendered = renderValidationText(report);
+    }
+
+    if (options.output) {
+      await fs.ensureDir(path.dirname(path.resolve(options.output)));
+      await fs.writeFile(options.output, `${rendered.trimEnd()}\n`, 'utf-8');
+      printSuccess(`Validation report saved to: ${options.output}`);
+    } else {
+      console.log(rendered.trimEnd());
+    }
+
+    if (!report.valid) {
+      process.exitCode = 1;
+    }
+
+    return report;
+  } catch (error) {
+    printError(`Validation failed: ${error.message}`);
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+module.exports = {
+  validateCommand
+};
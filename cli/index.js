@@ -11,25 +11,57 @@ const { Command } = require('commander');
 const { discoverCommand } = require('./commands/discover');
 const { reviewCommand } = require('./commands/review');
 const { approveCommand } = require('./commands/approve');
+const { rebaseCommand } = require('./commands/rebase');
+const { diffCommand } = require('./commands/diff');
+const { validateCommand } = require('./commands/validate');
+const { graphCommand } = require('./commands/graph');
+const { lifecycleCommand } = require('./commands/lifecycle');
+const { auditCommand } = require('./commands/audit');
+const { signatureCommand } = require('./commands/signature');
+const { configCommand } = require('./commands/config');
 const { governanceCommand } = require('./commands/governance');
 const { demoCommand } = require('./commands/demo');
 const { executeGenerateCommand } = require('./commands/generate');
+const { cdcCommand } = require('./commands/cdc');
 const { serveCommand } = require('./commands/serve');
 const { executeScaffoldCommand, listScaffoldTypes, showScaffoldExamples } = require('./commands/scaffold-wrapper');
+const { loadConfig, applyConfigToCommand } = require('./utils/config');
+const { printError } = require('./utils/output');
+
+/**
+ * Collect a repeatable, comma-separated option into one list
+ */
+function collectList(value, previous) {
+  return previous.concat(value.split(',').map(item => item.trim()).filter(Boolean));
+}
 
 const program = new Command();
 
 program
   .name('protocol-discover')
   .description('Discover and convert contracts to protocol manifests')
-  .version('0.1.0');
+  .version('0.1.0')
+  .option('--config <file>', 'Project config file (default: nearest protocol.config.json or protocol.config.js)');
+
+// Project config fills in options the command line left at their defaults
+program.hook('preAction', async (thisCommand, actionCommand) => {
+  try {
+    const { config } = await loadConfig({ configPath: thisCommand.opts().config });
+    applyConfigToCommand(actionCommand, config);
+  } catch (error) {
+    printError(error.message);
+    process.exit(1);
+  }
+});
 
 // Discover command
 program
   .command('discover <type> <source>')
-  .description('Discover contracts (api, data, event)')
+  .description('Discover contracts (api, data, event); <source> may be @name of a protocol.config source list')
   .option('--output <dir>', 'Output directory', 'artifacts')
   .option('--format <fmt>', 'Output format (json, yaml)', 'json')
+  .option('--against <approved>', 'Check the re-discovered manifest for drift against an approved manifest (exits 1 on unacknowledged breaking drift)')
+  .option('--allow-remote-refs', 'Fetch remote $refs in local OpenAPI/AsyncAPI specs (refused by default)')
   .action(discoverCommand);
 
 // Review command (stub for B1.4)
@@ -42,10 +74,27 @@ program
 // Approve command (stub for B1.4)
 program
   .command('approve <manifest>')
-  .description('Approve draft manifest')
+  .description('Sign off on a draft manifest; approves it once the approval policy quorum is met')
   .option('--force', 'Force approve with warnings')
+  .option('--accept <detections>', 'Accept detections by id, name, path or kind (comma-separated, repeatable)', collectList, [])
+  .option('--reject <detections>', 'Reject detections and strip them from the approved manifest (comma-separated, repeatable)', collectList, [])
+  .option('--reason <text>', 'Reason recorded with rejected detections')
+  .option('--reviewer <name>', 'Reviewer recorded on decisions and approval (default: $USER)')
+  .option('--export-rules <file>', 'Export accept/reject decisions as override rules')
+  .option('--team <team>', 'Team the reviewer signs off for')
+  .option('--comment <text>', 'Comment recorded with the sign-off')
+  .option('--policy <file>', 'Approval policy file (default: approval-policy.json next to the manifest)')
+  .option('--sign-key <file>', 'Ed25519 private key to sign the approved manifest with (default: $PROTO_SIGNING_KEY)')
   .action(approveCommand);
 
+// Rebase overrides onto a re-discovered draft
+program
+  .command('rebase <manifest>')
+  .description('Replay reviewer overrides against a re-discovered draft')
+  .option('--base <manifest>', 'Manifest the overrides were recorded against (previous draft or approved)')
+  .option('--strategy <strategy>', 'Resolve all conflicts with ours (keep override) or theirs (accept draft)')
+  .action(rebaseCommand);
+
 // Governance generation command
 program
   .command('governance')
@@ -75,6 +124,7 @@ program
   .command('serve <artifacts-dir>')
   .description('Start protocol viewer server')
   .option('-p, --port <number>', 'Port to listen on', '3000')
+  .option('--trust-store <path>', 'Trust store used to verify manifest signatures (default: $PROTO_TRUST_STORE)')
   .action(serveCommand);
 
 // Generate command (consumer codegen)
@@ -97,6 +147,88 @@ program
     });
   });
 
+// Diff command (categorized change summary between two manifests)
+program
+  .command('diff [old] [new]')
+  .description('Compare two manifests, or a manifests directory across git revisions with --base (exit codes: 0 unchanged, 1 error, 2 non-breaking, 3 breaking)')
+  .option('--format <fmt>', 'Report format (text, json, markdown)', 'text')
+  .option('--output <file>', 'Write the report to a file instead of stdout')
+  .option('--manifests <dir>', 'Manifests directory used to score downstream impact')
+  .option('--base <rev>', 'Git revision to compare against (e.g. origin/main); [old] is then the manifests directory')
+  .option('--head <rev>', 'Git revision to compare with --base (default: working tree)')
+  .action(diffCommand);
+
+// Validate command (structural + cross-protocol checks across a directory)
+program
+  .command('validate <dir>')
+  .description('Validate every manifest in a directory against structural and cross-protocol rules')
+  .option('--format <fmt>', 'Report format (text, json, sarif)', 'text')
+  .option('--output <file>', 'Write the report to a file instead of stdout')
+  .action(validateCommand);
+
+// Graph command (impact, PII flow, paths, cycles, stats and exports over a manifests directory)
+program
+  .command('graph <subcommand> [args...]')
+  .description('Query the protocol graph: impact <urn>, pii <endpoint-urn>, path <from> <to>, cycles, stats, export')
+  .option('--manifests <dir>', 'Directory containing manifests', 'protocols')
+  .option('--format <fmt>', 'Output format (text, json; export: dot, mermaid, graphml, json)')
+  .option('--output <file>', 'Write the result to a file instead of stdout')
+  .option('--max-depth <n>', 'Traversal depth limit for impact, pii and path')
+  .action(graphCommand);
+
+// Lifecycle command (review, rejection, deprecation, sunset and retirement)
+program
+  .command('lifecycle <subcommand> [manifest]')
+  .description('Manage manifest lifecycle: overdue, submit, reject, deprecate, sunset, retire')
+  .option('--manifests <dir>', 'Manifests directory (overdue: default protocols; transitions: the manifest\'s directory)')
+  .option('--format <fmt>', 'overdue report format (text, json)', 'text')
+  .option('--at <date>', 'overdue: reference date (default: now)')
+  .option('--reason <text>', 'Reason recorded on reject and deprecate')
+  .option('--sunset-at <date>', 'sunset: date after which the manifest may be retired')
+  .option('--replacement <urn>', 'sunset: URN of the manifest that replaces it')
+  .option('--reviewer <name>', 'Actor recorded on the transition (default: $USER)')
+  .option('--force', 'Transition despite active consumers or an unreached sunset date')
+  .option('--sign-key <file>', 'Ed25519 private key to re-sign the transitioned manifest with (default: $PROTO_SIGNING_KEY)')
+  .action(lifecycleCommand);
+
+// Audit command (hash-chained workspace audit log)
+program
+  .command('audit <subcommand> [urn]')
+  .description('Inspect the workspace audit log: verify, show <urn> (verify exits 1 on tampering)')
+  .option('--workspace <dir>', 'Workspace directory holding audit.log.jsonl', 'artifacts')
+  .option('--format <fmt>', 'Output format (text, json)', 'text')
+  .option('--no-files', 'verify: skip comparing manifests with their last recorded hash')
+  .action(auditCommand);
+
+// Signature command (Ed25519 manifest signing keys and verification)
+program
+  .command('signature <subcommand> <target>')
+  .description('Manifest signatures: keygen <name>, verify <manifest|dir> (verify exits 1 on an unsigned, untrusted or modified manifest)')
+  .option('--output <dir>', 'keygen: directory to write <name>.key and <name>.pub to', '.')
+  .option('--force', 'keygen: overwrite existing key files')
+  .option('--trust-store <path>', 'verify: directory of PEM public keys, a PEM file or a JSON key list (default: $PROTO_TRUST_STORE)')
+  .option('--format <fmt>', 'verify: output format (text, json)', 'text')
+  .action(signatureCommand);
+
+// Config command (effective project configuration)
+program
+  .command('config <subcommand>')
+  .description('Project configuration: print (defaults merged with protocol.config.{json,js})')
+  .option('--format <fmt>', 'Output format (text, json)', 'text')
+  .action((subcommand, options, command) => {
+    return configCommand(subcommand, { ...options, config: command.optsWithGlobals().config });
+  });
+
+// CDC command (Debezium event manifests from data manifests)
+program
+  .command('cdc <manifest>')
+  .description('Generate CDC event manifests from a data manifest')
+  .option('--output <dir>', 'Output directory', 'artifacts')
+  .option('--topic-prefix <prefix>', 'Debezium topic.prefix (logical server name)', 'cdc')
+  .option('--topic <template>', 'Topic template using {prefix}, {schema} and {table}')
+  .option('--dlq <template>', 'Dead letter topic template')
+  .action(cdcCommand);
+
 // Scaffold command (template generator)
 program
   .command('scaffold')
@@ -0,0 +1,373 @@
+/**
+ * Project Configuration
+ *
+ * Loads `protocol.config.json` or `protocol.config.js`, found by searching
+ * from the working directory upward, and maps it onto command options.
+ * Relative paths in the file resolve against the file's directory, so
+ * commands behave the same from any subdirectory of the project.
+ *
+ * Flags given on the command line always win; config values only replace
+ * a flag's built-in default.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+/**
+ * Config file names, in the order they are looked for in each directory
+ */
+const CONFIG_FILES = ['protocol.config.json', 'protocol.config.js'];
+
+/**
+ * Importer option sections, keyed like `importers.postgres`
+ */
+const IMPORTER_KEYS = [
+  'postgres',
+  'mysql',
+  'sql',
+  'prisma',
+  'dbt',
+  'openapi',
+  'graphql',
+  'protobuf',
+  'traffic',
+  'asyncapi',
+  'schemaRegistry',
+  'cloudevents'
+];
+
+/**
+ * Effective configuration when no file sets a value
+ */
+const DEFAULT_CONFIG = {
+  workspace: {
+    artifacts: 'artifacts',
+    manifests: 'protocols',
+    generated: 'generated-consumers'
+  },
+  importers: {},
+  overrides: {
+    packs: []
+  },
+  governance: {
+    output: 'GOVERNANCE.md',
+    sections: ['all'],
+    diagrams: true,
+    pii: true,
+    metrics: true
+  },
+  generate: {
+    typescript: true,
+    tests: true,
+    piiUtil: true
+  },
+  sources: {}
+};
+
+const SECTION_KEYS = {
+  workspace: ['artifacts', 'manifests', 'generated'],
+  overrides: ['packs'],
+  governance: ['output', 'sections', 'diagrams', 'pii', 'metrics'],
+  generate: ['output', 'typescript', 'tests', 'piiUtil']
+};
+
+// Connection strings and URLs are left alone when resolving source paths
+const URL_PATTERN = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+/**
+ * Find the nearest config file, searching from a directory upward
+ *
+ * @param {string} [startDir] - Directory to start from (default: cwd)
+ * @returns {Promise<string|null>} Path to the config file, or null if none exists
+ */
+async function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  for (;;) {
+    for (const name of CONFIG_FILES) {
+      const candidate = path.join(dir, name);
+      if (await fs.pathExists(candidate)) {
+        return candidate;
+      }
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Load the effective project configuration
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Directory to search upward from (default: cwd)
+ * @param {string} [options.configPath] - Explicit config file; skips the search
+ * @returns {Promise<{config: Object, source: string|null}>} Defaults merged with the file, and the file used
+ */
+async function loadConfig(options = {}) {
+  const source = options.configPath
+    ? path.resolve(options.configPath)
+    : await findConfigFile(options.cwd);
+
+  if (!source) {
+    return { config: mergeConfig(DEFAULT_CONFIG, {}), source: null };
+  }
+  if (!await fs.pathExists(source)) {
+    throw new Error(`Config file not found: ${source}`);
+  }
+
+  let raw;
+  try {
+    if (source.endsWith('.js')) {
+      raw = await loadJsConfig(source);
+    } else {
+      raw = await fs.readJson(source);
+    }
+  } catch (error) {
+    throw new Error(`Could not read ${source}: ${error.message}`);
+  }
+
+  const fileConfig = normalizeConfig(raw, path.dirname(source), source);
+  return { config: mergeConfig(DEFAULT_CONFIG, fileConfig), source };
+}
+
+/**
+ * Load a protocol.config.js: CommonJS through require(), falling back to
+ * import() for an `export default` config in an ES module package
+ * @private
+ */
+async function loadJsConfig(source) {
+  try {
+    delete require.cache[require.resolve(source)];
+    return require(source);
+  } catch (error) {
+    if (error.code !== 'ERR_REQUIRE_ESM') {
+      throw error;
+    }
+  }
+  const loaded = await import(pathToFileURL(source).href);
+  return loaded.default;
+}
+
+/**
+ * Validate a config file's contents and resolve its relative paths
+ *
+ * @param {Object} raw - Parsed config file
+ * @param {string} baseDir - Directory relative paths resolve against
+ * @param {string} [source] - File name used in error messages
+ * @returns {Object} Normalized config (only the keys the file set)
+ * @throws {Error} On unknown keys or values of the wrong type
+ */
+function normalizeConfig(raw, baseDir, source = 'config') {
+  const fail = message => {
+    throw new Error(`Invalid ${path.basename(source)}: ${message}`);
+  };
+  const resolvePath = value => path.resolve(baseDir, value);
+
+  if (!isPlainObject(raw)) {
+    fail('expected an object');
+  }
+
+  const config = {};
+  for (const [section, value] of Object.entries(raw)) {
+    if (!(section in DEFAULT_CONFIG)) {
+      fail(`unknown section "${section}" (expected ${Object.keys(DEFAULT_CONFIG).join(', ')})`);
+    }
+    if (!isPlainObject(value)) {
+      fail(`"${section}" must be an object`);
+    }
+    if (SECTION_KEYS[section]) {
+      const unknown = Object.keys(value).filter(key => !SECTION_KEYS[section].includes(key));
+      if (unknown.length > 0) {
+        fail(`unknown key "${section}.${unknown[0]}" (expected ${SECTION_KEYS[section].join(', ')})`);
+      }
+    }
+    config[section] = { ...value };
+  }
+
+  for (const key of ['artifacts', 'manifests', 'generated']) {
+    if (config.workspace?.[key] !== undefined) {
+      if (typeof config.workspace[key] !== 'string') fail(`"workspace.${key}" must be a path`);
+      config.workspace[key] = resolvePath(config.workspace[key]);
+    }
+  }
+
+  for (const [section, key] of [['governance', 'output'], ['generate', 'output']]) {
+    if (config[section]?.[key] !== undefined) {
+      if (typeof config[section][key] !== 'string') fail(`"${section}.${key}" must be a path`);
+      config[section][key] = resolvePath(config[section][key]);
+    }
+  }
+
+  for (const [section, key] of [
+    ['governance', 'diagrams'], ['governance', 'pii'], ['governance', 'metrics'],
+    ['generate', 'typescript'], ['generate', 'tests'], ['generate', 'piiUtil']
+  ]) {
+    if (config[section]?.[key] !== undefined && typeof config[section][key] !== 'boolean') {
+      fail(`"${section}.${key}" must be true or false`);
+    }
+  }
+
+  if (config.governance?.sections !== undefined) {
+    const sections = config.governance.sections;
+    if (!Array.isArray(sections) || sections.some(item => typeof item !== 'string')) {
+      fail('"governance.sections" must be a list of section names');
+    }
+  }
+
+  if (config.overrides?.packs !== undefined) {
+    const packs = config.overrides.packs;
+    if (!Array.isArray(packs) || packs.some(item => typeof item !== 'string')) {
+      fail('"overrides.packs" must be a list of directories');
+    }
+    config.overrides.packs = packs.map(resolvePath);
+  }
+
+  for (const [importer, options] of Object.entries(config.importers || {})) {
+    if (!IMPORTER_KEYS.includes(importer)) {
+      fail(`unknown importer "${importer}" (expected ${IMPORTER_KEYS.join(', ')})`);
+    }
+    if (!isPlainObject(options)) {
+      fail(`"importers.${importer}" must be an object of importer options`);
+    }
+  }
+
+  for (const [name, list] of Object.entries(config.sources || {})) {
+    if (!Array.isArray(list)) {
+      fail(`"sources.${name}" must be a list of sources`);
+    }
+    config.sources[name] = list.map((entry, index) => {
+      const item = typeof entry === 'string' ? { source: entry } : entry;
+      if (!isPlainObject(item) || typeof item.source !== 'string') {
+        fail(`"sources.${name}[${index}]" must be a source string or { source, type, output }`);
+      }
+      return {
+        type: item.type || 'auto',
+        source: URL_PATTERN.test(item.source) ? item.source : resolvePath(item.source),
+        ...(item.output && { output: resolvePath(item.output) })
+      };
+    });
+  }
+
+  return config;
+}
+
+/**
+ * Merge a file's config over the defaults (objects merge, lists replace)
+ *
+ * @param {Object} base - Defaults
+ * @param {Object} overrides - Values that win
+ * @returns {Object} Merged config
+ */
+function mergeConfig(base, overrides) {
+  const merged = {};
+  for (const key of new Set([...Object.keys(base), ...Object.keys(overrides)])) {
+    const value = overrides[key];
+    if (value === undefined) {
+      merged[key] = isPlainObject(base[key]) ? mergeConfig(base[key], {}) : base[key];
+    } else if (isPlainObject(value) && isPlainObject(base[key])) {
+      merged[key] = mergeConfig(base[key], value);
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Command options a config provides
+ *
+ * `flags` replace a flag's built-in default only; `settings` have no flag
+ * and are always passed.
+ *
+ * @param {string} commandName - Command being run
+ * @param {Object} config - Effective config
+ * @param {Array<string>} [args] - Command arguments
+ * @returns {{flags: Object, settings: Object}}
+ */
+function getCommandConfig(commandName, config, args = []) {
+  const { workspace, governance, generate } = config;
+  switch (commandName) {
+    case 'discover':
+      return {
+        flags: { output: workspace.artifacts },
+        settings: { importers: config.importers, sources: config.sources }
+      };
+    case 'cdc':
+      return { flags: { output: workspace.artifacts }, settings: {} };
+    case 'audit':
+      return { flags: { workspace: workspace.artifacts }, settings: {} };
+    case 'graph':
+      return { flags: { manifests: workspace.manifests }, settings: {} };
+    case 'lifecycle':
+      // Transitions build their graph from the manifest's own directory
+      return { flags: args[0] === 'overdue' ? { manifests: workspace.manifests } : {}, settings: {} };
+    case 'governance':
+      return {
+        flags: {
+          output: governance.output,
+          manifests: workspace.manifests,
+          sections: governance.sections.join(','),
+          diagrams: governance.diagrams,
+          pii: governance.pii,
+          metrics: governance.metrics
+        },
+        settings: { overridePacks: config.overrides.packs }
+      };
+    case 'generate':
+      return {
+        flags: {
+          output: generate.output || workspace.generated,
+          js: !generate.typescript,
+          tests: generate.tests,
+          piiUtil: generate.piiUtil
+        },
+        settings: {}
+      };
+    default:
+      return { flags: {}, settings: {} };
+  }
+}
+
+/**
+ * Apply the config to a parsed commander command
+ *
+ * Only options still at their built-in default (or unset) are replaced.
+ *
+ * @param {import('commander').Command} command - Command about to run
+ * @param {Object} config - Effective config
+ */
+function applyConfigToCommand(command, config) {
+  const { flags, settings } = getCommandConfig(command.name(), config, command.args);
+
+  for (const [key, value] of Object.entries(flags)) {
+    const source = command.getOptionValueSource(key);
+    if (value !== undefined && (source === undefined || source === 'default')) {
+      command.setOptionValueWithSource(key, value, 'config');
+    }
+  }
+  for (const [key, value] of Object.entries(settings)) {
+    command.setOptionValueWithSource(key, value, 'config');
+  }
+}
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  CONFIG_FILES,
+  IMPORTER_KEYS,
+  DEFAULT_CONFIG,
+  findConfigFile,
+  loadConfig,
+  normalizeConfig,
+  mergeConfig,
+  getCommandConfig,
+  applyConfigToCommand
+};
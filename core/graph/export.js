@@ -0,0 +1,152 @@
+/**
+ * Graph Export
+ *
+ * Serializes a ProtocolGraph for external tools: Graphviz DOT, Mermaid,
+ * GraphML (yEd, Gephi, Cytoscape) and a compact JSON form. Node labels are
+ * the short `authority/id@version` form of the URN; the full URN and node
+ * kind are kept as attributes wherever the format allows.
+ */
+
+const { parseURN } = require('./urn-utils');
+
+/**
+ * Supported export formats
+ */
+const EXPORT_FORMATS = ['dot', 'mermaid', 'graphml', 'json'];
+
+/**
+ * Export a graph in one of EXPORT_FORMATS
+ * @param {ProtocolGraph} protocolGraph - Protocol graph instance
+ * @param {string} format - Export format
+ * @returns {string} Serialized graph
+ */
+function exportGraph(protocolGraph, format) {
+  switch (format) {
+    case 'dot':
+      return toDOT(protocolGraph);
+    case 'mermaid':
+      return toMermaid(protocolGraph);
+    case 'graphml':
+      return toGraphML(protocolGraph);
+    case 'json':
+      return JSON.stringify(toPlainJSON(protocolGraph), null, 2);
+    default:
+      throw new Error(`Unsupported export format: ${format} (expected ${EXPORT_FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Nodes and edges without manifest payloads
+ * @param {ProtocolGraph} protocolGraph - Protocol graph instance
+ * @returns {{nodes: Array<Object>, edges: Array<Object>}}
+ */
+function toPlainJSON(protocolGraph) {
+  const graph = protocolGraph.getGraph();
+  return {
+    nodes: graph.nodes().map(urn => ({
+      urn,
+      kind: graph.getNodeAttribute(urn, 'kind'),
+      label: nodeLabel(urn)
+    })),
+    edges: graph.edges().map(edgeKey => ({
+      from: graph.source(edgeKey),
+      to: graph.target(edgeKey),
+      kind: graph.getEdgeAttribute(edgeKey, 'kind')
+    }))
+  };
+}
+
+/**
+ * Graphviz DOT
+ * @param {ProtocolGraph} protocolGraph - Protocol graph instance
+ * @returns {string}
+ */
+function toDOT(protocolGraph) {
+  const { nodes, edges } = toPlainJSON(protocolGraph);
+  const quote = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+  const lines = ['digraph protocols {', '  rankdir=LR;', '  node [shape=box];'];
+  for (const node of nodes) {
+    lines.push(`  ${quote(node.urn)} [label=${quote(node.label)}, kind=${quote(node.kind)}];`);
+  }
+  for (const edge of edges) {
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)} [label=${quote(edge.kind)}];`);
+  }
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Mermaid flowchart (without code fences, for .mmd files)
+ * @param {ProtocolGraph} protocolGraph - Protocol graph instance
+ * @returns {string}
+ */
+function toMermaid(protocolGraph) {
+  const { nodes, edges } = toPlainJSON(protocolGraph);
+  const ids = new Map(nodes.map((node, index) => [node.urn, `N${index}`]));
+  const text = value => String(value).replace(/"/g, '#quot;');
+
+  const lines = ['graph LR'];
+  for (const node of nodes) {
+    lines.push(`  ${ids.get(node.urn)}["${text(node.label)}"]:::${node.kind.replace(/\./g, '_')}`);
+  }
+  for (const edge of edges) {
+    lines.push(`  ${ids.get(edge.from)} -->|${edge.kind}| ${ids.get(edge.to)}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * GraphML
+ * @param {ProtocolGraph} protocolGraph - Protocol graph instance
+ * @returns {string}
+ */
+function toGraphML(protocolGraph) {
+  const { nodes, edges } = toPlainJSON(protocolGraph);
+  const xml = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    '  <key id="kind" for="node" attr.name="kind" attr.type="string"/>',
+    '  <key id="relation" for="edge" attr.name="kind" attr.type="string"/>',
+    '  <graph id="protocols" edgedefault="directed">'
+  ];
+  for (const node of nodes) {
+    lines.push(`    <node id="${xml(node.urn)}">`);
+    lines.push(`      <data key="label">${xml(node.label)}</data>`);
+    lines.push(`      <data key="kind">${xml(node.kind)}</data>`);
+    lines.push('    </node>');
+  }
+  edges.forEach((edge, index) => {
+    lines.push(`    <edge id="e${index}" source="${xml(edge.from)}" target="${xml(edge.to)}">`);
+    lines.push(`      <data key="relation">${xml(edge.kind)}</data>`);
+    lines.push('    </edge>');
+  });
+  lines.push('  </graph>', '</graphml>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Short node label: authority/id@version
+ * @private
+ */
+function nodeLabel(urn) {
+  const parsed = parseURN(urn);
+  if (!parsed) return urn;
+  return `${parsed.authority}/${parsed.id}${parsed.version ? `@${parsed.version}` : ''}`;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportGraph,
+  toPlainJSON,
+  toDOT,
+  toMermaid,
+  toGraphML
+};
@@ -11,6 +11,7 @@ const traversal = require('./traversal');
 const piiTracer = require('./pii-tracer');
 const impactAnalyzer = require('./impact-analyzer');
 const { LRUCache, GraphCache } = require('./cache');
+const graphExport = require('./export');
 
 module.exports = {
   // Main classes
@@ -28,6 +29,9 @@ module.exports = {
   piiTracer,
   impactAnalyzer,
 
+  // Export
+  graphExport,
+
   // Cache
   LRUCache,
   GraphCache
@@ -78,13 +78,19 @@ function tracePIIFlow(protocolGraph, endpointUrn, options = {}) {
 }
 
 /**
- * Find all data nodes that contain PII
+ * Node kinds whose manifests can carry piiFields: data sources, and APIs
+ * whose message payloads hold PII (e.g. gRPC messages)
+ */
+const PII_SOURCE_KINDS = ['data', 'api'];
+
+/**
+ * Find all data and API nodes that contain PII
  * @param {ProtocolGraph} protocolGraph - Protocol graph instance
  * @param {number} minConfidence - Minimum confidence threshold
  * @returns {Array<string>} URNs of PII data sources
  */
 function findPIISources(protocolGraph, minConfidence = 0.0) {
-  const dataSources = protocolGraph.getNodesByKind('data');
+  const dataSources = PII_SOURCE_KINDS.flatMap(kind => protocolGraph.getNodesByKind(kind));
   const piiSources = [];
 
   for (const urn of dataSources) {
@@ -153,8 +159,8 @@ function calculatePathConfidence(protocolGraph, path) {
 
     const manifest = nodeData.manifest;
 
-    // For data nodes, use PII confidence
-    if (nodeData.kind === 'data' && manifest.piiFields) {
+    // For data nodes and APIs with PII payloads, use PII confidence
+    if (PII_SOURCE_KINDS.includes(nodeData.kind) && manifest.piiFields) {
       const confidence = calculatePIIConfidence(manifest);
       minConfidence = Math.min(minConfidence, confidence);
     }
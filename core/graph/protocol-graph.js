@@ -8,6 +8,7 @@
 const Graph = require('graphology');
 const { parseURN, normalizeURN, isValidURN, versionMatchesRange } = require('./urn-utils');
 const { GraphCache } = require('./cache');
+const { findAllPaths } = require('./traversal');
 const { detectCycles, getCycleForNode } = require('./tarjan');
 const { tracePIIFlow, findPIIExposingEndpoints, getPIISummary } = require('./pii-tracer');
 const { analyzeImpact, analyzeDetailedImpact, assessBreakingChangeRisk } = require('./impact-analyzer');
@@ -444,6 +445,28 @@ class ProtocolGraph {
     return getCycleForNode(this.graph, urn);
   }
 
+  /**
+   * Find all paths between two nodes
+   * Results are cached for performance
+   * @param {string} from - Source URN
+   * @param {string} to - Target URN
+   * @param {Object} options - { maxDepth }
+   * @returns {Array<Array<string>>} Paths, shortest first
+   */
+  findAllPaths(from, to, options = {}) {
+    const { maxDepth = 10 } = options;
+    const cacheKey = `${to}:${maxDepth}`;
+    const cached = this.cache.getPaths(from, cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const paths = findAllPaths(this.graph, from, to, maxDepth)
+      .sort((a, b) => a.length - b.length);
+    this.cache.setPaths(from, cacheKey, paths);
+    return paths;
+  }
+
   /**
    * Trace PII flow to an endpoint
    * Results are cached for performance
@@ -30,9 +30,14 @@ const {
  * Override engine - main interface
  */
 class OverrideEngine {
-  constructor(projectRoot = process.cwd()) {
+  /**
+   * @param {string} [projectRoot] - Project root (default: cwd)
+   * @param {object} [options] - Loader options
+   * @param {string[]} [options.packs] - Additional organization override pack directories
+   */
+  constructor(projectRoot = process.cwd(), options = {}) {
     this.projectRoot = projectRoot;
-    this.loader = createStandardLoader(projectRoot);
+    this.loader = createStandardLoader(projectRoot, options);
     this.matcher = new PatternMatcher(this.loader);
     this.exporter = new RuleExporter();
   }
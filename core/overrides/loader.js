@@ -251,9 +251,11 @@ class RuleLoader {
 /**
  * Create a loader with standard directory structure
  * @param {string} projectRoot - Project root directory
+ * @param {object} [options] - Loader options
+ * @param {string[]} [options.packs] - Additional organization override pack directories
  * @returns {RuleLoader} Configured loader
  */
-function createStandardLoader(projectRoot) {
+function createStandardLoader(projectRoot, options = {}) {
   const loader = new RuleLoader();
 
   // Load in precedence order (lowest to highest)
@@ -267,6 +269,11 @@ function createStandardLoader(projectRoot) {
     loader.loadFromDirectory(orgPath, 'organization');
   }
 
+  // Override packs listed in protocol.config
+  for (const packPath of options.packs || []) {
+    loader.loadFromDirectory(packPath, 'organization');
+  }
+
   // Project rules (highest precedence)
   const projectPath = path.join(projectRoot, '.proto/overrides');
   loader.loadFromDirectory(projectPath, 'project');
@@ -0,0 +1,342 @@
+/**
+ * CDC Event Manifest Generator
+ * Derives Event Protocol manifests for Debezium-style change data capture
+ * topics from Data Protocol manifests
+ *
+ * Each captured table becomes one event manifest:
+ * - Topic named by the convention (`{prefix}.{schema}.{table}` by default)
+ * - Payload is the Debezium envelope (before/after/source/op/ts_ms) with the
+ *   table's columns as the row schema
+ * - Message key is the primary key, which is also the ordering key
+ * - PII columns become PII fields on both `before` and `after`
+ * - `relationships.derives_from` links back to the data manifest's URN
+ *
+ * Event URNs use the graph form `urn:proto:event:<topic prefix>/<schema>.<table>`
+ * so the derives_from edge resolves when both manifests are in the workspace.
+ */
+
+/**
+ * Default Debezium convention
+ */
+const DEFAULT_CDC_CONVENTION = {
+  topicPrefix: 'cdc',                     // Debezium topic.prefix (logical server name)
+  topic: '{prefix}.{schema}.{table}',     // Topic template: {prefix}, {schema}, {table}
+  connector: 'postgresql',                // Debezium connector (source.connector)
+  operations: ['c', 'u', 'd', 'r'],       // Emitted ops (add 't' for truncate)
+  tombstones: true,                       // Deletes are followed by a null-value tombstone
+  decimalHandling: 'precise',             // Debezium decimal.handling.mode: precise, double or string
+  guarantees: 'at-least-once',            // Debezium delivers at least once
+  dlq: null,                              // DLQ topic template, same placeholders as topic
+  defaultSchema: 'public'                 // Schema for dataset names without one
+};
+
+/**
+ * Data Protocol field type → Debezium JSON value schema
+ */
+const VALUE_SCHEMAS = {
+  integer: { type: 'integer' },
+  short: { type: 'integer' },
+  long: { type: 'integer', format: 'int64' },
+  float: { type: 'number' },
+  double: { type: 'number' },
+  boolean: { type: 'boolean' },
+  string: { type: 'string' },
+  enum: { type: 'string' },
+  uuid: { type: 'string', format: 'uuid' },
+  json: { type: 'string', contentMediaType: 'application/json', 'x-debezium-type': 'io.debezium.data.Json' },
+  timestamp: { type: 'integer', 'x-debezium-type': 'io.debezium.time.MicroTimestamp' },
+  date: { type: 'integer', 'x-debezium-type': 'io.debezium.time.Date' },
+  time: { type: 'integer', 'x-debezium-type': 'io.debezium.time.MicroTime' },
+  bytes: { type: 'string', contentEncoding: 'base64' },
+  array: { type: 'array' }
+};
+
+/**
+ * decimal.handling.mode → JSON value schema
+ */
+const DECIMAL_SCHEMAS = {
+  precise: { type: 'string', contentEncoding: 'base64', 'x-debezium-type': 'org.apache.kafka.connect.data.Decimal' },
+  double: { type: 'number' },
+  string: { type: 'string' }
+};
+
+const OPERATION_NAMES = { c: 'create', u: 'update', d: 'delete', r: 'read (snapshot)', t: 'truncate' };
+
+/**
+ * Generate CDC event manifests for every captured table in a data manifest
+ * @param {object} manifest - Data Protocol manifest (single dataset or catalog with `datasets`)
+ * @param {object} [convention] - CDC convention overrides (see DEFAULT_CDC_CONVENTION)
+ * @returns {object[]} Event Protocol manifests
+ */
+function generateCDCManifests(manifest, convention = {}) {
+  if (!manifest || typeof manifest !== 'object') {
+    throw new Error('Invalid manifest: expected a Data Protocol manifest');
+  }
+
+  const datasets = Array.isArray(manifest.datasets) ? manifest.datasets : [manifest];
+
+  // Views have no change stream of their own
+  return datasets
+    .filter(dataset => dataset.dataset && !['view', 'materialized_view'].includes(dataset.dataset.type))
+    .map(dataset => generateCDCManifest(dataset, convention, manifest.definitions));
+}
+
+/**
+ * Generate the CDC event manifest for one table
+ * @param {object} dataManifest - Data Protocol manifest for a single dataset
+ * @param {object} [convention] - CDC convention overrides (see DEFAULT_CDC_CONVENTION)
+ * @param {object} [definitions] - Catalog `definitions` resolving enum `$ref`s
+ * @returns {object} Event Protocol manifest
+ */
+function generateCDCManifest(dataManifest, convention = {}, definitions = {}) {
+  if (!dataManifest?.dataset?.name || !dataManifest.schema?.fields) {
+    throw new Error('Invalid manifest: missing dataset.name or schema.fields');
+  }
+
+  const cdc = { ...DEFAULT_CDC_CONVENTION, ...convention };
+  const { schema, table } = splitDatasetName(dataManifest.dataset.name, cdc.defaultSchema);
+  const dataUrn = dataManifest.metadata?.urn || dataManifest.dataset.urn || null;
+  const fields = dataManifest.schema.fields;
+  const primaryKey = dataManifest.schema.primary_key || [];
+  const warnings = [];
+
+  const topic = renderTemplate(cdc.topic, { prefix: cdc.topicPrefix, schema, table });
+  const dlq = cdc.dlq ? renderTemplate(cdc.dlq, { prefix: cdc.topicPrefix, schema, table }) : undefined;
+  const urn = `urn:proto:event:${urnSegment(cdc.topicPrefix)}/${urnSegment(`${schema}.${table}`)}`;
+
+  const row = buildRowSchema(dataManifest, cdc, definitions || {});
+  const key = buildKeySchema(dataManifest, row);
+  if (!key) {
+    warnings.push(`${dataManifest.dataset.name} has no primary key; change events are unkeyed and only ordered per partition`);
+  }
+
+  const piiFields = buildPIIFields(fields, row);
+  const status = dataManifest.dataset.lifecycle?.status;
+
+  return {
+    protocol: 'event-protocol/v1',
+    urn,
+    event: {
+      name: topic,
+      version: '1.0.0',
+      lifecycle: { status: status === 'deprecated' ? 'deprecated' : 'active' }
+    },
+    semantics: {
+      purpose: `Row-level changes to ${dataManifest.dataset.name} (${cdc.operations.map(op => OPERATION_NAMES[op] || op).join(', ')})`,
+      category: 'event'
+    },
+    schema: {
+      format: 'json-schema',
+      payload: buildEnvelopeSchema(row, { schema, table, cdc }),
+      ...(key && { key }),
+      fields: piiFields,
+      compatibility: { policy: 'backward' }
+    },
+    delivery: {
+      contract: {
+        transport: 'kafka',
+        topic,
+        guarantees: cdc.guarantees,
+        ...(dlq && { dlq }),
+        metadata: {
+          connector: 'debezium',
+          envelope: 'debezium',
+          ...(key && { key, key_fields: primaryKey }),
+          operations: cdc.operations,
+          tombstones: cdc.tombstones
+        }
+      }
+    },
+    governance: {
+      policy: {
+        classification: piiFields.length > 0 ? 'pii' : 'internal',
+        legal_basis: piiFields.length > 0 ? 'gdpr' : undefined
+      }
+    },
+    ...(dataUrn && { relationships: { derives_from: [dataUrn] } }),
+    metadata: {
+      urn,
+      kind: 'event',
+      status: 'draft',
+      source_type: 'cdc',
+      source_dataset: dataManifest.dataset.name,
+      ...(dataUrn && { source_urn: dataUrn }),
+      generated_at: new Date().toISOString(),
+      generator_version: '0.1.0',
+      ...(warnings.length > 0 && { warnings })
+    }
+  };
+}
+
+/**
+ * Build the row (`before`/`after`) schema from the table's fields
+ * @private
+ */
+function buildRowSchema(dataManifest, cdc, definitions) {
+  const properties = {};
+  const required = [];
+
+  for (const [name, field] of Object.entries(dataManifest.schema.fields)) {
+    const base = field.type === 'decimal'
+      ? DECIMAL_SCHEMAS[cdc.decimalHandling] || DECIMAL_SCHEMAS.precise
+      : VALUE_SCHEMAS[field.type] || {};
+    const property = { ...base };
+
+    const definition = field.$ref ? definitions[field.$ref.replace('#/definitions/', '')] : null;
+    const values = field.enum || definition?.enum;
+    if (Array.isArray(values) && values.length > 0) {
+      property.enum = values;
+    }
+    if (field.description) {
+      property.description = field.description;
+    }
+    if (field.pii) {
+      property['x-pii'] = true;
+    }
+
+    if (field.required) {
+      required.push(name);
+    } else if (property.type) {
+      property.type = [property.type, 'null'];
+      if (property.enum) property.enum = [...property.enum, null];
+    }
+
+    properties[name] = property;
+  }
+
+  return {
+    type: 'object',
+    title: `${dataManifest.dataset.name}.Value`,
+    properties,
+    ...(required.length > 0 && { required })
+  };
+}
+
+/**
+ * Message key schema: the primary key columns
+ * @private
+ */
+function buildKeySchema(dataManifest, row) {
+  const primaryKey = dataManifest.schema.primary_key || [];
+  if (primaryKey.length === 0) return null;
+
+  return {
+    type: 'object',
+    title: `${dataManifest.dataset.name}.Key`,
+    description: `Primary key of ${dataManifest.dataset.name}`,
+    properties: Object.fromEntries(primaryKey.map(column => {
+      const property = { ...(row.properties[column] || {}) };
+      delete property.description;
+      if (Array.isArray(property.type)) {
+        property.type = property.type.filter(t => t !== 'null')[0];
+      }
+      return [column, property];
+    })),
+    required: primaryKey
+  };
+}
+
+/**
+ * Debezium change event envelope around the row schema
+ * @private
+ */
+function buildEnvelopeSchema(row, { schema, table, cdc }) {
+  const nullableRow = { anyOf: [{ $ref: '#/$defs/Value' }, { type: 'null' }] };
+
+  return {
+    type: 'object',
+    title: `${schema}.${table}.Envelope`,
+    properties: {
+      before: { ...nullableRow, description: 'Row state before the change (null for creates and snapshot reads)' },
+      after: { ...nullableRow, description: 'Row state after the change (null for deletes)' },
+      source: {
+        type: 'object',
+        properties: {
+          version: { type: 'string' },
+          connector: { type: 'string', const: cdc.connector },
+          name: { type: 'string', const: cdc.topicPrefix },
+          ts_ms: { type: 'integer' },
+          snapshot: { type: ['string', 'null'] },
+          db: { type: 'string' },
+          schema: { type: 'string', const: schema },
+          table: { type: 'string', const: table },
+          txId: { type: ['integer', 'null'] },
+          lsn: { type: ['integer', 'null'] }
+        },
+        required: ['version', 'connector', 'name', 'ts_ms', 'db', 'schema', 'table']
+      },
+      op: { type: 'string', enum: cdc.operations },
+      ts_ms: { type: ['integer', 'null'], description: 'Time the connector processed the event' },
+      transaction: {
+        anyOf: [
+          {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              total_order: { type: 'integer' },
+              data_collection_order: { type: 'integer' }
+            },
+            required: ['id', 'total_order', 'data_collection_order']
+          },
+          { type: 'null' }
+        ]
+      }
+    },
+    required: ['op', 'source'],
+    $defs: { Value: row }
+  };
+}
+
+/**
+ * PII columns as event fields on both sides of the envelope
+ * @private
+ */
+function buildPIIFields(fields, row) {
+  const piiColumns = Object.entries(fields).filter(([, field]) => field.pii);
+
+  return ['before', 'after'].flatMap(side => piiColumns.map(([name, field]) => {
+    const type = row.properties[name].type;
+    return {
+      name: `${side}.${name}`,
+      type: (Array.isArray(type) ? type[0] : type) || 'unknown',
+      required: false,
+      pii: true,
+      confidence: field.pii_confidence ?? 1.0,
+      category: field.pii_type,
+      description: field.description
+    };
+  }));
+}
+
+/**
+ * Split `schema.table` (the last dot separates the table)
+ * @private
+ */
+function splitDatasetName(name, defaultSchema) {
+  const idx = name.lastIndexOf('.');
+  return idx === -1
+    ? { schema: defaultSchema, table: name }
+    : { schema: name.slice(0, idx), table: name.slice(idx + 1) };
+}
+
+/**
+ * Replace {placeholders} in a topic template
+ * @private
+ */
+function renderTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+}
+
+/**
+ * Restrict a value to the characters graph URNs allow
+ * @private
+ */
+function urnSegment(value) {
+  return String(value).replace(/[^a-zA-Z0-9._-]+/g, '-') || 'unknown';
+}
+
+module.exports = {
+  generateCDCManifests,
+  generateCDCManifest,
+  DEFAULT_CDC_CONVENTION
+};
@@ -364,5 +364,6 @@ module.exports = {
   detectFromServerProtocol,
   detectFromBindingFields,
   detectFromURLScheme,
-  detectFromChannelPattern
+  detectFromChannelPattern,
+  extractHTTPWebhookBinding
 };
@@ -5,6 +5,7 @@ const { detectProtocolBindings } = require('./binding-detector');
 const { detectEventPII } = require('./pii-detector');
 const { extractPayloadSchema } = require('./schema-utils');
 const { detectEventPatterns } = require('./patterns');
+const { bundleSpec, bundleProvenance } = require('../shared/spec-bundle');
 
 // IMPORTANT: Lazy load parser to avoid 2.85MB CLI startup penalty
 let Parser;
@@ -19,9 +20,10 @@ async function getParser() {
 
 /**
  * Import AsyncAPI specification and convert to Event Protocol manifests
- * @param {string} specUrlOrPath - URL or file path to AsyncAPI spec
+ * @param {string} specUrlOrPath - URL, or root file or directory of a (multi-file) AsyncAPI spec
  * @param {Object} options - Import options
  * @param {number} options.timeout - Parse timeout in ms (default: 30000)
+ * @param {boolean} [options.allowRemoteRefs=false] - Fetch http(s) $refs in local specs instead of refusing them
  * @returns {Promise<{manifests: Array, metadata: Object}>}
  */
 async function importAsyncAPI(specUrlOrPath, options = {}) {
@@ -31,11 +33,12 @@ async function importAsyncAPI(specUrlOrPath, options = {}) {
   const ParserClass = await getParser();
   const parser = new ParserClass();
 
-  // Read file content if it's a file path
+  // Bundle local files so relative $refs across files resolve offline
   let content = specUrlOrPath;
+  let bundle = null;
   if (!specUrlOrPath.startsWith('http://') && !specUrlOrPath.startsWith('https://')) {
-    const fs = require('fs');
-    content = fs.readFileSync(specUrlOrPath, 'utf-8');
+    bundle = await bundleSpec(specUrlOrPath, { kind: 'asyncapi', allowRemoteRefs: options.allowRemoteRefs });
+    content = JSON.stringify(bundle.document);
   }
 
   // Parse AsyncAPI spec with validation
@@ -61,6 +64,7 @@ async function importAsyncAPI(specUrlOrPath, options = {}) {
 
   // Extract version-agnostic data
   const info = document.info();
+  const specHash = hashDocument(document);
   const manifests = [];
 
   for (const channel of channelsArray) {
@@ -86,6 +90,7 @@ async function importAsyncAPI(specUrlOrPath, options = {}) {
         bindings: mergedBindings,
         piiFields,
         document,
+        specHash,
         parseTime
       });
 
@@ -101,6 +106,10 @@ async function importAsyncAPI(specUrlOrPath, options = {}) {
         info_count: patterns.filter(p => p.severity === 'info').length
       };
 
+      if (bundle) {
+        manifest.provenance = { ...manifest.provenance, ...bundleProvenance(bundle) };
+      }
+
       manifests.push(manifest);
     } catch (error) {
       console.warn(`Warning: Failed to process channel ${channel.id()}: ${error.message}`);
@@ -115,7 +124,8 @@ async function importAsyncAPI(specUrlOrPath, options = {}) {
       parse_time_ms: parseTime,
       total_time_ms: performance.now() - start,
       channel_count: channelsArray.length,
-      message_count: countMessages(channelsArray)
+      message_count: countMessages(channelsArray),
+      ...(bundle && bundleProvenance(bundle))
     }
   };
 }
@@ -191,10 +201,11 @@ function countMessages(channels) {
  * @returns {Object} Event Protocol manifest
  */
 function createEventManifest(params) {
-  const { urn, channel, messages, bindings, piiFields, document } = params;
+  const { urn, channel, messages, bindings, piiFields, document, specHash } = params;
 
   const info = document.info();
   const primaryMessage = messages[0];
+  const importedAt = new Date().toISOString();
 
   return {
     protocol: 'event-protocol/v1',
@@ -236,9 +247,16 @@ function createEventManifest(params) {
       source_type: 'asyncapi',
       source_version: document.version(),
       source_title: info.title(),
-      source_hash: hashDocument(document),
-      imported_at: new Date().toISOString(),
+      source_hash: specHash.substring(0, 16),
+      imported_at: importedAt,
       importer_version: '0.1.0'
+    },
+    provenance: {
+      importer: 'AsyncAPIImporter',
+      importer_version: '0.1.0',
+      imported_at: importedAt,
+      spec_version: document.version(),
+      spec_hash: specHash
     }
   };
 }
@@ -281,7 +299,7 @@ function applyMessageDeliveryOverrides(baseBindings, messages) {
  */
 function hashDocument(document) {
   const content = JSON.stringify(document.json());
-  return crypto.createHash('sha256').update(content).digest('hex').substring(0, 16);
+  return crypto.createHash('sha256').update(content).digest('hex');
 }
 
 module.exports = {
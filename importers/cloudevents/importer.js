@@ -0,0 +1,372 @@
+/**
+ * CloudEvents sample importer
+ *
+ * Infers Event Protocol manifests from captured CloudEvents envelopes when no
+ * spec exists. Samples are grouped by `type` + `source`; each group becomes one
+ * manifest whose `schema.payload` is the JSON Schema merged across every
+ * sample's `data`. PII is detected per field from the field name and from the
+ * observed values, using the Postgres detector's name and data-pattern
+ * signals. CloudEvents context attributes are kept under `metadata.cloudevents`
+ * and the number of samples behind a manifest drives its confidence.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { readEventSamples, extensionAttributes } = require('./sample-reader');
+const { inferSchema, mergeSchemas } = require('../traffic/schema-inference');
+const { detectPII } = require('../postgres/pii-detector');
+const { detectEventPatterns } = require('../asyncapi/patterns');
+
+/**
+ * Leading reverse-DNS label of a CloudEvents type (com.acme.order.created)
+ */
+const REVERSE_DNS_TLDS = new Set(['com', 'org', 'net', 'io', 'dev', 'co', 'gov', 'edu', 'app', 'cloud']);
+
+/**
+ * Import CloudEvents samples and convert each event type to an Event Protocol manifest
+ * @param {string} source - NDJSON file, directory of sample files, or raw NDJSON text
+ * @param {Object} options - Import options
+ * @param {string} [options.domain] - URN domain (defaults to the type's reverse-DNS owner, else the source)
+ * @returns {Promise<{manifests: Array, metadata: Object}>}
+ */
+async function importCloudEvents(source, options = {}) {
+  const start = performance.now();
+
+  const samples = await readEventSamples(source);
+  const parseTime = performance.now() - start;
+
+  const groups = groupSamples(samples.events);
+  const importedAt = new Date().toISOString();
+  const manifests = groups.map(group => createEventManifest(group, { domain: options.domain, importedAt }));
+
+  // Several producers may emit the same type; keep their URNs apart by source
+  const byUrn = new Map();
+  for (const manifest of manifests) {
+    byUrn.set(manifest.urn, (byUrn.get(manifest.urn) || 0) + 1);
+  }
+  for (const manifest of manifests) {
+    if (byUrn.get(manifest.urn) > 1) {
+      const { source: eventSource } = manifest.metadata.cloudevents;
+      const { entity, action } = parseEventType(manifest.event.name, eventSource, options.domain);
+      manifest.urn = eventURN(slugify(sourceDomain(eventSource)), entity, action);
+      manifest.metadata.urn = manifest.urn;
+    }
+  }
+
+  return {
+    manifests,
+    metadata: {
+      source_path: samples.files.length > 0 ? source : null,
+      files: samples.files.map(file => path.basename(file)),
+      sample_count: samples.events.length,
+      event_type_count: manifests.length,
+      skipped: samples.skipped,
+      warnings: samples.warnings,
+      parse_time_ms: parseTime,
+      total_time_ms: performance.now() - start
+    }
+  };
+}
+
+/**
+ * Group envelopes by type and source, keeping first-seen order
+ * @param {Array<{envelope: Object}>} events - Samples from readEventSamples
+ * @returns {Array<{type: string, source: string, envelopes: Array<Object>}>}
+ */
+function groupSamples(events) {
+  const groups = new Map();
+
+  for (const { envelope } of events) {
+    const key = `${envelope.type}\u0000${envelope.source}`;
+    if (!groups.has(key)) {
+      groups.set(key, { type: envelope.type, source: envelope.source, envelopes: [] });
+    }
+    groups.get(key).envelopes.push(envelope);
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Build the Event Protocol manifest for one type/source group
+ * @param {Object} group - Group from groupSamples
+ * @param {Object} context - Naming and timestamp context
+ * @returns {Object} Event Protocol manifest
+ */
+function createEventManifest(group, { domain, importedAt }) {
+  const { envelopes } = group;
+  const latest = envelopes[envelopes.length - 1];
+  const naming = parseEventType(group.type, group.source, domain);
+
+  const payload = envelopes.map(dataSchema).reduce(mergeSchemas);
+  const piiFields = detectSamplePII(envelopes);
+  const confidence = sampleConfidence(envelopes.length);
+  const urn = eventURN(naming.domain, naming.entity, naming.action);
+
+  const manifest = {
+    protocol: 'event-protocol/v1',
+    urn,
+    event: {
+      name: group.type,
+      version: '0.0.0',
+      lifecycle: { status: 'active' }
+    },
+    semantics: {
+      purpose: `Inferred from ${envelopes.length} CloudEvents sample${envelopes.length === 1 ? '' : 's'} of ${group.type}`,
+      category: 'event'
+    },
+    schema: {
+      format: 'json-schema',
+      payload,
+      fields: piiFields,
+      compatibility: { policy: 'backward' }
+    },
+    governance: {
+      policy: {
+        classification: piiFields.length > 0 ? 'pii' : 'internal',
+        legal_basis: piiFields.length > 0 ? 'gdpr' : undefined
+      }
+    },
+    metadata: {
+      urn,
+      kind: 'event',
+      status: 'draft',
+      source_type: 'cloudevents',
+      source_version: latest.specversion,
+      source_title: naming.domain,
+      source_hash: crypto.createHash('sha256')
+        .update(JSON.stringify(envelopes))
+        .digest('hex')
+        .substring(0, 16),
+      imported_at: importedAt,
+      importer_version: '0.1.0',
+      cloudevents: cloudEventAttributes(group),
+      sample_count: envelopes.length,
+      confidence
+    }
+  };
+
+  const patterns = detectEventPatterns(manifest, { id: () => group.type }, null);
+  manifest.patterns = {
+    detected: patterns,
+    total_count: patterns.length,
+    error_count: patterns.filter(p => p.severity === 'error').length,
+    warning_count: patterns.filter(p => p.severity === 'warn').length,
+    info_count: patterns.filter(p => p.severity === 'info').length
+  };
+
+  return manifest;
+}
+
+/**
+ * Event URN in the graph form, so the manifest becomes an event node
+ * @private
+ */
+function eventURN(domain, entity, action) {
+  return `urn:proto:event:${domain}/${entity}.${action}`;
+}
+
+/**
+ * Derive URN domain/entity/action from a CloudEvents type
+ *
+ * `com.acme.orders.order.created` → orders / order / created, falling back to
+ * the reverse-DNS owner (acme), then the event source, for the domain.
+ * @param {string} type - CloudEvents type
+ * @param {string} source - CloudEvents source
+ * @param {string} [domain] - Explicit domain override
+ * @returns {{domain: string, entity: string, action: string}}
+ */
+function parseEventType(type, source, domain) {
+  let parts = type.split('.').filter(Boolean);
+  let owner = null;
+
+  if (parts.length > 2 && REVERSE_DNS_TLDS.has(parts[0].toLowerCase())) {
+    owner = parts[1];
+    parts = parts.slice(2);
+  }
+
+  const action = parts.length > 1 ? parts[parts.length - 1] : 'event';
+  const entity = parts.length > 1 ? parts[parts.length - 2] : parts[0] || 'unknown';
+  const typeDomain = parts.length > 2 ? parts[parts.length - 3] : null;
+
+  return {
+    domain: slugify(domain || typeDomain || owner || sourceDomain(source)),
+    entity: slugify(entity),
+    action: slugify(action)
+  };
+}
+
+/**
+ * Infer the JSON Schema of one envelope's data
+ * @private
+ */
+function dataSchema(envelope) {
+  if (envelope.data_base64 !== undefined) {
+    return {
+      type: 'string',
+      contentEncoding: 'base64',
+      ...(envelope.datacontenttype && { contentMediaType: envelope.datacontenttype })
+    };
+  }
+  return inferSchema(envelope.data);
+}
+
+/**
+ * Detect PII fields from names and observed values
+ * @private
+ */
+function detectSamplePII(envelopes) {
+  const observed = new Map();
+
+  for (const envelope of envelopes) {
+    const seen = new Set();
+    collectValues(envelope.data, '', (fieldPath, value) => {
+      if (!observed.has(fieldPath)) {
+        observed.set(fieldPath, { values: [], present: 0, types: new Set() });
+      }
+      const entry = observed.get(fieldPath);
+      entry.values.push(value);
+      if (value !== null) entry.types.add(jsonType(value));
+      if (!seen.has(fieldPath)) {
+        entry.present++;
+        seen.add(fieldPath);
+      }
+    });
+  }
+
+  const fields = [];
+  for (const [fieldPath, entry] of observed) {
+    // Value patterns only apply to strings (a numeric amount is not a phone number)
+    const values = entry.values.filter(v => v === null || typeof v === 'string');
+    const detection = detectPII(columnName(fieldPath), null, values);
+    const signals = [...new Set(detection.signals
+      .filter(s => s.signal === 'name_pattern' || s.signal === 'data_pattern')
+      .map(s => s.signal))];
+
+    // As with detectPIIByName, a name match stands on its own: events carry no column types to corroborate
+    if (!detection.type || (!detection.detected && !signals.includes('name_pattern'))) continue;
+
+    fields.push({
+      name: fieldPath,
+      type: entry.types.size === 1 ? [...entry.types][0] : 'unknown',
+      required: entry.present === envelopes.length,
+      pii: true,
+      confidence: Number(detection.confidence.toFixed(2)),
+      category: detection.type,
+      signals
+    });
+  }
+
+  return fields;
+}
+
+/**
+ * Walk a data value and report every leaf with its field path (a.b, items[].c)
+ * @private
+ */
+function collectValues(value, fieldPath, visit) {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectValues(item, `${fieldPath}[]`, visit));
+  } else if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      collectValues(child, fieldPath ? `${fieldPath}.${key}` : key, visit);
+    }
+  } else if (fieldPath) {
+    visit(fieldPath, value);
+  }
+}
+
+/**
+ * Map CloudEvents context attributes observed across a group
+ * @private
+ */
+function cloudEventAttributes(group) {
+  const { envelopes } = group;
+  const constant = attr => {
+    const values = new Set(envelopes.map(e => e[attr]).filter(v => v !== undefined));
+    return values.size === 1 ? [...values][0] : undefined;
+  };
+
+  const extensions = {};
+  for (const envelope of envelopes) {
+    for (const [name, value] of Object.entries(extensionAttributes(envelope))) {
+      extensions[name] = extensions[name] || { type: jsonType(value), example: value };
+    }
+  }
+
+  const times = envelopes.map(e => e.time).filter(Boolean).sort();
+
+  return {
+    specversion: constant('specversion'),
+    type: group.type,
+    source: group.source,
+    subject: constant('subject'),
+    datacontenttype: constant('datacontenttype'),
+    dataschema: constant('dataschema'),
+    ...(Object.keys(extensions).length > 0 && { extensions }),
+    ...(times.length > 0 && { first_seen: times[0], last_seen: times[times.length - 1] })
+  };
+}
+
+/**
+ * Confidence grows with the number of samples behind a manifest
+ * @private
+ */
+function sampleConfidence(count) {
+  return Number(Math.min(0.5 + 0.15 * count, 0.95).toFixed(2));
+}
+
+/**
+ * Field path → snake_case leaf name for the column-oriented PII patterns
+ * @private
+ */
+function columnName(fieldPath) {
+  return fieldPath
+    .split('.')
+    .pop()
+    .replace(/\[\]/g, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase();
+}
+
+/**
+ * JSON type name of a sample value
+ * @private
+ */
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Domain from a CloudEvents source (https://orders.acme.io/x → orders, /billing/api → billing)
+ * @private
+ */
+function sourceDomain(source) {
+  const host = source.match(/^[a-z][a-z0-9+.-]*:\/\/([^/:]+)/i);
+  if (host) return host[1].split('.')[0];
+  if (/^urn:/i.test(source)) return source.split(':')[1];
+  return source.split('/').filter(Boolean)[0] || 'events';
+}
+
+/**
+ * Lowercase URN-safe segment
+ * @private
+ */
+function slugify(value) {
+  return String(value)
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'unknown';
+}
+
+module.exports = {
+  importCloudEvents,
+  groupSamples,
+  createEventManifest,
+  parseEventType
+};
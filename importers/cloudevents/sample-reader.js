@@ -0,0 +1,147 @@
+/**
+ * CloudEvents sample reader
+ *
+ * Reads captured events in the CloudEvents JSON format, one envelope per line
+ * (NDJSON / JSON Lines). The source may be a file, a directory of `.ndjson` /
+ * `.jsonl` files, or the raw text. A JSON array of envelopes is accepted too.
+ *
+ * Lines that are not valid JSON or not CloudEvents envelopes are skipped and
+ * reported as warnings with their file and line number.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const SAMPLE_EXTENSIONS = /\.(ndjson|jsonl)$/i;
+
+/**
+ * Attributes defined by the CloudEvents spec; anything else is an extension
+ */
+const CONTEXT_ATTRIBUTES = new Set([
+  'specversion', 'id', 'source', 'type', 'subject', 'time',
+  'datacontenttype', 'dataschema', 'data', 'data_base64'
+]);
+
+/**
+ * Read CloudEvents samples
+ * @param {string} source - NDJSON file, directory of sample files, or raw NDJSON text
+ * @returns {Promise<{events: Array<{envelope: Object, file: string|null, line: number}>, files: Array<string>, skipped: number, warnings: Array<string>, raw: string}>}
+ */
+async function readEventSamples(source) {
+  if (typeof source !== 'string' || source.trim().length === 0) {
+    throw new Error('CloudEvents source must be an NDJSON file, directory, or string');
+  }
+
+  const inputs = await resolveInputs(source);
+  const events = [];
+  const warnings = [];
+  let skipped = 0;
+
+  for (const { file, text } of inputs) {
+    for (const { value, line, error } of parseLines(text)) {
+      const where = `${file ? path.basename(file) : 'input'}:${line}`;
+
+      if (error) {
+        skipped++;
+        warnings.push(`${where}: invalid JSON (${error})`);
+      } else if (!isCloudEvent(value)) {
+        skipped++;
+        warnings.push(`${where}: not a CloudEvents envelope (specversion, id, source and type are required)`);
+      } else {
+        events.push({ envelope: value, file, line });
+      }
+    }
+  }
+
+  if (events.length === 0) {
+    throw new Error('No CloudEvents envelopes found in samples');
+  }
+
+  return {
+    events,
+    files: inputs.map(input => input.file).filter(Boolean),
+    skipped,
+    warnings,
+    raw: inputs.map(input => input.text).join('\n')
+  };
+}
+
+/**
+ * Check whether a parsed value is a structured-mode CloudEvents envelope
+ * @param {Object} doc - Parsed JSON
+ * @returns {boolean}
+ */
+function isCloudEvent(doc) {
+  return Boolean(doc) && typeof doc === 'object' && !Array.isArray(doc) &&
+    typeof doc.specversion === 'string' &&
+    ['id', 'source', 'type'].every(attr => typeof doc[attr] === 'string' && doc[attr].length > 0);
+}
+
+/**
+ * Split an envelope's extension attributes from the spec-defined ones
+ * @param {Object} envelope - CloudEvents envelope
+ * @returns {Object} Extension name → value
+ */
+function extensionAttributes(envelope) {
+  return Object.fromEntries(
+    Object.entries(envelope).filter(([name]) => !CONTEXT_ATTRIBUTES.has(name))
+  );
+}
+
+/**
+ * Resolve the source to a list of {file, text} inputs
+ * @private
+ */
+async function resolveInputs(source) {
+  if (/^\s*[{[]/.test(source)) {
+    return [{ file: null, text: source }];
+  }
+
+  const stats = await fs.stat(source);
+  if (!stats.isDirectory()) {
+    return [{ file: source, text: await fs.readFile(source, 'utf-8') }];
+  }
+
+  const files = (await fs.readdir(source))
+    .filter(name => SAMPLE_EXTENSIONS.test(name))
+    .sort()
+    .map(name => path.join(source, name));
+
+  if (files.length === 0) {
+    throw new Error(`No .ndjson or .jsonl sample files found in ${source}`);
+  }
+
+  return Promise.all(files.map(async file => ({ file, text: await fs.readFile(file, 'utf-8') })));
+}
+
+/**
+ * Parse NDJSON text (or a JSON array) into values with their line numbers
+ * @private
+ */
+function parseLines(text) {
+  if (/^\s*\[/.test(text)) {
+    try {
+      return JSON.parse(text).map((value, idx) => ({ value, line: idx + 1 }));
+    } catch {
+      // Not a single JSON array; fall back to line-by-line parsing
+    }
+  }
+
+  const results = [];
+  text.split(/\r?\n/).forEach((content, idx) => {
+    if (content.trim().length === 0) return;
+    try {
+      results.push({ value: JSON.parse(content), line: idx + 1 });
+    } catch (error) {
+      results.push({ error: error.message, line: idx + 1 });
+    }
+  });
+  return results;
+}
+
+module.exports = {
+  readEventSamples,
+  isCloudEvent,
+  extensionAttributes,
+  SAMPLE_EXTENSIONS
+};
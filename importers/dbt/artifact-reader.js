@@ -0,0 +1,100 @@
+/**
+ * dbt artifact reader
+ *
+ * Loads the JSON artifacts dbt writes to its `target/` directory:
+ *   manifest.json     project graph (required)
+ *   catalog.json      warehouse column types and stats (`dbt docs generate`, optional)
+ *   run_results.json  test outcomes from the last `dbt test`/`dbt build` (optional)
+ *
+ * The source may be the target directory, a project directory containing
+ * `target/`, or any one of the artifact files; siblings are picked up
+ * automatically.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const ARTIFACTS = {
+  manifest: 'manifest.json',
+  catalog: 'catalog.json',
+  runResults: 'run_results.json'
+};
+
+/**
+ * Read dbt artifacts
+ * @param {string} source - Target directory, project directory, or artifact file
+ * @returns {Promise<{manifest: Object, catalog: Object|null, runResults: Object|null, dir: string, raw: string}>}
+ */
+async function readDbtArtifacts(source) {
+  const dir = await resolveArtifactDir(source);
+  const manifestPath = path.join(dir, ARTIFACTS.manifest);
+
+  if (!await fs.pathExists(manifestPath)) {
+    throw new Error(`dbt manifest.json not found in ${dir}`);
+  }
+
+  const raw = await fs.readFile(manifestPath, 'utf-8');
+  const manifest = JSON.parse(raw);
+  if (!isDbtArtifact(manifest, 'manifest')) {
+    throw new Error(`${manifestPath} is not a dbt manifest`);
+  }
+
+  return {
+    manifest,
+    catalog: await readOptional(path.join(dir, ARTIFACTS.catalog), 'catalog'),
+    runResults: await readOptional(path.join(dir, ARTIFACTS.runResults), 'run-results'),
+    dir,
+    raw
+  };
+}
+
+/**
+ * Check whether a parsed JSON document is a dbt artifact of the given kind
+ * @param {Object} doc - Parsed JSON
+ * @param {string} [kind] - manifest, catalog or run-results
+ * @returns {boolean}
+ */
+function isDbtArtifact(doc, kind) {
+  const version = doc?.metadata?.dbt_schema_version;
+  if (typeof version !== 'string') return false;
+  return !kind || version.includes(`/${kind}/`);
+}
+
+/**
+ * Resolve the directory holding the artifacts
+ * @private
+ */
+async function resolveArtifactDir(source) {
+  const stats = await fs.stat(source);
+
+  if (!stats.isDirectory()) {
+    return path.dirname(source);
+  }
+
+  if (!await fs.pathExists(path.join(source, ARTIFACTS.manifest)) &&
+      await fs.pathExists(path.join(source, 'target', ARTIFACTS.manifest))) {
+    return path.join(source, 'target');
+  }
+
+  return source;
+}
+
+/**
+ * Read an optional sibling artifact, ignoring anything that is not a dbt artifact
+ * @private
+ */
+async function readOptional(filePath, kind) {
+  if (!await fs.pathExists(filePath)) return null;
+
+  try {
+    const doc = await fs.readJson(filePath);
+    return isDbtArtifact(doc, kind) ? doc : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  readDbtArtifacts,
+  isDbtArtifact
+};
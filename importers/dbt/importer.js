@@ -0,0 +1,699 @@
+/*
+ * dbt Artifact Importer
+ * Converts dbt `manifest.json` / `catalog.json` artifacts to Data Protocol manifests
+ *
+ * Features:
+ * - One dataset manifest per model, snapshot, seed and source
+ * - Column types from catalog.json, descriptions and tags from manifest.json
+ * - `depends_on` mapped to `relationships.derives_from` URN edges (ephemeral models are skipped through)
+ * - Column-level lineage inferred by matching column names against upstream datasets
+ * - Generic and singular tests as quality signals (not_null, unique, accepted_values, relationships)
+ * - Test outcomes from run_results.json when present
+ * - `meta` owners and tags carried onto the catalog block
+ * - URNs share PostgresImporter's scheme (`urn:proto:data:<adapter>/<schema>.<relation>`)
+ */
+
+const crypto = require('crypto');
+const { readDbtArtifacts } = require('./artifact-reader');
+const { detectPIIByName } = require('../postgres/pii-detector');
+
+// dbt resource types that materialize (or describe) a warehouse relation
+const RESOURCE_TYPES = ['model', 'snapshot', 'seed', 'source'];
+
+// Warehouse column types → Data Protocol types
+const TYPE_MAP = {
+  'integer': 'integer',
+  'int': 'integer',
+  'int4': 'integer',
+  'int64': 'long',
+  'bigint': 'long',
+  'int8': 'long',
+  'smallint': 'short',
+  'numeric': 'decimal',
+  'decimal': 'decimal',
+  'number': 'decimal',
+  'real': 'float',
+  'float': 'float',
+  'float4': 'float',
+  'float64': 'double',
+  'float8': 'double',
+  'double precision': 'double',
+  'double': 'double',
+  'boolean': 'boolean',
+  'bool': 'boolean',
+  'character varying': 'string',
+  'varchar': 'string',
+  'character': 'string',
+  'char': 'string',
+  'text': 'string',
+  'string': 'string',
+  'json': 'json',
+  'jsonb': 'json',
+  'variant': 'json',
+  'object': 'json',
+  'uuid': 'uuid',
+  'timestamp': 'timestamp',
+  'timestamp without time zone': 'timestamp',
+  'timestamp with time zone': 'timestamp',
+  'timestamp_ntz': 'timestamp',
+  'timestamp_tz': 'timestamp',
+  'timestamp_ltz': 'timestamp',
+  'datetime': 'timestamp',
+  'date': 'date',
+  'time': 'time',
+  'time without time zone': 'time',
+  'bytea': 'bytes',
+  'bytes': 'bytes',
+  'binary': 'bytes',
+  'array': 'array'
+};
+
+/**
+ * dbt to Data Protocol Importer
+ */
+class DbtImporter {
+  constructor(options = {}) {
+    this.options = {
+      strictMode: false,           // If true, throw instead of returning an error manifest
+      generateURNs: true,          // Auto-generate dataset/column URNs
+      platform: null,              // URN platform (defaults to the manifest adapter_type)
+      detectPII: true,             // Name-based PII detection on columns
+      columnLineage: true,         // Infer column lineage by name
+      ...options
+    };
+  }
+
+  /**
+   * Import dbt artifacts to a Data Protocol catalog manifest
+   * @param {string} source - dbt target directory, project directory, or manifest.json path
+   * @returns {Promise<object>} Catalog manifest whose `datasets` are standalone Data Protocol manifests
+   */
+  async import(source) {
+    try {
+      const artifacts = await readDbtArtifacts(source);
+      const { manifest: dbtManifest } = artifacts;
+
+      const importedAt = new Date().toISOString();
+      const platform = this.options.platform || dbtManifest.metadata.adapter_type || 'dbt';
+      const context = this._buildContext(artifacts, platform);
+
+      const datasets = [...context.nodes.values()]
+        .filter(node => this._isRelation(node))
+        .sort((a, b) => a.unique_id.localeCompare(b.unique_id))
+        .map(node => this._processNode(node, context, importedAt));
+
+      if (datasets.length === 0) {
+        throw new Error('No models, seeds, snapshots or sources found in dbt manifest');
+      }
+
+      return this._generateCatalogManifest(datasets, artifacts, platform, importedAt);
+    } catch (error) {
+      if (this.options.strictMode) {
+        throw error;
+      }
+      return this._createErrorManifest(source, error);
+    }
+  }
+
+  /**
+   * Index nodes, catalog entries, tests and run results
+   * @private
+   */
+  _buildContext({ manifest, catalog, runResults }, platform) {
+    const nodes = new Map();
+    for (const node of [...Object.values(manifest.nodes || {}), ...Object.values(manifest.sources || {})]) {
+      if (node.config?.enabled === false) continue;
+      nodes.set(node.unique_id, node);
+    }
+
+    const catalogEntries = new Map(
+      [...Object.entries(catalog?.nodes || {}), ...Object.entries(catalog?.sources || {})]
+    );
+
+    const results = new Map(
+      (runResults?.results || []).map(result => [result.unique_id, result])
+    );
+
+    const context = {
+      nodes,
+      catalogEntries,
+      results,
+      platform,
+      dbtVersion: manifest.metadata?.dbt_version,
+      testsByNode: new Map()
+    };
+
+    for (const node of nodes.values()) {
+      if (node.resource_type !== 'test') continue;
+      const target = this._testTarget(node, context);
+      if (!target) continue;
+      if (!context.testsByNode.has(target)) context.testsByNode.set(target, []);
+      context.testsByNode.get(target).push(node);
+    }
+
+    return context;
+  }
+
+  /**
+   * Whether a node materializes a relation we emit a dataset for
+   * @private
+   */
+  _isRelation(node) {
+    return RESOURCE_TYPES.includes(node.resource_type) &&
+      node.config?.materialized !== 'ephemeral';
+  }
+
+  /**
+   * Convert a single dbt node into a Data Protocol manifest
+   * @private
+   */
+  _processNode(node, context, importedAt) {
+    const name = this._relationName(node);
+    const urn = this._generateURN(name, context.platform);
+    const catalogEntry = context.catalogEntries.get(node.unique_id);
+    const tests = (context.testsByNode.get(node.unique_id) || [])
+      .sort((a, b) => a.unique_id.localeCompare(b.unique_id));
+    const upstream = this._upstreamNodes(node, context);
+
+    const signals = this._testSignals(tests, context);
+    const fields = this._buildFields(node, catalogEntry, signals, context.platform);
+    const owners = this._extractOwners(node);
+    const tags = this._mergeTags(node.tags, node.config?.tags);
+
+    const manifest = {
+      dataset: {
+        name,
+        type: this._inferDatasetType(node, catalogEntry),
+        description: node.description || undefined,
+        lifecycle: { status: 'active' }
+      },
+      schema: {
+        primary_key: this._primaryKey(node, signals),
+        fields,
+        keys: this._buildKeys(signals)
+      },
+      lineage: this._buildLineage(upstream, fields, context),
+      quality: this._buildQuality(node, tests, catalogEntry, context),
+      catalog: {
+        owner: owners[0],
+        owners: owners.length > 1 ? owners : undefined,
+        tags: tags.length > 0 ? tags : undefined
+      },
+      relationships: {
+        derives_from: upstream.length > 0
+          ? upstream.map(up => this._generateURN(this._relationName(up), context.platform))
+          : undefined
+      },
+      metadata: {
+        urn: this.options.generateURNs ? urn : undefined,
+        kind: 'data',
+        status: 'draft',
+        source: {
+          type: 'dbt',
+          unique_id: node.unique_id,
+          resource_type: node.resource_type,
+          package: node.package_name,
+          path: node.original_file_path,
+          materialized: node.config?.materialized,
+          database: node.database || undefined
+        },
+        dbt_meta: this._nodeMeta(node)
+      },
+      provenance: {
+        importer: 'DbtImporter',
+        importer_version: '0.1.0',
+        imported_at: importedAt,
+        spec_version: `dbt-${context.dbtVersion || 'unknown'}`,
+        spec_hash: this._hashNode(node, catalogEntry),
+        source: node.unique_id,
+        source_type: 'dbt-artifact'
+      }
+    };
+
+    if (this.options.generateURNs) {
+      manifest.dataset.urn = urn;
+    }
+
+    this._cleanManifest(manifest);
+
+    return manifest;
+  }
+
+  /**
+   * Build field definitions from manifest columns and catalog types
+   * @private
+   */
+  _buildFields(node, catalogEntry, signals, platform) {
+    const declared = node.columns || {};
+    const declaredByLower = new Map(Object.keys(declared).map(col => [col.toLowerCase(), col]));
+
+    // Catalog order reflects the warehouse relation; declared-only columns follow
+    const catalogColumns = Object.values(catalogEntry?.columns || {})
+      .sort((a, b) => (a.index || 0) - (b.index || 0));
+    const names = catalogColumns.map(col => declaredByLower.get(col.name.toLowerCase()) || col.name);
+    for (const col of Object.keys(declared)) {
+      if (!names.includes(col)) names.push(col);
+    }
+
+    const catalogByLower = new Map(catalogColumns.map(col => [col.name.toLowerCase(), col]));
+    const fields = {};
+
+    for (const colName of names) {
+      const column = declared[colName] || {};
+      const rawType = catalogByLower.get(colName.toLowerCase())?.type || column.data_type;
+      const signal = signals.columns[colName] || {};
+
+      const field = {
+        type: this._mapType(rawType),
+        required: signal.not_null ? true : undefined,
+        description: column.description || undefined,
+        enum: signal.accepted_values,
+        tags: column.tags && column.tags.length > 0 ? column.tags : undefined
+      };
+
+      const meta = column.meta || {};
+      if (meta.contains_pii === true || meta.pii === true) {
+        field.pii = true;
+      } else if (this.options.detectPII && meta.contains_pii !== false && meta.pii !== false) {
+        const detection = detectPIIByName(colName, rawType);
+        if (detection.detected) {
+          field.pii = true;
+          field.pii_type = detection.type;
+          if (detection.confidence < 1.0) {
+            field.pii_confidence = detection.confidence;
+          }
+        }
+      }
+
+      if (this.options.generateURNs) {
+        field.urn = this._generateURN(`${this._relationName(node)}.${colName}`, platform);
+      }
+
+      fields[colName] = field;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Collect per-column constraints implied by generic tests
+   * @private
+   */
+  _testSignals(tests, context) {
+    const signals = { columns: {}, foreignKeys: [] };
+    const column = name => {
+      if (!signals.columns[name]) signals.columns[name] = {};
+      return signals.columns[name];
+    };
+
+    for (const test of tests) {
+      const testName = test.test_metadata?.name;
+      const kwargs = test.test_metadata?.kwargs || {};
+      const columnName = test.column_name || kwargs.column_name;
+      if (!testName || !columnName) continue;
+
+      switch (testName) {
+        case 'not_null':
+          column(columnName).not_null = true;
+          break;
+        case 'unique':
+          column(columnName).unique = true;
+          break;
+        case 'accepted_values':
+          if (Array.isArray(kwargs.values)) {
+            column(columnName).accepted_values = kwargs.values;
+          }
+          break;
+        case 'relationships': {
+          const target = this._resolveReference(kwargs.to, test.depends_on?.nodes || [], context);
+          if (target && kwargs.field) {
+            signals.foreignKeys.push({
+              field: columnName,
+              ref: `${this._relationName(target)}.${kwargs.field}`
+            });
+          }
+          break;
+        }
+        default:
+          break;
+      }
+    }
+
+    return signals;
+  }
+
+  /**
+   * Primary key from declared constraints, else a lone unique + not_null column
+   * @private
+   */
+  _primaryKey(node, signals) {
+    const modelLevel = (node.constraints || []).find(c => c.type === 'primary_key');
+    if (modelLevel?.columns?.length > 0) return modelLevel.columns;
+
+    const declared = Object.values(node.columns || {})
+      .filter(col => (col.constraints || []).some(c => c.type === 'primary_key'))
+      .map(col => col.name);
+    if (declared.length > 0) return declared;
+
+    const tested = Object.entries(signals.columns)
+      .filter(([, signal]) => signal.unique && signal.not_null)
+      .map(([name]) => name);
+    return tested.length === 1 ? tested : undefined;
+  }
+
+  /**
+   * Build keys metadata from unique and relationships tests
+   * @private
+   */
+  _buildKeys(signals) {
+    const keys = {};
+
+    const unique = Object.entries(signals.columns)
+      .filter(([, signal]) => signal.unique)
+      .map(([name]) => name);
+    if (unique.length > 0) {
+      keys.unique = unique;
+    }
+
+    if (signals.foreignKeys.length > 0) {
+      keys.foreign_keys = signals.foreignKeys;
+    }
+
+    return Object.keys(keys).length > 0 ? keys : undefined;
+  }
+
+  /**
+   * Build dataset and column lineage from upstream nodes
+   * @private
+   */
+  _buildLineage(upstream, fields, context) {
+    if (upstream.length === 0) return undefined;
+
+    const lineage = {
+      sources: upstream.map(up => ({
+        type: up.resource_type,
+        id: this._relationName(up)
+      }))
+    };
+
+    if (this.options.columnLineage) {
+      const columns = {};
+      for (const colName of Object.keys(fields)) {
+        const matches = upstream
+          .filter(up => this._columnNames(up, context).includes(colName.toLowerCase()))
+          .map(up => this._generateURN(`${this._relationName(up)}.${colName}`, context.platform));
+        if (matches.length > 0) {
+          columns[colName] = matches;
+        }
+      }
+      if (Object.keys(columns).length > 0) {
+        lineage.columns = columns;
+      }
+    }
+
+    return lineage;
+  }
+
+  /**
+   * Build quality block from tests, run results and catalog stats
+   * @private
+   */
+  _buildQuality(node, tests, catalogEntry, context) {
+    const quality = {};
+
+    const rows = catalogEntry?.stats?.num_rows?.value;
+    if (typeof rows === 'number') {
+      quality.row_count_estimate = rows;
+    }
+
+    if (node.freshness && (node.freshness.warn_after?.count || node.freshness.error_after?.count)) {
+      quality.freshness = {
+        loaded_at_field: node.loaded_at_field || undefined,
+        warn_after: node.freshness.warn_after?.count ? node.freshness.warn_after : undefined,
+        error_after: node.freshness.error_after?.count ? node.freshness.error_after : undefined
+      };
+    }
+
+    if (tests.length > 0) {
+      quality.tests = tests.map(test => {
+        const result = context.results.get(test.unique_id);
+        return {
+          name: test.name,
+          type: test.test_metadata?.name || 'singular',
+          column: test.column_name || test.test_metadata?.kwargs?.column_name || undefined,
+          severity: (test.config?.severity || 'error').toLowerCase(),
+          status: result?.status,
+          failures: result && typeof result.failures === 'number' ? result.failures : undefined,
+          unique_id: test.unique_id
+        };
+      });
+    }
+
+    return Object.keys(quality).length > 0 ? quality : undefined;
+  }
+
+  /**
+   * Resolve upstream datasets, walking through ephemeral models
+   * @private
+   */
+  _upstreamNodes(node, context, seen = new Set()) {
+    const upstream = [];
+
+    for (const id of node.depends_on?.nodes || []) {
+      if (seen.has(id)) continue;
+      seen.add(id);
+
+      const parent = context.nodes.get(id);
+      if (!parent) continue;
+
+      if (parent.resource_type === 'model' && parent.config?.materialized === 'ephemeral') {
+        upstream.push(...this._upstreamNodes(parent, context, seen));
+      } else if (this._isRelation(parent)) {
+        upstream.push(parent);
+      }
+    }
+
+    return upstream;
+  }
+
+  /**
+   * Work out which node a test is attached to
+   * @private
+   */
+  _testTarget(test, context) {
+    if (test.attached_node) return test.attached_node;
+
+    const deps = test.depends_on?.nodes || [];
+    const model = this._resolveReference(test.test_metadata?.kwargs?.model, deps, context);
+    if (model) return model.unique_id;
+
+    return deps.length === 1 ? deps[0] : null;
+  }
+
+  /**
+   * Resolve a `ref('x')` / `source('a', 'b')` expression against candidate node ids
+   * @private
+   */
+  _resolveReference(expression, candidates, context) {
+    if (typeof expression !== 'string') return null;
+
+    const source = expression.match(/source\(\s*['"]([^'"]+)['"]\s*,\s*['"]([^'"]+)['"]\s*\)/);
+    const ref = expression.match(/ref\(\s*['"]([^'"]+)['"](?:\s*,\s*['"]([^'"]+)['"])?/);
+
+    for (const id of candidates) {
+      const node = context.nodes.get(id);
+      if (!node) continue;
+      if (source && node.resource_type === 'source' &&
+          node.source_name === source[1] && node.name === source[2]) {
+        return node;
+      }
+      if (ref && node.resource_type !== 'source' && node.name === (ref[2] || ref[1])) {
+        return node;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Lowercased column names known for a node (catalog and declared)
+   * @private
+   */
+  _columnNames(node, context) {
+    const catalogColumns = Object.values(context.catalogEntries.get(node.unique_id)?.columns || {})
+      .map(col => col.name);
+    return [...catalogColumns, ...Object.keys(node.columns || {})].map(name => name.toLowerCase());
+  }
+
+  /**
+   * Infer Data Protocol dataset type
+   * @private
+   */
+  _inferDatasetType(node, catalogEntry) {
+    if (node.resource_type === 'seed') return 'file';
+    if (node.config?.materialized === 'view' || catalogEntry?.metadata?.type === 'VIEW') return 'view';
+
+    const name = node.name.toLowerCase();
+    if (name.startsWith('fct_') || name.startsWith('fact_')) return 'fact-table';
+    if (name.startsWith('dim_')) return 'dimension';
+
+    return 'unknown';
+  }
+
+  /**
+   * Owners from `meta.owner` / `meta.owners` (node or config level)
+   * @private
+   */
+  _extractOwners(node) {
+    const meta = this._nodeMeta(node) || {};
+    const owners = [meta.owner, meta.owners]
+      .flat()
+      .filter(owner => typeof owner === 'string' && owner.trim() !== '');
+    return [...new Set(owners)];
+  }
+
+  /**
+   * Merged node and config meta
+   * @private
+   */
+  _nodeMeta(node) {
+    const meta = { ...(node.source_meta || {}), ...(node.config?.meta || {}), ...(node.meta || {}) };
+    return Object.keys(meta).length > 0 ? meta : undefined;
+  }
+
+  /**
+   * @private
+   */
+  _mergeTags(...lists) {
+    return [...new Set(lists.flat().filter(Boolean))];
+  }
+
+  /**
+   * `<schema>.<relation>` name matching PostgresImporter dataset names
+   * @private
+   */
+  _relationName(node) {
+    const relation = node.resource_type === 'source'
+      ? node.identifier || node.name
+      : node.alias || node.name;
+    return `${node.schema}.${relation}`;
+  }
+
+  /**
+   * Generate URN in PostgresImporter's scheme
+   * @private
+   */
+  _generateURN(name, platform) {
+    return `urn:proto:data:${platform}/${name}`;
+  }
+
+  /**
+   * Map warehouse column types to Data Protocol types
+   * @private
+   */
+  _mapType(rawType) {
+    if (!rawType) return 'unknown';
+
+    const normalized = rawType.toLowerCase().replace(/\(.*\)/, '').trim();
+    if (normalized.endsWith('[]') || normalized.startsWith('array')) return 'array';
+
+    return TYPE_MAP[normalized] || normalized;
+  }
+
+  /**
+   * Hash the parts of a node that describe its contract (ignores run timestamps)
+   * @private
+   */
+  _hashNode(node, catalogEntry) {
+    const contract = {
+      unique_id: node.unique_id,
+      relation: this._relationName(node),
+      materialized: node.config?.materialized,
+      checksum: node.checksum?.checksum,
+      columns: node.columns,
+      depends_on: node.depends_on?.nodes,
+      catalog_columns: catalogEntry?.columns
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(contract)).digest('hex');
+  }
+
+  /**
+   * Generate project-level catalog manifest
+   * @private
+   */
+  _generateCatalogManifest(datasets, { manifest, catalog, runResults, dir, raw }, platform, importedAt) {
+    const meta = manifest.metadata;
+
+    return {
+      catalog: {
+        name: meta.project_name || 'dbt-project',
+        type: 'dbt-project',
+        platform
+      },
+      datasets,
+      metadata: {
+        status: 'draft',
+        source: {
+          type: 'dbt',
+          project: meta.project_name,
+          dbt_version: meta.dbt_version,
+          adapter: meta.adapter_type,
+          artifacts: dir,
+          catalog: Boolean(catalog),
+          run_results: Boolean(runResults),
+          imported_at: importedAt
+        }
+      },
+      provenance: {
+        importer: 'DbtImporter',
+        importer_version: '0.1.0',
+        imported_at: importedAt,
+        spec_version: meta.dbt_schema_version,
+        spec_hash: crypto.createHash('sha256').update(raw).digest('hex'),
+        source: dir,
+        source_type: 'dbt-artifacts'
+      }
+    };
+  }
+
+  /**
+   * Remove undefined and empty fields from manifest
+   * @private
+   */
+  _cleanManifest(manifest) {
+    Object.keys(manifest).forEach(key => {
+      if (manifest[key] === undefined) {
+        delete manifest[key];
+      } else if (typeof manifest[key] === 'object' && manifest[key] !== null) {
+        this._cleanManifest(manifest[key]);
+        if (Object.keys(manifest[key]).length === 0) {
+          delete manifest[key];
+        }
+      }
+    });
+  }
+
+  /**
+   * Create error manifest for failed imports
+   * @private
+   */
+  _createErrorManifest(source, error) {
+    return {
+      catalog: {
+        name: 'import-failed',
+        type: 'dbt-project'
+      },
+      datasets: [],
+      metadata: {
+        status: 'error',
+        error: {
+          message: error.message,
+          source: typeof source === 'string' ? source : undefined,
+          timestamp: new Date().toISOString()
+        }
+      }
+    };
+  }
+}
+
+module.exports = { DbtImporter };
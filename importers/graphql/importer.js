@@ -0,0 +1,531 @@
+/*
+ * GraphQL Importer
+ * Converts GraphQL SDL or introspection results to API Protocol manifests
+ *
+ * Features:
+ * - SDL files/strings and introspection JSON (with or without `data` wrapper)
+ * - Query/Mutation/Subscription fields mapped to interface.endpoints
+ * - Input/object/enum/union types mapped to validation.schemas (JSON Schema)
+ * - @deprecated mapped to lifecycle metadata
+ * - Relay connection arguments (first/after, last/before) → cursor pagination
+ * - Subscriptions emitted as Event Protocol manifests linked to the API URN
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  parse,
+  buildASTSchema,
+  buildClientSchema,
+  printSchema,
+  isNonNullType
+} = require('graphql');
+const {
+  typeToSchema,
+  typeSignature,
+  namedType,
+  namedTypeToSchema
+} = require('./schema-converter');
+
+const ROOT_OPERATIONS = [
+  { type: 'query', method: 'QUERY', getter: 'getQueryType' },
+  { type: 'mutation', method: 'MUTATION', getter: 'getMutationType' },
+  { type: 'subscription', method: 'SUBSCRIPTION', getter: 'getSubscriptionType' }
+];
+
+/**
+ * Relay connection argument pairs (cursor argument, size argument)
+ */
+const RELAY_ARGUMENT_PAIRS = [
+  { cursor: 'after', limit: 'first' },
+  { cursor: 'before', limit: 'last' }
+];
+
+/**
+ * GraphQL to API Protocol Importer
+ */
+class GraphQLImporter {
+  constructor(options = {}) {
+    this.options = {
+      strictMode: false,           // If true, fail on invalid schemas
+      generateURNs: true,          // Auto-generate service/endpoint URNs
+      inferPatterns: true,         // Enable pagination detection
+      emitEvents: true,            // Emit Event manifests for subscriptions
+      serviceName: null,           // Override service name (defaults to file name)
+      serviceVersion: null,        // Override service version
+      ...options
+    };
+  }
+
+  /**
+   * Import GraphQL schema to API Protocol manifest
+   * @param {string|object} source - SDL file path, introspection JSON path, SDL string, or introspection object
+   * @returns {Promise<object>} API Protocol manifest (draft status)
+   */
+  async import(source) {
+    const result = await this.importWithEvents(source);
+    return result.manifest;
+  }
+
+  /**
+   * Import GraphQL schema to an API manifest plus subscription Event manifests
+   * @param {string|object} source - SDL file path, introspection JSON path, SDL string, or introspection object
+   * @returns {Promise<{manifest: object, events: Array<object>}>}
+   */
+  async importWithEvents(source) {
+    try {
+      const { schema, format, reference } = await this._loadSchema(source);
+
+      const importedAt = new Date().toISOString();
+      const sdl = printSchema(schema);
+      const specHash = crypto.createHash('sha256').update(sdl).digest('hex');
+
+      const manifest = this._convertToManifest(schema, reference);
+
+      const events = this.options.emitEvents
+        ? this._extractSubscriptionEvents(schema, manifest, specHash, importedAt)
+        : [];
+
+      if (events.length > 0) {
+        manifest.relationships = {
+          ...(manifest.relationships || {}),
+          produces: events.map(event => event.urn)
+        };
+      }
+
+      manifest.metadata = { ...(manifest.metadata || {}) };
+      manifest.metadata.status = 'draft';
+      // The service URN identifies the manifest in the protocol graph
+      if (manifest.service?.urn) {
+        manifest.metadata.urn = manifest.service.urn;
+      }
+      manifest.metadata.source = {
+        type: 'graphql',
+        format,
+        imported_at: importedAt,
+        input_type: typeof source === 'string' ? (reference ? 'file' : 'string') : 'object',
+        ...(reference && { reference })
+      };
+
+      manifest.provenance = {
+        importer: 'GraphQLImporter',
+        importer_version: '0.1.0',
+        imported_at: importedAt,
+        spec_version: `graphql-${format}`,
+        spec_hash: specHash,
+        source: reference,
+        source_type: typeof source
+      };
+
+      return { manifest, events };
+    } catch (error) {
+      if (this.options.strictMode) {
+        throw error;
+      }
+      return { manifest: this._createErrorManifest(source, error), events: [] };
+    }
+  }
+
+  /**
+   * Load a GraphQLSchema from the supported source forms
+   * @private
+   */
+  async _loadSchema(source) {
+    let content = source;
+    let reference = null;
+
+    if (typeof source === 'string' && this._looksLikePath(source)) {
+      reference = source;
+      content = await fs.readFile(source, 'utf-8');
+      if (/\.json$/i.test(source)) {
+        content = JSON.parse(content);
+      }
+    } else if (typeof source === 'string' && source.trim().startsWith('{')) {
+      content = JSON.parse(source);
+    }
+
+    if (content && typeof content === 'object') {
+      const introspection = content.data?.__schema ? content.data : content;
+      if (!introspection.__schema) {
+        throw new Error('Invalid GraphQL introspection result: missing __schema');
+      }
+      return { schema: buildClientSchema(introspection), format: 'introspection', reference };
+    }
+
+    if (typeof content !== 'string' || content.trim().length === 0) {
+      throw new Error('GraphQL source must be SDL text, an introspection result, or a file path');
+    }
+
+    try {
+      // assumeValidSDL tolerates gateway directives (@key, @auth, ...) that are not declared
+      const schema = buildASTSchema(parse(content), { assumeValidSDL: true });
+      return { schema, format: 'sdl', reference };
+    } catch (error) {
+      throw new Error(`Failed to parse GraphQL SDL: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert GraphQL schema to API Protocol manifest
+   * @private
+   */
+  _convertToManifest(schema, reference) {
+    const service = this._extractService(schema, reference);
+    const endpoints = this._extractEndpoints(schema, service);
+
+    const manifest = {
+      service,
+      interface: { endpoints },
+      validation: this._extractValidation(schema),
+      metadata: this._extractMetadata(endpoints)
+    };
+
+    Object.keys(manifest).forEach(key => {
+      if (!manifest[key] || (typeof manifest[key] === 'object' && Object.keys(manifest[key]).length === 0)) {
+        delete manifest[key];
+      }
+    });
+
+    return manifest;
+  }
+
+  /**
+   * Extract service identity
+   * @private
+   */
+  _extractService(schema, reference) {
+    const fileName = reference ? path.basename(reference).replace(/\.(graphqls?|gql|json)$/i, '') : null;
+    const service = {
+      name: this.options.serviceName || fileName || 'graphql-api',
+      version: this.options.serviceVersion || '0.0.0'
+    };
+
+    if (this.options.generateURNs) {
+      service.urn = this._generateServiceURN(service);
+    }
+
+    if (schema.description) {
+      service.description = schema.description;
+    }
+
+    return service;
+  }
+
+  /**
+   * Map root operation fields to endpoints
+   * @private
+   */
+  _extractEndpoints(schema, service) {
+    const endpoints = [];
+
+    for (const root of ROOT_OPERATIONS) {
+      const rootType = schema[root.getter]();
+      if (!rootType) continue;
+
+      for (const field of Object.values(rootType.getFields())) {
+        const endpoint = {
+          method: root.method,
+          path: `${rootType.name}.${field.name}`,
+          operationId: field.name,
+          ...(field.description && { description: field.description }),
+          graphql: {
+            operation: root.type,
+            field: field.name,
+            return_type: typeSignature(field.type)
+          }
+        };
+
+        if (this.options.generateURNs) {
+          endpoint.urn = this._generateEndpointURN(service, root.type, field.name);
+        }
+
+        const params = field.args.map(arg => ({
+          name: arg.name,
+          in: 'argument',
+          required: isNonNullType(arg.type) && arg.defaultValue === undefined,
+          ...(arg.description && { description: arg.description }),
+          schema: {
+            ...typeToSchema(arg.type),
+            ...(arg.defaultValue !== undefined && { default: arg.defaultValue })
+          }
+        }));
+        if (params.length > 0) endpoint.params = params;
+
+        const returnType = namedType(field.type);
+        endpoint.responses = [{
+          status: 200,
+          schema: typeToSchema(field.type),
+          ...(returnType.description && { description: returnType.description })
+        }];
+
+        if (this.options.inferPatterns) {
+          const pagination = this._detectRelayPagination(field);
+          if (pagination.detected) {
+            endpoint.pagination = {
+              style: 'cursor',
+              params: pagination.params,
+              ...(pagination.confidence < 1.0 && { _confidence: pagination.confidence })
+            };
+          }
+        }
+
+        if (field.deprecationReason !== undefined && field.deprecationReason !== null) {
+          endpoint.lifecycle = {
+            status: 'deprecated',
+            reason: field.deprecationReason
+          };
+        }
+
+        endpoints.push(endpoint);
+      }
+    }
+
+    return endpoints;
+  }
+
+  /**
+   * Detect Relay-style cursor pagination from arguments and return type
+   * @private
+   */
+  _detectRelayPagination(field) {
+    const argNames = new Set(field.args.map(arg => arg.name));
+    const pairs = RELAY_ARGUMENT_PAIRS.filter(pair => argNames.has(pair.cursor) && argNames.has(pair.limit));
+
+    if (pairs.length === 0) {
+      return { detected: false, confidence: 0.0 };
+    }
+
+    // Arguments alone are a strong signal; a *Connection return type confirms it
+    const returnType = namedType(field.type);
+    const isConnection = /Connection$/.test(returnType.name) ||
+      Boolean(returnType.getFields?.().pageInfo && returnType.getFields?.().edges);
+
+    const params = { cursor: pairs[0].cursor, limit: pairs[0].limit };
+    if (pairs.length > 1) {
+      params.backward_cursor = pairs[1].cursor;
+      params.backward_limit = pairs[1].limit;
+    }
+
+    return {
+      detected: true,
+      params,
+      confidence: isConnection ? 1.0 : 0.85
+    };
+  }
+
+  /**
+   * Map named types to JSON Schema definitions
+   * @private
+   */
+  _extractValidation(schema) {
+    const rootNames = new Set(
+      ROOT_OPERATIONS.map(root => schema[root.getter]()?.name).filter(Boolean)
+    );
+    const schemas = {};
+
+    for (const type of Object.values(schema.getTypeMap())) {
+      if (rootNames.has(type.name)) continue;
+      const converted = namedTypeToSchema(type);
+      if (converted) {
+        schemas[type.name] = converted;
+      }
+    }
+
+    return Object.keys(schemas).length > 0 ? { schemas } : undefined;
+  }
+
+  /**
+   * Collect manifest-level metadata (deprecations)
+   * @private
+   */
+  _extractMetadata(endpoints) {
+    const deprecated = endpoints.filter(endpoint => endpoint.lifecycle?.status === 'deprecated');
+    if (deprecated.length === 0) return undefined;
+
+    return {
+      deprecations: deprecated.map(endpoint => ({
+        element: endpoint.path,
+        reason: endpoint.lifecycle.reason,
+        ...(endpoint.urn && { urn: endpoint.urn })
+      }))
+    };
+  }
+
+  /**
+   * Build Event Protocol manifests for subscription fields
+   * @private
+   */
+  _extractSubscriptionEvents(schema, manifest, specHash, importedAt) {
+    const subscriptionType = schema.getSubscriptionType();
+    if (!subscriptionType) return [];
+
+    const service = manifest.service;
+    const domain = this._slugify(service.name);
+    const schemas = manifest.validation?.schemas || {};
+    const endpoints = manifest.interface?.endpoints || [];
+
+    return Object.values(subscriptionType.getFields()).map(field => {
+      const { entity, action } = this._parseSubscriptionSemantics(field.name);
+      const endpoint = endpoints.find(ep => ep.path === `${subscriptionType.name}.${field.name}`);
+      const returnType = namedType(field.type);
+      const deprecated = field.deprecationReason !== undefined && field.deprecationReason !== null;
+      // Graph form, so the API's `produces` links resolve to event nodes
+      const urn = `urn:proto:event:${domain}/${entity}.${action}`;
+
+      return {
+        protocol: 'event-protocol/v1',
+        urn,
+        event: {
+          name: `${subscriptionType.name}.${field.name}`,
+          version: service.version,
+          lifecycle: deprecated
+            ? { status: 'deprecated', reason: field.deprecationReason }
+            : { status: 'active' }
+        },
+        semantics: {
+          purpose: field.description || `GraphQL subscription: ${field.name}`,
+          category: 'event'
+        },
+        schema: {
+          format: 'json-schema',
+          payload: schemas[returnType.name] ? { ...schemas[returnType.name] } : typeToSchema(field.type),
+          fields: [],
+          compatibility: { policy: 'backward' }
+        },
+        delivery: {
+          contract: {
+            transport: 'graphql-ws',
+            metadata: {
+              operation: 'subscription',
+              field: field.name,
+              ...(endpoint?.params && { arguments: endpoint.params.map(p => p.name) })
+            }
+          }
+        },
+        governance: {
+          policy: {
+            classification: 'internal'
+          }
+        },
+        metadata: {
+          urn,
+          kind: 'event',
+          status: 'draft',
+          source_type: 'graphql',
+          source_title: service.name,
+          source_hash: specHash.substring(0, 16),
+          imported_at: importedAt,
+          importer_version: '0.1.0',
+          api_urn: service.urn,
+          ...(endpoint?.urn && { endpoint_urn: endpoint.urn })
+        }
+      };
+    });
+  }
+
+  /**
+   * Derive entity/action from a subscription field name (e.g. onOrderCreated → order, created)
+   * @private
+   */
+  _parseSubscriptionSemantics(fieldName) {
+    const words = fieldName
+      .replace(/^on(?=[A-Z])/, '')
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .split(/[\s_-]+/)
+      .map(word => word.toLowerCase())
+      .filter(Boolean);
+
+    if (words.length <= 1) {
+      return { entity: words[0] || 'unknown', action: 'event' };
+    }
+
+    return {
+      entity: words.slice(0, -1).join('-'),
+      action: words[words.length - 1]
+    };
+  }
+
+  /**
+   * Generate a stable URN for the service
+   * @private
+   */
+  _generateServiceURN(service) {
+    const serviceSlug = this._slugify(service?.name || 'api');
+    const version = this._normalizeVersionForUrn(service?.version);
+
+    const baseUrn = `urn:proto:api:${serviceSlug}/service`;
+    return version ? `${baseUrn}@${version}` : baseUrn;
+  }
+
+  /**
+   * Generate a stable URN for an operation field
+   * @private
+   */
+  _generateEndpointURN(service, operationType, fieldName) {
+    const serviceSlug = this._slugify(service?.name || 'api');
+    const version = this._normalizeVersionForUrn(service?.version);
+    const opSlug = this._slugify(`${operationType}-${fieldName}`);
+
+    const baseUrn = `urn:proto:api.endpoint:${serviceSlug}/op/${opSlug}`;
+    return version ? `${baseUrn}@${version}` : baseUrn;
+  }
+
+  /**
+   * Normalize version string for URN usage (semver only)
+   * @private
+   */
+  _normalizeVersionForUrn(version) {
+    if (!version || typeof version !== 'string') {
+      return null;
+    }
+
+    const normalized = version.trim().replace(/^v/i, '');
+    return /^\d+\.\d+\.\d+$/.test(normalized) ? normalized : null;
+  }
+
+  /**
+   * Slugify string for URN generation
+   * @private
+   */
+  _slugify(str) {
+    return str
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Heuristic: a single-line string ending in a schema extension is a path
+   * @private
+   */
+  _looksLikePath(value) {
+    return !/\n/.test(value) && /\.(graphqls?|gql|json)$/i.test(value.trim());
+  }
+
+  /**
+   * Create error manifest for failed imports
+   * @private
+   */
+  _createErrorManifest(source, error) {
+    return {
+      service: {
+        name: 'import-failed',
+        version: '0.0.0'
+      },
+      interface: {
+        endpoints: []
+      },
+      metadata: {
+        status: 'error',
+        error: {
+          message: error.message,
+          source: typeof source === 'string' && this._looksLikePath(source) ? source : null,
+          timestamp: new Date().toISOString()
+        }
+      }
+    };
+  }
+}
+
+module.exports = { GraphQLImporter };
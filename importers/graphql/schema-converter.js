@@ -0,0 +1,200 @@
+/*
+ * GraphQL Type → JSON Schema Conversion
+ *
+ * Converts graphql-js type objects into JSON Schema fragments so GraphQL
+ * types can live alongside OpenAPI schemas in `validation.schemas`.
+ *
+ * Named types are referenced with `$ref: '#/validation/schemas/<Name>'`
+ * (GraphQL types are frequently recursive, so they are never inlined).
+ */
+
+const {
+  isNonNullType,
+  isListType,
+  isScalarType,
+  isEnumType,
+  isObjectType,
+  isInputObjectType,
+  isInterfaceType,
+  isUnionType,
+  isSpecifiedScalarType,
+  isIntrospectionType
+} = require('graphql');
+
+const SCHEMA_REF_PREFIX = '#/validation/schemas/';
+
+/**
+ * Built-in scalars → JSON Schema
+ */
+const BUILTIN_SCALARS = {
+  String: { type: 'string' },
+  ID: { type: 'string', format: 'id' },
+  Int: { type: 'integer' },
+  Float: { type: 'number' },
+  Boolean: { type: 'boolean' }
+};
+
+/**
+ * Well-known custom scalar names → JSON Schema formats
+ */
+const CUSTOM_SCALAR_FORMATS = {
+  datetime: 'date-time',
+  date: 'date',
+  time: 'time',
+  email: 'email',
+  emailaddress: 'email',
+  url: 'uri',
+  uri: 'uri',
+  uuid: 'uuid',
+  json: null,
+  jsonobject: null
+};
+
+/**
+ * Convert a (possibly wrapped) GraphQL output/input type to JSON Schema
+ * @param {object} type - graphql-js type
+ * @returns {object} JSON Schema fragment
+ */
+function typeToSchema(type) {
+  if (isNonNullType(type)) {
+    return typeToSchema(type.ofType);
+  }
+
+  if (isListType(type)) {
+    return { type: 'array', items: typeToSchema(type.ofType) };
+  }
+
+  if (isScalarType(type) && BUILTIN_SCALARS[type.name]) {
+    return { ...BUILTIN_SCALARS[type.name] };
+  }
+
+  return { $ref: `${SCHEMA_REF_PREFIX}${type.name}` };
+}
+
+/**
+ * Render a type the way it is written in SDL (e.g. `[Order!]!`)
+ * @param {object} type - graphql-js type
+ * @returns {string}
+ */
+function typeSignature(type) {
+  return String(type);
+}
+
+/**
+ * Unwrap NonNull/List wrappers to the named type
+ * @param {object} type - graphql-js type
+ * @returns {object} Named type
+ */
+function namedType(type) {
+  let current = type;
+  while (isNonNullType(current) || isListType(current)) {
+    current = current.ofType;
+  }
+  return current;
+}
+
+/**
+ * Convert object / interface / input field maps to JSON Schema properties
+ * @private
+ */
+function fieldsToSchema(fields) {
+  const properties = {};
+  const required = [];
+
+  for (const field of Object.values(fields)) {
+    const property = typeToSchema(field.type);
+
+    if (field.description) {
+      property.description = field.description;
+    }
+
+    if (field.deprecationReason !== undefined && field.deprecationReason !== null) {
+      property.deprecated = true;
+      property['x-deprecation-reason'] = field.deprecationReason;
+    }
+
+    if (field.defaultValue !== undefined) {
+      property.default = field.defaultValue;
+    }
+
+    properties[field.name] = property;
+
+    if (isNonNullType(field.type) && field.defaultValue === undefined) {
+      required.push(field.name);
+    }
+  }
+
+  return { properties, required };
+}
+
+/**
+ * Convert a named GraphQL type definition to a JSON Schema definition
+ * @param {object} type - graphql-js named type
+ * @returns {object|null} JSON Schema, or null for built-in/introspection types
+ */
+function namedTypeToSchema(type) {
+  if (isIntrospectionType(type) || isSpecifiedScalarType(type)) {
+    return null;
+  }
+
+  let schema;
+
+  if (isObjectType(type) || isInterfaceType(type) || isInputObjectType(type)) {
+    const { properties, required } = fieldsToSchema(type.getFields());
+    schema = {
+      type: 'object',
+      properties,
+      ...(required.length > 0 && { required }),
+      'x-graphql-kind': isInputObjectType(type) ? 'input' : (isInterfaceType(type) ? 'interface' : 'object')
+    };
+
+    if (!isInputObjectType(type)) {
+      const interfaces = type.getInterfaces();
+      if (interfaces.length > 0) {
+        schema.allOf = interfaces.map(iface => ({ $ref: `${SCHEMA_REF_PREFIX}${iface.name}` }));
+      }
+    }
+  } else if (isEnumType(type)) {
+    const values = type.getValues();
+    schema = {
+      type: 'string',
+      enum: values.map(v => v.name),
+      'x-graphql-kind': 'enum'
+    };
+
+    const deprecatedValues = values.filter(v => v.deprecationReason !== undefined && v.deprecationReason !== null);
+    if (deprecatedValues.length > 0) {
+      schema['x-deprecated-values'] = Object.fromEntries(
+        deprecatedValues.map(v => [v.name, v.deprecationReason])
+      );
+    }
+  } else if (isUnionType(type)) {
+    schema = {
+      oneOf: type.getTypes().map(member => ({ $ref: `${SCHEMA_REF_PREFIX}${member.name}` })),
+      'x-graphql-kind': 'union'
+    };
+  } else if (isScalarType(type)) {
+    const format = CUSTOM_SCALAR_FORMATS[type.name.toLowerCase()];
+    schema = {
+      ...(format !== null && { type: 'string' }),
+      ...(format && { format }),
+      'x-graphql-kind': 'scalar'
+    };
+  } else {
+    return null;
+  }
+
+  if (type.description) {
+    schema.description = type.description;
+  }
+
+  return schema;
+}
+
+module.exports = {
+  typeToSchema,
+  typeSignature,
+  namedType,
+  namedTypeToSchema,
+  SCHEMA_REF_PREFIX
+};
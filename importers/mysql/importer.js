@@ -0,0 +1,288 @@
+/*
+ * MySQL / MariaDB Database Importer
+ * Converts MySQL-compatible schemas to Data Protocol manifests
+ *
+ * Features:
+ * - Read-only session with connect and statement timeouts
+ * - information_schema introspection (tables, PK/FK/unique, indexes)
+ * - Multi-signal PII detection shared with the Postgres importer
+ * - Same draft manifest shape and URN scheme as PostgresImporter
+ */
+
+const { PostgresImporter } = require('../postgres/importer');
+const { MySQLSchemaIntrospector } = require('./schema-introspect');
+const { batchDetectPII } = require('../postgres/pii-detector');
+
+/**
+ * MySQL type → Data Protocol type
+ */
+const MYSQL_TYPE_MAP = {
+  'tinyint': 'short',
+  'smallint': 'short',
+  'mediumint': 'integer',
+  'int': 'integer',
+  'integer': 'integer',
+  'bigint': 'long',
+  'decimal': 'decimal',
+  'numeric': 'decimal',
+  'float': 'float',
+  'double': 'double',
+  'real': 'double',
+  'bit': 'boolean',
+  'boolean': 'boolean',
+  'char': 'string',
+  'varchar': 'string',
+  'tinytext': 'string',
+  'text': 'string',
+  'mediumtext': 'string',
+  'longtext': 'string',
+  'enum': 'string',
+  'set': 'string',
+  'json': 'json',
+  'date': 'date',
+  'time': 'time',
+  'year': 'integer',
+  'datetime': 'timestamp',
+  'timestamp': 'timestamp',
+  'binary': 'bytes',
+  'varbinary': 'bytes',
+  'tinyblob': 'bytes',
+  'blob': 'bytes',
+  'mediumblob': 'bytes',
+  'longblob': 'bytes'
+};
+
+/**
+ * MySQL to Data Protocol Importer
+ *
+ * Reuses PostgresImporter's key, lineage, quality, and cleanup helpers so both
+ * importers emit identical manifest structures.
+ */
+class MySQLImporter extends PostgresImporter {
+  constructor(options = {}) {
+    super({
+      includePerformance: false,   // No pg_stats equivalent in information_schema
+      ...options
+    });
+  }
+
+  /**
+   * Import MySQL database schema to Data Protocol manifest
+   * @param {string} connectionString - mysql:// connection string
+   * @param {string} [targetSchema] - Database to import (defaults to the one in the URL)
+   * @returns {Promise<object>} Data Protocol manifest (draft status)
+   */
+  async import(connectionString, targetSchema = null) {
+    let client = null;
+    const database = targetSchema || this._extractDatabaseName(connectionString);
+
+    try {
+      client = await this._connect(connectionString);
+
+      const introspector = new MySQLSchemaIntrospector(client);
+      const tables = await introspector.getTables(database);
+
+      if (tables.length === 0) {
+        throw new Error(`No tables found${database ? ` in database '${database}'` : ''}`);
+      }
+
+      const tableManifests = [];
+      for (const table of tables) {
+        tableManifests.push(await this._processTable(table, introspector));
+      }
+
+      return this._generateCatalogManifest(tableManifests, connectionString, database);
+    } catch (error) {
+      if (this.options.strictMode) {
+        throw error;
+      }
+      return this._createErrorManifest(connectionString, error);
+    } finally {
+      if (client) {
+        await client.end();
+      }
+    }
+  }
+
+  /**
+   * Connect to MySQL with timeout and read-only settings
+   * @private
+   */
+  async _connect(connectionString) {
+    // Lazy load driver so CLI startup does not pay for it
+    // eslint-disable-next-line global-require
+    const mysql = require('mysql2/promise');
+
+    const client = await mysql.createConnection({
+      uri: connectionString,
+      connectTimeout: this.options.connectionTimeout
+    });
+
+    await this._applySessionTimeout(client);
+
+    if (this.options.readOnly) {
+      await client.query('START TRANSACTION READ ONLY');
+    }
+
+    return client;
+  }
+
+  /**
+   * Apply per-statement timeout (MySQL uses ms, MariaDB uses seconds)
+   * @private
+   */
+  async _applySessionTimeout(client) {
+    const timeoutMs = this.options.statementTimeout;
+    try {
+      await client.query(`SET SESSION MAX_EXECUTION_TIME = ${Number(timeoutMs)}`);
+    } catch {
+      try {
+        await client.query(`SET SESSION max_statement_time = ${Number(timeoutMs) / 1000}`);
+      } catch {
+        // Server supports neither variable; rely on connect timeout only
+      }
+    }
+  }
+
+  /**
+   * Process a single table into a Data Protocol manifest
+   * @private
+   */
+  async _processTable(table, introspector) {
+    const schema = table.table_schema;
+    const tableName = table.table_name;
+
+    const columns = await introspector.getColumns(schema, tableName);
+    const primaryKey = await introspector.getPrimaryKey(schema, tableName);
+    const foreignKeys = await introspector.getForeignKeys(schema, tableName);
+    const uniqueConstraints = await introspector.getUniqueConstraints(schema, tableName);
+    const indexes = await introspector.getIndexes(schema, tableName);
+
+    let piiResults = {};
+    if (this.options.sampleData) {
+      const columnNames = columns.map(c => c.column_name);
+      const sampleData = await introspector.sampleData(
+        schema,
+        tableName,
+        Number(table.estimated_rows) || 1000,
+        columnNames
+      );
+
+      const samplesByColumn = {};
+      for (const col of columnNames) {
+        samplesByColumn[col] = sampleData.map(row => row[col]);
+      }
+
+      piiResults = batchDetectPII(columns, samplesByColumn);
+    }
+
+    const manifest = {
+      dataset: {
+        name: `${schema}.${tableName}`,
+        type: this._inferTableType(tableName, foreignKeys),
+        lifecycle: { status: 'active' }
+      },
+      schema: {
+        primary_key: primaryKey.length > 0 ? primaryKey : undefined,
+        fields: this._buildFields(columns, piiResults, {}),
+        keys: this._buildKeys(primaryKey, foreignKeys, uniqueConstraints, indexes)
+      },
+      lineage: this._buildLineage(foreignKeys, schema, tableName),
+      quality: this._buildQuality(
+        { ...table, estimated_rows: Number(table.estimated_rows) || undefined },
+        columns,
+        {}
+      ),
+      metadata: {
+        source: {
+          type: 'mysql',
+          schema: schema,
+          table: tableName
+        }
+      }
+    };
+
+    if (table.table_comment) {
+      manifest.dataset.description = table.table_comment;
+    }
+
+    if (this.options.generateURNs) {
+      manifest.dataset.urn = this._generateTableURN(schema, tableName);
+    }
+
+    this._cleanManifest(manifest);
+
+    return manifest;
+  }
+
+  /**
+   * Map MySQL types to Data Protocol types
+   * @private
+   */
+  _mapPostgresType(dataType, columnType) {
+    const normalized = (dataType || '').toLowerCase();
+
+    // tinyint(1) is MySQL's boolean
+    if (normalized === 'tinyint' && /^tinyint\(1\)/i.test(columnType || '')) {
+      return 'boolean';
+    }
+
+    return MYSQL_TYPE_MAP[normalized] || normalized || 'unknown';
+  }
+
+  /**
+   * Build field definitions (MySQL columns carry COLUMN_TYPE instead of udt_name)
+   * @private
+   */
+  _buildFields(columns, piiResults, performanceStats) {
+    const normalized = columns.map(col => ({
+      ...col,
+      udt_name: col.column_type,
+      column_comment: col.column_comment || undefined
+    }));
+    return super._buildFields(normalized, piiResults, performanceStats);
+  }
+
+  /**
+   * Generate catalog-level manifest with all tables
+   * @private
+   */
+  _generateCatalogManifest(tableManifests, connectionString, database) {
+    const manifest = super._generateCatalogManifest(tableManifests, connectionString, database);
+
+    manifest.catalog.name = database || 'mysql-database';
+    manifest.catalog.platform = 'mysql';
+    manifest.metadata.source.type = 'mysql';
+    manifest.provenance.importer = 'MySQLImporter';
+
+    return manifest;
+  }
+
+  /**
+   * Generate URN for table
+   * @private
+   */
+  _generateTableURN(schema, table) {
+    return `urn:proto:data:mysql/${schema}.${table}`;
+  }
+
+  /**
+   * Generate URN for column
+   * @private
+   */
+  _generateColumnURN(schema, table, column) {
+    return `urn:proto:data:mysql/${schema}.${table}.${column}`;
+  }
+
+  /**
+   * Create error manifest for failed imports
+   * @private
+   */
+  _createErrorManifest(connectionString, error) {
+    const manifest = super._createErrorManifest(connectionString, error);
+    manifest.catalog.platform = 'mysql';
+    return manifest;
+  }
+}
+
+module.exports = { MySQLImporter, MYSQL_TYPE_MAP };
@@ -0,0 +1,273 @@
+/*
+ * MySQL / MariaDB Schema Introspection
+ * Queries information_schema to extract tables, columns, constraints, and relationships
+ *
+ * Features:
+ * - information_schema only (works on MySQL 5.7+, 8.x and MariaDB 10.x)
+ * - Primary key, foreign key, and unique constraint discovery
+ * - Index discovery from information_schema.STATISTICS
+ * - Sample data extraction for pattern detection
+ *
+ * Result rows use the same column aliases as the Postgres introspector so the
+ * importer can share key, lineage, and PII handling.
+ */
+
+/**
+ * Schema introspection for MySQL-compatible databases
+ */
+class MySQLSchemaIntrospector {
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * Get all base tables in the target database (or all user databases)
+   * @param {string} [database] - Database (schema) name
+   * @returns {Promise<Array>} List of tables with metadata
+   */
+  async getTables(database = null) {
+    const query = `
+      SELECT
+        t.TABLE_SCHEMA AS table_schema,
+        t.TABLE_NAME AS table_name,
+        (t.DATA_LENGTH + t.INDEX_LENGTH) AS size_bytes,
+        t.TABLE_ROWS AS estimated_rows,
+        t.TABLE_COMMENT AS table_comment
+      FROM information_schema.TABLES t
+      WHERE t.TABLE_TYPE = 'BASE TABLE'
+        AND t.TABLE_SCHEMA NOT IN ('mysql', 'information_schema', 'performance_schema', 'sys')
+        ${database ? 'AND t.TABLE_SCHEMA = ?' : ''}
+      ORDER BY t.TABLE_SCHEMA, t.TABLE_NAME;
+    `;
+
+    return this._rows(query, database ? [database] : []);
+  }
+
+  /**
+   * Get columns for a table
+   * @param {string} schema - Database name
+   * @param {string} table - Table name
+   * @returns {Promise<Array>} List of columns with metadata
+   */
+  async getColumns(schema, table) {
+    const query = `
+      SELECT
+        c.TABLE_SCHEMA AS table_schema,
+        c.TABLE_NAME AS table_name,
+        c.COLUMN_NAME AS column_name,
+        c.ORDINAL_POSITION AS ordinal_position,
+        c.IS_NULLABLE AS is_nullable,
+        c.DATA_TYPE AS data_type,
+        c.COLUMN_TYPE AS column_type,
+        c.CHARACTER_MAXIMUM_LENGTH AS character_maximum_length,
+        c.NUMERIC_PRECISION AS numeric_precision,
+        c.NUMERIC_SCALE AS numeric_scale,
+        c.COLUMN_DEFAULT AS column_default,
+        c.COLUMN_COMMENT AS column_comment
+      FROM information_schema.COLUMNS c
+      WHERE c.TABLE_SCHEMA = ? AND c.TABLE_NAME = ?
+      ORDER BY c.ORDINAL_POSITION;
+    `;
+
+    return this._rows(query, [schema, table]);
+  }
+
+  /**
+   * Get primary key for a table
+   * @param {string} schema - Database name
+   * @param {string} table - Table name
+   * @returns {Promise<Array<string>>} Primary key column names
+   */
+  async getPrimaryKey(schema, table) {
+    const query = `
+      SELECT kcu.COLUMN_NAME AS column_name
+      FROM information_schema.KEY_COLUMN_USAGE kcu
+      WHERE kcu.TABLE_SCHEMA = ?
+        AND kcu.TABLE_NAME = ?
+        AND kcu.CONSTRAINT_NAME = 'PRIMARY'
+      ORDER BY kcu.ORDINAL_POSITION;
+    `;
+
+    const rows = await this._rows(query, [schema, table]);
+    return rows.map(r => r.column_name);
+  }
+
+  /**
+   * Get foreign keys for a table
+   * @param {string} schema - Database name
+   * @param {string} table - Table name
+   * @returns {Promise<Array>} Foreign key constraints
+   */
+  async getForeignKeys(schema, table) {
+    const query = `
+      SELECT
+        kcu.COLUMN_NAME AS column_name,
+        kcu.REFERENCED_TABLE_SCHEMA AS foreign_table_schema,
+        kcu.REFERENCED_TABLE_NAME AS foreign_table_name,
+        kcu.REFERENCED_COLUMN_NAME AS foreign_column_name,
+        kcu.CONSTRAINT_NAME AS constraint_name
+      FROM information_schema.KEY_COLUMN_USAGE kcu
+      JOIN information_schema.REFERENTIAL_CONSTRAINTS rc
+        ON rc.CONSTRAINT_SCHEMA = kcu.CONSTRAINT_SCHEMA
+        AND rc.CONSTRAINT_NAME = kcu.CONSTRAINT_NAME
+      WHERE kcu.TABLE_SCHEMA = ?
+        AND kcu.TABLE_NAME = ?
+        AND kcu.REFERENCED_TABLE_NAME IS NOT NULL
+      ORDER BY kcu.CONSTRAINT_NAME, kcu.ORDINAL_POSITION;
+    `;
+
+    return this._rows(query, [schema, table]);
+  }
+
+  /**
+   * Get unique constraints for a table
+   * @param {string} schema - Database name
+   * @param {string} table - Table name
+   * @returns {Promise<Array>} Unique constraints with column arrays
+   */
+  async getUniqueConstraints(schema, table) {
+    const query = `
+      SELECT
+        tc.CONSTRAINT_NAME AS constraint_name,
+        kcu.COLUMN_NAME AS column_name
+      FROM information_schema.TABLE_CONSTRAINTS tc
+      JOIN information_schema.KEY_COLUMN_USAGE kcu
+        ON tc.CONSTRAINT_SCHEMA = kcu.CONSTRAINT_SCHEMA
+        AND tc.CONSTRAINT_NAME = kcu.CONSTRAINT_NAME
+        AND tc.TABLE_NAME = kcu.TABLE_NAME
+      WHERE tc.CONSTRAINT_TYPE = 'UNIQUE'
+        AND tc.TABLE_SCHEMA = ?
+        AND tc.TABLE_NAME = ?
+      ORDER BY tc.CONSTRAINT_NAME, kcu.ORDINAL_POSITION;
+    `;
+
+    const rows = await this._rows(query, [schema, table]);
+    return groupColumns(rows, 'constraint_name').map(group => ({
+      constraint_name: group.name,
+      columns: group.columns
+    }));
+  }
+
+  /**
+   * Get indexes for a table (excluding the primary key)
+   * @param {string} schema - Database name
+   * @param {string} table - Table name
+   * @returns {Promise<Array>} Index definitions
+   */
+  async getIndexes(schema, table) {
+    const query = `
+      SELECT
+        s.INDEX_NAME AS index_name,
+        s.COLUMN_NAME AS column_name,
+        s.NON_UNIQUE AS non_unique,
+        s.INDEX_TYPE AS index_type
+      FROM information_schema.STATISTICS s
+      WHERE s.TABLE_SCHEMA = ?
+        AND s.TABLE_NAME = ?
+        AND s.INDEX_NAME <> 'PRIMARY'
+      ORDER BY s.INDEX_NAME, s.SEQ_IN_INDEX;
+    `;
+
+    const rows = await this._rows(query, [schema, table]);
+    return groupColumns(rows, 'index_name').map(group => ({
+      index_name: group.name,
+      columns: group.columns,
+      is_unique: Number(group.first.non_unique) === 0,
+      is_primary: false,
+      index_type: (group.first.index_type || 'btree').toLowerCase()
+    }));
+  }
+
+  /**
+   * Sample data from a table for pattern detection
+   * Adaptive sampling based on table size
+   * @param {string} schema - Database name
+   * @param {string} table - Table name
+   * @param {number} estimatedRows - Estimated row count
+   * @param {Array<string>} columns - Columns to sample
+   * @returns {Promise<Array>} Sample rows
+   */
+  async sampleData(schema, table, estimatedRows, columns) {
+    let sampleSize = 100;
+    if (estimatedRows >= 100000) {
+      sampleSize = 1000;
+    } else if (estimatedRows >= 1000) {
+      sampleSize = 500;
+    }
+
+    const columnList = columns
+      .map(c => `\`${c.replace(/`/g, '``')}\``)
+      .join(', ');
+
+    // MySQL has no TABLESAMPLE; LIMIT keeps the scan bounded
+    const query = `
+      SELECT ${columnList}
+      FROM \`${schema}\`.\`${table}\`
+      LIMIT ${sampleSize};
+    `;
+
+    return this._rows(query);
+  }
+
+  /**
+   * Get all user databases
+   * @returns {Promise<Array<string>>} Database names
+   */
+  async getSchemas() {
+    const query = `
+      SELECT SCHEMA_NAME AS schema_name
+      FROM information_schema.SCHEMATA
+      WHERE SCHEMA_NAME NOT IN ('mysql', 'information_schema', 'performance_schema', 'sys')
+      ORDER BY SCHEMA_NAME;
+    `;
+
+    const rows = await this._rows(query);
+    return rows.map(r => r.schema_name);
+  }
+
+  /**
+   * Test connection
+   * @returns {Promise<boolean>}
+   */
+  async testConnection() {
+    try {
+      await this.client.query('SELECT 1');
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Run a query and normalise the mysql2 `[rows, fields]` result
+   * @private
+   */
+  async _rows(query, params = []) {
+    const result = await this.client.query(query, params);
+    if (Array.isArray(result)) {
+      return result[0] || [];
+    }
+    return result?.rows || [];
+  }
+}
+
+/**
+ * Group ordered (name, column_name) rows into column arrays
+ * @param {Array<object>} rows - Rows ordered by name then position
+ * @param {string} key - Grouping column
+ * @returns {Array<{name: string, columns: Array<string>, first: object}>}
+ */
+function groupColumns(rows, key) {
+  const groups = new Map();
+
+  for (const row of rows) {
+    if (!groups.has(row[key])) {
+      groups.set(row[key], { name: row[key], columns: [], first: row });
+    }
+    groups.get(row[key]).columns.push(row.column_name);
+  }
+
+  return Array.from(groups.values());
+}
+
+module.exports = { MySQLSchemaIntrospector };
@@ -8,12 +8,16 @@
  * - x-* extension preservation
  * - Confidence scoring for inferred patterns
  * - URN generation for service identity
+ * - Callbacks and 3.1 webhooks as linked Event Protocol manifests
+ * - Multi-file specs bundled offline from a root file or directory
  */
 
 const SwaggerParser = require('@apidevtools/swagger-parser');
 const crypto = require('crypto');
 const { detectPagination, detectLongRunning } = require('./patterns');
 const { extractExtensions, preserveValuedExtensions } = require('./extensions');
+const { extractWebhookEvents } = require('./webhooks');
+const { bundleSpec, bundleProvenance, isLocalSpecPath } = require('../shared/spec-bundle');
 
 /**
  * OpenAPI to API Protocol Importer
@@ -25,19 +29,34 @@ class OpenAPIImporter {
       preserveAllExtensions: true, // Keep all x-* extensions
       generateURNs: true,          // Auto-generate service URNs
       inferPatterns: true,         // Enable pattern detection
+      emitEvents: true,            // Emit Event manifests for callbacks/webhooks
+      allowRemoteRefs: false,      // Fetch http(s) $refs in local specs instead of refusing them
       ...options
     };
   }
 
   /**
-   * Import OpenAPI spec from URL, file path, or object
-   * @param {string|object} source - URL, file path, or parsed OpenAPI object
+   * Import OpenAPI spec from URL, file path, directory, or object
+   * @param {string|object} source - URL, root file or directory of a multi-file spec, or parsed OpenAPI object
    * @returns {Promise<object>} API Protocol manifest (draft status)
    */
   async import(source) {
+    const result = await this.importWithEvents(source);
+    return result.manifest;
+  }
+
+  /**
+   * Import OpenAPI spec to an API manifest plus callback/webhook Event manifests
+   * @param {string|object} source - URL, root file or directory of a multi-file spec, or parsed OpenAPI object
+   * @returns {Promise<{manifest: object, events: Array<object>}>}
+   */
+  async importWithEvents(source) {
     try {
-      // Step 1: Parse and dereference OpenAPI spec
-      const spec = await this._parseSpec(source);
+      // Step 1: Bundle local files, then parse and dereference OpenAPI spec
+      const bundle = isLocalSpecPath(source)
+        ? await bundleSpec(source, { kind: 'openapi', allowRemoteRefs: this.options.allowRemoteRefs })
+        : null;
+      const spec = await this._parseSpec(bundle ? bundle.document : source);
 
       // Step 2: Validate OpenAPI version
       this._validateOpenAPIVersion(spec);
@@ -51,6 +70,10 @@ class OpenAPIImporter {
 
       manifest.metadata = { ...(manifest.metadata || {}) };
       manifest.metadata.status = 'draft';
+      // The service URN identifies the manifest in the protocol graph
+      if (manifest.service?.urn) {
+        manifest.metadata.urn = manifest.service.urn;
+      }
 
       const inputType = typeof source === 'string'
         ? (this._looksLikeUrl(source) ? 'url' : 'string')
@@ -70,26 +93,68 @@ class OpenAPIImporter {
         }
       }
 
+      const specHash = this._computeSpecHash(spec);
+
       manifest.provenance = {
         importer: 'OpenAPIImporter',
         importer_version: '0.1.0',
         imported_at: importedAt,
         spec_version: specVersion,
-        spec_hash: this._computeSpecHash(spec),
+        spec_hash: specHash,
         source: typeof source === 'string' ? source : null,
         source_type: typeof source
       };
 
-      return manifest;
+      if (bundle) {
+        Object.assign(manifest.provenance, bundleProvenance(bundle));
+      }
+
+      // Step 5: Callbacks and webhooks become Event manifests linked via `produces`
+      const events = this.options.emitEvents
+        ? await this._extractEvents(spec, manifest, specHash, importedAt)
+        : [];
+
+      return { manifest, events };
     } catch (error) {
       if (this.options.strictMode) {
         throw error;
       }
       // Graceful fallback: return partial manifest with error details
-      return this._createErrorManifest(source, error);
+      return { manifest: this._createErrorManifest(source, error), events: [] };
     }
   }
 
+  /**
+   * Build callback/webhook Event manifests and link them from their endpoints
+   * @private
+   */
+  async _extractEvents(spec, manifest, specHash, importedAt) {
+    const extracted = await extractWebhookEvents(spec, manifest, { specHash, importedAt });
+
+    for (const { event, endpoints } of extracted) {
+      for (const endpoint of endpoints) {
+        endpoint.relationships = {
+          ...(endpoint.relationships || {}),
+          produces: [...(endpoint.relationships?.produces || []), event.urn]
+        };
+      }
+
+      if (endpoints.length === 1 && endpoints[0].urn) {
+        event.metadata.endpoint_urn = endpoints[0].urn;
+      }
+
+      // Webhooks have no originating endpoint; the service produces them
+      if (endpoints.length === 0) {
+        manifest.relationships = {
+          ...(manifest.relationships || {}),
+          produces: [...(manifest.relationships?.produces || []), event.urn]
+        };
+      }
+    }
+
+    return extracted.map(({ event }) => event);
+  }
+
   /**
    * Parse OpenAPI spec with robust error handling
    * @private
@@ -0,0 +1,222 @@
+/*
+ * Callback and Webhook Extraction for OpenAPI Specs
+ *
+ * Converts the outbound HTTP events an OpenAPI spec describes into Event
+ * Protocol manifests:
+ * - Operation `callbacks` (keyed by runtime URL expression)
+ * - Top-level `webhooks` map (OpenAPI 3.1)
+ *
+ * Delivery contracts use the AsyncAPI HTTP webhook binding shape, so events
+ * from both importers look the same to the graph and governance generators.
+ * Event URNs use the graph form `urn:proto:event:<service>/<entity>.<action>`
+ * so the API's `produces` links resolve to event nodes.
+ */
+
+const { extractHTTPWebhookBinding } = require('../asyncapi/binding-detector');
+const { detectEventPII } = require('../asyncapi/pii-detector');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+/**
+ * Build Event Protocol manifests for callbacks and webhooks
+ * @param {object} spec - Dereferenced OpenAPI spec
+ * @param {object} manifest - API Protocol manifest converted from the spec
+ * @param {object} context - { specHash, importedAt }
+ * @returns {Promise<Array<{event: object, endpoints: Array<object>}>>} Events with the endpoints that produce them
+ */
+async function extractWebhookEvents(spec, manifest, context) {
+  const sources = [];
+  const endpoints = manifest.interface?.endpoints || [];
+
+  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+    for (const method of HTTP_METHODS) {
+      const callbacks = pathItem?.[method]?.callbacks;
+      if (!callbacks) continue;
+
+      const endpoint = endpoints.find(ep => ep.method === method.toUpperCase() && ep.path === path);
+
+      for (const [name, callback] of Object.entries(callbacks)) {
+        for (const [expression, callbackItem] of Object.entries(callback || {})) {
+          for (const callbackMethod of HTTP_METHODS) {
+            const operation = callbackItem?.[callbackMethod];
+            if (!operation) continue;
+
+            sources.push({
+              kind: 'callback',
+              name,
+              topic: expression,
+              method: callbackMethod,
+              operation,
+              endpoint,
+              pointer: toPointer(['paths', path, method, 'callbacks', name, expression, callbackMethod])
+            });
+          }
+        }
+      }
+    }
+  }
+
+  for (const [name, pathItem] of Object.entries(spec.webhooks || {})) {
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem?.[method];
+      if (!operation) continue;
+
+      sources.push({
+        kind: 'webhook',
+        name,
+        topic: name,
+        method,
+        operation,
+        pointer: toPointer(['webhooks', name, method])
+      });
+    }
+  }
+
+  // The same event may be registered as a callback on several endpoints
+  const byUrn = new Map();
+  for (const source of sources) {
+    const event = await createWebhookEvent(source, spec, manifest.service, context);
+    const entry = byUrn.get(event.urn) || { event, endpoints: [] };
+    if (source.endpoint && !entry.endpoints.includes(source.endpoint)) {
+      entry.endpoints.push(source.endpoint);
+    }
+    byUrn.set(event.urn, entry);
+  }
+
+  return [...byUrn.values()];
+}
+
+/**
+ * Build one Event Protocol manifest from a callback or webhook operation
+ * @private
+ */
+async function createWebhookEvent(source, spec, service, { specHash, importedAt }) {
+  const { operation } = source;
+  const { entity, action } = parseEventName(source.name);
+  const domain = slugify(service?.name || 'api');
+  const urn = `urn:proto:event:${domain}/${entity}.${action}`;
+
+  const content = operation.requestBody?.content || {};
+  const contentType = Object.keys(content)[0];
+  const payload = (contentType && content[contentType].schema) || {};
+
+  const channel = { id: () => source.topic };
+  const piiFields = await detectEventPII([{ payload: () => payload }], channel);
+
+  return {
+    protocol: 'event-protocol/v1',
+    urn,
+    event: {
+      name: source.name,
+      version: service?.version || '0.0.0',
+      lifecycle: operation.deprecated ? { status: 'deprecated' } : { status: 'active' }
+    },
+    semantics: {
+      purpose: operation.summary || operation.description || `OpenAPI ${source.kind}: ${source.name}`,
+      category: 'event'
+    },
+    schema: {
+      format: 'json-schema',
+      payload,
+      fields: piiFields.map(f => ({
+        name: f.path,
+        type: f.type || 'unknown',
+        required: f.required || false,
+        pii: true,
+        confidence: f.confidence,
+        tier: f.tier,
+        category: f.category,
+        description: f.description
+      })),
+      compatibility: { policy: 'backward' }
+    },
+    delivery: {
+      contract: extractHTTPWebhookBinding(
+        { method: source.method.toUpperCase(), headers: extractHeaders(operation) },
+        channel,
+        { pointer: source.pointer }
+      )
+    },
+    governance: {
+      policy: {
+        classification: piiFields.length > 0 ? 'pii' : 'internal',
+        legal_basis: piiFields.length > 0 ? 'gdpr' : undefined
+      }
+    },
+    metadata: {
+      urn,
+      kind: 'event',
+      status: 'draft',
+      source_type: 'openapi',
+      source_version: spec.openapi || spec.swagger,
+      source_title: service?.name,
+      source_hash: specHash ? specHash.substring(0, 16) : null,
+      imported_at: importedAt,
+      importer_version: '0.1.0',
+      openapi_kind: source.kind,
+      ...(contentType && { content_type: contentType }),
+      ...(service?.urn && { api_urn: service.urn })
+    }
+  };
+}
+
+/**
+ * Collect header parameters into a JSON Schema object (AsyncAPI http binding `headers`)
+ * @private
+ */
+function extractHeaders(operation) {
+  const headers = (operation.parameters || []).filter(param => param.in === 'header');
+  if (headers.length === 0) return undefined;
+
+  const required = headers.filter(param => param.required).map(param => param.name);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(headers.map(param => [param.name, param.schema || { type: 'string' }])),
+    ...(required.length > 0 && { required })
+  };
+}
+
+/**
+ * Derive entity/action from a callback or webhook name (e.g. onOrderShipped → order, shipped)
+ * @private
+ */
+function parseEventName(name) {
+  const words = name
+    .replace(/^on(?=[A-Z])/, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[\s._/-]+/)
+    .map(word => word.toLowerCase().replace(/[^a-z0-9]/g, ''))
+    .filter(Boolean);
+
+  if (words.length <= 1) {
+    return { entity: words[0] || 'unknown', action: 'event' };
+  }
+
+  return {
+    entity: words.slice(0, -1).join('-'),
+    action: words[words.length - 1]
+  };
+}
+
+/**
+ * Build a JSON pointer from path segments
+ * @private
+ */
+function toPointer(segments) {
+  return '#/' + segments.map(s => String(s).replace(/~/g, '~0').replace(/\//g, '~1')).join('/');
+}
+
+/**
+ * Slugify string for URN generation
+ * @private
+ */
+function slugify(str) {
+  return str
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+module.exports = {
+  extractWebhookEvents
+};
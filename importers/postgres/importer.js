@@ -7,6 +7,9 @@
  * - Multi-signal PII detection (>90% accuracy)
  * - Performance metadata from pg_stats
  * - Relationship extraction from foreign keys
+ * - Views and materialized views with pg_depend lineage
+ * - Enum and domain types as shared schema definitions
+ * - Stored functions and procedures as callable entries
  * - URN generation for tables and columns
  * - Draft manifest with provenance
  */
@@ -17,6 +20,22 @@ const { SchemaIntrospector } = require('./schema-introspect');
 const { batchDetectPII } = require('./pii-detector');
 const { PerformanceAnalyzer, estimateQueryCost } = require('./performance');
 
+// pg_class.relkind → lineage source type
+const RELATION_KINDS = {
+  r: 'table',
+  p: 'table',
+  v: 'view',
+  m: 'view',
+  f: 'foreign_table'
+};
+
+// pg_proc.provolatile → volatility label
+const VOLATILITY = {
+  i: 'immutable',
+  s: 'stable',
+  v: 'volatile'
+};
+
 /**
  * Postgres to Data Protocol Importer
  */
@@ -49,16 +68,26 @@ class PostgresImporter {
       // Step 2: Introspect schema
       const introspector = new SchemaIntrospector(client);
       const tables = await introspector.getTables();
+      const views = await introspector.getViews();
 
       // Filter by target schema if specified
       const targetTables = targetSchema
         ? tables.filter(t => t.table_schema === targetSchema)
         : tables;
+      const targetViews = targetSchema
+        ? views.filter(v => v.view_schema === targetSchema)
+        : views;
 
-      if (targetTables.length === 0) {
+      if (targetTables.length === 0 && targetViews.length === 0) {
         throw new Error(`No tables found${targetSchema ? ` in schema '${targetSchema}'` : ''}`);
       }
 
+      // Enum and domain types are shared by every relation that uses them
+      const definitions = this._buildDefinitions(
+        await introspector.getEnums(),
+        await introspector.getDomains()
+      );
+
       // Step 3: Process each table
       const tableManifests = [];
       const performanceAnalyzer = new PerformanceAnalyzer(client);
@@ -67,11 +96,20 @@ class PostgresImporter {
         const manifest = await this._processTable(
           table,
           introspector,
-          performanceAnalyzer
+          performanceAnalyzer,
+          definitions
         );
         tableManifests.push(manifest);
       }
 
+      for (const view of targetViews) {
+        tableManifests.push(await this._processView(view, introspector, definitions));
+      }
+
+      const functions = (await introspector.getFunctions())
+        .filter(fn => !targetSchema || fn.function_schema === targetSchema)
+        .map(fn => this._buildFunction(fn, definitions));
+
       // Step 4: Generate catalog-level manifest
       const catalogManifest = this._generateCatalogManifest(
         tableManifests,
@@ -79,6 +117,13 @@ class PostgresImporter {
         targetSchema
       );
 
+      if (Object.keys(definitions).length > 0) {
+        catalogManifest.definitions = definitions;
+      }
+      if (functions.length > 0) {
+        catalogManifest.functions = functions;
+      }
+
       return catalogManifest;
     } catch (error) {
       if (this.options.strictMode) {
@@ -119,7 +164,7 @@ class PostgresImporter {
    * Process a single table into a Data Protocol manifest
    * @private
    */
-  async _processTable(table, introspector, performanceAnalyzer) {
+  async _processTable(table, introspector, performanceAnalyzer, definitions = {}) {
     const schema = table.table_schema;
     const tableName = table.table_name;
 
@@ -139,24 +184,7 @@ class PostgresImporter {
     const indexes = await introspector.getIndexes(schema, tableName);
 
     // Sample data for PII detection
-    let piiResults = {};
-    if (this.options.sampleData) {
-      const columnNames = columns.map(c => c.column_name);
-      const sampleData = await introspector.sampleData(
-        schema,
-        tableName,
-        table.estimated_rows || 1000,
-        columnNames
-      );
-
-      // Convert sample rows to column-based samples
-      const samplesByColumn = {};
-      for (const col of columnNames) {
-        samplesByColumn[col] = sampleData.map(row => row[col]);
-      }
-
-      piiResults = batchDetectPII(columns, samplesByColumn);
-    }
+    const piiResults = await this._detectPII(introspector, schema, tableName, table.estimated_rows, columns);
 
     // Get performance stats
     let performanceStats = {};
@@ -173,7 +201,7 @@ class PostgresImporter {
       },
       schema: {
         primary_key: primaryKey.length > 0 ? primaryKey : undefined,
-        fields: this._buildFields(columns, piiResults, performanceStats),
+        fields: this._buildFields(columns, piiResults, performanceStats, definitions),
         keys: this._buildKeys(primaryKey, foreignKeys, uniqueConstraints, indexes)
       },
       lineage: this._buildLineage(foreignKeys, schema, tableName),
@@ -198,11 +226,79 @@ class PostgresImporter {
     return manifest;
   }
 
+  /**
+   * Process a view or materialized view into a Data Protocol manifest
+   * @private
+   */
+  async _processView(view, introspector, definitions = {}) {
+    const schema = view.view_schema;
+    const viewName = view.view_name;
+
+    const columns = await introspector.getViewColumns(schema, viewName);
+    const dependencies = await introspector.getViewDependencies(schema, viewName);
+    const piiResults = await this._detectPII(introspector, schema, viewName, view.estimated_rows, columns);
+
+    const manifest = {
+      dataset: {
+        name: `${schema}.${viewName}`,
+        type: 'view',
+        materialized: view.materialized ? true : undefined,
+        description: view.view_comment || undefined,
+        lifecycle: { status: 'active' }
+      },
+      schema: {
+        fields: this._buildFields(columns, piiResults, {}, definitions)
+      },
+      lineage: this._buildViewLineage(dependencies),
+      quality: view.materialized ? this._buildQuality(view, columns, {}) : undefined,
+      metadata: {
+        source: {
+          type: 'postgres',
+          schema: schema,
+          view: viewName,
+          definition: view.definition || undefined
+        }
+      }
+    };
+
+    if (this.options.generateURNs) {
+      manifest.dataset.urn = this._generateTableURN(schema, viewName);
+    }
+
+    this._cleanManifest(manifest);
+
+    return manifest;
+  }
+
+  /**
+   * Sample a relation and run PII detection over its columns
+   * @private
+   */
+  async _detectPII(introspector, schema, relation, estimatedRows, columns) {
+    if (!this.options.sampleData) return {};
+
+    const columnNames = columns.map(c => c.column_name);
+    const sampleData = await introspector.sampleData(
+      schema,
+      relation,
+      estimatedRows || 1000,
+      columnNames
+    );
+
+    // Convert sample rows to column-based samples
+    const samplesByColumn = {};
+    for (const col of columnNames) {
+      samplesByColumn[col] = sampleData.map(row => row[col]);
+    }
+
+    return batchDetectPII(columns, samplesByColumn);
+  }
+
   /**
    * Build field definitions with PII detection and performance metadata
    * @private
    */
-  _buildFields(columns, piiResults, performanceStats) {
+  _buildFields(columns, piiResults, performanceStats, definitions = {}) {
     const fields = {};
 
     for (const col of columns) {
@@ -211,6 +307,14 @@ class PostgresImporter {
         required: col.is_nullable === 'NO'
       };
 
+      // Reference shared enum/domain definitions
+      const definitionKey = this._resolveDefinitionKey(col, definitions);
+      if (definitionKey) {
+        const definition = definitions[definitionKey];
+        field.type = definition.kind === 'enum' ? 'enum' : definition.type;
+        field.$ref = `#/definitions/${definitionKey}`;
+      }
+
       // Add description from comment
       if (col.column_comment) {
         field.description = col.column_comment;
@@ -310,6 +414,137 @@ class PostgresImporter {
     return { sources };
   }
 
+  /**
+   * Build view lineage from pg_depend source relations
+   * @private
+   */
+  _buildViewLineage(dependencies) {
+    if (dependencies.length === 0) return undefined;
+
+    const sources = dependencies.map(dep => ({
+      type: RELATION_KINDS[dep.source_kind] || 'table',
+      id: `${dep.source_schema}.${dep.source_name}`
+    }));
+
+    return { sources };
+  }
+
+  /**
+   * Build shared schema definitions from enum and domain types
+   * Keyed by schema-qualified type name
+   * @private
+   */
+  _buildDefinitions(enums, domains) {
+    const definitions = {};
+
+    for (const en of enums) {
+      definitions[`${en.enum_schema}.${en.enum_name}`] = {
+        kind: 'enum',
+        type: 'string',
+        enum: en.labels,
+        description: en.enum_comment || undefined
+      };
+    }
+
+    for (const domain of domains) {
+      const definition = {
+        kind: 'domain',
+        type: this._mapSqlType(domain.base_type, definitions).type,
+        base_type: domain.base_type,
+        required: domain.not_null || undefined,
+        default: domain.domain_default || undefined,
+        checks: domain.checks && domain.checks.length > 0 ? domain.checks : undefined,
+        description: domain.domain_comment || undefined
+      };
+      this._cleanManifest(definition);
+      definitions[`${domain.domain_schema}.${domain.domain_name}`] = definition;
+    }
+
+    this._cleanManifest(definitions);
+    return definitions;
+  }
+
+  /**
+   * Find the shared definition a column's type refers to
+   * @private
+   */
+  _resolveDefinitionKey(col, definitions) {
+    let key = null;
+    if (col.domain_name) {
+      key = `${col.domain_schema}.${col.domain_name}`;
+    } else if (col.data_type === 'USER-DEFINED') {
+      key = `${col.udt_schema}.${col.udt_name}`;
+    }
+    return key && definitions[key] ? key : null;
+  }
+
+  /**
+   * Build a callable entry for a function or procedure
+   * @private
+   */
+  _buildFunction(fn, definitions) {
+    const args = fn.arguments || [];
+    const toParam = (arg, idx) => {
+      const param = {
+        name: arg.name || `$${idx + 1}`,
+        ...this._mapSqlType(arg.type, definitions)
+      };
+      if (arg.mode === 'v') param.variadic = true;
+      return param;
+    };
+
+    const inputs = args.filter(arg => ['i', 'b', 'v'].includes(arg.mode));
+    const outputs = args.filter(arg => ['o', 'b', 't'].includes(arg.mode));
+
+    let returns;
+    if (outputs.length > 1 || args.some(arg => arg.mode === 't')) {
+      returns = {
+        type: args.some(arg => arg.mode === 't') ? 'table' : 'record',
+        columns: outputs.map(toParam)
+      };
+    } else if (fn.return_type && fn.return_type !== 'void') {
+      returns = this._mapSqlType(fn.return_type, definitions);
+    }
+    if (returns && fn.returns_set) {
+      returns.set = true;
+    }
+
+    const entry = {
+      name: `${fn.function_schema}.${fn.function_name}`,
+      kind: fn.is_procedure ? 'procedure' : 'function',
+      signature: `${fn.function_schema}.${fn.function_name}(${fn.identity_arguments || ''})`,
+      language: fn.language,
+      volatility: VOLATILITY[fn.volatility],
+      description: fn.function_comment || undefined,
+      arguments: inputs.map(toParam),
+      returns
+    };
+
+    this._cleanManifest(entry);
+    return entry;
+  }
+
+  /**
+   * Map a format_type() type name, resolving arrays and shared definitions
+   * @private
+   */
+  _mapSqlType(typeName, definitions = {}) {
+    if (typeName.endsWith('[]')) {
+      return { type: 'array', items: this._mapSqlType(typeName.slice(0, -2), definitions) };
+    }
+
+    // format_type() omits the schema for types on the search path
+    const key = typeName.includes('.') ? typeName.replace(/"/g, '') : `public.${typeName}`;
+    if (definitions[key]) {
+      return {
+        type: definitions[key].kind === 'enum' ? 'enum' : definitions[key].type,
+        $ref: `#/definitions/${key}`
+      };
+    }
+
+    return { type: this._mapPostgresType(typeName, typeName) };
+  }
+
   /**
    * Build quality metadata
    * @private
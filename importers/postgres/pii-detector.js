@@ -281,6 +281,25 @@ function detectPII(columnName, dataType, sampleData, stats = {}) {
   };
 }
 
+/**
+ * Detect PII from a column/field name alone
+ *
+ * Used where no sample data exists (DDL files, IDL schemas). A name-pattern
+ * match is reported at its own confidence instead of requiring corroboration.
+ * @param {string} fieldName - Column or field name
+ * @param {string} [dataType] - Declared type (enables type hints such as inet)
+ * @returns {object} Detection result with confidence
+ */
+function detectPIIByName(fieldName, dataType) {
+  const detection = detectPII(fieldName, dataType, []);
+  const nameMatch = detection.signals.some(s => s.signal === 'name_pattern');
+
+  return {
+    ...detection,
+    detected: detection.detected || nameMatch
+  };
+}
+
 /**
  * Batch detect PII across multiple columns
  * @param {Array<object>} columns - Columns with metadata
@@ -306,6 +325,7 @@ function batchDetectPII(columns, samplesByColumn) {
 
 module.exports = {
   detectPII,
+  detectPIIByName,
   batchDetectPII,
   analyzeSampleData,
   calculateEntropy,
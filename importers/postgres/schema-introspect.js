@@ -6,6 +6,8 @@
  * - Read-only connection with timeout
  * - Full schema extraction (tables, columns, types, constraints)
  * - Foreign key and index discovery
+ * - Views, materialized views and their pg_depend lineage
+ * - Enum types, domains and stored functions
  * - Sample data extraction for pattern detection
  * - Adaptive sampling based on table size
  */
@@ -51,11 +53,16 @@ class SchemaIntrospector {
   async getColumns(schema, table) {
     const query = `
       SELECT
+        c.table_schema,
+        c.table_name,
         c.column_name,
         c.ordinal_position,
         c.is_nullable,
         c.data_type,
+        c.udt_schema,
         c.udt_name,
+        c.domain_schema,
+        c.domain_name,
         c.character_maximum_length,
         c.numeric_precision,
         c.numeric_scale,
@@ -224,6 +231,204 @@ class SchemaIntrospector {
     return result.rows;
   }
 
+  /**
+   * Get all views and materialized views in database
+   * @returns {Promise<Array>} List of views with definition and materialized flag
+   */
+  async getViews() {
+    const query = `
+      SELECT
+        n.nspname as view_schema,
+        c.relname as view_name,
+        c.relkind = 'm' as materialized,
+        pg_get_viewdef(c.oid, true) as definition,
+        CASE WHEN c.relkind = 'm' THEN c.reltuples::bigint END as estimated_rows,
+        obj_description(c.oid, 'pg_class') as view_comment
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE c.relkind IN ('v', 'm')
+        AND n.nspname NOT IN ('pg_catalog', 'information_schema')
+        AND n.nspname NOT LIKE 'pg_toast%'
+      ORDER BY n.nspname, c.relname;
+    `;
+
+    const result = await this.client.query(query);
+    return result.rows;
+  }
+
+  /**
+   * Get columns for a view or materialized view
+   * Materialized views are missing from information_schema.columns,
+   * so columns are read from pg_attribute in the same shape as getColumns
+   * @param {string} schema - Schema name
+   * @param {string} view - View name
+   * @returns {Promise<Array>} List of columns with metadata
+   */
+  async getViewColumns(schema, view) {
+    const query = `
+      SELECT
+        n.nspname as table_schema,
+        c.relname as table_name,
+        a.attname as column_name,
+        a.attnum as ordinal_position,
+        CASE WHEN a.attnotnull THEN 'NO' ELSE 'YES' END as is_nullable,
+        CASE
+          WHEN t.typcategory = 'A' THEN 'ARRAY'
+          WHEN t.typtype IN ('e', 'c') THEN 'USER-DEFINED'
+          WHEN t.typtype = 'd' THEN format_type(t.typbasetype, NULL)
+          ELSE format_type(a.atttypid, NULL)
+        END as data_type,
+        tn.nspname as udt_schema,
+        t.typname as udt_name,
+        CASE WHEN t.typtype = 'd' THEN tn.nspname END as domain_schema,
+        CASE WHEN t.typtype = 'd' THEN t.typname END as domain_name,
+        col_description(c.oid, a.attnum) as column_comment
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      JOIN pg_attribute a ON a.attrelid = c.oid
+      JOIN pg_type t ON t.oid = a.atttypid
+      JOIN pg_namespace tn ON tn.oid = t.typnamespace
+      WHERE n.nspname = $1
+        AND c.relname = $2
+        AND a.attnum > 0
+        AND NOT a.attisdropped
+      ORDER BY a.attnum;
+    `;
+
+    const result = await this.client.query(query, [schema, view]);
+    return result.rows;
+  }
+
+  /**
+   * Get the relations a view reads from
+   * Resolved through the view's rewrite rule in pg_depend
+   * @param {string} schema - Schema name
+   * @param {string} view - View name
+   * @returns {Promise<Array>} Source relations (schema, name, kind)
+   */
+  async getViewDependencies(schema, view) {
+    const query = `
+      SELECT DISTINCT
+        src_ns.nspname as source_schema,
+        src.relname as source_name,
+        src.relkind as source_kind
+      FROM pg_depend d
+      JOIN pg_rewrite r ON r.oid = d.objid
+      JOIN pg_class v ON v.oid = r.ev_class
+      JOIN pg_namespace v_ns ON v_ns.oid = v.relnamespace
+      JOIN pg_class src ON src.oid = d.refobjid
+      JOIN pg_namespace src_ns ON src_ns.oid = src.relnamespace
+      WHERE d.classid = 'pg_rewrite'::regclass
+        AND d.refclassid = 'pg_class'::regclass
+        AND v_ns.nspname = $1
+        AND v.relname = $2
+        AND src.oid <> v.oid
+      ORDER BY src_ns.nspname, src.relname;
+    `;
+
+    const result = await this.client.query(query, [schema, view]);
+    return result.rows;
+  }
+
+  /**
+   * Get all enum types with their labels in sort order
+   * @returns {Promise<Array>} Enum types
+   */
+  async getEnums() {
+    const query = `
+      SELECT
+        n.nspname as enum_schema,
+        t.typname as enum_name,
+        array_agg(e.enumlabel::text ORDER BY e.enumsortorder) as labels,
+        obj_description(t.oid, 'pg_type') as enum_comment
+      FROM pg_type t
+      JOIN pg_enum e ON e.enumtypid = t.oid
+      JOIN pg_namespace n ON n.oid = t.typnamespace
+      WHERE n.nspname NOT IN ('pg_catalog', 'information_schema')
+      GROUP BY n.nspname, t.typname, t.oid
+      ORDER BY n.nspname, t.typname;
+    `;
+
+    const result = await this.client.query(query);
+    return result.rows;
+  }
+
+  /**
+   * Get all domains with base type and check constraints
+   * @returns {Promise<Array>} Domain types
+   */
+  async getDomains() {
+    const query = `
+      SELECT
+        n.nspname as domain_schema,
+        t.typname as domain_name,
+        format_type(t.typbasetype, NULL) as base_type,
+        t.typnotnull as not_null,
+        t.typdefault as domain_default,
+        COALESCE(
+          array_agg(pg_get_constraintdef(con.oid) ORDER BY con.conname)
+            FILTER (WHERE con.oid IS NOT NULL),
+          '{}'
+        ) as checks,
+        obj_description(t.oid, 'pg_type') as domain_comment
+      FROM pg_type t
+      JOIN pg_namespace n ON n.oid = t.typnamespace
+      LEFT JOIN pg_constraint con ON con.contypid = t.oid AND con.contype = 'c'
+      WHERE t.typtype = 'd'
+        AND n.nspname NOT IN ('pg_catalog', 'information_schema')
+      GROUP BY n.nspname, t.typname, t.oid, t.typbasetype, t.typnotnull, t.typdefault
+      ORDER BY n.nspname, t.typname;
+    `;
+
+    const result = await this.client.query(query);
+    return result.rows;
+  }
+
+  /**
+   * Get user-defined functions and procedures (extension members excluded)
+   * Arguments come back as [{ name, type, mode }] where mode is the
+   * pg_proc.proargmodes code: i (in), o (out), b (inout), v (variadic), t (table column)
+   * @returns {Promise<Array>} Functions with arguments and return type
+   */
+  async getFunctions() {
+    const query = `
+      SELECT
+        n.nspname as function_schema,
+        p.proname as function_name,
+        p.prokind = 'p' as is_procedure,
+        l.lanname as language,
+        p.provolatile as volatility,
+        pg_get_function_identity_arguments(p.oid) as identity_arguments,
+        COALESCE((
+          SELECT json_agg(json_build_object(
+            'name', a.arg_name,
+            'type', format_type(a.arg_type, NULL),
+            'mode', COALESCE(p.proargmodes[a.ord]::text, 'i')
+          ) ORDER BY a.ord)
+          FROM unnest(COALESCE(p.proallargtypes, p.proargtypes::oid[]), p.proargnames)
+            WITH ORDINALITY AS a(arg_type, arg_name, ord)
+        ), '[]'::json) as arguments,
+        format_type(p.prorettype, NULL) as return_type,
+        p.proretset as returns_set,
+        obj_description(p.oid, 'pg_proc') as function_comment
+      FROM pg_proc p
+      JOIN pg_namespace n ON n.oid = p.pronamespace
+      JOIN pg_language l ON l.oid = p.prolang
+      WHERE p.prokind IN ('f', 'p')
+        AND n.nspname NOT IN ('pg_catalog', 'information_schema')
+        AND NOT EXISTS (
+          SELECT 1 FROM pg_depend d
+          WHERE d.classid = 'pg_proc'::regclass
+            AND d.objid = p.oid
+            AND d.deptype = 'e'
+        )
+      ORDER BY n.nspname, p.proname, identity_arguments;
+    `;
+
+    const result = await this.client.query(query);
+    return result.rows;
+  }
+
   /**
    * Get all schemas (excluding system schemas)
    * @returns {Promise<Array<string>>} Schema names
@@ -0,0 +1,669 @@
+/*
+ * Prisma Schema Parser
+ * Parses `schema.prisma` files into the same table/column/constraint shapes
+ * returned by the live Postgres schema introspector
+ *
+ * Features:
+ * - Models with scalar, list, enum and `Unsupported("...")` fields
+ * - `@id` / `@@id`, `@@index`, and `@unique` / `@@unique` as unique indexes
+ * - `@relation(fields, references)` foreign keys
+ * - Implicit many-to-many relations as `_AToB` join tables
+ * - `@map` / `@@map` database names and `@@schema` (multiSchema)
+ * - Native type attributes (`@db.VarChar(255)`, `@db.Uuid`, ...)
+ * - `///` documentation comments as table/column comments
+ * - Enums (with `@map`ped values) and views
+ *
+ * `@ignore` / `@@ignore` only hide fields and models from Prisma Client; the
+ * columns and tables still exist in the database, so they are kept.
+ *
+ * Names follow Prisma Migrate's conventions (`<table>_pkey`, `<table>_<cols>_key`,
+ * `<table>_<cols>_idx`, `<table>_<cols>_fkey`) so the result lines up with an
+ * introspection of the migrated database.
+ */
+
+/**
+ * Prisma scalar type → information_schema data_type / udt_name
+ */
+const SCALAR_TYPES = {
+  String: ['text', 'text'],
+  Int: ['integer', 'int4'],
+  BigInt: ['bigint', 'int8'],
+  Float: ['double precision', 'float8'],
+  Decimal: ['numeric', 'numeric'],
+  Boolean: ['boolean', 'bool'],
+  DateTime: ['timestamp without time zone', 'timestamp'],
+  Json: ['jsonb', 'jsonb'],
+  Bytes: ['bytea', 'bytea']
+};
+
+/**
+ * `@db.<Type>` native type attribute → information_schema data_type / udt_name
+ */
+const NATIVE_TYPES = {
+  Text: ['text', 'text'],
+  VarChar: ['character varying', 'varchar'],
+  Char: ['character', 'bpchar'],
+  Uuid: ['uuid', 'uuid'],
+  Citext: ['USER-DEFINED', 'citext'],
+  Inet: ['inet', 'inet'],
+  Xml: ['xml', 'xml'],
+  Bit: ['bit', 'bit'],
+  VarBit: ['bit varying', 'varbit'],
+  SmallInt: ['smallint', 'int2'],
+  Integer: ['integer', 'int4'],
+  Oid: ['oid', 'oid'],
+  Real: ['real', 'float4'],
+  DoublePrecision: ['double precision', 'float8'],
+  Money: ['money', 'money'],
+  Timestamp: ['timestamp without time zone', 'timestamp'],
+  Timestamptz: ['timestamp with time zone', 'timestamptz'],
+  Date: ['date', 'date'],
+  Time: ['time without time zone', 'time'],
+  Timetz: ['time with time zone', 'timetz'],
+  Json: ['json', 'json'],
+  JsonB: ['jsonb', 'jsonb'],
+  ByteA: ['bytea', 'bytea']
+};
+
+const BLOCK_START = /^(model|enum|view|type|datasource|generator)\s+(\w+)\s*\{\s*$/;
+
+/**
+ * Parse a Prisma schema
+ * @param {string} source - schema.prisma contents
+ * @param {object} [options]
+ * @param {string} [options.defaultSchema='public'] - Schema for models without `@@schema`
+ * @returns {{provider: string|null, relations: Array<object>, enums: Array<object>, warnings: Array<string>}}
+ */
+function parsePrismaSchema(source, options = {}) {
+  const defaultSchema = options.defaultSchema || 'public';
+  const blocks = splitBlocks(source);
+  const warnings = [];
+
+  const datasource = blocks.find(block => block.kind === 'datasource');
+  const provider = datasource ? readProvider(datasource) : null;
+
+  const enums = blocks
+    .filter(block => block.kind === 'enum')
+    .map(block => parseEnum(block, defaultSchema));
+  const enumsByName = new Map(enums.map(en => [en.name, en]));
+
+  const models = blocks
+    .filter(block => block.kind === 'model' || block.kind === 'view')
+    .map(block => parseModel(block, defaultSchema));
+  const modelsByName = new Map(models.map(model => [model.name, model]));
+
+  for (const block of blocks.filter(b => b.kind === 'type')) {
+    warnings.push(`Composite type '${block.name}' skipped (only supported on MongoDB)`);
+  }
+
+  const relations = models.map(model => toRelation(model, enumsByName, modelsByName, warnings));
+  relations.push(...implicitJoinTables(models, modelsByName, defaultSchema));
+
+  return {
+    provider,
+    relations,
+    enums: enums.map(en => ({
+      enum_schema: en.schema,
+      enum_name: en.dbName,
+      labels: en.values,
+      enum_comment: en.comment
+    })),
+    warnings
+  };
+}
+
+/**
+ * Split source into top-level blocks with their body lines and doc comments
+ * @private
+ */
+function splitBlocks(source) {
+  const blocks = [];
+  let current = null;
+  let docs = [];
+
+  for (const rawLine of source.split(/\r?\n/)) {
+    const trimmed = rawLine.trim();
+
+    if (!current) {
+      if (trimmed.startsWith('///')) {
+        docs.push(trimmed.slice(3).trim());
+        continue;
+      }
+      const match = stripComment(trimmed).match(BLOCK_START);
+      if (match) {
+        current = { kind: match[1], name: match[2], comment: docs.join('\n') || null, lines: [] };
+      }
+      docs = [];
+      continue;
+    }
+
+    if (stripComment(trimmed) === '}') {
+      blocks.push(current);
+      current = null;
+      continue;
+    }
+
+    current.lines.push(trimmed);
+  }
+
+  return blocks;
+}
+
+/**
+ * Read `provider = "..."` from the datasource block
+ * @private
+ */
+function readProvider(block) {
+  for (const line of block.lines) {
+    const match = stripComment(line).match(/^provider\s*=\s*"([^"]+)"/);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Parse an enum block
+ * @private
+ */
+function parseEnum(block, defaultSchema) {
+  const values = [];
+  let dbName = block.name;
+  let schema = defaultSchema;
+
+  for (const line of block.lines) {
+    const content = stripComment(line);
+    if (!content) continue;
+
+    if (content.startsWith('@@')) {
+      for (const attr of parseAttributes(content)) {
+        if (attr.name === '@@map') dbName = attr.args.positional[0];
+        if (attr.name === '@@schema') schema = attr.args.positional[0];
+      }
+      continue;
+    }
+
+    const match = content.match(/^(\w+)(.*)$/);
+    if (!match) continue;
+    const mapped = parseAttributes(match[2]).find(attr => attr.name === '@map');
+    values.push(mapped ? mapped.args.positional[0] : match[1]);
+  }
+
+  return { name: block.name, dbName, schema, values, comment: block.comment };
+}
+
+/**
+ * Parse a model or view block into fields and block attributes
+ * @private
+ */
+function parseModel(block, defaultSchema) {
+  const model = {
+    name: block.name,
+    kind: block.kind === 'view' ? 'view' : 'table',
+    dbName: block.name,
+    schema: defaultSchema,
+    comment: block.comment,
+    fields: [],
+    id: null,
+    uniques: [],
+    indexes: []
+  };
+
+  let docs = [];
+  for (const line of block.lines) {
+    if (line.startsWith('///')) {
+      docs.push(line.slice(3).trim());
+      continue;
+    }
+
+    const content = stripComment(line);
+    if (!content) continue;
+
+    if (content.startsWith('@@')) {
+      for (const attr of parseAttributes(content)) {
+        applyBlockAttribute(model, attr);
+      }
+      docs = [];
+      continue;
+    }
+
+    const field = parseField(content, docs.join('\n') || null);
+    if (field) model.fields.push(field);
+    docs = [];
+  }
+
+  return model;
+}
+
+/**
+ * Parse a single field line
+ * @private
+ */
+function parseField(content, comment) {
+  const match = content.match(/^(\w+)\s+(Unsupported\("[^"]*"\)|[\w.]+)(\[\])?(\?)?(.*)$/);
+  if (!match) return null;
+
+  const [, name, type, list, optional, rest] = match;
+  const attributes = parseAttributes(rest);
+  const attr = attrName => attributes.find(a => a.name === attrName);
+
+  return {
+    name,
+    type,
+    list: Boolean(list),
+    optional: Boolean(optional),
+    dbName: attr('@map')?.args.positional[0] || name,
+    id: Boolean(attr('@id')),
+    unique: Boolean(attr('@unique')),
+    relation: attr('@relation')?.args || null,
+    native: attributes.find(a => a.name.startsWith('@db.')) || null,
+    defaultValue: attr('@default')?.raw || null,
+    comment
+  };
+}
+
+/**
+ * Apply a `@@` attribute to a model
+ * @private
+ */
+function applyBlockAttribute(model, attr) {
+  const fieldsArg = attr.args.named.fields || attr.args.positional[0];
+  const fields = Array.isArray(fieldsArg) ? fieldsArg : [];
+
+  switch (attr.name) {
+    case '@@map':
+      model.dbName = attr.args.positional[0];
+      break;
+    case '@@schema':
+      model.schema = attr.args.positional[0];
+      break;
+    case '@@id':
+      model.id = { fields, name: attr.args.named.map || null };
+      break;
+    case '@@unique':
+      model.uniques.push({ fields, name: attr.args.named.map || null });
+      break;
+    case '@@index':
+      model.indexes.push({ fields, name: attr.args.named.map || null, type: attr.args.named.type || null });
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Convert a parsed model into an introspection-style relation
+ * @private
+ */
+function toRelation(model, enumsByName, modelsByName, warnings) {
+  const table = model.dbName;
+  const relation = {
+    table_schema: model.schema,
+    table_name: table,
+    kind: model.kind,
+    table_comment: model.comment,
+    columns: [],
+    primaryKey: [],
+    foreignKeys: [],
+    uniqueConstraints: [],
+    indexes: [],
+    sources: []
+  };
+
+  const columnName = fieldName => model.fields.find(f => f.name === fieldName)?.dbName || fieldName;
+
+  for (const field of model.fields) {
+    if (modelsByName.has(field.type)) continue;
+
+    const [dataType, udtName, udtSchema] = resolveColumnType(field, enumsByName, warnings, model.name);
+    relation.columns.push({
+      table_schema: relation.table_schema,
+      table_name: table,
+      column_name: field.dbName,
+      ordinal_position: relation.columns.length + 1,
+      is_nullable: field.optional || field.list ? 'YES' : 'NO',
+      data_type: dataType,
+      udt_schema: udtSchema,
+      udt_name: udtName,
+      column_default: field.defaultValue,
+      column_comment: field.comment
+    });
+
+    if (field.id) {
+      relation.primaryKey.push(field.dbName);
+    }
+    if (field.unique) {
+      relation.indexes.push(uniqueIndex(`${table}_${field.dbName}_key`, [field.dbName]));
+    }
+  }
+
+  if (model.id) {
+    relation.primaryKey = model.id.fields.map(columnName);
+  }
+
+  for (const unique of model.uniques) {
+    const columns = unique.fields.map(columnName);
+    relation.indexes.push(uniqueIndex(unique.name || `${table}_${columns.join('_')}_key`, columns));
+  }
+
+  for (const index of model.indexes) {
+    const columns = index.fields.map(columnName);
+    relation.indexes.push({
+      index_name: index.name || `${table}_${columns.join('_')}_idx`,
+      columns,
+      is_unique: false,
+      is_primary: false,
+      index_type: (index.type || 'btree').toLowerCase()
+    });
+  }
+
+  // Foreign keys live on the side of the relation that lists `fields`
+  for (const field of model.fields) {
+    if (!field.relation || !modelsByName.has(field.type)) continue;
+
+    const fkFields = field.relation.named.fields || [];
+    const references = field.relation.named.references || [];
+    if (fkFields.length === 0) continue;
+
+    const target = modelsByName.get(field.type);
+    const targetColumn = name => target.fields.find(f => f.name === name)?.dbName || name;
+    const fkColumns = fkFields.map(columnName);
+    const constraintName = field.relation.named.map || `${table}_${fkColumns.join('_')}_fkey`;
+
+    fkColumns.forEach((column, idx) => {
+      relation.foreignKeys.push({
+        column_name: column,
+        foreign_table_schema: target.schema,
+        foreign_table_name: target.dbName,
+        foreign_column_name: targetColumn(references[idx]),
+        constraint_name: constraintName
+      });
+    });
+  }
+
+  return relation;
+}
+
+/**
+ * Prisma Migrate creates `@unique` as a unique index rather than a constraint
+ * @private
+ */
+function uniqueIndex(name, columns) {
+  return { index_name: name, columns, is_unique: true, is_primary: false, index_type: 'btree' };
+}
+
+/**
+ * Resolve a field's column type to [data_type, udt_name, udt_schema]
+ * @private
+ */
+function resolveColumnType(field, enumsByName, warnings, modelName) {
+  let base;
+
+  const unsupported = field.type.match(/^Unsupported\("([^"]*)"\)$/);
+  if (unsupported) {
+    base = ['USER-DEFINED', unsupported[1].toLowerCase(), null];
+  } else if (enumsByName.has(field.type)) {
+    const en = enumsByName.get(field.type);
+    base = ['USER-DEFINED', en.dbName, en.schema];
+  } else if (field.native && NATIVE_TYPES[field.native.name.slice(4)]) {
+    base = NATIVE_TYPES[field.native.name.slice(4)];
+  } else if (SCALAR_TYPES[field.type]) {
+    base = SCALAR_TYPES[field.type];
+  } else {
+    warnings.push(`Unknown type '${field.type}' on ${modelName}.${field.name}`);
+    base = ['USER-DEFINED', field.type.toLowerCase(), null];
+  }
+
+  if (field.list) {
+    return ['array', `_${base[1]}`, base[2] || null];
+  }
+  return [base[0], base[1], base[2] || null];
+}
+
+/**
+ * Build `_AToB` join tables for implicit many-to-many relations
+ * @private
+ */
+function implicitJoinTables(models, modelsByName, defaultSchema) {
+  const tables = [];
+  const seen = new Set();
+
+  for (const model of models) {
+    for (const field of model.fields) {
+      if (!field.list || !modelsByName.has(field.type) || (field.relation?.named.fields || []).length > 0) continue;
+
+      const other = modelsByName.get(field.type);
+      const relationName = field.relation?.named.name || field.relation?.positional[0] || null;
+      const backRef = other.fields.find(f =>
+        f.list && f.type === model.name && f !== field &&
+        (f.relation?.named.name || f.relation?.positional[0] || null) === relationName
+      );
+      if (!backRef) continue;
+
+      // Prisma orders the pair alphabetically: column A points at the first model
+      const [first, second] = [model, other].sort((a, b) => a.name.localeCompare(b.name));
+      const name = `_${relationName || `${first.name}To${second.name}`}`;
+      if (seen.has(name)) continue;
+      seen.add(name);
+
+      const idColumn = target => {
+        const idField = target.fields.find(f => f.id) ||
+          target.fields.find(f => target.id && f.name === target.id.fields[0]);
+        return idField || { dbName: 'id', type: 'Int', list: false };
+      };
+
+      const schema = first.schema || defaultSchema;
+      const column = (colName, target) => {
+        const idField = idColumn(target);
+        const [dataType, udtName] = idField.native && NATIVE_TYPES[idField.native.name.slice(4)]
+          ? NATIVE_TYPES[idField.native.name.slice(4)]
+          : (SCALAR_TYPES[idField.type] || ['integer', 'int4']);
+        return {
+          table_schema: schema,
+          table_name: name,
+          column_name: colName,
+          ordinal_position: colName === 'A' ? 1 : 2,
+          is_nullable: 'NO',
+          data_type: dataType,
+          udt_name: udtName,
+          column_default: null,
+          column_comment: null
+        };
+      };
+
+      tables.push({
+        table_schema: schema,
+        table_name: name,
+        kind: 'table',
+        table_comment: null,
+        columns: [column('A', first), column('B', second)],
+        primaryKey: [],
+        foreignKeys: [
+          {
+            column_name: 'A',
+            foreign_table_schema: first.schema,
+            foreign_table_name: first.dbName,
+            foreign_column_name: idColumn(first).dbName,
+            constraint_name: `${name}_A_fkey`
+          },
+          {
+            column_name: 'B',
+            foreign_table_schema: second.schema,
+            foreign_table_name: second.dbName,
+            foreign_column_name: idColumn(second).dbName,
+            constraint_name: `${name}_B_fkey`
+          }
+        ],
+        uniqueConstraints: [],
+        indexes: [
+          uniqueIndex(`${name}_AB_unique`, ['A', 'B']),
+          { index_name: `${name}_B_index`, columns: ['B'], is_unique: false, is_primary: false, index_type: 'btree' }
+        ],
+        sources: []
+      });
+    }
+  }
+
+  return tables;
+}
+
+/**
+ * Parse `@attr(args)` / `@@attr(args)` occurrences in a string
+ * @param {string} text - Attribute text
+ * @returns {Array<{name: string, args: {positional: Array, named: object}, raw: string|null}>}
+ */
+function parseAttributes(text) {
+  const attributes = [];
+  let i = 0;
+
+  while (i < text.length) {
+    if (text[i] !== '@') {
+      i++;
+      continue;
+    }
+
+    const match = text.slice(i).match(/^@@?[\w.]+/);
+    if (!match) {
+      i++;
+      continue;
+    }
+    const name = match[0];
+    i += name.length;
+
+    let raw = null;
+    if (text[i] === '(') {
+      const end = findClosing(text, i);
+      raw = text.slice(i + 1, end);
+      i = end + 1;
+    }
+
+    attributes.push({ name, args: parseArguments(raw), raw });
+  }
+
+  return attributes;
+}
+
+/**
+ * Parse an attribute argument list into positional and named values
+ * @private
+ */
+function parseArguments(raw) {
+  const args = { positional: [], named: {} };
+  if (!raw) return args;
+
+  for (const part of splitTopLevel(raw)) {
+    const named = part.match(/^(\w+)\s*:\s*([\s\S]+)$/);
+    if (named) {
+      args.named[named[1]] = parseValue(named[2]);
+    } else if (part) {
+      args.positional.push(parseValue(part));
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Parse a single argument value (string, list, or bare expression)
+ * @private
+ */
+function parseValue(value) {
+  const trimmed = value.trim();
+  if (/^"([^"\\]|\\.)*"$/.test(trimmed)) {
+    return trimmed.slice(1, -1).replace(/\\"/g, '"');
+  }
+  if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
+    // Entries may carry per-field options, e.g. [title(sort: Desc)]
+    return splitTopLevel(trimmed.slice(1, -1)).map(item => parseValue(item.replace(/\(.*\)$/, '')));
+  }
+  return trimmed;
+}
+
+/**
+ * Split on commas outside brackets, parentheses and strings
+ * @private
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let inString = false;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') {
+        current += ch + text[++i];
+        continue;
+      }
+      if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '(' || ch === '[') {
+      depth++;
+    } else if (ch === ')' || ch === ']') {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Find the index of the parenthesis closing the one at `start`
+ * @private
+ */
+function findClosing(text, start) {
+  let depth = 0;
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+
+  return text.length;
+}
+
+/**
+ * Drop a trailing `//` comment (keeping `///` doc comments and strings intact)
+ * @private
+ */
+function stripComment(line) {
+  if (line.startsWith('///')) return '';
+
+  let inString = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '/' && line[i + 1] === '/') {
+      return line.slice(0, i).trim();
+    }
+  }
+
+  return line.trim();
+}
+
+module.exports = {
+  parsePrismaSchema,
+  parseAttributes
+};
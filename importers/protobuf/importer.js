@@ -0,0 +1,514 @@
+/*
+ * Protobuf / gRPC Importer
+ * Converts proto3 service definitions to API Protocol manifests
+ *
+ * Features:
+ * - .proto files, directories of .proto files, or proto source strings
+ * - Services and rpc methods mapped to interface.endpoints (one URN per method)
+ * - Messages and enums mapped to validation.schemas (proto3 JSON mapping)
+ * - Client/server/bidirectional streaming flags; server and bidi streams
+ *   flagged as long-running
+ * - google.api.http annotations mapped to HTTP bindings
+ * - Message fields run through the PII name heuristics; the hits are listed
+ *   in piiFields, where the graph PII tracer picks them up
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const protobuf = require('protobufjs');
+const {
+  messageToSchema,
+  enumToSchema,
+  schemaName,
+  resolveType,
+  SCHEMA_REF_PREFIX,
+  WELL_KNOWN_TYPES
+} = require('./schema-converter');
+
+const HTTP_RULE_METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+
+/**
+ * Protobuf to API Protocol Importer
+ */
+class ProtobufImporter {
+  constructor(options = {}) {
+    this.options = {
+      strictMode: false,           // If true, fail on invalid .proto sources
+      generateURNs: true,          // Auto-generate service/endpoint URNs
+      inferPatterns: true,         // Enable streaming → long-running detection
+      detectPII: true,             // Flag PII-looking message fields
+      serviceName: null,           // Override service name (defaults to package)
+      serviceVersion: null,        // Override service version (defaults to package vN)
+      ...options
+    };
+  }
+
+  /**
+   * Import proto definitions to API Protocol manifest
+   * @param {string} source - .proto file path, directory of .proto files, or proto source text
+   * @returns {Promise<object>} API Protocol manifest (draft status)
+   */
+  async import(source) {
+    try {
+      const { files, reference } = await this._loadSources(source);
+      const { root, pkg, syntax } = this._parse(files);
+
+      const services = this._collectServices(root);
+      if (services.length === 0) {
+        throw new Error('No service definitions found in protobuf source');
+      }
+
+      const importedAt = new Date().toISOString();
+      const specHash = crypto.createHash('sha256');
+      files.forEach(file => specHash.update(file.content));
+
+      const manifest = this._convertToManifest(root, services, pkg);
+
+      manifest.metadata = { ...(manifest.metadata || {}) };
+      manifest.metadata.status = 'draft';
+      // The service URN identifies the manifest in the protocol graph
+      if (manifest.service?.urn) {
+        manifest.metadata.urn = manifest.service.urn;
+      }
+      manifest.metadata.source = {
+        type: 'protobuf',
+        syntax,
+        ...(pkg && { package: pkg }),
+        imported_at: importedAt,
+        input_type: reference ? 'file' : 'string',
+        ...(reference && { reference }),
+        ...(reference && { files: files.map(file => file.name) })
+      };
+
+      manifest.provenance = {
+        importer: 'ProtobufImporter',
+        importer_version: '0.1.0',
+        imported_at: importedAt,
+        spec_version: syntax,
+        spec_hash: specHash.digest('hex'),
+        source: reference,
+        source_type: typeof source
+      };
+
+      return manifest;
+    } catch (error) {
+      if (this.options.strictMode) {
+        throw error;
+      }
+      return this._createErrorManifest(source, error);
+    }
+  }
+
+  /**
+   * Read .proto sources from a file, a directory, or inline text
+   * @private
+   */
+  async _loadSources(source) {
+    if (typeof source !== 'string' || source.trim().length === 0) {
+      throw new Error('Protobuf source must be a .proto file, a directory, or proto source text');
+    }
+
+    if (!this._looksLikePath(source)) {
+      return { files: [{ name: '<inline>', content: source }], reference: null };
+    }
+
+    const stats = await fs.stat(source);
+    if (!stats.isDirectory()) {
+      return {
+        files: [{ name: path.basename(source), content: await fs.readFile(source, 'utf-8') }],
+        reference: source
+      };
+    }
+
+    const protoPaths = (await this._findProtoFiles(source)).sort();
+    if (protoPaths.length === 0) {
+      throw new Error(`No .proto files found in ${source}`);
+    }
+
+    const files = [];
+    for (const protoPath of protoPaths) {
+      files.push({
+        name: path.relative(source, protoPath),
+        content: await fs.readFile(protoPath, 'utf-8')
+      });
+    }
+
+    return { files, reference: source };
+  }
+
+  /**
+   * Recursively list .proto files under a directory
+   * @private
+   */
+  async _findProtoFiles(dir) {
+    const results = [];
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        results.push(...await this._findProtoFiles(fullPath));
+      } else if (entry.name.endsWith('.proto')) {
+        results.push(fullPath);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Parse all sources into one protobufjs root
+   * @private
+   */
+  _parse(files) {
+    const root = new protobuf.Root();
+    let pkg = null;
+    let syntax = 'proto3';
+
+    for (const file of files) {
+      try {
+        const parsed = protobuf.parse(file.content, root, {
+          keepCase: true,
+          alternateCommentMode: true
+        });
+        pkg = pkg || parsed.package || null;
+        if (parsed.syntax) syntax = parsed.syntax;
+      } catch (error) {
+        throw new Error(`Failed to parse ${file.name}: ${error.message}`);
+      }
+    }
+
+    return { root, pkg, syntax };
+  }
+
+  /**
+   * Collect all service definitions in the root
+   * @private
+   */
+  _collectServices(namespace) {
+    const services = [];
+
+    for (const nested of namespace.nestedArray || []) {
+      if (nested instanceof protobuf.Service) {
+        services.push(nested);
+      } else if (nested instanceof protobuf.Namespace) {
+        services.push(...this._collectServices(nested));
+      }
+    }
+
+    return services;
+  }
+
+  /**
+   * Convert parsed definitions to API Protocol manifest
+   * @private
+   */
+  _convertToManifest(root, services, pkg) {
+    const service = this._extractService(services, pkg);
+    const endpoints = services.flatMap(svc => this._extractEndpoints(svc, service, pkg));
+    const { validation, piiFields } = this._extractValidation(root, pkg);
+
+    const manifest = {
+      service,
+      interface: { endpoints },
+      validation,
+      metadata: this._extractMetadata(endpoints)
+    };
+
+    if (piiFields.length > 0) {
+      manifest.piiFields = piiFields;
+    }
+
+    Object.keys(manifest).forEach(key => {
+      if (!manifest[key] || (typeof manifest[key] === 'object' && Object.keys(manifest[key]).length === 0)) {
+        delete manifest[key];
+      }
+    });
+
+    return manifest;
+  }
+
+  /**
+   * Extract service identity (package name, version from a `vN` package segment)
+   * @private
+   */
+  _extractService(services, pkg) {
+    const packageVersion = pkg?.split('.').reverse().find(segment => /^v\d+$/.test(segment));
+    const packageName = pkg
+      ? pkg.split('.').filter(segment => segment !== packageVersion).join('.')
+      : null;
+
+    const service = {
+      name: this.options.serviceName || packageName || services[0].name,
+      version: this.options.serviceVersion ||
+        (packageVersion ? `${packageVersion.slice(1)}.0.0` : '0.0.0')
+    };
+
+    if (this.options.generateURNs) {
+      service.urn = this._generateServiceURN(service);
+    }
+
+    if (services.length === 1 && services[0].comment) {
+      service.description = services[0].comment;
+    }
+
+    return service;
+  }
+
+  /**
+   * Map rpc methods to endpoints
+   * @private
+   */
+  _extractEndpoints(grpcService, service, pkg) {
+    const qualifiedService = grpcService.fullName.replace(/^\./, '');
+
+    return grpcService.methodsArray.map(method => {
+      const endpoint = {
+        method: 'POST',
+        path: `/${qualifiedService}/${method.name}`,
+        operationId: method.name,
+        ...(method.comment && { description: method.comment }),
+        grpc: {
+          service: qualifiedService,
+          method: method.name,
+          client_streaming: Boolean(method.requestStream),
+          server_streaming: Boolean(method.responseStream)
+        }
+      };
+
+      if (this.options.generateURNs) {
+        endpoint.urn = this._generateEndpointURN(service, grpcService.name, method.name);
+      }
+
+      endpoint.request = {
+        contentType: 'application/grpc',
+        required: true,
+        schema: this._typeRef(grpcService, method.requestType, pkg)
+      };
+
+      endpoint.responses = [{
+        status: 200,
+        schema: this._typeRef(grpcService, method.responseType, pkg)
+      }];
+
+      const http = this._extractHttpRule(method);
+      if (http) {
+        endpoint.http = http;
+        const params = this._extractHttpParams(http.path);
+        if (params.length > 0) endpoint.params = params;
+      }
+
+      if (this.options.inferPatterns && method.responseStream) {
+        endpoint.long_running = {
+          pattern: 'stream',
+          stream: method.requestStream ? 'bidirectional' : 'server'
+        };
+      }
+
+      if (method.options?.deprecated) {
+        endpoint.lifecycle = { status: 'deprecated' };
+      }
+
+      return endpoint;
+    });
+  }
+
+  /**
+   * Reference a request/response message in validation.schemas
+   * @private
+   */
+  _typeRef(scope, typeName, pkg) {
+    const resolved = resolveType(scope, typeName);
+    const fullName = resolved ? resolved.fullName.replace(/^\./, '') : typeName.replace(/^\./, '');
+
+    if (WELL_KNOWN_TYPES[fullName]) {
+      return { ...WELL_KNOWN_TYPES[fullName] };
+    }
+
+    return { $ref: `${SCHEMA_REF_PREFIX}${resolved ? schemaName(resolved, pkg) : fullName}` };
+  }
+
+  /**
+   * Read the google.api.http annotation of a method
+   * @private
+   */
+  _extractHttpRule(method) {
+    const option = (method.parsedOptions || []).find(opt => opt['(google.api.http)']);
+    const rule = option?.['(google.api.http)'];
+    if (!rule) return null;
+
+    const verb = HTTP_RULE_METHODS.find(m => typeof rule[m] === 'string');
+    if (verb) {
+      return {
+        method: verb.toUpperCase(),
+        path: rule[verb],
+        ...(rule.body && { body: rule.body })
+      };
+    }
+
+    if (rule.custom?.kind && rule.custom?.path) {
+      return {
+        method: rule.custom.kind.toUpperCase(),
+        path: rule.custom.path,
+        ...(rule.body && { body: rule.body })
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract path params from an HTTP rule template (e.g. /v1/{name=orders/*})
+   * @private
+   */
+  _extractHttpParams(template) {
+    const params = [];
+    const pattern = /\{([^}=]+)(?:=[^}]*)?\}/g;
+    let match;
+
+    while ((match = pattern.exec(template)) !== null) {
+      params.push({
+        name: match[1],
+        in: 'path',
+        required: true,
+        schema: { type: 'string' }
+      });
+    }
+
+    return params;
+  }
+
+  /**
+   * Map messages and enums to JSON Schema definitions
+   * @private
+   */
+  _extractValidation(root, pkg) {
+    const schemas = {};
+    const piiFields = [];
+
+    const visit = namespace => {
+      for (const nested of namespace.nestedArray || []) {
+        const fullName = nested.fullName.replace(/^\./, '');
+        if (WELL_KNOWN_TYPES[fullName]) continue;
+
+        if (nested instanceof protobuf.Type) {
+          const converted = messageToSchema(nested, pkg, { detectPII: this.options.detectPII });
+          schemas[schemaName(nested, pkg)] = converted.schema;
+          piiFields.push(...converted.piiFields);
+        } else if (nested instanceof protobuf.Enum) {
+          schemas[schemaName(nested, pkg)] = enumToSchema(nested);
+        }
+
+        if (nested instanceof protobuf.Namespace) {
+          visit(nested);
+        }
+      }
+    };
+    visit(root);
+
+    return {
+      validation: Object.keys(schemas).length > 0 ? { schemas } : undefined,
+      piiFields
+    };
+  }
+
+  /**
+   * Collect manifest-level metadata (deprecations)
+   * @private
+   */
+  _extractMetadata(endpoints) {
+    const deprecated = endpoints.filter(endpoint => endpoint.lifecycle?.status === 'deprecated');
+    if (deprecated.length === 0) return undefined;
+
+    return {
+      deprecations: deprecated.map(endpoint => ({
+        element: endpoint.path,
+        ...(endpoint.urn && { urn: endpoint.urn })
+      }))
+    };
+  }
+
+  /**
+   * Generate a stable URN for the service
+   * @private
+   */
+  _generateServiceURN(service) {
+    const serviceSlug = this._slugify(service?.name || 'api');
+    const version = this._normalizeVersionForUrn(service?.version);
+
+    const baseUrn = `urn:proto:api:${serviceSlug}/service`;
+    return version ? `${baseUrn}@${version}` : baseUrn;
+  }
+
+  /**
+   * Generate a stable URN for an rpc method
+   * @private
+   */
+  _generateEndpointURN(service, grpcServiceName, methodName) {
+    const serviceSlug = this._slugify(service?.name || 'api');
+    const version = this._normalizeVersionForUrn(service?.version);
+    const opSlug = this._slugify(`${grpcServiceName}-${methodName}`);
+
+    const baseUrn = `urn:proto:api.endpoint:${serviceSlug}/op/${opSlug}`;
+    return version ? `${baseUrn}@${version}` : baseUrn;
+  }
+
+  /**
+   * Normalize version string for URN usage (semver only)
+   * @private
+   */
+  _normalizeVersionForUrn(version) {
+    if (!version || typeof version !== 'string') {
+      return null;
+    }
+
+    const normalized = version.trim().replace(/^v/i, '');
+    return /^\d+\.\d+\.\d+$/.test(normalized) ? normalized : null;
+  }
+
+  /**
+   * Slugify string for URN generation
+   * @private
+   */
+  _slugify(str) {
+    return str
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Heuristic: a single-line string without proto syntax is a path
+   * @private
+   */
+  _looksLikePath(value) {
+    return !/[\n;{]/.test(value);
+  }
+
+  /**
+   * Create error manifest for failed imports
+   * @private
+   */
+  _createErrorManifest(source, error) {
+    return {
+      service: {
+        name: 'import-failed',
+        version: '0.0.0'
+      },
+      interface: {
+        endpoints: []
+      },
+      metadata: {
+        status: 'error',
+        error: {
+          message: error.message,
+          source: typeof source === 'string' && this._looksLikePath(source) ? source : null,
+          timestamp: new Date().toISOString()
+        }
+      }
+    };
+  }
+}
+
+module.exports = { ProtobufImporter };
@@ -0,0 +1,230 @@
+/*
+ * Protobuf Message → JSON Schema Conversion
+ *
+ * Converts protobufjs reflection objects (Type / Enum) into JSON Schema
+ * following the proto3 canonical JSON mapping, so gRPC payloads can sit in
+ * `validation.schemas` next to OpenAPI and GraphQL schemas.
+ *
+ * - 64-bit integers map to strings (proto3 JSON encodes them as strings)
+ * - bytes map to base64 strings
+ * - Well-known types (Timestamp, Duration, wrappers, Struct, ...) map to
+ *   their JSON representations
+ * - Message/enum references use `$ref: '#/validation/schemas/<Name>'`
+ */
+
+const { detectPIIByName } = require('../postgres/pii-detector');
+
+const SCHEMA_REF_PREFIX = '#/validation/schemas/';
+
+/**
+ * Scalar proto types → JSON Schema
+ */
+const SCALAR_TYPES = {
+  double: { type: 'number', format: 'double' },
+  float: { type: 'number', format: 'float' },
+  int32: { type: 'integer', format: 'int32' },
+  uint32: { type: 'integer', format: 'uint32' },
+  sint32: { type: 'integer', format: 'int32' },
+  fixed32: { type: 'integer', format: 'uint32' },
+  sfixed32: { type: 'integer', format: 'int32' },
+  int64: { type: 'string', format: 'int64' },
+  uint64: { type: 'string', format: 'uint64' },
+  sint64: { type: 'string', format: 'int64' },
+  fixed64: { type: 'string', format: 'uint64' },
+  sfixed64: { type: 'string', format: 'int64' },
+  bool: { type: 'boolean' },
+  string: { type: 'string' },
+  bytes: { type: 'string', format: 'byte' }
+};
+
+/**
+ * google.protobuf well-known types → JSON Schema
+ */
+const WELL_KNOWN_TYPES = {
+  'google.protobuf.Timestamp': { type: 'string', format: 'date-time' },
+  'google.protobuf.Duration': { type: 'string', format: 'duration' },
+  'google.protobuf.FieldMask': { type: 'string' },
+  'google.protobuf.Empty': { type: 'object' },
+  'google.protobuf.Struct': { type: 'object' },
+  'google.protobuf.Value': {},
+  'google.protobuf.ListValue': { type: 'array' },
+  'google.protobuf.Any': { type: 'object', properties: { '@type': { type: 'string' } } },
+  'google.protobuf.StringValue': { type: ['string', 'null'] },
+  'google.protobuf.BytesValue': { type: ['string', 'null'], format: 'byte' },
+  'google.protobuf.BoolValue': { type: ['boolean', 'null'] },
+  'google.protobuf.Int32Value': { type: ['integer', 'null'], format: 'int32' },
+  'google.protobuf.UInt32Value': { type: ['integer', 'null'], format: 'uint32' },
+  'google.protobuf.Int64Value': { type: ['string', 'null'], format: 'int64' },
+  'google.protobuf.UInt64Value': { type: ['string', 'null'], format: 'uint64' },
+  'google.protobuf.FloatValue': { type: ['number', 'null'], format: 'float' },
+  'google.protobuf.DoubleValue': { type: ['number', 'null'], format: 'double' }
+};
+
+/**
+ * Schema key for a reflection object: full name relative to the package
+ * @param {object} reflection - protobufjs Type or Enum
+ * @param {string} [pkg] - Package name to strip
+ * @returns {string}
+ */
+function schemaName(reflection, pkg) {
+  const fullName = reflection.fullName.replace(/^\./, '');
+  return pkg && fullName.startsWith(`${pkg}.`) ? fullName.slice(pkg.length + 1) : fullName;
+}
+
+/**
+ * Resolve a field's type name from the scope it was declared in
+ * @param {object} scope - protobufjs Type the field belongs to
+ * @param {string} typeName - Type name as written in the .proto
+ * @returns {object|null} Resolved Type/Enum or null when it lives in an unloaded import
+ */
+function resolveType(scope, typeName) {
+  try {
+    return scope.lookupTypeOrEnum(typeName);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Convert a single (non-repeated) value type to JSON Schema
+ * @private
+ */
+function valueSchema(scope, typeName, pkg) {
+  if (SCALAR_TYPES[typeName]) {
+    return { ...SCALAR_TYPES[typeName] };
+  }
+
+  const qualified = typeName.replace(/^\./, '');
+  if (WELL_KNOWN_TYPES[qualified]) {
+    return { ...WELL_KNOWN_TYPES[qualified] };
+  }
+
+  const resolved = resolveType(scope, typeName);
+  if (resolved) {
+    const fullName = resolved.fullName.replace(/^\./, '');
+    if (WELL_KNOWN_TYPES[fullName]) {
+      return { ...WELL_KNOWN_TYPES[fullName] };
+    }
+    return { $ref: `${SCHEMA_REF_PREFIX}${schemaName(resolved, pkg)}` };
+  }
+
+  // Type from an import that was not loaded: keep the reference by name
+  return { $ref: `${SCHEMA_REF_PREFIX}${qualified}` };
+}
+
+/**
+ * Convert a message field to JSON Schema
+ * @param {object} field - protobufjs Field / MapField
+ * @param {string} [pkg] - Package name
+ * @returns {object}
+ */
+function fieldToSchema(field, pkg) {
+  const scope = field.parent;
+  let schema;
+
+  if (field.map) {
+    schema = {
+      type: 'object',
+      additionalProperties: valueSchema(scope, field.type, pkg)
+    };
+  } else if (field.repeated) {
+    schema = { type: 'array', items: valueSchema(scope, field.type, pkg) };
+  } else {
+    schema = valueSchema(scope, field.type, pkg);
+  }
+
+  if (field.comment) {
+    schema.description = field.comment;
+  }
+
+  if (field.options?.deprecated) {
+    schema.deprecated = true;
+  }
+
+  return schema;
+}
+
+/**
+ * Convert a message type to a JSON Schema definition, flagging PII by field name
+ * @param {object} type - protobufjs Type
+ * @param {string} [pkg] - Package name
+ * @param {object} [options]
+ * @param {boolean} [options.detectPII=true] - Run field names through the PII heuristics
+ * @returns {{schema: object, piiFields: Array<object>}}
+ */
+function messageToSchema(type, pkg, { detectPII = true } = {}) {
+  const properties = {};
+  const piiFields = [];
+  const name = schemaName(type, pkg);
+
+  for (const field of type.fieldsArray) {
+    const property = fieldToSchema(field, pkg);
+
+    const detection = detectPII ? detectPIIByName(field.name, field.type) : null;
+    if (detection?.detected) {
+      property['x-pii'] = true;
+      property['x-pii-type'] = detection.type;
+      piiFields.push({
+        name: `${name}.${field.name}`,
+        type: detection.type,
+        confidence: detection.confidence,
+        detectedBy: 'name'
+      });
+    }
+
+    properties[field.name] = property;
+  }
+
+  const schema = {
+    type: 'object',
+    properties
+  };
+
+  // Real oneofs only (proto3 `optional` creates synthetic "_field" oneofs)
+  const oneofs = (type.oneofsArray || []).filter(oneof =>
+    !(oneof.fieldsArray.length === 1 && oneof.fieldsArray[0].options?.proto3_optional)
+  );
+  if (oneofs.length > 0) {
+    schema['x-oneof'] = Object.fromEntries(
+      oneofs.map(oneof => [oneof.name, oneof.oneof])
+    );
+  }
+
+  if (type.comment) {
+    schema.description = type.comment;
+  }
+
+  if (type.options?.deprecated) {
+    schema.deprecated = true;
+  }
+
+  return { schema, piiFields };
+}
+
+/**
+ * Convert an enum to a JSON Schema definition (proto3 JSON uses value names)
+ * @param {object} enumType - protobufjs Enum
+ * @returns {object}
+ */
+function enumToSchema(enumType) {
+  const schema = {
+    type: 'string',
+    enum: Object.keys(enumType.values)
+  };
+
+  if (enumType.comment) {
+    schema.description = enumType.comment;
+  }
+
+  return schema;
+}
+
+module.exports = {
+  messageToSchema,
+  enumToSchema,
+  fieldToSchema,
+  schemaName,
+  resolveType,
+  SCHEMA_REF_PREFIX,
+  WELL_KNOWN_TYPES
+};
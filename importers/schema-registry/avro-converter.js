@@ -0,0 +1,162 @@
+/**
+ * Avro → JSON Schema conversion for schema registry subjects
+ *
+ * Maps Avro schemas onto the JSON Schema shape used by Event Protocol
+ * `schema.payload`, so registry imports look like AsyncAPI imports:
+ * - record → object (fields without a default and not nullable are required)
+ * - ["null", T] unions → T with `null` added to its type
+ * - enum → string enum, array → array, map → object with additionalProperties
+ * - logical types (timestamp-millis, uuid, decimal, ...) kept as `format`
+ * - named types are inlined; recursive references become `x-avro-ref`
+ */
+
+const PRIMITIVES = {
+  null: { type: 'null' },
+  boolean: { type: 'boolean' },
+  int: { type: 'integer', format: 'int32' },
+  long: { type: 'integer', format: 'int64' },
+  float: { type: 'number', format: 'float' },
+  double: { type: 'number', format: 'double' },
+  bytes: { type: 'string', format: 'byte' },
+  string: { type: 'string' }
+};
+
+const LOGICAL_FORMATS = {
+  'timestamp-millis': 'timestamp-millis',
+  'timestamp-micros': 'timestamp-micros',
+  'local-timestamp-millis': 'local-timestamp-millis',
+  'local-timestamp-micros': 'local-timestamp-micros',
+  'time-millis': 'time-millis',
+  'time-micros': 'time-micros',
+  date: 'date',
+  uuid: 'uuid',
+  decimal: 'decimal'
+};
+
+/**
+ * Convert an Avro schema (parsed JSON or schema string) to JSON Schema
+ * @param {Object|Array|string} avro - Avro schema
+ * @returns {Object} JSON Schema
+ */
+function avroToJsonSchema(avro) {
+  const schema = typeof avro === 'string' && /^\s*[[{"]/.test(avro) ? JSON.parse(avro) : avro;
+  return convert(schema, null, new Map(), []);
+}
+
+/**
+ * Fully qualified name of a named Avro type
+ * @param {Object} type - Avro record/enum/fixed definition
+ * @param {string|null} namespace - Enclosing namespace
+ * @returns {string}
+ */
+function qualifiedName(type, namespace) {
+  if (type.name.includes('.')) return type.name;
+  const ns = type.namespace ?? namespace;
+  return ns ? `${ns}.${type.name}` : type.name;
+}
+
+/**
+ * Recursive conversion keeping track of named types and the current path
+ * @private
+ */
+function convert(type, namespace, named, stack) {
+  if (typeof type === 'string') {
+    if (PRIMITIVES[type]) return { ...PRIMITIVES[type] };
+
+    const fullName = type.includes('.') || !namespace ? type : `${namespace}.${type}`;
+    const resolvedName = named.has(fullName) ? fullName : (named.has(type) ? type : null);
+    if (!resolvedName) return { 'x-avro-ref': type };
+    if (stack.includes(resolvedName)) return { type: 'object', 'x-avro-ref': resolvedName };
+    return convert(named.get(resolvedName), namespace, named, stack);
+  }
+
+  if (Array.isArray(type)) {
+    return convertUnion(type, namespace, named, stack);
+  }
+
+  if (!type || typeof type !== 'object') {
+    return {};
+  }
+
+  if (type.logicalType && LOGICAL_FORMATS[type.logicalType]) {
+    const base = convert(type.type, namespace, named, stack);
+    return { ...base, format: LOGICAL_FORMATS[type.logicalType] };
+  }
+
+  switch (type.type) {
+    case 'record':
+    case 'error': {
+      const fullName = qualifiedName(type, namespace);
+      named.set(fullName, type);
+      const innerNamespace = fullName.includes('.') ? fullName.slice(0, fullName.lastIndexOf('.')) : namespace;
+      const properties = {};
+      const required = [];
+
+      for (const field of type.fields || []) {
+        const property = convert(field.type, innerNamespace, named, [...stack, fullName]);
+        if (field.doc) property.description = field.doc;
+        if (field.default !== undefined) property.default = field.default;
+        properties[field.name] = property;
+
+        const nullable = property.nullable || [].concat(property.type || []).includes('null');
+        if (field.default === undefined && !nullable) {
+          required.push(field.name);
+        }
+      }
+
+      return {
+        type: 'object',
+        title: fullName,
+        ...(type.doc && { description: type.doc }),
+        properties,
+        ...(required.length > 0 && { required })
+      };
+    }
+    case 'enum':
+      named.set(qualifiedName(type, namespace), type);
+      return {
+        type: 'string',
+        enum: [...(type.symbols || [])],
+        ...(type.doc && { description: type.doc })
+      };
+    case 'fixed':
+      named.set(qualifiedName(type, namespace), type);
+      return { type: 'string', format: 'byte', maxLength: type.size };
+    case 'array':
+      return { type: 'array', items: convert(type.items, namespace, named, stack) };
+    case 'map':
+      return { type: 'object', additionalProperties: convert(type.values, namespace, named, stack) };
+    default:
+      // { "type": "string" } style primitive wrapper
+      return convert(type.type, namespace, named, stack);
+  }
+}
+
+/**
+ * Convert an Avro union; ["null", T] becomes a nullable T
+ * @private
+ */
+function convertUnion(members, namespace, named, stack) {
+  const nonNull = members.filter(member => member !== 'null');
+  const hasNull = nonNull.length < members.length;
+
+  if (nonNull.length === 1) {
+    const schema = convert(nonNull[0], namespace, named, stack);
+    // Nullable objects keep a single type so schema traversal still descends into them
+    if (hasNull && schema.type && schema.type !== 'object') {
+      schema.type = [].concat(schema.type, 'null');
+    } else if (hasNull) {
+      schema.nullable = true;
+    }
+    return schema;
+  }
+
+  return {
+    anyOf: members.map(member => convert(member, namespace, named, stack))
+  };
+}
+
+module.exports = {
+  avroToJsonSchema,
+  qualifiedName
+};
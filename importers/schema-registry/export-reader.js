@@ -0,0 +1,170 @@
+/**
+ * Schema registry export reader
+ *
+ * Reads a Confluent-compatible schema registry export into
+ * `{ compatibility, subjects: [{ subject, compatibility, versions }] }`.
+ *
+ * Supported layouts:
+ *   <export>/config.json                              global {"compatibilityLevel": "..."}
+ *   <export>/[subjects/]<subject>/config.json         per-subject level (optional)
+ *   <export>/[subjects/]<subject>/[versions/]<n>.json registry REST response
+ *                                                     ({subject, version, id, schemaType, schema})
+ *   <export>/[subjects/]<subject>/[versions/]<n>.avsc|.proto|.json  raw schema files (v<n>.* also accepted)
+ *
+ * A single JSON file holding an array of REST version responses (e.g. a
+ * `_schemas` topic dump) is accepted as well.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const SCHEMA_EXTENSIONS = /\.(json|avsc|proto)$/i;
+const VERSION_FILE = /^v?(\d+)\.(json|avsc|proto)$/i;
+
+/**
+ * Read a registry export directory or JSON dump
+ * @param {string} exportPath - Export directory or JSON file
+ * @returns {Promise<{compatibility: string|null, subjects: Array<Object>}>}
+ */
+async function readRegistryExport(exportPath) {
+  const stats = await fs.stat(exportPath);
+
+  if (!stats.isDirectory()) {
+    const records = await fs.readJson(exportPath);
+    if (!Array.isArray(records)) {
+      throw new Error('Schema registry dump must be an array of subject versions');
+    }
+    return { compatibility: null, subjects: groupVersionRecords(records) };
+  }
+
+  const rootConfig = await readConfig(path.join(exportPath, 'config.json'));
+  const subjectsDir = await fs.pathExists(path.join(exportPath, 'subjects'))
+    ? path.join(exportPath, 'subjects')
+    : exportPath;
+
+  const subjects = [];
+  const entries = await fs.readdir(subjectsDir, { withFileTypes: true });
+
+  for (const entry of entries.filter(e => e.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    const subjectDir = path.join(subjectsDir, entry.name);
+    const subject = decodeURIComponent(entry.name);
+    const versionsDir = await fs.pathExists(path.join(subjectDir, 'versions'))
+      ? path.join(subjectDir, 'versions')
+      : subjectDir;
+
+    const versions = [];
+    for (const file of await fs.readdir(versionsDir)) {
+      const match = file.match(VERSION_FILE);
+      if (!match || !SCHEMA_EXTENSIONS.test(file)) continue;
+      versions.push(await readVersionFile(path.join(versionsDir, file), subject, Number(match[1])));
+    }
+
+    if (versions.length === 0) continue;
+
+    const subjectConfig = await readConfig(path.join(subjectDir, 'config.json'));
+    subjects.push({
+      subject,
+      compatibility: subjectConfig || rootConfig?.subjects?.[subject] || null,
+      versions: versions.filter(v => !v.deleted).sort((a, b) => a.version - b.version)
+    });
+  }
+
+  return {
+    compatibility: typeof rootConfig === 'string' ? rootConfig : rootConfig?.level || null,
+    subjects
+  };
+}
+
+/**
+ * Read a compatibility config file
+ * @private
+ */
+async function readConfig(configPath) {
+  if (!(await fs.pathExists(configPath))) return null;
+
+  const config = await fs.readJson(configPath);
+  const level = config.compatibilityLevel || config.compatibility || null;
+
+  // Root configs may carry per-subject overrides
+  if (config.subjects && typeof config.subjects === 'object') {
+    return { level, subjects: config.subjects };
+  }
+
+  return level;
+}
+
+/**
+ * Read one version file (REST response JSON or a raw schema)
+ * @private
+ */
+async function readVersionFile(filePath, subject, version) {
+  const content = await fs.readFile(filePath, 'utf-8');
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === '.proto') {
+    return { subject, version, schemaType: 'PROTOBUF', schema: content };
+  }
+
+  const parsed = JSON.parse(content);
+
+  // Registry REST response wraps the schema as a string
+  if (parsed && typeof parsed.schema === 'string') {
+    return {
+      subject,
+      version: parsed.version || version,
+      id: parsed.id,
+      schemaType: parsed.schemaType || 'AVRO',
+      schema: parsed.schema,
+      ...(parsed.references && { references: parsed.references }),
+      ...(parsed.deleted && { deleted: true })
+    };
+  }
+
+  return {
+    subject,
+    version,
+    schemaType: ext === '.avsc' || isAvro(parsed) ? 'AVRO' : 'JSON',
+    schema: parsed
+  };
+}
+
+/**
+ * Heuristic: Avro schemas are records/enums with a `name`, or unions/primitives
+ * @private
+ */
+function isAvro(schema) {
+  if (Array.isArray(schema) || typeof schema === 'string') return true;
+  return ['record', 'enum', 'fixed', 'error'].includes(schema?.type) && Boolean(schema?.name);
+}
+
+/**
+ * Group flat REST version records by subject
+ * @private
+ */
+function groupVersionRecords(records) {
+  const bySubject = new Map();
+
+  for (const record of records) {
+    if (!record?.subject || record.deleted) continue;
+    if (!bySubject.has(record.subject)) bySubject.set(record.subject, []);
+    bySubject.get(record.subject).push({
+      subject: record.subject,
+      version: Number(record.version),
+      id: record.id,
+      schemaType: record.schemaType || 'AVRO',
+      schema: record.schema
+    });
+  }
+
+  return [...bySubject.entries()]
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([subject, versions]) => ({
+      subject,
+      compatibility: null,
+      versions: versions.sort((a, b) => a.version - b.version)
+    }));
+}
+
+module.exports = {
+  readRegistryExport
+};
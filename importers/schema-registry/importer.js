@@ -0,0 +1,348 @@
+/**
+ * Schema registry export importer
+ *
+ * Converts a Confluent-compatible schema registry export (subjects → versions
+ * → Avro / JSON Schema / Protobuf) into Event Protocol manifests shaped like
+ * AsyncAPI imports: one manifest per value subject with the latest schema as
+ * `schema.payload`, the registry compatibility level mapped onto
+ * `schema.compatibility.policy`, and the version history.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const protobuf = require('protobufjs');
+const { readRegistryExport } = require('./export-reader');
+const { avroToJsonSchema } = require('./avro-converter');
+const { messageToSchema, enumToSchema, schemaName, SCHEMA_REF_PREFIX } = require('../protobuf/schema-converter');
+const { parseChannelSemantics } = require('../asyncapi/urn-generator');
+const { detectEventPII } = require('../asyncapi/pii-detector');
+const { detectEventPatterns, detectSchemaEvolution } = require('../asyncapi/patterns');
+const { traverseSchema } = require('../asyncapi/schema-utils');
+
+/**
+ * Registry compatibility level → Event Protocol policy
+ */
+const COMPATIBILITY_POLICIES = {
+  BACKWARD: 'backward',
+  BACKWARD_TRANSITIVE: 'backward',
+  FORWARD: 'forward',
+  FORWARD_TRANSITIVE: 'forward',
+  FULL: 'full',
+  FULL_TRANSITIVE: 'full',
+  NONE: 'none'
+};
+
+// Registry default when neither the subject nor the registry sets a level
+const DEFAULT_COMPATIBILITY = 'BACKWARD';
+
+/**
+ * Import a schema registry export and convert subjects to Event Protocol manifests
+ * @param {string} exportPath - Export directory or JSON dump of subject versions
+ * @param {Object} options - Import options
+ * @param {string} [options.domain] - URN domain (defaults to the export directory name)
+ * @param {boolean} [options.includeKeySubjects=false] - Emit manifests for `-key` subjects too
+ * @returns {Promise<{manifests: Array, metadata: Object}>}
+ */
+async function importSchemaRegistry(exportPath, options = {}) {
+  const start = performance.now();
+
+  const registry = await readRegistryExport(exportPath);
+  const parseTime = performance.now() - start;
+
+  const domain = options.domain || path.basename(path.resolve(exportPath)).replace(/\.json$/i, '');
+  const info = { title: () => domain };
+  const keySubjects = new Set(registry.subjects.map(s => s.subject).filter(s => /-key$/.test(s)));
+  const manifests = [];
+
+  for (const subject of registry.subjects) {
+    if (!options.includeKeySubjects && keySubjects.has(subject.subject)) continue;
+    if (subject.versions.length === 0) continue;
+
+    try {
+      const manifest = await createSubjectManifest({
+        subject,
+        registry,
+        info,
+        keySubject: keySubjects.has(subject.subject.replace(/-value$/, '-key'))
+          ? subject.subject.replace(/-value$/, '-key')
+          : null
+      });
+      manifests.push(manifest);
+    } catch (error) {
+      console.warn(`Warning: Failed to process subject ${subject.subject}: ${error.message}`);
+    }
+  }
+
+  return {
+    manifests,
+    metadata: {
+      source_path: exportPath,
+      subject_count: registry.subjects.length,
+      version_count: registry.subjects.reduce((sum, s) => sum + s.versions.length, 0),
+      parse_time_ms: parseTime,
+      total_time_ms: performance.now() - start
+    }
+  };
+}
+
+/**
+ * Build the Event Protocol manifest for one subject
+ * @param {Object} params - Subject, registry and naming context
+ * @returns {Promise<Object>} Event Protocol manifest
+ */
+async function createSubjectManifest({ subject, registry, info, keySubject }) {
+  const naming = parseSubjectName(subject.subject);
+  const channel = { id: () => naming.channel };
+
+  const versions = subject.versions.map(version => ({
+    ...version,
+    payload: convertSchema(version)
+  }));
+  const latest = versions[versions.length - 1];
+
+  const piiFields = await detectEventPII([{ payload: () => latest.payload }], channel);
+  const { domain, entity, action } = parseChannelSemantics(naming.channel, info);
+
+  const level = (subject.compatibility || registry.compatibility || DEFAULT_COMPATIBILITY).toUpperCase();
+  const policy = COMPATIBILITY_POLICIES[level] || 'backward';
+  // Graph form, so the manifest becomes an event node in the protocol graph
+  const urn = `urn:proto:event:${domain}/${entity}.${action}`;
+
+  const manifest = {
+    protocol: 'event-protocol/v1',
+    urn,
+    event: {
+      name: naming.topic || naming.channel,
+      version: toSemver(latest.version),
+      lifecycle: { status: 'active' }
+    },
+    semantics: {
+      purpose: latest.payload.description || `Schema registry subject: ${subject.subject}`,
+      category: 'event'
+    },
+    schema: {
+      format: 'json-schema',
+      payload: latest.payload,
+      fields: piiFields.map(f => ({
+        name: f.path,
+        type: f.type || 'unknown',
+        required: f.required || false,
+        pii: true,
+        confidence: f.confidence,
+        tier: f.tier,
+        category: f.category,
+        description: f.description
+      })),
+      compatibility: {
+        policy,
+        registry_level: level,
+        compatible_versions: compatibleVersions(versions, level)
+      },
+      history: buildHistory(versions)
+    },
+    delivery: {
+      contract: {
+        transport: 'kafka',
+        topic: naming.topic,
+        metadata: {
+          subject: subject.subject,
+          naming_strategy: naming.strategy,
+          schema_type: latest.schemaType,
+          schema_id: latest.id,
+          key_subject: keySubject || undefined
+        }
+      }
+    },
+    governance: {
+      policy: {
+        classification: piiFields.length > 0 ? 'pii' : 'internal',
+        legal_basis: piiFields.length > 0 ? 'gdpr' : undefined
+      }
+    },
+    metadata: {
+      urn,
+      kind: 'event',
+      status: 'draft',
+      source_type: 'schema-registry',
+      source_version: latest.schemaType.toLowerCase(),
+      source_title: info.title(),
+      source_hash: hashVersions(versions),
+      imported_at: new Date().toISOString(),
+      importer_version: '0.1.0'
+    }
+  };
+
+  const patterns = detectEventPatterns(manifest, channel, null);
+  manifest.patterns = {
+    detected: patterns,
+    total_count: patterns.length,
+    error_count: patterns.filter(p => p.severity === 'error').length,
+    warning_count: patterns.filter(p => p.severity === 'warn').length,
+    info_count: patterns.filter(p => p.severity === 'info').length
+  };
+
+  return manifest;
+}
+
+/**
+ * Derive topic and naming strategy from a subject name
+ * @param {string} subject - Registry subject
+ * @returns {{topic: string|null, channel: string, strategy: string}}
+ */
+function parseSubjectName(subject) {
+  const topicName = subject.match(/^(.+)-(value|key)$/);
+  if (topicName) {
+    return { topic: topicName[1], channel: topicName[1], strategy: 'TopicNameStrategy' };
+  }
+
+  const recordName = subject.match(/^(?:(.+?)-)?((?:[A-Za-z_]\w*\.)+([A-Za-z_]\w*))$/);
+  if (recordName) {
+    // OrderCreated → order.created
+    const channel = recordName[3].replace(/([a-z0-9])([A-Z])/g, '$1.$2').toLowerCase();
+    return recordName[1]
+      ? { topic: recordName[1], channel, strategy: 'TopicRecordNameStrategy' }
+      : { topic: null, channel, strategy: 'RecordNameStrategy' };
+  }
+
+  return { topic: subject, channel: subject, strategy: 'unknown' };
+}
+
+/**
+ * Convert a registry schema of any supported type to JSON Schema
+ * @param {Object} version - Subject version ({schemaType, schema})
+ * @returns {Object} JSON Schema
+ */
+function convertSchema(version) {
+  switch ((version.schemaType || 'AVRO').toUpperCase()) {
+    case 'AVRO':
+      return avroToJsonSchema(version.schema);
+    case 'JSON':
+      return typeof version.schema === 'string' ? JSON.parse(version.schema) : version.schema;
+    case 'PROTOBUF':
+      return protobufToJsonSchema(version.schema);
+    default:
+      throw new Error(`Unsupported schema type: ${version.schemaType}`);
+  }
+}
+
+/**
+ * Convert the first message of a .proto schema (the registry default) to JSON Schema;
+ * other messages and enums are kept under `$defs`
+ * @private
+ */
+function protobufToJsonSchema(source) {
+  const { root, package: pkg } = protobuf.parse(source, { keepCase: true, alternateCommentMode: true });
+  const defs = {};
+  let primary = null;
+
+  const visit = namespace => {
+    for (const nested of namespace.nestedArray || []) {
+      if (nested instanceof protobuf.Type) {
+        const { schema } = messageToSchema(nested, pkg, { detectPII: false });
+        defs[schemaName(nested, pkg)] = schema;
+        primary = primary || schemaName(nested, pkg);
+      } else if (nested instanceof protobuf.Enum) {
+        defs[schemaName(nested, pkg)] = enumToSchema(nested);
+      }
+      if (nested instanceof protobuf.Namespace) visit(nested);
+    }
+  };
+  visit(root);
+
+  if (!primary) {
+    throw new Error('Protobuf schema defines no messages');
+  }
+
+  const rewritten = JSON.parse(JSON.stringify(defs).split(SCHEMA_REF_PREFIX).join('#/$defs/'));
+  const { [primary]: payload, ...rest } = rewritten;
+
+  return {
+    ...payload,
+    title: pkg ? `${pkg}.${primary}` : primary,
+    ...(Object.keys(rest).length > 0 && { $defs: rest })
+  };
+}
+
+/**
+ * Versions a consumer of the latest schema can rely on under the registry level
+ * @private
+ */
+function compatibleVersions(versions, level) {
+  if (level === 'NONE' || versions.length < 2) return [];
+
+  const previous = versions.slice(0, -1);
+  const checked = level.endsWith('_TRANSITIVE') ? previous : previous.slice(-1);
+  return checked.map(v => toSemver(v.version));
+}
+
+/**
+ * Build the version history with field-level changes between versions
+ * @private
+ */
+function buildHistory(versions) {
+  let previousFields = null;
+
+  return versions.map(version => {
+    const fields = fieldTypes(version.payload);
+    const entry = {
+      version: version.version,
+      semver: toSemver(version.version),
+      ...(version.id !== undefined && { id: version.id }),
+      schema_type: version.schemaType,
+      fingerprint: crypto.createHash('sha256')
+        .update(typeof version.schema === 'string' ? version.schema : JSON.stringify(version.schema))
+        .digest('hex')
+        .substring(0, 16)
+    };
+
+    if (previousFields) {
+      entry.changes = {
+        added: [...fields.keys()].filter(f => !previousFields.has(f)),
+        removed: [...previousFields.keys()].filter(f => !fields.has(f)),
+        type_changed: [...fields.keys()].filter(f =>
+          previousFields.has(f) && JSON.stringify(previousFields.get(f)) !== JSON.stringify(fields.get(f))
+        )
+      };
+    }
+
+    const evolution = detectSchemaEvolution({ schema: { payload: version.payload } });
+    if (evolution) entry.evolution = evolution.pattern;
+
+    previousFields = fields;
+    return entry;
+  });
+}
+
+/**
+ * Map of leaf field path → JSON Schema type
+ * @private
+ */
+function fieldTypes(payload) {
+  const results = traverseSchema(payload, (field, fieldPath) => (fieldPath ? { fieldPath, type: field.type } : null));
+  return new Map(results.map(r => [r.fieldPath, r.type]));
+}
+
+/**
+ * Registry versions are integers; Event Protocol versions are semver
+ * @private
+ */
+function toSemver(version) {
+  return `${version}.0.0`;
+}
+
+/**
+ * Hash all versions of a subject for change detection
+ * @private
+ */
+function hashVersions(versions) {
+  const content = JSON.stringify(versions.map(v => [v.version, v.schema]));
+  return crypto.createHash('sha256').update(content).digest('hex').substring(0, 16);
+}
+
+module.exports = {
+  importSchemaRegistry,
+  parseSubjectName,
+  convertSchema,
+  COMPATIBILITY_POLICIES
+};
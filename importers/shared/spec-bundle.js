@@ -0,0 +1,195 @@
+/**
+ * Offline spec bundler
+ *
+ * Bundles OpenAPI and AsyncAPI documents that are split across several files
+ * into a single document. The source may be the root file or a directory
+ * holding it. Relative `$ref`s are resolved from the local filesystem and
+ * inlined; `$ref`s inside the bundle become internal pointers.
+ *
+ * Remote (http/https) `$ref`s are refused unless `allowRemoteRefs` is set, so
+ * imports are reproducible offline. Every contributing file is reported with
+ * its SHA-256 for provenance.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { $RefParser } = require('@apidevtools/json-schema-ref-parser');
+
+const SPEC_EXTENSIONS = /\.(ya?ml|json)$/i;
+
+/**
+ * Conventional root file names per spec kind, in order of preference
+ */
+const ROOT_NAMES = {
+  openapi: ['openapi', 'swagger', 'index', 'main'],
+  asyncapi: ['asyncapi', 'index', 'main']
+};
+
+const KIND_LABELS = { openapi: 'OpenAPI', asyncapi: 'AsyncAPI' };
+
+/**
+ * Bundle a spec and every local file it references
+ * @param {string} source - Root spec file, or a directory containing it
+ * @param {Object} [options] - Bundle options
+ * @param {string} [options.kind] - 'openapi' or 'asyncapi'; picks the root document in a directory
+ * @param {boolean} [options.allowRemoteRefs=false] - Fetch http(s) `$ref`s instead of refusing them
+ * @returns {Promise<{document: Object, root: string, kind: string|null, files: Array<{path: string, sha256: string}>, remote_refs: Array<string>}>}
+ */
+async function bundleSpec(source, options = {}) {
+  const { kind = null, allowRemoteRefs = false } = options;
+
+  const stats = await fs.stat(source);
+  const root = stats.isDirectory() ? findRootSpec(source, kind) : { file: source, kind };
+  if (!root) {
+    const label = KIND_LABELS[kind] || 'OpenAPI/AsyncAPI';
+    throw new Error(`No ${label} root document found in ${source}`);
+  }
+
+  const rootFile = path.resolve(root.file);
+  const refused = [];
+  const parser = new $RefParser();
+
+  let document;
+  try {
+    document = await parser.bundle(rootFile, {
+      resolve: allowRemoteRefs
+        ? {}
+        : {
+            http: false,
+            remote: {
+              order: 1,
+              canRead: /^https?:\/\//i,
+              read(file) {
+                refused.push(file.url);
+                throw new Error(`Remote $ref refused: ${file.url}`);
+              }
+            }
+          }
+    });
+  } catch (error) {
+    if (refused.length > 0) {
+      throw new Error(`Remote $ref refused: ${refused[0]} (allow remote refs to fetch it)`);
+    }
+    throw error;
+  }
+
+  const baseDir = path.dirname(rootFile);
+  const files = await Promise.all(parser.$refs.paths('file').map(async file => ({
+    path: path.relative(baseDir, file).split(path.sep).join('/'),
+    sha256: crypto.createHash('sha256').update(await fs.readFile(file)).digest('hex')
+  })));
+
+  return {
+    document,
+    root: rootFile,
+    kind: root.kind || documentKind(document),
+    files,
+    remote_refs: parser.$refs.paths('http')
+  };
+}
+
+/**
+ * Provenance fields for a bundled spec
+ *
+ * The root and file paths are relative to the source, so re-importing the
+ * same spec from another checkout records the same provenance.
+ * @param {Object} bundle - Result of bundleSpec
+ * @returns {{root: string, files: Array<{path: string, sha256: string}>, remote_refs?: Array<string>}}
+ */
+function bundleProvenance(bundle) {
+  return {
+    // Root documents sit at the top of the source directory (or are the source)
+    root: path.basename(bundle.root),
+    files: bundle.files,
+    ...(bundle.remote_refs.length > 0 && { remote_refs: bundle.remote_refs })
+  };
+}
+
+/**
+ * Find the root document of a spec split across a directory
+ *
+ * The root is the top-level file carrying an `openapi`, `swagger` or
+ * `asyncapi` version key; when several do, conventional names
+ * (openapi.yaml, asyncapi.yaml, index.yaml, ...) break the tie.
+ * @param {string} dir - Directory to search
+ * @param {string} [kind] - 'openapi' or 'asyncapi'; any kind when omitted
+ * @returns {{file: string, kind: string}|null} Root file and its kind, or null when there is none
+ * @throws {Error} If several files look like root documents
+ */
+function findRootSpec(dir, kind) {
+  const candidates = fs.readdirSync(dir)
+    .filter(name => SPEC_EXTENSIONS.test(name))
+    .sort()
+    .map(name => {
+      const file = path.join(dir, name);
+      if (!fs.statSync(file).isFile()) return null;
+      const specKind = detectSpecKind(fs.readFileSync(file, 'utf-8'));
+      return specKind && (!kind || specKind === kind) ? { file, kind: specKind } : null;
+    })
+    .filter(Boolean);
+
+  if (candidates.length <= 1) {
+    return candidates[0] || null;
+  }
+
+  const names = ROOT_NAMES[kind] || [...new Set([...ROOT_NAMES.openapi, ...ROOT_NAMES.asyncapi])];
+  for (const name of names) {
+    const match = candidates.find(c => path.basename(c.file).replace(SPEC_EXTENSIONS, '') === name);
+    if (match) return match;
+  }
+
+  throw new Error(
+    `Multiple root documents found in ${dir}: ${candidates.map(c => path.basename(c.file)).join(', ')}; pass the root file instead`
+  );
+}
+
+/**
+ * Detect the spec kind from a document's top-level version key
+ * @param {string} content - Raw YAML or JSON text
+ * @returns {string|null} 'openapi', 'asyncapi' or null
+ */
+function detectSpecKind(content) {
+  if (/^\s*\{/.test(content)) {
+    try {
+      return documentKind(JSON.parse(content));
+    } catch {
+      return null;
+    }
+  }
+
+  // Only unindented YAML keys belong to the document root
+  const match = content.match(/^["']?(openapi|swagger|asyncapi)["']?\s*:/m);
+  return match ? documentKind({ [match[1]]: true }) : null;
+}
+
+/**
+ * Spec kind of a parsed document
+ * @private
+ */
+function documentKind(document) {
+  if (!document || typeof document !== 'object') return null;
+  if ('asyncapi' in document) return 'asyncapi';
+  if ('openapi' in document || 'swagger' in document) return 'openapi';
+  return null;
+}
+
+/**
+ * Whether a source string names an existing local file or directory
+ * @param {*} source - Importer source
+ * @returns {boolean}
+ */
+function isLocalSpecPath(source) {
+  if (typeof source !== 'string' || /^https?:\/\//i.test(source) || /[\n{]/.test(source)) {
+    return false;
+  }
+  return fs.existsSync(source);
+}
+
+module.exports = {
+  bundleSpec,
+  bundleProvenance,
+  findRootSpec,
+  detectSpecKind,
+  isLocalSpecPath
+};
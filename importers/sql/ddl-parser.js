@@ -0,0 +1,976 @@
+/*
+ * Postgres DDL Parser
+ * Parses Postgres-dialect DDL scripts into the same table/column/constraint
+ * shapes returned by the live schema introspector
+ *
+ * Features:
+ * - CREATE TABLE with column and table constraints
+ * - ALTER TABLE ADD/DROP COLUMN, ADD CONSTRAINT, SET/DROP NOT NULL
+ * - CREATE [UNIQUE] INDEX
+ * - CREATE [MATERIALIZED] VIEW with source-table lineage
+ * - COMMENT ON TABLE / VIEW / COLUMN
+ * - SET search_path for unqualified names
+ *
+ * Unsupported statements (functions, grants, inserts, ...) are skipped and
+ * counted so callers can report coverage.
+ */
+
+/**
+ * Keywords that end a column's type and start its constraints
+ */
+const COLUMN_CONSTRAINT_KEYWORDS = new Set([
+  'constraint', 'not', 'null', 'primary', 'unique', 'references',
+  'default', 'check', 'collate', 'generated', 'deferrable', 'initially'
+]);
+
+/**
+ * Keywords that introduce a table-level constraint
+ */
+const TABLE_CONSTRAINT_KEYWORDS = new Set([
+  'constraint', 'primary', 'unique', 'foreign', 'check', 'exclude'
+]);
+
+/**
+ * DDL type name → information_schema data_type / udt_name
+ */
+const TYPE_ALIASES = {
+  'int': ['integer', 'int4'],
+  'int4': ['integer', 'int4'],
+  'integer': ['integer', 'int4'],
+  'serial': ['integer', 'int4'],
+  'serial4': ['integer', 'int4'],
+  'bigint': ['bigint', 'int8'],
+  'int8': ['bigint', 'int8'],
+  'bigserial': ['bigint', 'int8'],
+  'serial8': ['bigint', 'int8'],
+  'smallint': ['smallint', 'int2'],
+  'int2': ['smallint', 'int2'],
+  'smallserial': ['smallint', 'int2'],
+  'serial2': ['smallint', 'int2'],
+  'decimal': ['numeric', 'numeric'],
+  'numeric': ['numeric', 'numeric'],
+  'real': ['real', 'float4'],
+  'float4': ['real', 'float4'],
+  'float': ['double precision', 'float8'],
+  'float8': ['double precision', 'float8'],
+  'double precision': ['double precision', 'float8'],
+  'bool': ['boolean', 'bool'],
+  'boolean': ['boolean', 'bool'],
+  'varchar': ['character varying', 'varchar'],
+  'character varying': ['character varying', 'varchar'],
+  'char': ['character', 'bpchar'],
+  'character': ['character', 'bpchar'],
+  'bpchar': ['character', 'bpchar'],
+  'text': ['text', 'text'],
+  'citext': ['text', 'citext'],
+  'json': ['json', 'json'],
+  'jsonb': ['jsonb', 'jsonb'],
+  'uuid': ['uuid', 'uuid'],
+  'date': ['date', 'date'],
+  'timestamp': ['timestamp without time zone', 'timestamp'],
+  'timestamp without time zone': ['timestamp without time zone', 'timestamp'],
+  'timestamptz': ['timestamp with time zone', 'timestamptz'],
+  'timestamp with time zone': ['timestamp with time zone', 'timestamptz'],
+  'time': ['time without time zone', 'time'],
+  'time without time zone': ['time without time zone', 'time'],
+  'timetz': ['time with time zone', 'timetz'],
+  'time with time zone': ['time with time zone', 'timetz'],
+  'bytea': ['bytea', 'bytea'],
+  'inet': ['inet', 'inet'],
+  'cidr': ['cidr', 'cidr'],
+  'macaddr': ['macaddr', 'macaddr']
+};
+
+const SERIAL_TYPES = new Set(['serial', 'serial2', 'serial4', 'serial8', 'smallserial', 'bigserial']);
+
+/**
+ * Split SQL text into tokens, dropping comments
+ * @param {string} sql - SQL source
+ * @returns {Array<{type: string, value: string, quoted?: boolean}>}
+ */
+function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '-' && next === '-') {
+      while (i < sql.length && sql[i] !== '\n') i++;
+    } else if (ch === '/' && next === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 2;
+    } else if (ch === '\'' || ((ch === 'E' || ch === 'e') && next === '\'')) {
+      const start = ch === '\'' ? i + 1 : i + 2;
+      let value = '';
+      let j = start;
+      while (j < sql.length) {
+        if (sql[j] === '\'' && sql[j + 1] === '\'') {
+          value += '\'';
+          j += 2;
+        } else if (sql[j] === '\'') {
+          break;
+        } else {
+          value += sql[j];
+          j++;
+        }
+      }
+      tokens.push({ type: 'string', value });
+      i = j + 1;
+    } else if (ch === '$' && /^\$[A-Za-z_]*\$/.test(sql.slice(i))) {
+      const tag = sql.slice(i).match(/^\$[A-Za-z_]*\$/)[0];
+      const end = sql.indexOf(tag, i + tag.length);
+      const stop = end === -1 ? sql.length : end;
+      tokens.push({ type: 'string', value: sql.slice(i + tag.length, stop) });
+      i = end === -1 ? sql.length : end + tag.length;
+    } else if (ch === '"') {
+      let value = '';
+      let j = i + 1;
+      while (j < sql.length) {
+        if (sql[j] === '"' && sql[j + 1] === '"') {
+          value += '"';
+          j += 2;
+        } else if (sql[j] === '"') {
+          break;
+        } else {
+          value += sql[j];
+          j++;
+        }
+      }
+      tokens.push({ type: 'ident', value, quoted: true });
+      i = j + 1;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const match = sql.slice(i).match(/^[A-Za-z_][A-Za-z0-9_$]*/)[0];
+      tokens.push({ type: 'ident', value: match });
+      i += match.length;
+    } else if (/[0-9]/.test(ch)) {
+      const match = sql.slice(i).match(/^[0-9]+(\.[0-9]+)?/)[0];
+      tokens.push({ type: 'number', value: match });
+      i += match.length;
+    } else if (ch === ':' && next === ':') {
+      tokens.push({ type: 'punct', value: '::' });
+      i += 2;
+    } else {
+      tokens.push({ type: 'punct', value: ch });
+      i++;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Split a token list on a punctuation value at paren depth 0
+ * @param {Array<object>} tokens - Tokens to split
+ * @param {string} separator - Punctuation to split on
+ * @returns {Array<Array<object>>}
+ */
+function splitTopLevel(tokens, separator) {
+  const parts = [];
+  let current = [];
+  let depth = 0;
+
+  for (const token of tokens) {
+    if (token.type === 'punct' && token.value === '(') depth++;
+    if (token.type === 'punct' && token.value === ')') depth--;
+
+    if (depth === 0 && token.type === 'punct' && token.value === separator) {
+      if (current.length > 0) parts.push(current);
+      current = [];
+    } else {
+      current.push(token);
+    }
+  }
+
+  if (current.length > 0) parts.push(current);
+  return parts;
+}
+
+/**
+ * Render tokens back into SQL-ish text (used for types, defaults, expressions)
+ * @param {Array<object>} tokens - Tokens
+ * @returns {string}
+ */
+function tokensToText(tokens) {
+  return tokens.map(t => {
+    if (t.type === 'string') return `'${t.value.replace(/'/g, '\'\'')}'`;
+    if (t.quoted) return `"${t.value}"`;
+    return t.value;
+  }).join(' ')
+    .replace(/\s*([(),.[\]]|::)\s*/g, '$1')
+    .replace(/,/g, ', ');
+}
+
+/**
+ * Normalise an identifier the way Postgres does (unquoted names fold to lower case)
+ * @param {object} token - Identifier token
+ * @returns {string}
+ */
+function identName(token) {
+  return token.quoted ? token.value : token.value.toLowerCase();
+}
+
+/**
+ * Cursor over a statement's tokens
+ */
+class TokenStream {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  done() {
+    return this.pos >= this.tokens.length;
+  }
+
+  /**
+   * Check whether the next tokens are the given unquoted keywords
+   */
+  isKeyword(...words) {
+    return words.every((word, idx) => {
+      const token = this.peek(idx);
+      return token && token.type === 'ident' && !token.quoted && token.value.toLowerCase() === word;
+    });
+  }
+
+  /**
+   * Consume the given keyword sequence if present
+   */
+  acceptKeyword(...words) {
+    if (!this.isKeyword(...words)) return false;
+    this.pos += words.length;
+    return true;
+  }
+
+  isPunct(value) {
+    const token = this.peek();
+    return Boolean(token && token.type === 'punct' && token.value === value);
+  }
+
+  acceptPunct(value) {
+    if (!this.isPunct(value)) return false;
+    this.pos++;
+    return true;
+  }
+
+  /**
+   * Read a possibly schema-qualified name
+   * @returns {{schema: string|null, name: string}|null}
+   */
+  qualifiedName() {
+    const parts = [];
+    const first = this.peek();
+    if (!first || first.type !== 'ident') return null;
+    parts.push(identName(this.next()));
+
+    while (this.isPunct('.') && this.peek(1)?.type === 'ident') {
+      this.pos++;
+      parts.push(identName(this.next()));
+    }
+
+    return {
+      schema: parts.length > 1 ? parts[parts.length - 2] : null,
+      name: parts[parts.length - 1]
+    };
+  }
+
+  /**
+   * Read a parenthesised group and return its inner tokens
+   * @returns {Array<object>|null}
+   */
+  group() {
+    if (!this.isPunct('(')) return null;
+    let depth = 0;
+    const start = this.pos + 1;
+
+    while (!this.done()) {
+      const token = this.next();
+      if (token.type === 'punct' && token.value === '(') depth++;
+      if (token.type === 'punct' && token.value === ')') {
+        depth--;
+        if (depth === 0) return this.tokens.slice(start, this.pos - 1);
+      }
+    }
+
+    return this.tokens.slice(start);
+  }
+
+  /**
+   * Read a parenthesised identifier list
+   * @returns {Array<string>}
+   */
+  nameList() {
+    const inner = this.group();
+    if (!inner) return [];
+    return splitTopLevel(inner, ',')
+      .map(part => part.find(t => t.type === 'ident'))
+      .filter(Boolean)
+      .map(identName);
+  }
+}
+
+/**
+ * Map a DDL type to information_schema data_type / udt_name
+ * @param {string} typeText - Type as written in DDL
+ * @returns {{data_type: string, udt_name: string, serial: boolean}}
+ */
+function normalizeType(typeText) {
+  const isArray = /\[\s*\d*\s*\]\s*$/.test(typeText) || /\barray$/i.test(typeText);
+  const base = typeText
+    .replace(/\[\s*\d*\s*\]/g, '')
+    .replace(/\barray$/i, '')
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+
+  const unqualified = base.split('.').pop();
+  const alias = TYPE_ALIASES[unqualified];
+  const [dataType, udtName] = alias || ['USER-DEFINED', unqualified];
+
+  if (isArray) {
+    return { data_type: 'array', udt_name: `_${udtName}`, serial: false };
+  }
+
+  return { data_type: dataType, udt_name: udtName, serial: SERIAL_TYPES.has(unqualified) };
+}
+
+/**
+ * Mutable DDL model built up statement by statement
+ */
+class DDLModel {
+  constructor(defaultSchema) {
+    this.defaultSchema = defaultSchema;
+    this.relations = new Map();
+    this.statements = 0;
+    this.skipped = 0;
+    this.warnings = [];
+  }
+
+  key(ref) {
+    return `${ref.schema || this.defaultSchema}.${ref.name}`;
+  }
+
+  get(ref) {
+    return this.relations.get(this.key(ref));
+  }
+
+  create(ref, kind) {
+    const relation = {
+      table_schema: ref.schema || this.defaultSchema,
+      table_name: ref.name,
+      kind,
+      table_comment: null,
+      columns: [],
+      primaryKey: [],
+      foreignKeys: [],
+      uniqueConstraints: [],
+      indexes: [],
+      sources: []
+    };
+    this.relations.set(this.key(ref), relation);
+    return relation;
+  }
+}
+
+/**
+ * Parse a column definition into an introspection-style column row
+ * @private
+ */
+function parseColumn(tokens, relation, model) {
+  const stream = new TokenStream(tokens);
+  const nameToken = stream.next();
+  const columnName = identName(nameToken);
+
+  const typeTokens = [];
+  while (!stream.done() && !(stream.peek().type === 'ident' && !stream.peek().quoted &&
+    COLUMN_CONSTRAINT_KEYWORDS.has(stream.peek().value.toLowerCase()))) {
+    typeTokens.push(stream.next());
+  }
+
+  const type = normalizeType(tokensToText(typeTokens));
+  const column = {
+    table_schema: relation.table_schema,
+    table_name: relation.table_name,
+    column_name: columnName,
+    ordinal_position: relation.columns.length + 1,
+    is_nullable: type.serial ? 'NO' : 'YES',
+    data_type: type.data_type,
+    udt_name: type.udt_name,
+    column_default: type.serial
+      ? `nextval('${relation.table_name}_${columnName}_seq'::regclass)`
+      : null,
+    column_comment: null
+  };
+
+  let constraintName = null;
+  while (!stream.done()) {
+    if (stream.acceptKeyword('constraint')) {
+      // Names apply to the single constraint that follows them
+      constraintName = identName(stream.next());
+      continue;
+    }
+
+    if (stream.acceptKeyword('not', 'null')) {
+      column.is_nullable = 'NO';
+    } else if (stream.acceptKeyword('null')) {
+      column.is_nullable = 'YES';
+    } else if (stream.acceptKeyword('primary', 'key')) {
+      column.is_nullable = 'NO';
+      relation.primaryKey = [columnName];
+    } else if (stream.acceptKeyword('unique')) {
+      relation.uniqueConstraints.push({
+        constraint_name: constraintName || `${relation.table_name}_${columnName}_key`,
+        columns: [columnName]
+      });
+    } else if (stream.acceptKeyword('references')) {
+      const target = stream.qualifiedName();
+      const targetColumns = stream.nameList();
+      relation.foreignKeys.push({
+        column_name: columnName,
+        foreign_table_schema: target.schema || model.defaultSchema,
+        foreign_table_name: target.name,
+        foreign_column_name: targetColumns[0] || null,
+        constraint_name: constraintName || `${relation.table_name}_${columnName}_fkey`
+      });
+    } else if (stream.acceptKeyword('default')) {
+      const expr = [];
+      while (!stream.done() && !(stream.peek().type === 'ident' && !stream.peek().quoted &&
+        COLUMN_CONSTRAINT_KEYWORDS.has(stream.peek().value.toLowerCase()))) {
+        if (stream.isPunct('(')) {
+          expr.push({ type: 'punct', value: '(' }, ...stream.group(), { type: 'punct', value: ')' });
+        } else {
+          expr.push(stream.next());
+        }
+      }
+      column.column_default = tokensToText(expr);
+    } else if (stream.isPunct('(')) {
+      stream.group();
+    } else {
+      stream.next();
+    }
+
+    constraintName = null;
+  }
+
+  return column;
+}
+
+/**
+ * Parse a table-level constraint and attach it to the relation
+ * @private
+ */
+function parseTableConstraint(tokens, relation, model) {
+  const stream = new TokenStream(tokens);
+  let constraintName = null;
+
+  if (stream.acceptKeyword('constraint')) {
+    constraintName = identName(stream.next());
+  }
+
+  if (stream.acceptKeyword('primary', 'key')) {
+    relation.primaryKey = stream.nameList();
+    for (const column of relation.columns) {
+      if (relation.primaryKey.includes(column.column_name)) {
+        column.is_nullable = 'NO';
+      }
+    }
+  } else if (stream.acceptKeyword('unique')) {
+    const columns = stream.nameList();
+    relation.uniqueConstraints.push({
+      constraint_name: constraintName || `${relation.table_name}_${columns.join('_')}_key`,
+      columns
+    });
+  } else if (stream.acceptKeyword('foreign', 'key')) {
+    const columns = stream.nameList();
+    if (!stream.acceptKeyword('references')) return;
+    const target = stream.qualifiedName();
+    const targetColumns = stream.nameList();
+
+    columns.forEach((columnName, idx) => {
+      relation.foreignKeys.push({
+        column_name: columnName,
+        foreign_table_schema: target.schema || model.defaultSchema,
+        foreign_table_name: target.name,
+        foreign_column_name: targetColumns[idx] || null,
+        constraint_name: constraintName || `${relation.table_name}_${columns.join('_')}_fkey`
+      });
+    });
+  }
+  // CHECK / EXCLUDE constraints carry no key information
+}
+
+/**
+ * Whether a table element is a constraint rather than a column
+ * @private
+ */
+function isTableConstraint(tokens) {
+  const first = tokens[0];
+  if (!first || first.type !== 'ident' || first.quoted) return false;
+  const word = first.value.toLowerCase();
+  if (!TABLE_CONSTRAINT_KEYWORDS.has(word)) return false;
+  // "primary" / "unique" etc. are also valid (if unusual) column names
+  const second = tokens[1];
+  return word === 'constraint' || word === 'check' || word === 'exclude' ||
+    (second && ((second.type === 'ident' && second.value.toLowerCase() === 'key') ||
+      (second.type === 'punct' && second.value === '(')));
+}
+
+/**
+ * CREATE TABLE
+ * @private
+ */
+function parseCreateTable(stream, model) {
+  stream.acceptKeyword('if', 'not', 'exists');
+  const ref = stream.qualifiedName();
+  if (!ref) return false;
+
+  const elements = stream.group();
+  if (!elements) return false; // CREATE TABLE ... AS / PARTITION OF
+
+  const relation = model.get(ref) || model.create(ref, 'table');
+
+  for (const element of splitTopLevel(elements, ',')) {
+    if (element[0].type === 'ident' && !element[0].quoted && element[0].value.toLowerCase() === 'like') {
+      continue;
+    }
+    if (isTableConstraint(element)) {
+      parseTableConstraint(element, relation, model);
+    } else {
+      relation.columns.push(parseColumn(element, relation, model));
+    }
+  }
+
+  return true;
+}
+
+/**
+ * ALTER TABLE
+ * @private
+ */
+function parseAlterTable(stream, model) {
+  stream.acceptKeyword('if', 'exists');
+  stream.acceptKeyword('only');
+  const ref = stream.qualifiedName();
+  if (!ref) return false;
+
+  const relation = model.get(ref);
+  if (!relation) {
+    model.warnings.push(`ALTER TABLE references unknown table ${model.key(ref)}`);
+    return false;
+  }
+
+  for (const action of splitTopLevel(stream.tokens.slice(stream.pos), ',')) {
+    const actionStream = new TokenStream(action);
+
+    if (actionStream.acceptKeyword('add')) {
+      const rest = action.slice(actionStream.pos);
+      if (isTableConstraint(rest)) {
+        parseTableConstraint(rest, relation, model);
+      } else {
+        actionStream.acceptKeyword('column');
+        actionStream.acceptKeyword('if', 'not', 'exists');
+        relation.columns.push(parseColumn(action.slice(actionStream.pos), relation, model));
+      }
+    } else if (actionStream.acceptKeyword('drop')) {
+      if (actionStream.acceptKeyword('constraint')) {
+        actionStream.acceptKeyword('if', 'exists');
+        const name = identName(actionStream.next());
+        relation.uniqueConstraints = relation.uniqueConstraints.filter(uc => uc.constraint_name !== name);
+        relation.foreignKeys = relation.foreignKeys.filter(fk => fk.constraint_name !== name);
+        if (name === `${relation.table_name}_pkey`) relation.primaryKey = [];
+      } else {
+        actionStream.acceptKeyword('column');
+        actionStream.acceptKeyword('if', 'exists');
+        const name = identName(actionStream.next());
+        relation.columns = relation.columns.filter(c => c.column_name !== name);
+        relation.columns.forEach((c, idx) => { c.ordinal_position = idx + 1; });
+      }
+    } else if (actionStream.acceptKeyword('alter')) {
+      actionStream.acceptKeyword('column');
+      const name = identName(actionStream.next());
+      const column = relation.columns.find(c => c.column_name === name);
+      if (!column) continue;
+
+      if (actionStream.acceptKeyword('set', 'not', 'null')) {
+        column.is_nullable = 'NO';
+      } else if (actionStream.acceptKeyword('drop', 'not', 'null')) {
+        column.is_nullable = 'YES';
+      } else if (actionStream.acceptKeyword('set', 'data', 'type') || actionStream.acceptKeyword('type')) {
+        const typeTokens = [];
+        while (!actionStream.done() && !actionStream.isKeyword('using') && !actionStream.isKeyword('collate')) {
+          typeTokens.push(actionStream.next());
+        }
+        const type = normalizeType(tokensToText(typeTokens));
+        column.data_type = type.data_type;
+        column.udt_name = type.udt_name;
+      }
+    }
+  }
+
+  return true;
+}
+
+/**
+ * CREATE [UNIQUE] INDEX
+ * @private
+ */
+function parseCreateIndex(stream, model, isUnique) {
+  stream.acceptKeyword('concurrently');
+  stream.acceptKeyword('if', 'not', 'exists');
+
+  let indexName = null;
+  if (!stream.isKeyword('on')) {
+    indexName = identName(stream.next());
+  }
+  if (!stream.acceptKeyword('on')) return false;
+  stream.acceptKeyword('only');
+
+  const ref = stream.qualifiedName();
+  const relation = ref && model.get(ref);
+  if (!relation) {
+    model.warnings.push(`CREATE INDEX references unknown table ${ref ? model.key(ref) : '?'}`);
+    return false;
+  }
+
+  let method = 'btree';
+  if (stream.acceptKeyword('using')) {
+    method = stream.next().value.toLowerCase();
+  }
+
+  const columns = splitTopLevel(stream.group() || [], ',').map(part => {
+    const simple = part[0].type === 'ident' && (part.length === 1 || part[1].type === 'ident');
+    return simple ? identName(part[0]) : tokensToText(part);
+  });
+
+  relation.indexes.push({
+    index_name: indexName || `${relation.table_name}_${columns.join('_')}_idx`,
+    columns,
+    is_unique: isUnique,
+    is_primary: false,
+    index_type: method
+  });
+
+  return true;
+}
+
+/**
+ * Collect relations referenced in FROM / JOIN clauses of a query
+ * @private
+ */
+function collectQuerySources(tokens, model) {
+  const stream = new TokenStream(tokens);
+  const cteNames = new Set();
+  const sources = [];
+
+  // WITH name AS (...) — CTE names are not real sources
+  if (stream.acceptKeyword('with')) {
+    stream.acceptKeyword('recursive');
+    while (!stream.done()) {
+      const name = stream.next();
+      if (name.type === 'ident') cteNames.add(identName(name));
+      if (stream.isPunct('(')) stream.group();
+      stream.acceptKeyword('as');
+      stream.acceptKeyword('not');
+      stream.acceptKeyword('materialized');
+      stream.group();
+      if (!stream.acceptPunct(',')) break;
+    }
+  }
+
+  const addSource = () => {
+    const ref = stream.qualifiedName();
+    if (!ref || (!ref.schema && cteNames.has(ref.name))) return;
+    const key = model.key(ref);
+    if (!sources.some(s => model.key(s) === key)) {
+      sources.push({ schema: ref.schema || model.defaultSchema, name: ref.name });
+    }
+  };
+
+  while (!stream.done()) {
+    if (stream.acceptKeyword('from') || stream.acceptKeyword('join')) {
+      stream.acceptKeyword('lateral');
+      stream.acceptKeyword('only');
+      if (stream.isPunct('(')) {
+        collectQuerySources(stream.group(), model).forEach(src => {
+          if (!sources.some(s => model.key(s) === model.key(src))) sources.push(src);
+        });
+        continue;
+      }
+      addSource();
+
+      // Comma-separated FROM list: FROM a x, b y
+      while (!stream.done()) {
+        stream.acceptKeyword('as');
+        if (stream.peek()?.type === 'ident' && !stream.isKeyword('where') && !stream.isKeyword('join') &&
+          !stream.isKeyword('on') && !stream.isKeyword('group') && !stream.isKeyword('order') &&
+          !stream.isKeyword('left') && !stream.isKeyword('right') && !stream.isKeyword('inner') &&
+          !stream.isKeyword('full') && !stream.isKeyword('cross') && !stream.isKeyword('limit') &&
+          !stream.isKeyword('union') && !stream.isKeyword('natural') && !stream.isKeyword('having')) {
+          stream.next();
+        }
+        if (!stream.acceptPunct(',')) break;
+        if (stream.isPunct('(')) break;
+        addSource();
+      }
+    } else if (stream.isPunct('(')) {
+      collectQuerySources(stream.group(), model).forEach(src => {
+        if (!sources.some(s => model.key(s) === model.key(src))) sources.push(src);
+      });
+    } else {
+      stream.next();
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * Derive view column names from the first SELECT list
+ * @private
+ */
+function selectListColumns(tokens) {
+  const stream = new TokenStream(tokens);
+  while (!stream.done() && !stream.isKeyword('select')) {
+    if (stream.isPunct('(')) stream.group();
+    else stream.next();
+  }
+  if (!stream.acceptKeyword('select')) return [];
+  stream.acceptKeyword('distinct');
+
+  const listTokens = [];
+  let depth = 0;
+  while (!stream.done()) {
+    const token = stream.peek();
+    if (token.type === 'punct' && token.value === '(') depth++;
+    if (token.type === 'punct' && token.value === ')') depth--;
+    if (depth === 0 && token.type === 'ident' && !token.quoted &&
+      ['from', 'where', 'group', 'order', 'limit', 'union'].includes(token.value.toLowerCase())) {
+      break;
+    }
+    listTokens.push(stream.next());
+  }
+
+  return splitTopLevel(listTokens, ',').map(item => {
+    let expr = item;
+    let alias = null;
+    const last = item[item.length - 1];
+    const beforeLast = item[item.length - 2];
+
+    if (item.length >= 2 && last.type === 'ident') {
+      if (beforeLast.type === 'ident' && !beforeLast.quoted && beforeLast.value.toLowerCase() === 'as') {
+        alias = identName(last);
+        expr = item.slice(0, -2);
+      } else if (beforeLast.type === 'ident' || (beforeLast.type === 'punct' && beforeLast.value === ')')) {
+        alias = identName(last);
+        expr = item.slice(0, -1);
+      }
+    }
+
+    // Bare column or qualifier.column (including qualifier.*)
+    const isColumnRef = expr.length === 1 ||
+      (expr.length === 3 && expr[0].type === 'ident' && expr[1].value === '.');
+    const target = expr[expr.length - 1];
+
+    if (isColumnRef && target.type === 'punct' && target.value === '*') {
+      return { star: true, qualifier: expr.length === 3 ? identName(expr[0]) : null };
+    }
+
+    const sourceColumn = isColumnRef && target.type === 'ident' ? identName(target) : null;
+    const name = alias || sourceColumn;
+    return name ? { name, sourceColumn } : null;
+  }).filter(Boolean);
+}
+
+/**
+ * CREATE [MATERIALIZED] VIEW
+ * @private
+ */
+function parseCreateView(stream, model, kind) {
+  stream.acceptKeyword('if', 'not', 'exists');
+  const ref = stream.qualifiedName();
+  if (!ref) return false;
+
+  const explicitColumns = stream.isPunct('(') ? stream.nameList() : [];
+  if (stream.acceptKeyword('with')) stream.group();
+  if (!stream.acceptKeyword('as')) return false;
+
+  const query = stream.tokens.slice(stream.pos);
+  const relation = model.create(ref, kind);
+  relation.sources = collectQuerySources(query, model);
+
+  const sourceRelations = relation.sources.map(src => model.get(src)).filter(Boolean);
+  const findSourceColumn = name => sourceRelations
+    .flatMap(src => src.columns)
+    .find(col => col.column_name === name);
+
+  let names = [];
+  if (explicitColumns.length > 0) {
+    names = explicitColumns.map(name => ({ name, sourceColumn: name }));
+  } else {
+    for (const item of selectListColumns(query)) {
+      if (item.star) {
+        const starSources = item.qualifier
+          ? sourceRelations.filter(src => src.table_name === item.qualifier)
+          : sourceRelations;
+        starSources.flatMap(src => src.columns)
+          .forEach(col => names.push({ name: col.column_name, sourceColumn: col.column_name }));
+      } else {
+        names.push(item);
+      }
+    }
+  }
+
+  relation.columns = names.map((item, idx) => {
+    const source = item.sourceColumn ? findSourceColumn(item.sourceColumn) : null;
+    return {
+      table_schema: relation.table_schema,
+      table_name: relation.table_name,
+      column_name: item.name,
+      ordinal_position: idx + 1,
+      is_nullable: 'YES',
+      data_type: source ? source.data_type : undefined,
+      udt_name: source ? source.udt_name : undefined,
+      column_default: null,
+      column_comment: null
+    };
+  });
+
+  return true;
+}
+
+/**
+ * COMMENT ON TABLE | VIEW | MATERIALIZED VIEW | COLUMN
+ * @private
+ */
+function parseComment(stream, model) {
+  let target = 'relation';
+  if (stream.acceptKeyword('column')) {
+    target = 'column';
+  } else if (!(stream.acceptKeyword('table') || stream.acceptKeyword('view') ||
+    stream.acceptKeyword('materialized', 'view'))) {
+    return false;
+  }
+
+  const parts = [];
+  while (stream.peek()?.type === 'ident' && !stream.isKeyword('is')) {
+    parts.push(identName(stream.next()));
+    stream.acceptPunct('.');
+  }
+  if (!stream.acceptKeyword('is')) return false;
+
+  const valueToken = stream.next();
+  const value = valueToken?.type === 'string' ? valueToken.value : null;
+
+  if (target === 'column') {
+    const column = parts.pop();
+    const relation = model.get({ schema: parts.length > 1 ? parts[parts.length - 2] : null, name: parts[parts.length - 1] });
+    const col = relation?.columns.find(c => c.column_name === column);
+    if (!col) return false;
+    col.column_comment = value;
+  } else {
+    const relation = model.get({ schema: parts.length > 1 ? parts[parts.length - 2] : null, name: parts[parts.length - 1] });
+    if (!relation) return false;
+    relation.table_comment = value;
+  }
+
+  return true;
+}
+
+/**
+ * Dispatch a single statement
+ * @private
+ */
+function parseStatement(tokens, model) {
+  const stream = new TokenStream(tokens);
+
+  if (stream.acceptKeyword('create')) {
+    stream.acceptKeyword('or', 'replace');
+    stream.acceptKeyword('global') || stream.acceptKeyword('local');
+    stream.acceptKeyword('temporary') || stream.acceptKeyword('temp') || stream.acceptKeyword('unlogged');
+
+    if (stream.acceptKeyword('table')) return parseCreateTable(stream, model);
+    if (stream.acceptKeyword('unique', 'index')) return parseCreateIndex(stream, model, true);
+    if (stream.acceptKeyword('index')) return parseCreateIndex(stream, model, false);
+    if (stream.acceptKeyword('materialized', 'view')) return parseCreateView(stream, model, 'materialized_view');
+    stream.acceptKeyword('recursive');
+    if (stream.acceptKeyword('view')) return parseCreateView(stream, model, 'view');
+    return false;
+  }
+
+  if (stream.acceptKeyword('alter', 'table')) return parseAlterTable(stream, model);
+  if (stream.acceptKeyword('comment', 'on')) return parseComment(stream, model);
+
+  if (stream.acceptKeyword('set', 'search_path') || stream.acceptKeyword('set', 'schema')) {
+    stream.acceptKeyword('to') || stream.acceptPunct('=');
+    const first = stream.next();
+    if (first && (first.type === 'ident' || first.type === 'string')) {
+      model.defaultSchema = first.type === 'ident' ? identName(first) : first.value;
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Fill in FK target columns omitted in the DDL (they default to the target's primary key)
+ * @private
+ */
+function resolveImplicitReferences(model) {
+  for (const relation of model.relations.values()) {
+    for (const fk of relation.foreignKeys) {
+      if (fk.foreign_column_name) continue;
+      const target = model.get({ schema: fk.foreign_table_schema, name: fk.foreign_table_name });
+      fk.foreign_column_name = target?.primaryKey[0] || 'id';
+    }
+  }
+}
+
+/**
+ * Parse a Postgres DDL script
+ * @param {string} sql - DDL source text
+ * @param {object} [options]
+ * @param {string} [options.defaultSchema='public'] - Schema for unqualified names
+ * @returns {{relations: Array<object>, statements: number, skipped: number, warnings: Array<string>}}
+ */
+function parseDDL(sql, options = {}) {
+  const model = new DDLModel(options.defaultSchema || 'public');
+
+  for (const statement of splitTopLevel(tokenize(sql), ';')) {
+    model.statements++;
+    let handled = false;
+    try {
+      handled = parseStatement(statement, model);
+    } catch (error) {
+      model.warnings.push(`Could not parse statement "${tokensToText(statement.slice(0, 6))} ...": ${error.message}`);
+    }
+    if (!handled) model.skipped++;
+  }
+
+  resolveImplicitReferences(model);
+
+  return {
+    relations: Array.from(model.relations.values()),
+    statements: model.statements,
+    skipped: model.skipped,
+    warnings: model.warnings
+  };
+}
+
+module.exports = {
+  parseDDL,
+  tokenize,
+  normalizeType
+};
@@ -0,0 +1,676 @@
+/*
+ * Traffic Importer
+ * Infers API Protocol manifests from Postman collections and HAR captures
+ *
+ * Features:
+ * - Postman collection v2.0/v2.1 (saved examples used as responses) and HAR 1.2
+ * - ID-looking path segments (numeric, UUID, ObjectId, prefixed ids) templated as {param}
+ * - Observations of the same route merged: query params, request/response bodies
+ * - JSON Schema inference from observed bodies
+ * - Pagination and long-running detection via the OpenAPI pattern detectors
+ * - Inferred items carry `_confidence` scores (omitted when certain)
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { detectPagination, detectLongRunning } = require('../openapi/patterns');
+const { detectTrafficFormat, readPostmanCollection, readHAR } = require('./readers');
+const { inferSchema, inferScalarSchema, mergeSchemas } = require('./schema-inference');
+
+/**
+ * Path segment shapes that look like identifiers, strongest first
+ */
+const ID_SEGMENT_PATTERNS = [
+  { kind: 'uuid', pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, confidence: 0.98 },
+  { kind: 'numeric', pattern: /^\d+$/, confidence: 0.95 },
+  { kind: 'object_id', pattern: /^[0-9a-f]{24}$/i, confidence: 0.9 },
+  { kind: 'ulid', pattern: /^[0-9A-HJKMNP-TV-Z]{26}$/, confidence: 0.85 },
+  { kind: 'hex', pattern: /^(?=.*\d)[0-9a-f]{16,}$/i, confidence: 0.8 },
+  { kind: 'prefixed', pattern: /^[a-z]{2,8}_[A-Za-z0-9]{6,}$/, confidence: 0.8 },
+  { kind: 'mixed', pattern: /^(?=.*\d)(?=.*[A-Za-z])[A-Za-z0-9-]{10,}$/, confidence: 0.6 }
+];
+
+/**
+ * Error type mappings (kept in line with OpenAPIImporter)
+ */
+const ERROR_TYPES = {
+  400: { type: 'validation', retriable: false },
+  401: { type: 'authentication', retriable: false },
+  403: { type: 'authorization', retriable: false },
+  404: { type: 'not_found', retriable: false },
+  429: { type: 'rate_limit', retriable: true },
+  500: { type: 'server', retriable: true },
+  502: { type: 'server', retriable: true },
+  503: { type: 'server', retriable: true },
+  504: { type: 'server', retriable: true }
+};
+
+/**
+ * Postman collection / HAR to API Protocol Importer
+ */
+class TrafficImporter {
+  constructor(options = {}) {
+    this.options = {
+      strictMode: false,           // If true, fail on unreadable captures
+      generateURNs: true,          // Auto-generate service/endpoint URNs
+      inferPatterns: true,         // Enable pagination/long-running detection
+      templateIds: true,           // Replace ID-looking path segments with {param}
+      includeStatic: false,        // Keep static assets / preflights from HAR captures
+      format: null,                // Force 'postman' or 'har' (auto-detected by default)
+      variables: {},               // Extra Postman variable values
+      serviceName: null,           // Override service name
+      serviceVersion: null,        // Override service version
+      ...options
+    };
+  }
+
+  /**
+   * Import a Postman collection or HAR capture to API Protocol manifest
+   * @param {string|object} source - File path, JSON string, or parsed document
+   * @returns {Promise<object>} API Protocol manifest (draft status)
+   */
+  async import(source) {
+    try {
+      const { doc, reference } = await this._loadDocument(source);
+      const format = this.options.format || detectTrafficFormat(doc);
+
+      let capture;
+      if (format === 'postman') {
+        capture = readPostmanCollection(doc, { variables: this.options.variables });
+      } else if (format === 'har') {
+        capture = readHAR(doc, { includeStatic: this.options.includeStatic });
+      } else {
+        throw new Error('Unrecognized traffic format: expected a Postman collection or HAR capture');
+      }
+
+      if (capture.observations.length === 0) {
+        throw new Error(`No API requests found in ${format === 'har' ? 'HAR capture' : 'Postman collection'}`);
+      }
+
+      const manifest = this._convertToManifest(capture);
+      const importedAt = new Date().toISOString();
+
+      manifest.metadata = { ...(manifest.metadata || {}) };
+      manifest.metadata.status = 'draft';
+      manifest.metadata.source = {
+        type: format,
+        imported_at: importedAt,
+        input_type: typeof source === 'string' ? (reference ? 'file' : 'string') : 'object',
+        ...(reference && { reference }),
+        observations: capture.observations.length
+      };
+
+      manifest.provenance = {
+        importer: 'TrafficImporter',
+        importer_version: '0.1.0',
+        imported_at: importedAt,
+        spec_version: format === 'har' ? `har-${doc.log.version || '1.2'}` : this._postmanSchemaVersion(doc),
+        spec_hash: crypto.createHash('sha256').update(JSON.stringify(doc)).digest('hex'),
+        source: reference,
+        source_type: typeof source
+      };
+
+      return manifest;
+    } catch (error) {
+      if (this.options.strictMode) {
+        throw error;
+      }
+      return this._createErrorManifest(source, error);
+    }
+  }
+
+  /**
+   * Load the capture document from a path, JSON string or object
+   * @private
+   */
+  async _loadDocument(source) {
+    if (source && typeof source === 'object') {
+      return { doc: source, reference: null };
+    }
+
+    if (typeof source !== 'string' || source.trim().length === 0) {
+      throw new Error('Traffic source must be a Postman collection or HAR file, JSON string, or object');
+    }
+
+    if (source.trim().startsWith('{')) {
+      return { doc: JSON.parse(source), reference: null };
+    }
+
+    const content = await fs.readFile(source, 'utf-8');
+    try {
+      return { doc: JSON.parse(content), reference: source };
+    } catch (error) {
+      throw new Error(`Failed to parse ${path.basename(source)}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert normalized observations to API Protocol manifest
+   * @private
+   */
+  _convertToManifest(capture) {
+    const service = this._extractService(capture);
+    const routes = this._groupObservations(capture.observations);
+
+    const manifest = {
+      service,
+      interface: {
+        authentication: this._extractAuthentication(capture.auth),
+        endpoints: routes.map(route => this._buildEndpoint(route, service))
+      },
+      context: this._extractContext(capture.observations)
+    };
+
+    if (!manifest.interface.authentication) {
+      delete manifest.interface.authentication;
+    }
+
+    Object.keys(manifest).forEach(key => {
+      if (!manifest[key] || (typeof manifest[key] === 'object' && Object.keys(manifest[key]).length === 0)) {
+        delete manifest[key];
+      }
+    });
+
+    return manifest;
+  }
+
+  /**
+   * Extract service identity (collection name, else the most observed host)
+   * @private
+   */
+  _extractService(capture) {
+    const hostCounts = new Map();
+    for (const observation of capture.observations) {
+      const host = observation.origin.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+      if (host && !host.startsWith('{{')) {
+        hostCounts.set(host, (hostCounts.get(host) || 0) + 1);
+      }
+    }
+    const topHost = [...hostCounts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+
+    const service = {
+      name: this.options.serviceName || capture.name || topHost || 'traffic-api',
+      version: this.options.serviceVersion || capture.version || '0.0.0'
+    };
+
+    if (this.options.generateURNs) {
+      service.urn = this._generateServiceURN(service);
+    }
+
+    if (capture.description) {
+      service.description = capture.description;
+    }
+
+    return service;
+  }
+
+  /**
+   * Template paths and group observations by method + route
+   * @private
+   */
+  _groupObservations(observations) {
+    const routes = new Map();
+
+    for (const observation of observations) {
+      const templated = this._templatePath(observation.path);
+      // Param names do not distinguish routes: /orders/{id} and /orders/{order_id} match
+      const key = `${observation.method} ${templated.segments.map(s => (s.param ? '{}' : s.literal)).join('/')}`;
+
+      if (!routes.has(key)) {
+        routes.set(key, { method: observation.method, segments: templated.segments, observations: [] });
+      }
+
+      const route = routes.get(key);
+      templated.segments.forEach((segment, index) => {
+        const current = route.segments[index];
+        if (segment.param && segment.confidence > current.confidence) {
+          route.segments[index] = { ...segment, values: current.values };
+        }
+        if (segment.param && segment.value !== undefined) {
+          route.segments[index].values = [...(route.segments[index].values || []), segment.value];
+        }
+      });
+      route.observations.push(observation);
+    }
+
+    return [...routes.values()];
+  }
+
+  /**
+   * Split a path into literal and templated segments
+   * @private
+   */
+  _templatePath(rawPath) {
+    const segments = [];
+    const used = new Set();
+
+    for (const part of rawPath.split('/').filter(Boolean)) {
+      const explicit = part.match(/^\{([^}]+)\}$/);
+      if (explicit) {
+        used.add(explicit[1]);
+        segments.push({ param: explicit[1], confidence: 1.0 });
+        continue;
+      }
+
+      const idPattern = this.options.templateIds
+        ? ID_SEGMENT_PATTERNS.find(p => p.pattern.test(part))
+        : null;
+      if (!idPattern) {
+        segments.push({ literal: part });
+        continue;
+      }
+
+      const previous = segments[segments.length - 1];
+      let name = previous?.literal ? `${this._singularize(previous.literal)}_id` : 'id';
+      for (let n = 2; used.has(name); n++) {
+        name = `${name.replace(/\d+$/, '')}${n}`;
+      }
+      used.add(name);
+
+      segments.push({ param: name, confidence: idPattern.confidence, value: part });
+    }
+
+    return {
+      segments,
+      template: this._renderPath(segments)
+    };
+  }
+
+  /**
+   * Render templated segments back to a path
+   * @private
+   */
+  _renderPath(segments) {
+    return '/' + segments.map(s => (s.param ? `{${s.param}}` : s.literal)).join('/');
+  }
+
+  /**
+   * Build an endpoint from the observations of one route
+   * @private
+   */
+  _buildEndpoint(route, service) {
+    const observations = route.observations;
+    const named = observations.find(o => o.name);
+    const described = observations.find(o => o.description);
+    const endpointPath = this._renderPath(route.segments);
+
+    const endpoint = {
+      method: route.method,
+      path: endpointPath,
+      ...(named && { summary: named.name }),
+      ...(described && { description: described.description })
+    };
+
+    if (this.options.generateURNs) {
+      endpoint.urn = this._generateEndpointURN(service, route.method, endpointPath);
+    }
+
+    const params = [
+      ...this._buildPathParams(route.segments),
+      ...this._buildQueryParams(observations)
+    ];
+    if (params.length > 0) endpoint.params = params;
+
+    const request = this._buildRequest(observations);
+    if (request) endpoint.request = request;
+
+    const { responses, errors, operationResponses } = this._buildResponses(observations);
+    if (responses.length > 0) endpoint.responses = responses;
+    if (errors.length > 0) endpoint.errors = errors;
+
+    if (this.options.inferPatterns) {
+      const detectionTarget = {
+        method: route.method.toLowerCase(),
+        summary: endpoint.summary,
+        description: endpoint.description,
+        responses: operationResponses
+      };
+
+      const pagination = detectPagination(detectionTarget, params);
+      if (pagination.detected) {
+        endpoint.pagination = {
+          style: pagination.style,
+          ...(pagination.params && { params: pagination.params }),
+          ...(pagination.confidence < 1.0 && { _confidence: pagination.confidence })
+        };
+      }
+
+      const longRunning = detectLongRunning(detectionTarget, responses);
+      if (longRunning.detected) {
+        endpoint.long_running = {
+          pattern: longRunning.pattern,
+          ...(longRunning.status_endpoint && {
+            status_endpoint: this._templatePath(longRunning.status_endpoint).template
+          }),
+          ...(longRunning.confidence < 1.0 && { _confidence: longRunning.confidence })
+        };
+      }
+    }
+
+    endpoint._observations = observations.length;
+
+    return endpoint;
+  }
+
+  /**
+   * Build path params from templated segments
+   * @private
+   */
+  _buildPathParams(segments) {
+    return segments.filter(s => s.param).map(segment => ({
+      name: segment.param,
+      in: 'path',
+      required: true,
+      schema: (segment.values || []).map(inferScalarSchema).reduce(mergeSchemas, null) || { type: 'string' },
+      ...(segment.confidence < 1.0 && { _confidence: segment.confidence })
+    }));
+  }
+
+  /**
+   * Merge query params observed across a route's requests
+   * @private
+   */
+  _buildQueryParams(observations) {
+    const seen = new Map();
+
+    for (const observation of observations) {
+      const names = new Set();
+      for (const { name, value } of observation.query) {
+        if (!seen.has(name)) seen.set(name, { count: 0, schema: null });
+        const entry = seen.get(name);
+        entry.schema = mergeSchemas(entry.schema, inferScalarSchema(value));
+        if (!names.has(name)) entry.count++;
+        names.add(name);
+      }
+    }
+
+    return [...seen.entries()].map(([name, entry]) => {
+      // "Required" is only an inference from presence in every sample
+      const required = entry.count === observations.length;
+      const confidence = required ? this._sampleConfidence(observations.length) : 1.0;
+      return {
+        name,
+        in: 'query',
+        required,
+        schema: entry.schema,
+        ...(confidence < 1.0 && { _confidence: confidence })
+      };
+    });
+  }
+
+  /**
+   * Infer the request body from observed payloads
+   * @private
+   */
+  _buildRequest(observations) {
+    const bodies = observations.filter(o => o.request);
+    if (bodies.length === 0) return null;
+
+    const contentType = bodies[0].request.contentType || 'application/octet-stream';
+    const schema = bodies
+      .map(o => this._bodySchema(o.request))
+      .filter(Boolean)
+      .reduce(mergeSchemas, null);
+    const confidence = this._sampleConfidence(bodies.length);
+
+    return {
+      contentType,
+      required: bodies.length === observations.length,
+      ...(schema && { schema }),
+      ...(schema && confidence < 1.0 && { _confidence: confidence })
+    };
+  }
+
+  /**
+   * Group observed responses by status into responses, errors and an
+   * OpenAPI-shaped response map for the pattern detectors
+   * @private
+   */
+  _buildResponses(observations) {
+    const byStatus = new Map();
+
+    for (const observation of observations) {
+      const response = observation.response;
+      if (!response?.status) continue;
+
+      if (!byStatus.has(response.status)) {
+        byStatus.set(response.status, { samples: [], headers: {} });
+      }
+      const group = byStatus.get(response.status);
+      group.samples.push(response);
+      Object.assign(group.headers, response.headers);
+    }
+
+    const responses = [];
+    const errors = [];
+    const operationResponses = {};
+
+    for (const [status, group] of [...byStatus.entries()].sort((a, b) => a[0] - b[0])) {
+      const contentType = group.samples.find(s => s.contentType)?.contentType;
+      const schema = group.samples
+        .map(sample => this._bodySchema(sample))
+        .filter(Boolean)
+        .reduce(mergeSchemas, null);
+
+      operationResponses[String(status)] = {
+        ...(contentType && schema && { content: { [contentType]: { schema } } }),
+        headers: this._headerObjects(group.headers)
+      };
+
+      if (status >= 400) {
+        const errorType = ERROR_TYPES[status] || { type: 'unknown', retriable: false };
+        errors.push({
+          code: errorType.type.toUpperCase(),
+          http: status,
+          retriable: errorType.retriable
+        });
+        continue;
+      }
+
+      const confidence = this._sampleConfidence(group.samples.length);
+      responses.push({
+        status,
+        ...(contentType && { contentType }),
+        ...(schema && { schema }),
+        ...(schema && confidence < 1.0 && { _confidence: confidence })
+      });
+    }
+
+    return { responses, errors, operationResponses };
+  }
+
+  /**
+   * Express observed headers the way OpenAPI response headers look; the
+   * Location value becomes the description so detectLongRunning can read it
+   * @private
+   */
+  _headerObjects(headers) {
+    const result = {};
+    for (const [name, value] of Object.entries(headers)) {
+      const headerName = name.replace(/(^|-)([a-z])/g, (m, sep, c) => sep + c.toUpperCase());
+      let description = typeof value === 'string' ? value : undefined;
+      if (name === 'location' && description) {
+        description = description.replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, '').split('?')[0];
+      }
+      result[headerName] = description ? { description } : {};
+    }
+    return result;
+  }
+
+  /**
+   * Infer a JSON Schema from an observed body
+   * @private
+   */
+  _bodySchema(payload) {
+    if (payload.body === null || payload.body === undefined) return null;
+
+    if (typeof payload.body === 'object') {
+      return inferSchema(payload.body);
+    }
+
+    const looksJson = /json/.test(payload.contentType || '') || /^\s*[[{]/.test(payload.body);
+    if (!looksJson) return null;
+
+    try {
+      return inferSchema(JSON.parse(payload.body));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Confidence for a structure inferred from n samples
+   * @private
+   */
+  _sampleConfidence(count) {
+    return Math.min(0.5 + 0.15 * count, 0.95);
+  }
+
+  /**
+   * Map Postman/HAR auth to API Protocol authentication
+   * @private
+   */
+  _extractAuthentication(auth) {
+    if (!auth?.type || auth.type === 'noauth') return null;
+
+    switch (auth.type) {
+      case 'bearer':
+        return { type: 'apiKey', in: 'header' };
+      case 'apikey': {
+        const settings = Object.fromEntries((auth.apikey || []).map(entry => [entry.key, entry.value]));
+        return {
+          type: 'apiKey',
+          in: settings.in || 'header',
+          ...(settings.key && { name: settings.key })
+        };
+      }
+      case 'oauth2':
+        return { type: 'oauth2' };
+      default:
+        return { type: 'hmac', in: 'header' };
+    }
+  }
+
+  /**
+   * Collect observed origins as servers
+   * @private
+   */
+  _extractContext(observations) {
+    const origins = [...new Set(observations.map(o => o.origin).filter(Boolean))];
+    return origins.length > 0 ? { servers: origins.map(url => ({ url })) } : undefined;
+  }
+
+  /**
+   * Postman schema version from info.schema URL
+   * @private
+   */
+  _postmanSchemaVersion(doc) {
+    const match = (doc.info?.schema || '').match(/v(\d+\.\d+\.\d+)/);
+    return match ? `postman-${match[1]}` : 'postman';
+  }
+
+  /**
+   * Naive singular form for param naming (orders → order, categories → category)
+   * @private
+   */
+  _singularize(word) {
+    const slug = this._slugify(word).replace(/-/g, '_');
+    if (/ies$/.test(slug)) return slug.replace(/ies$/, 'y');
+    if (/(ss|us)$/.test(slug)) return slug;
+    return slug.replace(/s$/, '');
+  }
+
+  /**
+   * Generate a stable URN for the service
+   * @private
+   */
+  _generateServiceURN(service) {
+    const serviceSlug = this._slugify(service?.name || 'api');
+    const version = this._normalizeVersionForUrn(service?.version);
+
+    const baseUrn = `urn:proto:api:${serviceSlug}/service`;
+    return version ? `${baseUrn}@${version}` : baseUrn;
+  }
+
+  /**
+   * Generate a stable URN for an observed route
+   * @private
+   */
+  _generateEndpointURN(service, method, endpointPath) {
+    const serviceSlug = this._slugify(service?.name || 'api');
+    const version = this._normalizeVersionForUrn(service?.version);
+    const id = `route/${this._normalizePathForUrn(endpointPath)}-${method.toLowerCase()}`;
+
+    const baseUrn = `urn:proto:api.endpoint:${serviceSlug}/${id}`;
+    return version ? `${baseUrn}@${version}` : baseUrn;
+  }
+
+  /**
+   * Normalize a templated path to URN-friendly segment
+   * @private
+   */
+  _normalizePathForUrn(endpointPath) {
+    if (!endpointPath || endpointPath === '/') {
+      return 'root';
+    }
+
+    return endpointPath
+      .replace(/^\//, '')
+      .split('/')
+      .map(segment => segment.replace(/\{([^}]+)\}/g, 'param-$1'))
+      .map(segment => segment.replace(/[^a-zA-Z0-9._-]/g, '-'))
+      .filter(Boolean)
+      .join('.').toLowerCase();
+  }
+
+  /**
+   * Normalize version string for URN usage (semver only)
+   * @private
+   */
+  _normalizeVersionForUrn(version) {
+    if (!version || typeof version !== 'string') {
+      return null;
+    }
+
+    const normalized = version.trim().replace(/^v/i, '');
+    return /^\d+\.\d+\.\d+$/.test(normalized) ? normalized : null;
+  }
+
+  /**
+   * Slugify string for URN generation
+   * @private
+   */
+  _slugify(str) {
+    return str
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Create error manifest for failed imports
+   * @private
+   */
+  _createErrorManifest(source, error) {
+    return {
+      service: {
+        name: 'import-failed',
+        version: '0.0.0'
+      },
+      interface: {
+        endpoints: []
+      },
+      metadata: {
+        status: 'error',
+        error: {
+          message: error.message,
+          source: typeof source === 'string' && !source.trim().startsWith('{') ? source : 'object',
+          timestamp: new Date().toISOString()
+        }
+      }
+    };
+  }
+}
+
+module.exports = { TrafficImporter };
@@ -0,0 +1,326 @@
+/*
+ * Traffic Readers
+ *
+ * Normalize Postman collections (v2.0/v2.1) and HAR captures into a flat
+ * list of observations: one request (and, when captured, its response).
+ *
+ * Observation shape:
+ *   {
+ *     name, description, method, origin, path,
+ *     query: [{ name, value }],
+ *     request: { contentType, body } | null,
+ *     response: { status, headers, contentType, body } | null
+ *   }
+ *
+ * Postman path variables (`:id`) and unresolved `{{variables}}` in the path
+ * are already rewritten as `{id}` templates.
+ */
+
+const STATIC_EXTENSIONS = /\.(js|mjs|css|map|png|jpe?g|gif|svg|ico|webp|woff2?|ttf|eot|html?)$/i;
+const STATIC_MIME_TYPES = /^(text\/(html|css|javascript)|application\/(x-)?javascript|image\/|font\/|video\/|audio\/)/i;
+
+/**
+ * Detect the traffic format of a parsed document
+ * @param {object} doc - Parsed JSON document
+ * @returns {string|null} 'postman', 'har' or null
+ */
+function detectTrafficFormat(doc) {
+  if (!doc || typeof doc !== 'object') return null;
+  if (Array.isArray(doc.log?.entries)) return 'har';
+  if (Array.isArray(doc.item) && (doc.info?._postman_id || /getpostman\.com/.test(doc.info?.schema || ''))) {
+    return 'postman';
+  }
+  return null;
+}
+
+/**
+ * Convert a header list ([{key|name, value}]) to a lowercase map
+ * @private
+ */
+function headerMap(headers = []) {
+  const map = {};
+  for (const header of headers) {
+    if (header.disabled) continue;
+    const name = (header.key || header.name || '').toLowerCase();
+    if (name) map[name] = header.value;
+  }
+  return map;
+}
+
+/**
+ * Strip parameters from a content type (application/json; charset=utf-8 → application/json)
+ * @private
+ */
+function baseContentType(value) {
+  return value ? String(value).split(';')[0].trim().toLowerCase() : null;
+}
+
+/**
+ * Split a URL-ish string into origin, path and query pairs
+ * @private
+ */
+function splitUrl(raw) {
+  const [beforeQuery, ...rest] = raw.split('?');
+  const queryString = rest.join('?').split('#')[0];
+
+  const match = beforeQuery.match(/^([a-z][a-z0-9+.-]*:\/\/[^/]*|\{\{[^}]+\}\}|[^/]*)(\/.*)?$/i);
+  const origin = match?.[1] || '';
+  const path = match?.[2] || '/';
+
+  const query = queryString
+    ? queryString.split('&').filter(Boolean).map(pair => {
+      const [name, ...value] = pair.split('=');
+      return { name: safeDecode(name), value: safeDecode(value.join('=')) };
+    })
+    : [];
+
+  return { origin, path, query };
+}
+
+/**
+ * decodeURIComponent that tolerates malformed escapes and Postman variables
+ * @private
+ */
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, ' '));
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Replace {{variables}} that have a known value
+ * @private
+ */
+function substituteVariables(text, variables) {
+  return text.replace(/\{\{([^}]+)\}\}/g, (whole, name) =>
+    Object.prototype.hasOwnProperty.call(variables, name.trim()) ? variables[name.trim()] : whole
+  );
+}
+
+/**
+ * Rewrite Postman path variables as {param} templates
+ * @private
+ */
+function templatePostmanPath(path) {
+  return path
+    .split('/')
+    .map(segment => {
+      if (/^:[\w.-]+$/.test(segment)) return `{${segment.slice(1)}}`;
+      const variable = segment.match(/^\{\{([^}]+)\}\}$/);
+      return variable ? `{${variable[1].trim()}}` : segment;
+    })
+    .join('/');
+}
+
+/**
+ * Read a Postman collection into observations
+ * @param {object} collection - Parsed Postman collection
+ * @param {object} [options]
+ * @param {object} [options.variables] - Extra variable values (override collection variables)
+ * @returns {{name: string, description?: string, version?: string, auth?: object, observations: Array<object>}}
+ */
+function readPostmanCollection(collection, options = {}) {
+  const variables = {};
+  for (const variable of collection.variable || []) {
+    if (variable.key && variable.value !== undefined && !variable.disabled) {
+      variables[variable.key] = String(variable.value);
+    }
+  }
+  Object.assign(variables, options.variables || {});
+
+  const observations = [];
+  let auth = collection.auth || null;
+
+  const visit = (items, folderAuth) => {
+    for (const item of items || []) {
+      if (Array.isArray(item.item)) {
+        visit(item.item, item.auth || folderAuth);
+        continue;
+      }
+      if (!item.request) continue;
+
+      const request = typeof item.request === 'string' ? { url: item.request, method: 'GET' } : item.request;
+      auth = auth || request.auth || folderAuth || null;
+
+      const responses = Array.isArray(item.response) && item.response.length > 0 ? item.response : [null];
+      for (const example of responses) {
+        const sent = example?.originalRequest && typeof example.originalRequest === 'object'
+          ? example.originalRequest
+          : request;
+        observations.push({
+          name: item.name,
+          description: typeof item.description === 'string'
+            ? item.description
+            : (typeof request.description === 'string' ? request.description : undefined),
+          ...readPostmanRequest(sent, variables),
+          response: example ? readPostmanResponse(example) : null
+        });
+      }
+    }
+  };
+  visit(collection.item, collection.auth);
+
+  const description = collection.info?.description;
+  const version = collection.info?.version;
+
+  return {
+    name: collection.info?.name,
+    ...(typeof description === 'string' && { description }),
+    ...(typeof version === 'string' && { version }),
+    ...(auth && { auth }),
+    observations
+  };
+}
+
+/**
+ * Normalize a Postman request object
+ * @private
+ */
+function readPostmanRequest(request, variables) {
+  const url = request.url || '';
+  const raw = typeof url === 'string'
+    ? url
+    : url.raw || [
+      url.protocol ? `${url.protocol}://` : '',
+      Array.isArray(url.host) ? url.host.join('.') : (url.host || ''),
+      '/',
+      Array.isArray(url.path) ? url.path.join('/') : (url.path || '')
+    ].join('');
+
+  const { origin, path, query } = splitUrl(substituteVariables(raw, variables));
+
+  // Structured query lists carry disabled flags the raw URL does not
+  const structuredQuery = typeof url === 'object' && Array.isArray(url.query)
+    ? url.query
+      .filter(q => !q.disabled && q.key)
+      .map(q => ({ name: q.key, value: substituteVariables(String(q.value ?? ''), variables) }))
+    : null;
+
+  const headers = headerMap(request.header);
+  let body = null;
+  if (request.body?.mode === 'raw' && request.body.raw) {
+    const language = request.body.options?.raw?.language;
+    body = {
+      contentType: baseContentType(headers['content-type']) || (language === 'json' ? 'application/json' : 'text/plain'),
+      body: substituteVariables(request.body.raw, variables)
+    };
+  } else if (request.body?.mode === 'urlencoded') {
+    body = {
+      contentType: 'application/x-www-form-urlencoded',
+      body: Object.fromEntries((request.body.urlencoded || []).filter(p => !p.disabled).map(p => [p.key, p.value]))
+    };
+  } else if (request.body?.mode === 'formdata') {
+    body = { contentType: 'multipart/form-data', body: null };
+  } else if (request.body?.mode === 'graphql') {
+    body = { contentType: 'application/json', body: request.body.graphql || null };
+  }
+
+  return {
+    method: (request.method || 'GET').toUpperCase(),
+    origin,
+    path: templatePostmanPath(path),
+    query: structuredQuery || query,
+    request: body
+  };
+}
+
+/**
+ * Normalize a saved Postman example response
+ * @private
+ */
+function readPostmanResponse(example) {
+  const headers = headerMap(example.header);
+  return {
+    status: Number(example.code) || null,
+    headers,
+    contentType: baseContentType(headers['content-type']) ||
+      (example._postman_previewlanguage === 'json' ? 'application/json' : null),
+    body: example.body || null
+  };
+}
+
+/**
+ * Read a HAR capture into observations
+ * @param {object} har - Parsed HAR document
+ * @param {object} [options]
+ * @param {boolean} [options.includeStatic=false] - Keep static asset and CORS preflight entries
+ * @returns {{auth?: object, observations: Array<object>}}
+ */
+function readHAR(har, options = {}) {
+  const observations = [];
+  let auth = null;
+
+  for (const entry of har.log?.entries || []) {
+    const req = entry.request || {};
+    if (!req.url) continue;
+
+    let url;
+    try {
+      url = new URL(req.url);
+    } catch {
+      continue;
+    }
+
+    const method = (req.method || 'GET').toUpperCase();
+    const res = entry.response || {};
+    const responseType = baseContentType(res.content?.mimeType);
+
+    if (!options.includeStatic) {
+      if (method === 'OPTIONS') continue;
+      if (STATIC_EXTENSIONS.test(url.pathname)) continue;
+      if (responseType && STATIC_MIME_TYPES.test(responseType)) continue;
+    }
+
+    const requestHeaders = headerMap(req.headers);
+    if (!auth && requestHeaders.authorization) {
+      const scheme = requestHeaders.authorization.split(' ')[0].toLowerCase();
+      auth = { type: scheme === 'bearer' ? 'bearer' : (scheme === 'basic' ? 'basic' : 'apikey') };
+    }
+
+    const query = Array.isArray(req.queryString) && req.queryString.length > 0
+      ? req.queryString.map(q => ({ name: q.name, value: q.value }))
+      : [...url.searchParams.entries()].map(([name, value]) => ({ name, value }));
+
+    let content = res.content?.text || null;
+    if (content && res.content?.encoding === 'base64') {
+      content = Buffer.from(content, 'base64').toString('utf-8');
+    }
+
+    observations.push({
+      method,
+      origin: url.origin,
+      path: url.pathname || '/',
+      query,
+      request: req.postData
+        ? {
+          contentType: baseContentType(req.postData.mimeType),
+          body: req.postData.text ?? (req.postData.params
+            ? Object.fromEntries(req.postData.params.map(p => [p.name, p.value]))
+            : null)
+        }
+        : null,
+      response: res.status
+        ? {
+          status: res.status,
+          headers: headerMap(res.headers),
+          contentType: responseType,
+          body: content
+        }
+        : null
+    });
+  }
+
+  return {
+    ...(auth && { auth }),
+    observations
+  };
+}
+
+module.exports = {
+  detectTrafficFormat,
+  readPostmanCollection,
+  readHAR,
+  splitUrl
+};
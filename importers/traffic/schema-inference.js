@@ -0,0 +1,149 @@
+/*
+ * JSON Schema Inference from Observed Payloads
+ *
+ * Builds JSON Schema fragments from example values and merges schemas
+ * observed across several samples:
+ * - Properties present in every object sample become `required`
+ * - Conflicting scalar types widen to a type list (integer + number → number)
+ * - Common string formats (date-time, date, email, uri, uuid) are detected
+ *   only when every sample agrees
+ */
+
+const STRING_FORMATS = [
+  { format: 'date-time', pattern: /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/ },
+  { format: 'date', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+  { format: 'uuid', pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i },
+  { format: 'email', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+  { format: 'uri', pattern: /^https?:\/\/\S+$/i }
+];
+
+/**
+ * Infer a JSON Schema fragment from a single value
+ * @param {*} value - Parsed JSON value
+ * @returns {object} JSON Schema
+ */
+function inferSchema(value) {
+  if (value === null || value === undefined) {
+    return { type: 'null' };
+  }
+
+  if (Array.isArray(value)) {
+    const schema = { type: 'array' };
+    if (value.length > 0) {
+      schema.items = value.map(inferSchema).reduce(mergeSchemas);
+    }
+    return schema;
+  }
+
+  switch (typeof value) {
+    case 'object': {
+      const properties = {};
+      for (const [key, propValue] of Object.entries(value)) {
+        properties[key] = inferSchema(propValue);
+      }
+      const required = Object.keys(properties);
+      return {
+        type: 'object',
+        properties,
+        ...(required.length > 0 && { required })
+      };
+    }
+    case 'number':
+      return { type: Number.isInteger(value) ? 'integer' : 'number' };
+    case 'boolean':
+      return { type: 'boolean' };
+    case 'string': {
+      const match = STRING_FORMATS.find(f => f.pattern.test(value));
+      return match ? { type: 'string', format: match.format } : { type: 'string' };
+    }
+    default:
+      return {};
+  }
+}
+
+/**
+ * Infer a schema for a raw query/path string value
+ * @param {string} value - Raw string value
+ * @returns {object} JSON Schema
+ */
+function inferScalarSchema(value) {
+  if (/^-?\d+$/.test(value)) return { type: 'integer' };
+  if (/^-?\d*\.\d+$/.test(value)) return { type: 'number' };
+  if (/^(true|false)$/i.test(value)) return { type: 'boolean' };
+  return inferSchema(value);
+}
+
+/**
+ * Normalize a schema's `type` to an array of type names
+ * @private
+ */
+function typesOf(schema) {
+  if (!schema.type) return [];
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+/**
+ * Merge two inferred schemas into one that accepts both
+ * @param {object} a - JSON Schema
+ * @param {object} b - JSON Schema
+ * @returns {object} Merged JSON Schema
+ */
+function mergeSchemas(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+
+  const types = new Set([...typesOf(a), ...typesOf(b)]);
+  if (types.has('integer') && types.has('number')) {
+    types.delete('integer');
+  }
+
+  const merged = {};
+  const typeList = [...types];
+  if (typeList.length === 1) {
+    merged.type = typeList[0];
+  } else if (typeList.length > 1) {
+    merged.type = typeList;
+  }
+
+  if (types.has('object')) {
+    const aProps = a.properties || {};
+    const bProps = b.properties || {};
+    const properties = {};
+    for (const key of new Set([...Object.keys(aProps), ...Object.keys(bProps)])) {
+      properties[key] = mergeSchemas(aProps[key], bProps[key]);
+    }
+    merged.properties = properties;
+
+    // Only objects seen on both sides can keep their required keys
+    const aObject = typesOf(a).includes('object');
+    const bObject = typesOf(b).includes('object');
+    const required = aObject && bObject
+      ? (a.required || []).filter(key => (b.required || []).includes(key))
+      : (aObject ? a.required : b.required) || [];
+    if (required.length > 0) {
+      merged.required = required;
+    }
+  }
+
+  if (types.has('array')) {
+    const items = mergeSchemas(a.items, b.items);
+    if (items) merged.items = items;
+  }
+
+  if (types.has('string')) {
+    const formats = [a, b]
+      .filter(schema => typesOf(schema).includes('string'))
+      .map(schema => schema.format);
+    if (formats.every(format => format && format === formats[0])) {
+      merged.format = formats[0];
+    }
+  }
+
+  return merged;
+}
+
+module.exports = {
+  inferSchema,
+  inferScalarSchema,
+  mergeSchemas
+};
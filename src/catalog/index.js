@@ -10,6 +10,8 @@
  */
 
 import * as fs from 'fs/promises';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
 import {
   buildDependencyGraph,
   getDependencyTree,
@@ -34,6 +36,7 @@ import {
   queryByURNPattern,
   getCatalogStats
 } from './query.js';
+import { loadTrustStore, verifyManifestSignature } from './signature.js';
 
 /**
  * @typedef {import('./schema').ArtifactManifest} ArtifactManifest
@@ -46,6 +49,7 @@ import {
  * @typedef {import('./graph').DependencyGraph} DependencyGraph
  * @typedef {import('./graph').CycleDetectionResult} CycleDetectionResult
  * @typedef {import('./query').SecondaryIndexes} SecondaryIndexes
+ * @typedef {import('./signature').TrustStore} TrustStore
  */
 
 /**
@@ -383,22 +387,48 @@ export class URNCatalogIndex {
 
   /**
    * Load catalog from JSON file
+   * With `verify`, each artifact's manifest is read and its signature checked
+   * against the trust store; artifacts that fail are left out of the catalog.
    * @param path File path to load from
+   * @param {Object} [options]
+   * @param {boolean} [options.verify] - Verify manifest signatures
+   * @param {string|TrustStore} [options.trustStore] - Trust store path, or an already loaded trust store
+   * @returns {Promise<{loaded: number, rejected: Array<{urn: string, manifest: string, status: string, message: string}>}>}
    */
-  async load(path) {
+  async load(path, options = {}) {
     const json = await fs.readFile(path, 'utf-8');
     /** @type {CatalogIndex} */
     const catalogIndex = JSON.parse(json);
 
+    let trustStore = null;
+    if (options.verify) {
+      if (!options.trustStore) {
+        throw new Error('Signature verification requires a trust store');
+      }
+      trustStore = typeof options.trustStore === 'string'
+        ? await loadTrustStore(options.trustStore)
+        : options.trustStore;
+    }
+
     // Clear existing data
     this.clear();
 
     // Load artifacts
-    for (const [urn, artifact] of Object.entries(catalogIndex.artifacts)) {
+    const rejected = [];
+    for (const artifact of Object.values(catalogIndex.artifacts)) {
+      if (trustStore) {
+        const verification = await verifyArtifact(artifact, path, trustStore);
+        if (!verification.valid) {
+          rejected.push({ urn: artifact.urn, manifest: artifact.manifest, status: verification.status, message: verification.message });
+          console.warn(`Skipping ${artifact.urn}: ${verification.message}`);
+          continue;
+        }
+      }
       this.add(artifact);
     }
 
     console.log(`Loaded ${this.artifacts.size} artifacts from ${path}`);
+    return { loaded: this.artifacts.size, rejected };
   }
 
   /**
@@ -600,7 +630,41 @@ export class URNCatalogIndex {
   }
 }
 
+/**
+ * Verify the signature of the manifest an artifact points to
+ * Relative manifest URIs resolve against the catalog file's directory
+ * @param {ArtifactManifest} artifact - Catalog artifact
+ * @param {string} catalogPath - Path the catalog was loaded from
+ * @param {TrustStore} trustStore - Allowed keys
+ * @returns {Promise<{valid: boolean, status: string, message: string}>}
+ */
+async function verifyArtifact(artifact, catalogPath, trustStore) {
+  const uri = artifact.manifest || '';
+  let manifestPath;
+  if (uri.startsWith('file:')) {
+    manifestPath = fileURLToPath(uri);
+  } else if (/^[a-z][a-z0-9+.-]*:/i.test(uri)) {
+    return { valid: false, status: 'missing', message: `Manifest ${uri} is not a local file` };
+  } else {
+    manifestPath = resolve(dirname(catalogPath), uri);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
+  } catch (error) {
+    return { valid: false, status: 'missing', message: `Manifest ${uri} could not be read: ${error.message}` };
+  }
+
+  const verification = verifyManifestSignature(manifest, trustStore);
+  if (verification.valid && manifest.metadata?.urn && manifest.metadata.urn !== artifact.urn) {
+    return { valid: false, status: 'mismatch', message: `Manifest ${uri} is signed for ${manifest.metadata.urn}` };
+  }
+  return verification;
+}
+
 // Re-export types for convenience
 export * from './schema.js';
 export * from './graph.js';
 export * from './query.js';
+export * from './signature.js';
@@ -0,0 +1,36 @@
+/**
+ * Manifest signature verification for the URN catalog
+ * Checks the Ed25519 signatures approve embeds in `metadata.signature`
+ * against a trust store of allowed public keys (a directory of PEM files,
+ * a PEM file, or a JSON `{ keys: [{ name, public_key }] }` list), using the
+ * same implementation as the CLI and viewer (workflow/signing.cjs)
+ * @module catalog/signature
+ */
+
+/**
+ * @typedef {Object} TrustedKey
+ * @property {string} name
+ * @property {import('crypto').KeyObject} key
+ */
+
+/**
+ * @typedef {Map<string, TrustedKey>} TrustStore
+ */
+
+/**
+ * @typedef {Object} SignatureVerification
+ * @property {boolean} valid
+ * @property {'valid'|'unsigned'|'untrusted'|'invalid'} status
+ * @property {string|null} key_id
+ * @property {string|null} signer
+ * @property {string|null} signed_at
+ * @property {string} message
+ */
+
+export {
+  SIGNATURE_ALGORITHM,
+  SIGNATURE_STATUS,
+  getKeyId,
+  loadTrustStore,
+  verifyManifestSignature
+} from '../../workflow/signing.cjs';
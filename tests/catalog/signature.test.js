@@ -0,0 +1,115 @@
+/**
+ * Tests for catalog signature verification
+ * @module tests/catalog/signature.test
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { URNCatalogIndex, getKeyId, loadTrustStore, verifyManifestSignature } from '../../src/catalog/index.js';
+import { jsonCanon } from '../../workflow/content-hash.cjs';
+import * as crypto from 'crypto';
+import * as fs from 'fs/promises';
+import * as os from 'os';
+import * as path from 'path';
+
+
+function sign(manifest, privateKey) {
+  return {
+    ...manifest,
+    metadata: {
+      ...manifest.metadata,
+      signature: {
+        alg: 'ed25519',
+        key_id: getKeyId(privateKey),
+        signed_at: '2026-01-01T00:00:00.000Z',
+        value: crypto.sign(null, Buffer.from(jsonCanon(manifest)), privateKey).toString('base64')
+      }
+    }
+  };
+}
+
+describe('Catalog signature verification', () => {
+  let dir;
+  let trusted;
+  let untrusted;
+
+  const urns = {
+    orders: 'urn:protocol:api:orders:1.0.0',
+    users: 'urn:protocol:api:users:1.0.0'
+  };
+  const manifestFor = urn => ({ metadata: { urn, status: 'approved' }, service: { name: urn.split(':')[3] } });
+  const artifactFor = (urn, manifest) => ({
+    urn,
+    name: urn.split(':')[3],
+    version: '1.0.0',
+    namespace: 'urn:protocol:api',
+    type: 'api-protocol',
+    manifest,
+    dependencies: [],
+    metadata: { tags: [], governance: { classification: 'internal', owner: 'team', pii: false } }
+  });
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'catalog-signature-'));
+    trusted = crypto.generateKeyPairSync('ed25519');
+    untrusted = crypto.generateKeyPairSync('ed25519');
+    await fs.mkdir(path.join(dir, 'trusted-keys'));
+    await fs.writeFile(
+      path.join(dir, 'trusted-keys', 'release.pem'),
+      trusted.publicKey.export({ type: 'spki', format: 'pem' })
+    );
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should verify signatures against the trust store', async () => {
+    const trustStore = await loadTrustStore(path.join(dir, 'trusted-keys'));
+    const manifest = sign(manifestFor(urns.orders), trusted.privateKey);
+
+    expect(verifyManifestSignature(manifest, trustStore)).toMatchObject({ valid: true, status: 'valid', signer: 'release' });
+    expect(verifyManifestSignature(manifestFor(urns.orders), trustStore).status).toBe('unsigned');
+    expect(verifyManifestSignature(sign(manifestFor(urns.orders), untrusted.privateKey), trustStore).status).toBe('untrusted');
+
+    const tampered = { ...manifest, service: { name: 'payments' } };
+    expect(verifyManifestSignature(tampered, trustStore).status).toBe('invalid');
+  });
+
+  it('should load only artifacts whose manifests carry a trusted signature', async () => {
+    await fs.writeFile(path.join(dir, 'orders.json'), JSON.stringify(sign(manifestFor(urns.orders), trusted.privateKey)));
+    await fs.writeFile(path.join(dir, 'users.json'), JSON.stringify(sign(manifestFor(urns.users), untrusted.privateKey)));
+
+    const catalog = new URNCatalogIndex();
+    catalog.add(artifactFor(urns.orders, 'orders.json'));
+    catalog.add(artifactFor(urns.users, 'users.json'));
+    const catalogPath = path.join(dir, 'catalog.json');
+    await catalog.save(catalogPath);
+
+    const verified = new URNCatalogIndex();
+    const result = await verified.load(catalogPath, { verify: true, trustStore: path.join(dir, 'trusted-keys') });
+
+    expect(result.loaded).toBe(1);
+    expect(verified.has(urns.orders)).toBe(true);
+    expect(verified.has(urns.users)).toBe(false);
+    expect(result.rejected).toEqual([expect.objectContaining({ urn: urns.users, status: 'untrusted' })]);
+
+    const unverified = new URNCatalogIndex();
+    expect((await unverified.load(catalogPath)).loaded).toBe(2);
+  });
+
+  it('should reject manifests signed for a different URN or not available locally', async () => {
+    await fs.writeFile(path.join(dir, 'orders.json'), JSON.stringify(sign(manifestFor(urns.orders), trusted.privateKey)));
+
+    const catalog = new URNCatalogIndex();
+    catalog.add(artifactFor(urns.users, 'orders.json'));
+    catalog.add(artifactFor(urns.orders, 'https://example.com/orders.json'));
+    const catalogPath = path.join(dir, 'catalog.json');
+    await catalog.save(catalogPath);
+
+    const result = await new URNCatalogIndex().load(catalogPath, { verify: true, trustStore: path.join(dir, 'trusted-keys') });
+
+    expect(result.loaded).toBe(0);
+    expect(result.rejected.map(entry => entry.status).sort()).toEqual(['mismatch', 'missing']);
+    await expect(new URNCatalogIndex().load(catalogPath, { verify: true })).rejects.toThrow('requires a trust store');
+  });
+});
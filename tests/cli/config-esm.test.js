@@ -0,0 +1,41 @@
+/**
+ * Project Configuration Tests (ES module configs)
+ *
+ * Loading an `export default` protocol.config.js goes through import(), which
+ * jest only supports under --experimental-vm-modules (as `npm test` runs it).
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { loadConfig } = require('../../cli/utils/config');
+
+const describeWithVmModules = typeof vm.SourceTextModule === 'function' ? describe : describe.skip;
+
+describeWithVmModules('Project configuration (ES modules)', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'protocol-config-esm-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  test('loads an ES module protocol.config.js', async () => {
+    const nested = path.join(root, 'services', 'orders');
+    await fs.ensureDir(nested);
+    await fs.writeJson(path.join(root, 'package.json'), { name: 'shop', type: 'module' });
+    await fs.writeFile(
+      path.join(root, 'protocol.config.js'),
+      "export default { workspace: { manifests: 'contracts' }, importers: { openapi: { allowRemoteRefs: true } } };\n"
+    );
+
+    const { config, source } = await loadConfig({ cwd: nested });
+    expect(source).toBe(path.join(root, 'protocol.config.js'));
+    expect(config.workspace.manifests).toBe(path.join(root, 'contracts'));
+    expect(config.importers.openapi).toEqual({ allowRemoteRefs: true });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Project Configuration Tests
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { Command } = require('commander');
+const {
+  DEFAULT_CONFIG,
+  findConfigFile,
+  loadConfig,
+  applyConfigToCommand
+} = require('../../cli/utils/config');
+
+describe('Project configuration', () => {
+  let root;
+  let nested;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'protocol-config-'));
+    nested = path.join(root, 'services', 'orders');
+    await fs.ensureDir(nested);
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  test('falls back to the defaults without a config file', async () => {
+    const { config, source } = await loadConfig({ cwd: nested });
+
+    expect(source).toBeNull();
+    expect(config).toEqual(DEFAULT_CONFIG);
+  });
+
+  test('finds the nearest config upward and resolves paths against it', async () => {
+    await fs.writeJson(path.join(root, 'protocol.config.json'), {
+      workspace: { artifacts: 'build/artifacts' },
+      importers: { postgres: { sampleData: false, statementTimeout: 2000 } },
+      overrides: { packs: ['org-overrides'] },
+      sources: { shop: ['specs/orders.yaml', { type: 'data', source: 'postgresql://localhost/shop', output: 'db' }] }
+    });
+
+    expect(await findConfigFile(nested)).toBe(path.join(root, 'protocol.config.json'));
+
+    const { config, source } = await loadConfig({ cwd: nested });
+    expect(source).toBe(path.join(root, 'protocol.config.json'));
+    expect(config.workspace).toEqual({
+      artifacts: path.join(root, 'build/artifacts'),
+      manifests: 'protocols',
+      generated: 'generated-consumers'
+    });
+    expect(config.importers.postgres).toEqual({ sampleData: false, statementTimeout: 2000 });
+    expect(config.overrides.packs).toEqual([path.join(root, 'org-overrides')]);
+    expect(config.sources.shop).toEqual([
+      { type: 'auto', source: path.join(root, 'specs/orders.yaml') },
+      { type: 'data', source: 'postgresql://localhost/shop', output: path.join(root, 'db') }
+    ]);
+    expect(config.governance.sections).toEqual(['all']);
+  });
+
+  test('loads protocol.config.js and prefers the closest file', async () => {
+    await fs.writeJson(path.join(root, 'protocol.config.json'), { generate: { tests: false } });
+    await fs.writeFile(
+      path.join(nested, 'protocol.config.js'),
+      "module.exports = { generate: { typescript: false }, governance: { sections: ['overview', 'privacy'] } };\n"
+    );
+
+    const { config, source } = await loadConfig({ cwd: nested });
+    expect(source).toBe(path.join(nested, 'protocol.config.js'));
+    expect(config.generate).toEqual({ typescript: false, tests: true, piiUtil: true });
+    expect(config.governance.sections).toEqual(['overview', 'privacy']);
+  });
+
+  test('rejects unknown keys and values of the wrong type', async () => {
+    const configPath = path.join(root, 'protocol.config.json');
+    const expectInvalid = async (content, message) => {
+      await fs.writeJson(configPath, content);
+      await expect(loadConfig({ configPath })).rejects.toThrow(message);
+    };
+
+    await expectInvalid({ worksapce: {} }, 'unknown section "worksapce"');
+    await expectInvalid({ workspace: { output: 'x' } }, 'unknown key "workspace.output"');
+    await expectInvalid({ importers: { oracle: {} } }, 'unknown importer "oracle"');
+    await expectInvalid({ governance: { diagrams: 'no' } }, '"governance.diagrams" must be true or false');
+    await expectInvalid({ sources: { shop: 'specs/orders.yaml' } }, '"sources.shop" must be a list');
+    await expect(loadConfig({ configPath: path.join(root, 'missing.json') })).rejects.toThrow('Config file not found');
+  });
+
+  test('fills in options left at their defaults but never overrides flags', async () => {
+    await fs.writeJson(path.join(root, 'protocol.config.json'), {
+      workspace: { manifests: 'contracts', generated: 'consumers' },
+      governance: { output: 'docs/GOVERNANCE.md', diagrams: false },
+      generate: { typescript: false }
+    });
+    const { config } = await loadConfig({ cwd: root });
+
+    const parse = (name, options, argv) => {
+      const command = new Command(name).exitOverride();
+      options.forEach(([flags, description, defaultValue]) => command.option(flags, description, defaultValue));
+      command.parse(argv, { from: 'user' });
+      applyConfigToCommand(command, config);
+      return command.opts();
+    };
+
+    const governanceOptions = [
+      ['--output <file>', 'Output file path', 'GOVERNANCE.md'],
+      ['--manifests <dir>', 'Directory containing manifests', 'protocols'],
+      ['--no-diagrams', 'Disable dependency diagrams']
+    ];
+    expect(parse('governance', governanceOptions, [])).toMatchObject({
+      output: path.join(root, 'docs/GOVERNANCE.md'),
+      manifests: path.join(root, 'contracts'),
+      diagrams: false,
+      overridePacks: []
+    });
+    expect(parse('governance', governanceOptions, ['--manifests', 'elsewhere'])).toMatchObject({
+      output: path.join(root, 'docs/GOVERNANCE.md'),
+      manifests: 'elsewhere'
+    });
+
+    const generateOptions = [
+      ['--output <dir>', 'Output directory', 'generated-consumers'],
+      ['--js', 'Generate JavaScript instead of TypeScript']
+    ];
+    expect(parse('generate', generateOptions, [])).toMatchObject({ output: path.join(root, 'consumers'), js: true });
+    expect(parse('generate', generateOptions, ['--output', 'out'])).toMatchObject({ output: 'out', js: true });
+  });
+});
@@ -0,0 +1,57 @@
+-- Shop schema migrations (flattened)
+SET search_path TO shop;
+
+CREATE TYPE order_status AS ENUM ('pending', 'paid', 'shipped');
+
+CREATE TABLE IF NOT EXISTS customers (
+  id BIGSERIAL PRIMARY KEY,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  phone TEXT,
+  first_name TEXT,
+  "Display Name" TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE shop.orders (
+  id BIGSERIAL,
+  customer_id BIGINT NOT NULL,
+  status order_status NOT NULL DEFAULT 'pending',
+  total NUMERIC(10, 2) NOT NULL CHECK (total >= 0),
+  tags TEXT[],
+  placed_at TIMESTAMP(3) WITHOUT TIME ZONE,
+  CONSTRAINT orders_pkey PRIMARY KEY (id)
+);
+
+ALTER TABLE ONLY shop.orders
+  ADD CONSTRAINT orders_customer_id_fkey FOREIGN KEY (customer_id) REFERENCES shop.customers (id) ON DELETE CASCADE;
+
+CREATE TABLE order_items (
+  order_id BIGINT REFERENCES orders,
+  line_no INT,
+  sku VARCHAR(64) NOT NULL,
+  quantity INTEGER NOT NULL DEFAULT 1,
+  PRIMARY KEY (order_id, line_no)
+);
+
+ALTER TABLE order_items ADD COLUMN unit_price NUMERIC(10, 2);
+
+CREATE INDEX idx_orders_customer_status ON shop.orders USING btree (customer_id, status);
+CREATE UNIQUE INDEX CONCURRENTLY idx_order_items_sku ON order_items (order_id, sku);
+
+CREATE OR REPLACE VIEW customer_order_totals AS
+  SELECT c.id AS customer_id, c.email, sum(o.total) AS lifetime_total
+  FROM customers c
+  JOIN orders o ON o.customer_id = c.id
+  GROUP BY c.id, c.email;
+
+CREATE FUNCTION touch_updated_at() RETURNS trigger AS $$
+BEGIN
+  NEW.updated_at := now(); -- semicolons inside dollar quotes are not statement ends
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE customers IS 'Registered customers';
+COMMENT ON COLUMN shop.customers.email IS 'Login email';
+COMMENT ON VIEW customer_order_totals IS 'Lifetime spend per customer';
@@ -0,0 +1,122 @@
+/**
+ * Tests for CDC Event Manifest Generator
+ */
+
+const path = require('path');
+const { PrismaImporter } = require('../../importers/prisma/importer');
+const { generateCDCManifests, generateCDCManifest } = require('../../generators/cdc/cdc-manifest-generator');
+const { buildGraph } = require('../../workflow/graph-builder');
+
+const schemaPath = path.join(__dirname, '../fixtures/prisma/schema.prisma');
+
+describe('CDC Manifest Generator', () => {
+  let catalog;
+  let events;
+  const byTable = name => events.find(e => e.metadata.source_dataset === name);
+
+  beforeAll(async () => {
+    catalog = await new PrismaImporter().import(schemaPath);
+    events = generateCDCManifests(catalog, { topicPrefix: 'blog' });
+  });
+
+  it('emits one event manifest per table named by the topic convention', () => {
+    const users = byTable('public.users');
+
+    expect(events).toHaveLength(catalog.datasets.length);
+    expect(users.urn).toBe('urn:proto:event:blog/public.users');
+    expect(users.event.name).toBe('blog.public.users');
+    expect(users.delivery.contract).toMatchObject({
+      transport: 'kafka',
+      topic: 'blog.public.users',
+      guarantees: 'at-least-once',
+      metadata: { connector: 'debezium', envelope: 'debezium', operations: ['c', 'u', 'd', 'r'], tombstones: true }
+    });
+  });
+
+  it('wraps the table row in the Debezium envelope', () => {
+    const payload = byTable('public.users').schema.payload;
+    const row = payload.$defs.Value;
+
+    expect(payload.required).toEqual(['op', 'source']);
+    expect(payload.properties.op.enum).toEqual(['c', 'u', 'd', 'r']);
+    expect(payload.properties.after.anyOf).toEqual([{ $ref: '#/$defs/Value' }, { type: 'null' }]);
+    expect(payload.properties.source.properties.table).toEqual({ type: 'string', const: 'users' });
+    expect(row.required).toEqual(['id', 'email', 'role', 'created_at']);
+    expect(row.properties.name.type).toEqual(['string', 'null']);
+    expect(row.properties.created_at).toMatchObject({ type: 'integer', 'x-debezium-type': 'io.debezium.time.MicroTimestamp' });
+    expect(row.properties.role.enum).toEqual(['USER', 'admin']);
+  });
+
+  it('follows decimal.handling.mode', () => {
+    const precise = byTable('public.posts').schema.payload.$defs.Value.properties.price;
+    const [asDouble] = generateCDCManifests(
+      { ...catalog, datasets: catalog.datasets.filter(d => d.dataset.name === 'public.posts') },
+      { decimalHandling: 'double' }
+    );
+
+    expect(precise).toMatchObject({ type: ['string', 'null'], contentEncoding: 'base64' });
+    expect(asDouble.schema.payload.$defs.Value.properties.price.type).toEqual(['number', 'null']);
+  });
+
+  it('keys and orders messages by the primary key', () => {
+    const stats = byTable('public.post_stats');
+
+    expect(stats.schema.key).toEqual({
+      type: 'object',
+      title: 'public.post_stats.Key',
+      description: 'Primary key of public.post_stats',
+      properties: {
+        post_id: { type: 'integer', format: 'int64' },
+        viewed_on: { type: 'integer', 'x-debezium-type': 'io.debezium.time.Date' }
+      },
+      required: ['post_id', 'viewed_on']
+    });
+    expect(stats.delivery.contract.metadata.key_fields).toEqual(['post_id', 'viewed_on']);
+  });
+
+  it('warns when a table has no primary key', () => {
+    const join = byTable('public._PostToTag');
+
+    expect(join.schema.key).toBeUndefined();
+    expect(join.metadata.warnings[0]).toContain('has no primary key');
+  });
+
+  it('carries PII columns onto both sides of the envelope', () => {
+    const users = byTable('public.users');
+
+    expect(users.schema.fields.map(f => f.name)).toEqual(['before.email', 'after.email']);
+    expect(users.schema.fields[1]).toMatchObject({ type: 'string', pii: true, category: 'email' });
+    expect(users.schema.payload.$defs.Value.properties.email['x-pii']).toBe(true);
+    expect(users.governance.policy.classification).toBe('pii');
+    expect(byTable('public.post_stats').governance.policy.classification).toBe('internal');
+  });
+
+  it('links each event to its table with derives_from', () => {
+    const dataNodes = catalog.datasets.map(d => ({
+      manifest: { ...d, metadata: { ...d.metadata, urn: d.dataset.urn, kind: 'data' } }
+    }));
+    const { graph, stats } = buildGraph([...dataNodes, ...events.map(manifest => ({ manifest }))]);
+
+    expect(byTable('public.users').relationships.derives_from).toEqual(['urn:proto:data:postgres/public.users']);
+    expect(stats.unresolvedEdges).toEqual([]);
+    expect(graph.getOutEdges('urn:proto:event:blog/public.users').map(e => e.to))
+      .toEqual(['urn:proto:data:postgres/public.users']);
+  });
+
+  it('renders custom topic and DLQ templates', () => {
+    const [users] = generateCDCManifests(catalog.datasets[0], {
+      topic: 'cdc_{schema}_{table}',
+      dlq: '{prefix}.dlq'
+    });
+
+    expect(users.delivery.contract.topic).toBe('cdc_public_users');
+    expect(users.delivery.contract.dlq).toBe('cdc.dlq');
+  });
+
+  it('skips views and rejects manifests without fields', () => {
+    const view = { dataset: { name: 'public.recent_posts', type: 'view' }, schema: { fields: {} } };
+
+    expect(generateCDCManifests({ datasets: [view] })).toEqual([]);
+    expect(() => generateCDCManifest({ dataset: { name: 'x' } })).toThrow('missing dataset.name or schema.fields');
+  });
+});
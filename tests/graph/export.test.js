@@ -0,0 +1,63 @@
+/**
+ * Graph Export Tests
+ */
+
+const { ProtocolGraph, NodeKind, EdgeKind } = require('../../core/graph/protocol-graph');
+const { exportGraph, toPlainJSON, EXPORT_FORMATS } = require('../../core/graph/export');
+
+const API = 'urn:proto:api:shop/storefront@1.0.0';
+const DATA = 'urn:proto:data:postgres/public.users';
+
+describe('graph export', () => {
+  let graph;
+
+  beforeEach(() => {
+    graph = new ProtocolGraph();
+    graph.addNode(API, NodeKind.API, { secret: 'manifest payload' });
+    graph.addNode(DATA, NodeKind.DATA);
+    graph.addEdge(API, EdgeKind.READS_FROM, DATA);
+  });
+
+  it('should produce compact JSON without manifests', () => {
+    expect(toPlainJSON(graph)).toEqual({
+      nodes: [
+        { urn: API, kind: 'api', label: 'shop/storefront@1.0.0' },
+        { urn: DATA, kind: 'data', label: 'postgres/public.users' }
+      ],
+      edges: [{ from: API, to: DATA, kind: 'reads_from' }]
+    });
+    expect(exportGraph(graph, 'json')).not.toContain('manifest payload');
+  });
+
+  it('should export DOT', () => {
+    const dot = exportGraph(graph, 'dot');
+
+    expect(dot).toMatch(/^digraph protocols \{/);
+    expect(dot).toContain(`"${API}" [label="shop/storefront@1.0.0", kind="api"];`);
+    expect(dot).toContain(`"${API}" -> "${DATA}" [label="reads_from"];`);
+  });
+
+  it('should export Mermaid', () => {
+    const mermaid = exportGraph(graph, 'mermaid');
+
+    expect(mermaid.split('\n')).toEqual(expect.arrayContaining([
+      'graph LR',
+      '  N0["shop/storefront@1.0.0"]:::api',
+      '  N0 -->|reads_from| N1'
+    ]));
+  });
+
+  it('should export GraphML', () => {
+    const graphml = exportGraph(graph, 'graphml');
+
+    expect(graphml).toContain('<graph id="protocols" edgedefault="directed">');
+    expect(graphml).toContain(`<node id="${API}">`);
+    expect(graphml).toContain(`<edge id="e0" source="${API}" target="${DATA}">`);
+    expect(graphml).toContain('<data key="relation">reads_from</data>');
+  });
+
+  it('should reject unknown formats', () => {
+    expect(EXPORT_FORMATS).toEqual(['dot', 'mermaid', 'graphml', 'json']);
+    expect(() => exportGraph(graph, 'svg')).toThrow('Unsupported export format: svg');
+  });
+});
@@ -353,6 +353,19 @@ describe('ProtocolGraph', () => {
       expect(risk.score).toBeGreaterThan(0);
       expect(risk.impact.direct).toBeGreaterThan(0);
     });
+
+    it('should find all paths shortest first', () => {
+      graph.addEdge('urn:proto:api:a.com/a', EdgeKind.DEPENDS_ON, 'urn:proto:api:c.com/c');
+
+      const paths = graph.findAllPaths('urn:proto:api:a.com/a', 'urn:proto:api:c.com/c');
+
+      expect(paths).toEqual([
+        ['urn:proto:api:a.com/a', 'urn:proto:api:c.com/c'],
+        ['urn:proto:api:a.com/a', 'urn:proto:api:b.com/b', 'urn:proto:api:c.com/c']
+      ]);
+      expect(graph.findAllPaths('urn:proto:api:a.com/a', 'urn:proto:api:c.com/c', { maxDepth: 2 })).toHaveLength(1);
+      expect(graph.findAllPaths('urn:proto:api:c.com/c', 'urn:proto:api:a.com/a')).toEqual([]);
+    });
   });
 
   describe('Serialization', () => {
@@ -57,6 +57,19 @@ describe('AsyncAPI Importer', () => {
     expect(manifest.metadata).toHaveProperty('source_type', 'asyncapi');
   });
 
+  test('keeps the spec hash and records source-relative bundle provenance', async () => {
+    const result = await importAsyncAPI(path.join(fixturesPath, 'multi-file'));
+    const manifest = result.manifests[0];
+
+    expect(manifest.provenance).toMatchObject({
+      importer: 'AsyncAPIImporter',
+      spec_hash: expect.stringMatching(/^[0-9a-f]{64}$/),
+      root: 'asyncapi.yaml'
+    });
+    expect(manifest.provenance.files.map(file => file.path)).toContain('asyncapi.yaml');
+    expect(result.metadata.root).toBe('asyncapi.yaml');
+  });
+
   test('handles invalid spec gracefully', async () => {
     await expect(importAsyncAPI('/nonexistent/spec.yaml')).rejects.toThrow();
   });
@@ -0,0 +1,158 @@
+/*
+ * Tests for CloudEvents Sample Importer
+ * Covers NDJSON reading, grouping, schema merging, PII signals and attribute mapping
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { importCloudEvents, parseEventType } = require('../../importers/cloudevents/importer');
+const { readEventSamples, isCloudEvent } = require('../../importers/cloudevents/sample-reader');
+
+const samplesPath = path.join(__dirname, '../fixtures/cloudevents/orders.ndjson');
+
+describe('CloudEvents sample reader', () => {
+  it('skips invalid lines and non-CloudEvents objects with warnings', async () => {
+    const samples = await readEventSamples(samplesPath);
+
+    expect(samples.events).toHaveLength(7);
+    expect(samples.skipped).toBe(2);
+    expect(samples.warnings[0]).toMatch(/^orders\.ndjson:5: invalid JSON/);
+    expect(samples.warnings[1]).toContain('orders.ndjson:7: not a CloudEvents envelope');
+  });
+
+  it('reads every sample file in a directory', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cloudevents-'));
+    try {
+      const envelope = { specversion: '1.0', id: '1', source: '/a', type: 'a.created', data: {} };
+      await fs.writeFile(path.join(dir, 'a.ndjson'), JSON.stringify(envelope));
+      await fs.writeFile(path.join(dir, 'b.jsonl'), JSON.stringify({ ...envelope, id: '2' }));
+      await fs.writeFile(path.join(dir, 'notes.txt'), 'ignored');
+
+      const samples = await readEventSamples(dir);
+
+      expect(samples.events.map(e => e.envelope.id)).toEqual(['1', '2']);
+      expect(samples.files.map(f => path.basename(f))).toEqual(['a.ndjson', 'b.jsonl']);
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+
+  it('requires the mandatory context attributes', () => {
+    expect(isCloudEvent({ specversion: '1.0', id: '1', source: '/a', type: 'a.b' })).toBe(true);
+    expect(isCloudEvent({ specversion: '1.0', id: '1', type: 'a.b' })).toBe(false);
+    expect(isCloudEvent([])).toBe(false);
+  });
+
+  it('fails when no envelopes are found', async () => {
+    await expect(readEventSamples('{"hello":"world"}')).rejects.toThrow('No CloudEvents envelopes found');
+  });
+});
+
+describe('CloudEvents Importer', () => {
+  let result;
+  const byType = type => result.manifests.find(m => m.event.name === type);
+
+  beforeAll(async () => {
+    result = await importCloudEvents(samplesPath);
+  });
+
+  it('emits one manifest per type and source', () => {
+    expect(result.manifests.map(m => m.urn)).toEqual([
+      'urn:proto:event:orders/order.created',
+      'urn:proto:event:orders/order.shipped',
+      'urn:proto:event:auth/user.registered',
+      'urn:proto:event:media/thumbnail.generated'
+    ]);
+    expect(result.metadata).toMatchObject({ sample_count: 7, event_type_count: 4, skipped: 2 });
+    expect(result.manifests[0].metadata).toMatchObject({ urn: result.manifests[0].urn, kind: 'event', status: 'draft' });
+  });
+
+  it('merges the data schema across samples', () => {
+    const payload = byType('com.acme.orders.order.created').schema.payload;
+
+    expect(payload.required).toEqual(['orderId', 'total', 'currency', 'customer', 'contact', 'items']);
+    expect(payload.properties.total.type).toBe('number');
+    expect(payload.properties.coupon).toEqual({ type: 'string' });
+    expect(payload.properties.customer.properties.phoneNumber.type).toEqual(['string', 'null']);
+    expect(payload.properties.items.items.required).toEqual(['sku', 'qty']);
+  });
+
+  it('detects PII from field names and value formats', () => {
+    const created = byType('com.acme.orders.order.created');
+    const registered = byType('user.registered');
+    const field = (manifest, name) => manifest.schema.fields.find(f => f.name === name);
+
+    expect(field(created, 'customer.email')).toMatchObject({ category: 'email', signals: ['data_pattern', 'name_pattern'] });
+    expect(field(created, 'contact')).toMatchObject({ category: 'email', signals: ['data_pattern'], required: true });
+    expect(field(created, 'total')).toBeUndefined();
+    expect(field(registered, 'first_name')).toMatchObject({ category: 'name', signals: ['name_pattern'] });
+    expect(field(registered, 'origin')).toMatchObject({ category: 'ip_address', signals: ['data_pattern'] });
+    expect(byType('com.acme.orders.order.shipped').schema.fields).toEqual([]);
+    expect(created.governance.policy.classification).toBe('pii');
+  });
+
+  it('maps CloudEvents attributes to metadata', () => {
+    const created = byType('com.acme.orders.order.created');
+
+    expect(created.metadata).toMatchObject({ source_type: 'cloudevents', source_version: '1.0', sample_count: 3 });
+    expect(created.metadata.cloudevents).toEqual({
+      specversion: '1.0',
+      type: 'com.acme.orders.order.created',
+      source: '/orders/api',
+      subject: 'order',
+      datacontenttype: 'application/json',
+      extensions: { partitionkey: { type: 'string', example: 'ord_1' } },
+      first_seen: '2024-05-01T09:55:00Z',
+      last_seen: '2024-05-01T10:05:00Z'
+    });
+  });
+
+  it('uses the sample count as confidence', () => {
+    expect(byType('com.acme.orders.order.created').metadata.confidence).toBe(0.95);
+    expect(byType('user.registered').metadata.confidence).toBe(0.8);
+    expect(byType('com.acme.orders.order.shipped').metadata.confidence).toBe(0.65);
+  });
+
+  it('describes binary data as base64 strings', () => {
+    expect(byType('com.acme.media.thumbnail.generated').schema.payload).toEqual({
+      type: 'string',
+      contentEncoding: 'base64',
+      contentMediaType: 'image/png'
+    });
+  });
+
+  it('keeps URNs apart when several sources emit the same type', async () => {
+    const envelope = { specversion: '1.0', id: '1', type: 'invoice.paid', data: { amount: 1 } };
+    const text = [
+      { ...envelope, source: 'https://billing.acme.io' },
+      { ...envelope, source: '/payments/stripe' }
+    ].map(e => JSON.stringify(e)).join('\n');
+
+    const { manifests } = await importCloudEvents(text);
+
+    expect(manifests.map(m => m.urn)).toEqual([
+      'urn:proto:event:billing/invoice.paid',
+      'urn:proto:event:payments/invoice.paid'
+    ]);
+    expect(manifests.map(m => m.metadata.urn)).toEqual(manifests.map(m => m.urn));
+  });
+});
+
+describe('parseEventType', () => {
+  it('strips the reverse-DNS prefix', () => {
+    expect(parseEventType('com.github.pull_request.opened', '/repo')).toEqual({
+      domain: 'github',
+      entity: 'pull-request',
+      action: 'opened'
+    });
+  });
+
+  it('honours an explicit domain', () => {
+    expect(parseEventType('OrderPlaced', '/shop', 'retail')).toEqual({
+      domain: 'retail',
+      entity: 'order-placed',
+      action: 'event'
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/*
+ * Tests for dbt Artifact Importer
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const os = require('os');
+const { DbtImporter } = require('../../importers/dbt/importer');
+const { readDbtArtifacts, isDbtArtifact } = require('../../importers/dbt/artifact-reader');
+const { buildGraph } = require('../../workflow/graph-builder');
+
+const PROJECT = path.join(__dirname, '../fixtures/dbt/jaffle_shop');
+const TARGET = path.join(PROJECT, 'target');
+
+async function importProject(options) {
+  const manifest = await new DbtImporter(options).import(PROJECT);
+  const byName = Object.fromEntries(manifest.datasets.map(d => [d.dataset.name, d]));
+  return { manifest, byName };
+}
+
+describe('dbt artifact reader', () => {
+  it('resolves the target directory from a project directory or artifact file', async () => {
+    const fromProject = await readDbtArtifacts(PROJECT);
+    const fromFile = await readDbtArtifacts(path.join(TARGET, 'catalog.json'));
+
+    expect(fromProject.dir).toBe(TARGET);
+    expect(fromFile.dir).toBe(TARGET);
+    expect(fromProject.catalog).not.toBeNull();
+    expect(fromProject.runResults).not.toBeNull();
+  });
+
+  it('recognises dbt artifacts by schema version', () => {
+    expect(isDbtArtifact({ metadata: { dbt_schema_version: 'https://schemas.getdbt.com/dbt/manifest/v12.json' } }, 'manifest')).toBe(true);
+    expect(isDbtArtifact({ metadata: { dbt_schema_version: 'https://schemas.getdbt.com/dbt/catalog/v1.json' } }, 'manifest')).toBe(false);
+    expect(isDbtArtifact({ openapi: '3.0.0' })).toBe(false);
+  });
+});
+
+describe('DbtImporter', () => {
+  it('emits one dataset manifest per model, seed and source', async () => {
+    const { manifest, byName } = await importProject();
+
+    expect(manifest.catalog).toEqual({ name: 'jaffle_shop', type: 'dbt-project', platform: 'postgres' });
+    expect(manifest.metadata.source).toMatchObject({ type: 'dbt', dbt_version: '1.8.2', catalog: true, run_results: true });
+    expect(Object.keys(byName).sort()).toEqual([
+      'marts.dim_customers',
+      'marts.fct_orders',
+      'raw.orders',
+      'raw.raw_customers',
+      'staging.stg_customers',
+      'staging.stg_orders'
+    ]);
+    expect(byName['staging.stg_orders'].dataset.type).toBe('view');
+    expect(byName['marts.fct_orders'].dataset.type).toBe('fact-table');
+    expect(byName['raw.raw_customers'].dataset.type).toBe('file');
+  });
+
+  it('uses the Postgres importer URN scheme', async () => {
+    const { byName } = await importProject();
+    const dim = byName['marts.dim_customers'];
+
+    expect(dim.metadata.urn).toBe('urn:proto:data:postgres/marts.dim_customers');
+    expect(dim.dataset.urn).toBe(dim.metadata.urn);
+    expect(dim.schema.fields.email.urn).toBe('urn:proto:data:postgres/marts.dim_customers.email');
+  });
+
+  it('carries column types from the catalog and descriptions from the manifest', async () => {
+    const { byName } = await importProject();
+    const fields = byName['marts.fct_orders'].schema.fields;
+
+    expect(Object.keys(fields)).toEqual(['order_id', 'customer_id', 'status', 'amount']);
+    expect(fields.amount).toMatchObject({ type: 'decimal', description: 'Order total in cents' });
+    expect(byName['raw.orders'].schema.fields.status.type).toBe('string');
+  });
+
+  it('maps depends_on to derives_from edges and column lineage', async () => {
+    const { byName } = await importProject();
+    const fct = byName['marts.fct_orders'];
+
+    expect(fct.relationships.derives_from).toEqual([
+      'urn:proto:data:postgres/staging.stg_orders',
+      'urn:proto:data:postgres/marts.dim_customers'
+    ]);
+    expect(fct.lineage.sources).toEqual([
+      { type: 'model', id: 'staging.stg_orders' },
+      { type: 'model', id: 'marts.dim_customers' }
+    ]);
+    expect(fct.lineage.columns.customer_id).toEqual([
+      'urn:proto:data:postgres/staging.stg_orders.customer_id',
+      'urn:proto:data:postgres/marts.dim_customers.customer_id'
+    ]);
+    expect(fct.lineage.columns.amount).toBeUndefined();
+    expect(byName['staging.stg_orders'].relationships.derives_from).toEqual(['urn:proto:data:postgres/raw.orders']);
+  });
+
+  it('turns tests into quality signals', async () => {
+    const { byName } = await importProject();
+    const dim = byName['marts.dim_customers'];
+    const stgOrders = byName['staging.stg_orders'];
+    const fct = byName['marts.fct_orders'];
+
+    expect(dim.schema.primary_key).toEqual(['customer_id']);
+    expect(dim.schema.fields.customer_id.required).toBe(true);
+    expect(dim.schema.keys.unique).toEqual(['customer_id']);
+    expect(stgOrders.schema.fields.status.enum).toEqual(['placed', 'shipped', 'completed', 'returned']);
+    expect(fct.schema.keys.foreign_keys).toEqual([{ field: 'customer_id', ref: 'marts.dim_customers.customer_id' }]);
+
+    expect(stgOrders.quality.tests).toEqual([
+      expect.objectContaining({ type: 'accepted_values', column: 'status', severity: 'warn', status: 'warn', failures: 2 })
+    ]);
+    expect(fct.quality.tests.map(t => t.type)).toEqual(['singular', 'relationships']);
+    expect(dim.quality.row_count_estimate).toBe(100);
+  });
+
+  it('carries meta owners and tags', async () => {
+    const { byName } = await importProject();
+
+    expect(byName['marts.dim_customers'].catalog).toEqual({ owner: 'growth-analytics', tags: ['marts', 'customers'] });
+    expect(byName['marts.fct_orders'].catalog.owners).toEqual(['finance-data', 'growth-analytics']);
+    expect(byName['raw.orders'].catalog.owner).toBe('data-platform');
+    expect(byName['marts.dim_customers'].schema.fields.lifetime_orders.tags).toEqual(['metric']);
+  });
+
+  it('records source freshness and PII', async () => {
+    const { byName } = await importProject();
+
+    expect(byName['raw.orders'].quality.freshness).toMatchObject({
+      loaded_at_field: '_etl_loaded_at',
+      error_after: { count: 24, period: 'hour' }
+    });
+    expect(byName['staging.stg_customers'].schema.fields.email.pii).toBe(true);
+    expect(byName['marts.dim_customers'].schema.fields.email.pii_type).toBe('email');
+  });
+
+  it('produces a lineage graph through graph-builder', async () => {
+    const { manifest } = await importProject();
+    const { graph, stats } = buildGraph(manifest.datasets.map(m => ({ manifest: m })));
+
+    expect(stats.nodesAdded).toBe(6);
+    expect(stats.unresolvedEdges).toEqual([]);
+    expect(graph.getOutEdges('urn:proto:data:postgres/marts.fct_orders').map(e => e.to)).toEqual(
+      expect.arrayContaining(['urn:proto:data:postgres/marts.dim_customers', 'urn:proto:data:postgres/staging.stg_orders'])
+    );
+  });
+
+  it('skips ephemeral models but keeps their lineage', async () => {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dbt-'));
+    try {
+      const dbtManifest = await fs.readJson(path.join(TARGET, 'manifest.json'));
+      const stg = dbtManifest.nodes['model.jaffle_shop.stg_orders'];
+      stg.config.materialized = 'ephemeral';
+      await fs.writeJson(path.join(tmpDir, 'manifest.json'), dbtManifest);
+
+      const manifest = await new DbtImporter().import(tmpDir);
+      const names = manifest.datasets.map(d => d.dataset.name);
+      const fct = manifest.datasets.find(d => d.dataset.name === 'marts.fct_orders');
+
+      expect(names).not.toContain('staging.stg_orders');
+      expect(fct.relationships.derives_from).toEqual([
+        'urn:proto:data:postgres/raw.orders',
+        'urn:proto:data:postgres/marts.dim_customers'
+      ]);
+      expect(manifest.metadata.source.catalog).toBe(false);
+    } finally {
+      await fs.remove(tmpDir);
+    }
+  });
+
+  it('returns an error manifest when artifacts are missing', async () => {
+    const manifest = await new DbtImporter().import(path.join(__dirname, '../fixtures/sql'));
+
+    expect(manifest.metadata.status).toBe('error');
+    expect(manifest.metadata.error.message).toContain('manifest.json not found');
+  });
+
+  it('throws in strict mode', async () => {
+    await expect(new DbtImporter({ strictMode: true }).import(path.join(__dirname, '../fixtures/sql')))
+      .rejects.toThrow('manifest.json not found');
+  });
+});
@@ -0,0 +1,205 @@
+/*
+ * Tests for GraphQL Importer
+ * Covers SDL and introspection inputs, endpoint/schema mapping, Relay pagination and subscription events
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildSchema, introspectionFromSchema } = require('graphql');
+const { GraphQLImporter } = require('../../importers/graphql/importer');
+const { typeToSchema } = require('../../importers/graphql/schema-converter');
+const { buildGraph } = require('../../workflow/graph-builder');
+
+const fixturePath = path.join(__dirname, '../fixtures/graphql/shop.graphql');
+
+describe('GraphQL Importer', () => {
+  let manifest;
+  let events;
+
+  beforeAll(async () => {
+    const result = await new GraphQLImporter().importWithEvents(fixturePath);
+    manifest = result.manifest;
+    events = result.events;
+  });
+
+  const endpoint = pathName => manifest.interface.endpoints.find(ep => ep.path === pathName);
+
+  describe('service and provenance', () => {
+    it('names the service after the file and generates a URN', () => {
+      expect(manifest.service.name).toBe('shop');
+      expect(manifest.service.urn).toBe('urn:proto:api:shop/service@0.0.0');
+      expect(manifest.service.description).toBe('Shop gateway schema');
+    });
+
+    it('records draft status, source and spec hash', () => {
+      expect(manifest.metadata.status).toBe('draft');
+      expect(manifest.metadata.source).toMatchObject({ type: 'graphql', format: 'sdl', input_type: 'file' });
+      expect(manifest.provenance.importer).toBe('GraphQLImporter');
+      expect(manifest.provenance.spec_hash).toMatch(/^[a-f0-9]{64}$/);
+    });
+
+    it('honours service name and version overrides', async () => {
+      const importer = new GraphQLImporter({ serviceName: 'Shop Gateway', serviceVersion: 'v2.1.0' });
+      const result = await importer.import(fixturePath);
+
+      expect(result.service.urn).toBe('urn:proto:api:shop-gateway/service@2.1.0');
+      expect(result.interface.endpoints[0].urn).toBe('urn:proto:api.endpoint:shop-gateway/op/query-customer@2.1.0');
+    });
+  });
+
+  describe('endpoints', () => {
+    it('maps every root operation field to an endpoint', () => {
+      expect(manifest.interface.endpoints.map(ep => `${ep.method} ${ep.path}`)).toEqual([
+        'QUERY Query.customer',
+        'QUERY Query.orders',
+        'QUERY Query.search',
+        'QUERY Query.orderByCode',
+        'MUTATION Mutation.createOrder',
+        'MUTATION Mutation.cancelOrder',
+        'SUBSCRIPTION Subscription.orderCreated',
+        'SUBSCRIPTION Subscription.onOrderStatusChanged'
+      ]);
+    });
+
+    it('maps arguments to params and return types to responses', () => {
+      const customer = endpoint('Query.customer');
+
+      expect(customer.description).toBe('Fetch a customer by id');
+      expect(customer.params).toEqual([
+        { name: 'id', in: 'argument', required: true, schema: { type: 'string', format: 'id' } }
+      ]);
+      expect(customer.responses[0].schema).toEqual({ $ref: '#/validation/schemas/Customer' });
+      expect(customer.graphql).toEqual({ operation: 'query', field: 'customer', return_type: 'Customer' });
+    });
+
+    it('references input types from mutation arguments', () => {
+      const createOrder = endpoint('Mutation.createOrder');
+
+      expect(createOrder.params[0].schema).toEqual({ $ref: '#/validation/schemas/CreateOrderInput' });
+      expect(createOrder.urn).toBe('urn:proto:api.endpoint:shop/op/mutation-createorder@0.0.0');
+    });
+
+    it('detects Relay cursor pagination from first/after arguments', () => {
+      expect(endpoint('Query.orders').pagination).toEqual({
+        style: 'cursor',
+        params: { cursor: 'after', limit: 'first', backward_cursor: 'before', backward_limit: 'last' }
+      });
+      expect(endpoint('Query.search').pagination).toBeUndefined();
+    });
+
+    it('lowers confidence when the return type is not a connection', async () => {
+      const result = await new GraphQLImporter().import(
+        'type Query { items(first: Int, after: String): [String!]! }'
+      );
+
+      expect(result.interface.endpoints[0].pagination._confidence).toBeLessThan(1);
+    });
+
+    it('maps @deprecated to lifecycle metadata', () => {
+      expect(endpoint('Query.orderByCode').lifecycle).toEqual({ status: 'deprecated', reason: 'Use orders' });
+      expect(endpoint('Query.orders').lifecycle).toBeUndefined();
+      expect(manifest.metadata.deprecations).toEqual([
+        expect.objectContaining({ element: 'Query.orderByCode', reason: 'Use orders' })
+      ]);
+    });
+  });
+
+  describe('validation schemas', () => {
+    it('converts object, input, enum, union and scalar types', () => {
+      const { schemas } = manifest.validation;
+
+      expect(schemas.Query).toBeUndefined();
+      expect(schemas.String).toBeUndefined();
+      expect(schemas.Order['x-graphql-kind']).toBe('object');
+      expect(schemas.Order.required).toEqual(['id', 'customer', 'status', 'total']);
+      expect(schemas.Order.allOf).toEqual([{ $ref: '#/validation/schemas/Node' }]);
+      expect(schemas.CreateOrderInput['x-graphql-kind']).toBe('input');
+      expect(schemas.OrderItemInput.properties.quantity.default).toBe(1);
+      expect(schemas.OrderItemInput.required).toEqual(['sku']);
+      expect(schemas.OrderStatus.enum).toEqual(['PENDING', 'PAID', 'SHIPPED', 'LEGACY_HOLD']);
+      expect(schemas.SearchResult.oneOf).toHaveLength(2);
+      expect(schemas.DateTime).toMatchObject({ type: 'string', format: 'date-time' });
+    });
+
+    it('marks deprecated fields and enum values', () => {
+      const { schemas } = manifest.validation;
+
+      expect(schemas.Order.properties.legacyCode).toMatchObject({
+        deprecated: true,
+        'x-deprecation-reason': 'Use id'
+      });
+      expect(schemas.OrderStatus['x-deprecated-values']).toEqual({ LEGACY_HOLD: 'No longer used' });
+    });
+
+    it('converts wrapped types to JSON Schema', () => {
+      const schema = buildSchema('type Query { ids: [ID!]! }');
+      const field = schema.getQueryType().getFields().ids;
+
+      expect(typeToSchema(field.type)).toEqual({ type: 'array', items: { type: 'string', format: 'id' } });
+    });
+  });
+
+  describe('subscription events', () => {
+    it('emits one Event manifest per subscription field', () => {
+      expect(events.map(e => e.urn)).toEqual([
+        'urn:proto:event:shop/order.created',
+        'urn:proto:event:shop/order-status.changed'
+      ]);
+      expect(events[0].metadata).toMatchObject({ urn: events[0].urn, kind: 'event', status: 'draft' });
+      expect(events[0].protocol).toBe('event-protocol/v1');
+      expect(events[0].semantics.purpose).toBe('Fires when an order is created');
+      expect(events[0].schema.payload.properties.total).toEqual({ type: 'number' });
+    });
+
+    it('links events and the API manifest to each other', () => {
+      expect(manifest.relationships.produces).toEqual(events.map(e => e.urn));
+      expect(events[1].metadata.api_urn).toBe(manifest.service.urn);
+      expect(events[1].metadata.endpoint_urn).toBe(endpoint('Subscription.onOrderStatusChanged').urn);
+      expect(events[1].delivery.contract.metadata.arguments).toEqual(['id']);
+    });
+
+    it('builds graph event nodes and produces edges', () => {
+      const { graph, stats } = buildGraph([manifest, ...events].map(m => ({ path: 'memory', manifest: m })));
+
+      expect(manifest.metadata.urn).toBe('urn:proto:api:shop/service@0.0.0');
+      expect(stats.unresolvedEdges).toEqual([]);
+      expect(graph.getOutEdges(manifest.metadata.urn).filter(edge => edge.kind === 'produces').map(edge => edge.to)).toEqual([
+        'urn:proto:event:shop/order.created',
+        'urn:proto:event:shop/order-status.changed'
+      ]);
+    });
+
+    it('can skip event emission', async () => {
+      const result = await new GraphQLImporter({ emitEvents: false }).importWithEvents(fixturePath);
+
+      expect(result.events).toEqual([]);
+      expect(result.manifest.relationships).toBeUndefined();
+    });
+  });
+
+  describe('introspection input', () => {
+    it('produces the same endpoints from an introspection result', async () => {
+      const sdl = fs.readFileSync(fixturePath, 'utf-8');
+      const introspection = introspectionFromSchema(buildSchema(sdl));
+
+      const fromIntrospection = await new GraphQLImporter({ serviceName: 'shop' }).import({ data: introspection });
+
+      expect(fromIntrospection.metadata.source.format).toBe('introspection');
+      expect(fromIntrospection.interface.endpoints).toEqual(manifest.interface.endpoints);
+    });
+  });
+
+  describe('error handling', () => {
+    it('returns an error manifest for invalid SDL', async () => {
+      const result = await new GraphQLImporter().import('type Query {');
+
+      expect(result.metadata.status).toBe('error');
+      expect(result.metadata.error.message).toContain('Failed to parse GraphQL SDL');
+    });
+
+    it('throws in strict mode', async () => {
+      const importer = new GraphQLImporter({ strictMode: true });
+      await expect(importer.import({ data: {} })).rejects.toThrow('missing __schema');
+    });
+  });
+});
@@ -6,6 +6,7 @@
 const { OpenAPIImporter } = require('../../importers/openapi/importer');
 const { detectPagination, detectLongRunning } = require('../../importers/openapi/patterns');
 const { preserveValuedExtensions, extractRateLimitConfig } = require('../../importers/openapi/extensions');
+const { buildGraph } = require('../../workflow/graph-builder');
 
 // Mock swagger-parser to avoid external dependencies in tests
 jest.mock('@apidevtools/swagger-parser', () => ({
@@ -552,6 +553,141 @@ describe('OpenAPIImporter', () => {
     });
   });
 
+  describe('Callbacks and Webhooks', () => {
+    const shipmentSchema = {
+      type: 'object',
+      properties: {
+        order_id: { type: 'string' },
+        customer_email: { type: 'string' },
+        shipped_at: { type: 'string', format: 'date-time' }
+      }
+    };
+
+    const spec = {
+      openapi: '3.1.0',
+      info: { title: 'Shop API', version: '1.2.0' },
+      paths: {
+        '/orders': {
+          post: {
+            operationId: 'createOrder',
+            responses: { '201': { description: 'Created' } },
+            callbacks: {
+              onOrderShipped: {
+                '{$request.body#/callbackUrl}': {
+                  post: {
+                    summary: 'Order shipped notification',
+                    parameters: [{ name: 'X-Signature', in: 'header', required: true, schema: { type: 'string' } }],
+                    requestBody: { content: { 'application/json': { schema: shipmentSchema } } },
+                    responses: { '200': { description: 'Acknowledged' } }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      webhooks: {
+        'inventory.low': {
+          post: {
+            description: 'Stock dropped below threshold',
+            requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { sku: { type: 'string' } } } } } },
+            responses: { '200': { description: 'OK' } }
+          }
+        }
+      }
+    };
+
+    test('imports callbacks as event manifests with webhook delivery', async () => {
+      SwaggerParser.dereference.mockResolvedValue(spec);
+
+      const { events } = await importer.importWithEvents(spec);
+      const shipped = events.find(e => e.event.name === 'onOrderShipped');
+
+      expect(shipped.urn).toBe('urn:proto:event:shop-api/order.shipped');
+      expect(shipped.semantics.purpose).toBe('Order shipped notification');
+      expect(shipped.schema.payload).toEqual(shipmentSchema);
+      expect(shipped.delivery.contract).toEqual({
+        transport: 'webhook',
+        topic: '{$request.body#/callbackUrl}',
+        guarantees: 'best-effort',
+        retry_policy: 'exponential',
+        dlq: null,
+        confidence: 0.99,
+        source: 'explicit_binding',
+        metadata: {
+          method: 'POST',
+          headers: { type: 'object', properties: { 'X-Signature': { type: 'string' } }, required: ['X-Signature'] },
+          pointer: '#/paths/~1orders/post/callbacks/onOrderShipped/{$request.body#~1callbackUrl}/post'
+        }
+      });
+      expect(shipped.metadata).toMatchObject({
+        urn: 'urn:proto:event:shop-api/order.shipped',
+        kind: 'event',
+        source_type: 'openapi',
+        openapi_kind: 'callback',
+        api_urn: 'urn:proto:api:shop-api/service@1.2.0',
+        endpoint_urn: 'urn:proto:api.endpoint:shop-api/op/createorder@1.2.0'
+      });
+    });
+
+    test('detects PII in callback payloads', async () => {
+      SwaggerParser.dereference.mockResolvedValue(spec);
+
+      const { events } = await importer.importWithEvents(spec);
+      const shipped = events.find(e => e.event.name === 'onOrderShipped');
+
+      expect(shipped.schema.fields.map(f => f.name)).toContain('customer_email');
+      expect(shipped.governance.policy.classification).toBe('pii');
+    });
+
+    test('imports 3.1 webhooks and links them from the service', async () => {
+      SwaggerParser.dereference.mockResolvedValue(spec);
+
+      const { manifest, events } = await importer.importWithEvents(spec);
+      const lowStock = events.find(e => e.event.name === 'inventory.low');
+
+      expect(lowStock.urn).toBe('urn:proto:event:shop-api/inventory.low');
+      expect(lowStock.delivery.contract).toMatchObject({ transport: 'webhook', topic: 'inventory.low' });
+      expect(lowStock.metadata.endpoint_urn).toBeUndefined();
+      expect(manifest.relationships.produces).toEqual(['urn:proto:event:shop-api/inventory.low']);
+    });
+
+    test('links callbacks from the originating endpoint with produces', async () => {
+      SwaggerParser.dereference.mockResolvedValue(spec);
+
+      const manifest = await importer.import(spec);
+
+      expect(manifest.interface.endpoints[0].relationships).toEqual({
+        produces: ['urn:proto:event:shop-api/order.shipped']
+      });
+    });
+
+    test('builds graph event nodes and produces edges', async () => {
+      SwaggerParser.dereference.mockResolvedValue(spec);
+
+      const { manifest, events } = await importer.importWithEvents(spec);
+      const { graph, stats } = buildGraph([manifest, ...events].map(m => ({ path: 'memory', manifest: m })));
+      const apiUrn = 'urn:proto:api:shop-api/service@1.2.0';
+
+      expect(manifest.metadata.urn).toBe(apiUrn);
+      expect(stats.unresolvedEdges).toEqual([]);
+      expect(graph.getNode('urn:proto:event:shop-api/order.shipped')).toMatchObject({ kind: 'event' });
+      expect(graph.getOutEdges(apiUrn).filter(edge => edge.kind === 'produces').map(edge => edge.to).sort()).toEqual([
+        'urn:proto:event:shop-api/inventory.low',
+        'urn:proto:event:shop-api/order.shipped'
+      ]);
+    });
+
+    test('can disable event emission', async () => {
+      SwaggerParser.dereference.mockResolvedValue(spec);
+
+      const result = await new OpenAPIImporter({ emitEvents: false }).importWithEvents(spec);
+
+      expect(result.events).toEqual([]);
+      expect(result.manifest.interface.endpoints[0].relationships).toBeUndefined();
+    });
+  });
+
   describe('Error Handling', () => {
     test('strict mode throws on malformed spec', async () => {
       const strictImporter = new OpenAPIImporter({ strictMode: true });
@@ -22,6 +22,30 @@ class MockClient {
     this.queries.push({ sql, params });
 
     // Mock responses based on query patterns
+    if (sql.includes('FROM pg_proc')) {
+      return { rows: this.mockData.functions || [] };
+    }
+
+    if (sql.includes('pg_rewrite')) {
+      return { rows: this.mockData.viewDependencies || [] };
+    }
+
+    if (sql.includes('pg_enum')) {
+      return { rows: this.mockData.enums || [] };
+    }
+
+    if (sql.includes("relkind IN ('v', 'm')")) {
+      return { rows: this.mockData.views || [] };
+    }
+
+    if (sql.includes('attisdropped')) {
+      return { rows: this.mockData.viewColumns || [] };
+    }
+
+    if (sql.includes("typtype = 'd'")) {
+      return { rows: this.mockData.domains || [] };
+    }
+
     if (sql.includes('information_schema.tables')) {
       return { rows: this.mockData.tables || [] };
     }
@@ -430,6 +454,158 @@ describe('Postgres Importer', () => {
   });
 });
 
+describe('Postgres views, types and functions', () => {
+  const mockData = {
+    tables: [{ table_schema: 'public', table_name: 'orders', estimated_rows: 10 }],
+    columns: [
+      { table_schema: 'public', table_name: 'orders', column_name: 'id', data_type: 'integer', udt_name: 'int4', is_nullable: 'NO' },
+      { table_schema: 'public', table_name: 'orders', column_name: 'status', data_type: 'USER-DEFINED', udt_schema: 'public', udt_name: 'order_status', is_nullable: 'NO' },
+      { table_schema: 'public', table_name: 'orders', column_name: 'contact', data_type: 'text', udt_name: 'text', domain_schema: 'public', domain_name: 'email_address', is_nullable: 'YES' }
+    ],
+    views: [
+      { view_schema: 'public', view_name: 'open_orders', materialized: false, definition: " SELECT orders.id FROM orders WHERE orders.status = 'open'::order_status;" },
+      { view_schema: 'reporting', view_name: 'daily_totals', materialized: true, estimated_rows: 30 }
+    ],
+    viewColumns: [
+      { table_schema: 'public', table_name: 'open_orders', column_name: 'id', data_type: 'integer', udt_name: 'int4', is_nullable: 'YES' }
+    ],
+    viewDependencies: [
+      { source_schema: 'public', source_name: 'orders', source_kind: 'r' },
+      { source_schema: 'public', source_name: 'open_orders', source_kind: 'v' }
+    ],
+    enums: [
+      { enum_schema: 'public', enum_name: 'order_status', labels: ['open', 'shipped', 'cancelled'] }
+    ],
+    domains: [
+      { domain_schema: 'public', domain_name: 'email_address', base_type: 'text', not_null: false, checks: ["CHECK (VALUE ~~ '%@%'::text)"] }
+    ],
+    functions: [
+      {
+        function_schema: 'public',
+        function_name: 'order_total',
+        is_procedure: false,
+        language: 'plpgsql',
+        volatility: 's',
+        identity_arguments: 'order_id integer',
+        arguments: [{ name: 'order_id', type: 'integer', mode: 'i' }],
+        return_type: 'numeric',
+        returns_set: false
+      },
+      {
+        function_schema: 'public',
+        function_name: 'orders_by_status',
+        is_procedure: false,
+        language: 'sql',
+        volatility: 'v',
+        identity_arguments: 'order_status',
+        arguments: [
+          { name: null, type: 'order_status', mode: 'i' },
+          { name: 'id', type: 'integer', mode: 't' },
+          { name: 'tags', type: 'text[]', mode: 't' }
+        ],
+        return_type: 'record',
+        returns_set: true
+      },
+      {
+        function_schema: 'public',
+        function_name: 'archive_orders',
+        is_procedure: true,
+        language: 'plpgsql',
+        volatility: 'v',
+        identity_arguments: '',
+        arguments: [],
+        return_type: null,
+        returns_set: false
+      }
+    ]
+  };
+
+  async function importWith(data, targetSchema) {
+    const importer = new PostgresImporter({ sampleData: false, includePerformance: false });
+    importer._connect = async () => new MockClient(data);
+    return importer.import('postgresql://localhost/shop', targetSchema);
+  }
+
+  it('imports views with pg_depend lineage', async () => {
+    const manifest = await importWith(mockData);
+    const view = manifest.datasets.find(d => d.dataset.name === 'public.open_orders');
+
+    expect(view.dataset.type).toBe('view');
+    expect(view.dataset.materialized).toBeUndefined();
+    expect(view.dataset.urn).toBe('urn:proto:data:postgres/public.open_orders');
+    expect(view.schema.fields.id.urn).toBe('urn:proto:data:postgres/public.open_orders.id');
+    expect(view.lineage.sources).toEqual([
+      { type: 'table', id: 'public.orders' },
+      { type: 'view', id: 'public.open_orders' }
+    ]);
+    expect(view.metadata.source.definition).toContain('FROM orders');
+  });
+
+  it('marks materialized views', async () => {
+    const manifest = await importWith(mockData);
+    const view = manifest.datasets.find(d => d.dataset.name === 'reporting.daily_totals');
+
+    expect(view.dataset.type).toBe('view');
+    expect(view.dataset.materialized).toBe(true);
+    expect(view.quality.row_count_estimate).toBe(30);
+  });
+
+  it('shares enum and domain definitions referenced by columns', async () => {
+    const manifest = await importWith(mockData);
+    const orders = manifest.datasets.find(d => d.dataset.name === 'public.orders');
+
+    expect(manifest.definitions['public.order_status']).toEqual({
+      kind: 'enum',
+      type: 'string',
+      enum: ['open', 'shipped', 'cancelled']
+    });
+    expect(manifest.definitions['public.email_address']).toEqual({
+      kind: 'domain',
+      type: 'string',
+      base_type: 'text',
+      checks: ["CHECK (VALUE ~~ '%@%'::text)"]
+    });
+    expect(orders.schema.fields.status).toMatchObject({ type: 'enum', $ref: '#/definitions/public.order_status' });
+    expect(orders.schema.fields.contact).toMatchObject({ type: 'string', $ref: '#/definitions/public.email_address' });
+    expect(orders.schema.fields.id.$ref).toBeUndefined();
+  });
+
+  it('lists functions as callable entries with argument and return types', async () => {
+    const manifest = await importWith(mockData);
+    const [total, byStatus, archive] = manifest.functions;
+
+    expect(total).toEqual({
+      name: 'public.order_total',
+      kind: 'function',
+      signature: 'public.order_total(order_id integer)',
+      language: 'plpgsql',
+      volatility: 'stable',
+      arguments: [{ name: 'order_id', type: 'integer' }],
+      returns: { type: 'decimal' }
+    });
+    expect(byStatus.arguments).toEqual([
+      { name: '$1', type: 'enum', $ref: '#/definitions/public.order_status' }
+    ]);
+    expect(byStatus.returns).toEqual({
+      type: 'table',
+      set: true,
+      columns: [
+        { name: 'id', type: 'integer' },
+        { name: 'tags', type: 'array', items: { type: 'string' } }
+      ]
+    });
+    expect(archive.kind).toBe('procedure');
+    expect(archive.returns).toBeUndefined();
+  });
+
+  it('filters views and functions by target schema', async () => {
+    const manifest = await importWith(mockData, 'reporting');
+
+    expect(manifest.datasets.map(d => d.dataset.name)).toEqual(['reporting.daily_totals']);
+    expect(manifest.functions).toBeUndefined();
+  });
+});
+
 // Integration test structure (requires actual Postgres connection)
 describe('Integration Tests', () => {
   it('should have placeholder for real database tests', () => {
@@ -0,0 +1,184 @@
+/*
+ * Tests for Prisma Schema Importer
+ * Parses schema.prisma offline and checks parity with an import of the migrated database
+ */
+
+const path = require('path');
+const { PrismaImporter } = require('../../importers/prisma/importer');
+const { SQLDDLImporter } = require('../../importers/sql/importer');
+const { parsePrismaSchema, parseAttributes } = require('../../importers/prisma/schema-parser');
+
+const fixturePath = path.join(__dirname, '../fixtures/prisma/schema.prisma');
+const migrationPath = path.join(__dirname, '../fixtures/prisma/migration.sql');
+
+describe('Prisma Schema Parser', () => {
+  it('parses attribute arguments', () => {
+    const [relation, db] = parseAttributes('@relation("Author", fields: [authorId], references: [id], onDelete: Cascade) @db.VarChar(255)');
+
+    expect(relation.name).toBe('@relation');
+    expect(relation.args.positional).toEqual(['Author']);
+    expect(relation.args.named).toMatchObject({ fields: ['authorId'], references: ['id'], onDelete: 'Cascade' });
+    expect(db.name).toBe('@db.VarChar');
+  });
+
+  it('maps models to introspection-style relations', () => {
+    const parsed = parsePrismaSchema(`
+      datasource db {
+        provider = "postgresql"
+      }
+
+      /// Audit trail
+      model AuditEvent {
+        id      String   @id @default(uuid()) @db.Uuid
+        /// Free-form payload
+        payload Json
+        tags    String[] // inline comment
+        at      DateTime @db.Timestamptz(6) @map("occurred_at")
+
+        @@map("audit_events")
+        @@schema("audit")
+      }
+    `);
+    const relation = parsed.relations[0];
+
+    expect(parsed.provider).toBe('postgresql');
+    expect(relation).toMatchObject({ table_schema: 'audit', table_name: 'audit_events', table_comment: 'Audit trail', primaryKey: ['id'] });
+    expect(relation.columns.map(c => [c.column_name, c.data_type, c.is_nullable])).toEqual([
+      ['id', 'uuid', 'NO'],
+      ['payload', 'jsonb', 'NO'],
+      ['tags', 'array', 'YES'],
+      ['occurred_at', 'timestamp with time zone', 'NO']
+    ]);
+    expect(relation.columns[1].column_comment).toBe('Free-form payload');
+  });
+
+  it('keeps @ignore fields as columns and warns about composite types', () => {
+    const parsed = parsePrismaSchema(`
+      type Address {
+        street String
+      }
+
+      model Legacy {
+        id    Int    @id
+        flags Int?   @ignore
+      }
+    `);
+
+    expect(parsed.relations[0].columns.map(c => c.column_name)).toEqual(['id', 'flags']);
+    expect(parsed.warnings[0]).toContain('Address');
+  });
+});
+
+describe('Prisma Importer', () => {
+  let manifest;
+
+  beforeAll(async () => {
+    manifest = await new PrismaImporter().import(fixturePath);
+  });
+
+  const dataset = name => manifest.datasets.find(d => d.dataset.name === name);
+
+  it('produces a draft catalog manifest using @@map table names', () => {
+    expect(manifest.catalog).toEqual({ name: 'schema', type: 'database', platform: 'postgresql' });
+    expect(manifest.metadata.source).toMatchObject({ type: 'prisma', dialect: 'postgresql', file: fixturePath });
+    expect(manifest.provenance.importer).toBe('PrismaImporter');
+    expect(manifest.datasets.map(d => d.dataset.name)).toEqual([
+      'public.users',
+      'public.profiles',
+      'public.posts',
+      'public.Tag',
+      'public.post_stats',
+      'public._PostToTag'
+    ]);
+  });
+
+  it('generates the same URNs as the Postgres importer', () => {
+    const users = dataset('public.users');
+
+    expect(users.dataset.urn).toBe('urn:proto:data:postgres/public.users');
+    expect(users.schema.fields.created_at.urn).toBe('urn:proto:data:postgres/public.users.created_at');
+    expect(users.metadata.source).toEqual({ type: 'postgres', schema: 'public', table: 'users' });
+    expect(users.dataset.description).toBe('Registered account');
+  });
+
+  it('maps field types, native types and nullability', () => {
+    const fields = dataset('public.posts').schema.fields;
+
+    expect(fields.id).toMatchObject({ type: 'long', required: true });
+    expect(fields.title).toMatchObject({ type: 'string', required: true });
+    expect(fields.price).toMatchObject({ type: 'decimal', required: false });
+    expect(fields.metadata.type).toBe('json');
+    expect(fields.keywords.type).toBe('array');
+    expect(fields.location.type).toBe('geometry');
+    expect(fields.author).toBeUndefined();
+    expect(fields.tags).toBeUndefined();
+  });
+
+  it('turns enums into shared definitions', () => {
+    expect(manifest.definitions['public.user_role']).toEqual({
+      kind: 'enum',
+      type: 'string',
+      enum: ['USER', 'admin'],
+      description: 'Account role'
+    });
+    expect(dataset('public.users').schema.fields.role).toMatchObject({
+      type: 'enum',
+      $ref: '#/definitions/public.user_role'
+    });
+  });
+
+  it('maps @relation to foreign keys and FK lineage', () => {
+    const posts = dataset('public.posts');
+    const profiles = dataset('public.profiles');
+
+    expect(posts.schema.keys.foreign_keys).toEqual([{ field: 'author_id', ref: 'public.users.id' }]);
+    expect(posts.lineage.sources).toEqual([{ type: 'table', id: 'public.users' }]);
+    expect(profiles.schema.keys.foreign_keys).toEqual([{ field: 'user_id', ref: 'public.users.id' }]);
+    expect(posts.schema.keys.indexes).toEqual([
+      { name: 'posts_author_id_idx', columns: ['author_id'], type: 'btree' }
+    ]);
+    expect(dataset('public.post_stats').schema.primary_key).toEqual(['post_id', 'viewed_on']);
+  });
+
+  it('creates join tables for implicit many-to-many relations', () => {
+    const join = dataset('public._PostToTag');
+
+    expect(Object.keys(join.schema.fields)).toEqual(['A', 'B']);
+    expect(join.schema.fields.A.type).toBe('long');
+    expect(join.schema.keys.foreign_keys).toEqual([
+      { field: 'A', ref: 'public.posts.id' },
+      { field: 'B', ref: 'public.Tag.id' }
+    ]);
+  });
+
+  it('lines up with an import of the Prisma Migrate SQL', async () => {
+    const ddl = await new SQLDDLImporter().import(migrationPath);
+    const shape = m => m.datasets.map(d => ({
+      urn: d.dataset.urn,
+      primary_key: d.schema.primary_key,
+      keys: d.schema.keys,
+      fields: Object.values(d.schema.fields).map(f => f.urn)
+    }));
+
+    expect(shape(manifest)).toEqual(shape(ddl));
+  });
+
+  it('filters by schema', async () => {
+    const result = await new PrismaImporter().import(fixturePath, 'audit');
+
+    expect(result.metadata.status).toBe('error');
+    expect(result.metadata.error.message).toContain("No models found in schema 'audit'");
+  });
+
+  it('returns an error manifest for missing files', async () => {
+    const result = await new PrismaImporter().import('/nonexistent/schema.prisma');
+
+    expect(result.metadata.status).toBe('error');
+    expect(result.metadata.error.file).toBe('/nonexistent/schema.prisma');
+  });
+
+  it('throws in strict mode', () => {
+    expect(() => new PrismaImporter({ strictMode: true }).importFromString('generator client {}'))
+      .toThrow('No models found');
+  });
+});
@@ -0,0 +1,196 @@
+/*
+ * Tests for Protobuf / gRPC Importer
+ * Covers service/method mapping, streaming flags, google.api.http bindings, schemas and PII detection
+ */
+
+const path = require('path');
+const { ProtobufImporter } = require('../../importers/protobuf/importer');
+const { buildGraph } = require('../../workflow/graph-builder');
+const { tracePIIFlow } = require('../../core/graph/pii-tracer');
+
+const fixturePath = path.join(__dirname, '../fixtures/protobuf/orders.proto');
+
+describe('Protobuf Importer', () => {
+  let manifest;
+
+  beforeAll(async () => {
+    manifest = await new ProtobufImporter().import(fixturePath);
+  });
+
+  const endpoint = name => manifest.interface.endpoints.find(ep => ep.operationId === name);
+
+  describe('service and provenance', () => {
+    it('derives service name and version from the package', () => {
+      expect(manifest.service.name).toBe('acme.orders');
+      expect(manifest.service.version).toBe('1.0.0');
+      expect(manifest.service.urn).toBe('urn:proto:api:acme-orders/service@1.0.0');
+      expect(manifest.service.description).toBe('Order management API');
+    });
+
+    it('records draft status, source and spec hash', () => {
+      expect(manifest.metadata.status).toBe('draft');
+      expect(manifest.metadata.source).toMatchObject({
+        type: 'protobuf',
+        syntax: 'proto3',
+        package: 'acme.orders.v1',
+        files: ['orders.proto']
+      });
+      expect(manifest.provenance.importer).toBe('ProtobufImporter');
+      expect(manifest.provenance.spec_hash).toMatch(/^[a-f0-9]{64}$/);
+    });
+
+    it('imports every .proto file in a directory', async () => {
+      const result = await new ProtobufImporter().import(path.dirname(fixturePath));
+
+      expect(result.metadata.source.files).toEqual(['orders.proto']);
+      expect(result.interface.endpoints).toEqual(manifest.interface.endpoints);
+    });
+  });
+
+  describe('endpoints', () => {
+    it('maps every rpc method to an endpoint with its own URN', () => {
+      expect(manifest.interface.endpoints.map(ep => ep.path)).toEqual([
+        '/acme.orders.v1.OrderService/GetOrder',
+        '/acme.orders.v1.OrderService/CreateOrder',
+        '/acme.orders.v1.OrderService/WatchOrder',
+        '/acme.orders.v1.OrderService/ImportItems',
+        '/acme.orders.v1.OrderService/Chat',
+        '/acme.orders.v1.OrderService/LegacyLookup'
+      ]);
+      expect(endpoint('GetOrder').urn).toBe('urn:proto:api.endpoint:acme-orders/op/orderservice-getorder@1.0.0');
+      expect(new Set(manifest.interface.endpoints.map(ep => ep.urn)).size).toBe(6);
+    });
+
+    it('references request and response messages', () => {
+      const getOrder = endpoint('GetOrder');
+
+      expect(getOrder.description).toBe('Fetch a single order');
+      expect(getOrder.request).toEqual({
+        contentType: 'application/grpc',
+        required: true,
+        schema: { $ref: '#/validation/schemas/GetOrderRequest' }
+      });
+      expect(getOrder.responses[0].schema).toEqual({ $ref: '#/validation/schemas/Order' });
+      expect(endpoint('ImportItems').request.schema).toEqual({ $ref: '#/validation/schemas/Order.Item' });
+    });
+
+    it('records streaming flags and marks server/bidi streams as long-running', () => {
+      expect(endpoint('WatchOrder').grpc).toMatchObject({ client_streaming: false, server_streaming: true });
+      expect(endpoint('WatchOrder').long_running).toEqual({ pattern: 'stream', stream: 'server' });
+      expect(endpoint('Chat').long_running).toEqual({ pattern: 'stream', stream: 'bidirectional' });
+      expect(endpoint('ImportItems').grpc.client_streaming).toBe(true);
+      expect(endpoint('ImportItems').long_running).toBeUndefined();
+      expect(endpoint('GetOrder').long_running).toBeUndefined();
+    });
+
+    it('maps google.api.http annotations to HTTP bindings and path params', () => {
+      expect(endpoint('GetOrder').http).toEqual({ method: 'GET', path: '/v1/orders/{order_id}' });
+      expect(endpoint('GetOrder').params).toEqual([
+        { name: 'order_id', in: 'path', required: true, schema: { type: 'string' } }
+      ]);
+      expect(endpoint('CreateOrder').http).toEqual({ method: 'POST', path: '/v1/orders', body: 'order' });
+      expect(endpoint('WatchOrder').http).toBeUndefined();
+    });
+
+    it('maps the deprecated option to lifecycle metadata', () => {
+      expect(endpoint('LegacyLookup').lifecycle).toEqual({ status: 'deprecated' });
+      expect(manifest.metadata.deprecations).toEqual([
+        expect.objectContaining({ element: '/acme.orders.v1.OrderService/LegacyLookup' })
+      ]);
+    });
+  });
+
+  describe('validation schemas', () => {
+    it('converts messages and enums using the proto3 JSON mapping', () => {
+      const { schemas } = manifest.validation;
+
+      expect(schemas.OrderStatus.enum).toEqual([
+        'ORDER_STATUS_UNSPECIFIED',
+        'ORDER_STATUS_PENDING',
+        'ORDER_STATUS_SHIPPED'
+      ]);
+      expect(schemas.Order.description).toBe('A customer order');
+      expect(schemas.Order.properties.total_cents).toEqual({ type: 'string', format: 'int64' });
+      expect(schemas.Order.properties.created_at).toEqual({ type: 'string', format: 'date-time' });
+      expect(schemas.Order.properties.items).toEqual({
+        type: 'array',
+        items: { $ref: '#/validation/schemas/Order.Item' }
+      });
+      expect(schemas.Order.properties.labels).toEqual({
+        type: 'object',
+        additionalProperties: { type: 'string' }
+      });
+      expect(schemas.Order.properties.legacy_code.deprecated).toBe(true);
+      expect(schemas['Order.Item'].properties.quantity).toEqual({ type: 'integer', format: 'int32' });
+      expect(schemas.OrderEvent.properties.payload).toEqual({ type: 'string', format: 'byte' });
+    });
+
+    it('records real oneofs but not proto3 optional fields', () => {
+      expect(manifest.validation.schemas.Order['x-oneof']).toEqual({ payment: ['card_token', 'invoice_id'] });
+    });
+  });
+
+  describe('PII detection', () => {
+    it('flags PII-looking message fields', () => {
+      const { properties } = manifest.validation.schemas.Order;
+
+      expect(properties.customer_email).toMatchObject({ 'x-pii': true, 'x-pii-type': 'email' });
+      expect(properties.phone_number).toMatchObject({ 'x-pii': true, 'x-pii-type': 'phone' });
+      expect(properties.order_id['x-pii']).toBeUndefined();
+    });
+
+    it('lists PII fields where the graph PII tracer finds them', () => {
+      expect(manifest.piiFields).toEqual([
+        expect.objectContaining({ name: 'Order.customer_email', type: 'email', detectedBy: 'name' }),
+        expect.objectContaining({ name: 'Order.phone_number', type: 'phone', detectedBy: 'name' })
+      ]);
+
+      const urn = 'urn:proto:api:acme-orders/service@1.0.0';
+      const { graph } = buildGraph([{ manifest }]);
+      const flow = tracePIIFlow(graph, urn);
+
+      expect(manifest.metadata.urn).toBe(urn);
+      expect(flow.hasPII).toBe(true);
+      expect(flow.sources).toEqual([urn]);
+      expect(flow.confidence).toBeGreaterThan(0);
+      expect(graph.getPIISummary().piiTypes).toEqual({
+        email: [{ source: urn, field: 'Order.customer_email' }],
+        phone: [{ source: urn, field: 'Order.phone_number' }]
+      });
+    });
+
+    it('can skip PII detection', async () => {
+      const result = await new ProtobufImporter({ detectPII: false }).import(fixturePath);
+
+      expect(result.piiFields).toBeUndefined();
+      expect(result.validation.schemas.Order.properties.customer_email['x-pii']).toBeUndefined();
+    });
+  });
+
+  describe('inline source', () => {
+    it('falls back to the first service name without a package', async () => {
+      const result = await new ProtobufImporter().import(
+        'syntax = "proto3";\nservice Ping { rpc Send(Msg) returns (Msg); }\nmessage Msg { string text = 1; }'
+      );
+
+      expect(result.service.urn).toBe('urn:proto:api:ping/service@0.0.0');
+      expect(result.interface.endpoints[0].path).toBe('/Ping/Send');
+      expect(result.metadata.source.input_type).toBe('string');
+    });
+  });
+
+  describe('error handling', () => {
+    it('returns an error manifest for invalid proto source', async () => {
+      const result = await new ProtobufImporter().import('syntax = "proto3";\nmessage {');
+
+      expect(result.metadata.status).toBe('error');
+      expect(result.metadata.error.message).toContain('Failed to parse');
+    });
+
+    it('throws in strict mode when no services are defined', async () => {
+      const importer = new ProtobufImporter({ strictMode: true });
+      await expect(importer.import('syntax = "proto3";\nmessage Msg { string text = 1; }'))
+        .rejects.toThrow('No service definitions found');
+    });
+  });
+});
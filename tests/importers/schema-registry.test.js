@@ -0,0 +1,169 @@
+/*
+ * Tests for Schema Registry Importer
+ * Covers export layouts, Avro/JSON/Protobuf conversion, compatibility mapping and version history
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { importSchemaRegistry, parseSubjectName } = require('../../importers/schema-registry/importer');
+const { avroToJsonSchema } = require('../../importers/schema-registry/avro-converter');
+const { isValidURN } = require('../../core/graph/urn-utils');
+
+const exportPath = path.join(__dirname, '../fixtures/schema-registry/shop');
+
+describe('Schema Registry Importer', () => {
+  let result;
+  const bySubject = subject =>
+    result.manifests.find(m => m.delivery.contract.metadata.subject === subject);
+
+  beforeAll(async () => {
+    result = await importSchemaRegistry(exportPath);
+  });
+
+  describe('export reading', () => {
+    it('emits one manifest per value subject and skips key subjects', () => {
+      expect(result.manifests.map(m => m.delivery.contract.metadata.subject)).toEqual([
+        'customers-value',
+        'orders-value',
+        'payments-com.acme.payments.PaymentCaptured'
+      ]);
+      expect(result.metadata).toMatchObject({ subject_count: 4, version_count: 5 });
+    });
+
+    it('drops soft-deleted versions and links the key subject', () => {
+      const orders = bySubject('orders-value');
+
+      expect(orders.event.version).toBe('2.0.0');
+      expect(orders.delivery.contract).toMatchObject({
+        transport: 'kafka',
+        topic: 'orders',
+        metadata: { schema_type: 'AVRO', schema_id: 102, key_subject: 'orders-key' }
+      });
+    });
+
+    it('can include key subjects on request', async () => {
+      const withKeys = await importSchemaRegistry(exportPath, { includeKeySubjects: true });
+
+      expect(withKeys.manifests.map(m => m.delivery.contract.metadata.subject)).toContain('orders-key');
+    });
+
+    it('accepts a JSON array dump of subject versions', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'schema-registry-'));
+      const dump = path.join(dir, 'billing.json');
+      await fs.writeJson(dump, [
+        { subject: 'invoices-value', version: 1, id: 7, schema: '{"type":"record","name":"Invoice","fields":[{"name":"id","type":"string"}]}' },
+        { subject: 'invoices-value', version: 2, id: 8, schema: '{}', deleted: true }
+      ]);
+
+      try {
+        const { manifests } = await importSchemaRegistry(dump);
+        expect(manifests).toHaveLength(1);
+        expect(manifests[0].urn).toBe('urn:proto:event:billing/invoices.event');
+        expect(manifests[0].schema.history.map(h => h.version)).toEqual([1]);
+      } finally {
+        await fs.remove(dir);
+      }
+    });
+  });
+
+  describe('compatibility', () => {
+    it('maps per-subject transitive levels and lists every earlier version', () => {
+      expect(bySubject('orders-value').schema.compatibility).toEqual({
+        policy: 'full',
+        registry_level: 'FULL_TRANSITIVE',
+        compatible_versions: ['1.0.0']
+      });
+    });
+
+    it('falls back to the registry-wide level', () => {
+      expect(bySubject('customers-value').schema.compatibility).toMatchObject({
+        policy: 'backward',
+        registry_level: 'BACKWARD'
+      });
+    });
+  });
+
+  describe('version history', () => {
+    it('records field changes and schema evolution per version', () => {
+      const [v1, v2] = bySubject('orders-value').schema.history;
+
+      expect(v1).toMatchObject({ version: 1, semver: '1.0.0', id: 101, schema_type: 'AVRO' });
+      expect(v1.changes).toBeUndefined();
+      expect(v2.fingerprint).toMatch(/^[a-f0-9]{16}$/);
+      expect(v2.changes.added).toEqual(expect.arrayContaining(['status', 'coupon', 'shipping.street']));
+      expect(v2.changes.removed).toEqual([]);
+      expect(v2.evolution).toBe('balanced_schema');
+    });
+  });
+
+  describe('schema conversion', () => {
+    it('converts Avro records to JSON Schema payloads', () => {
+      const { payload } = bySubject('orders-value').schema;
+
+      expect(payload.title).toBe('com.acme.orders.Order');
+      expect(payload.required).toEqual(['order_id', 'customer_email', 'total_cents', 'placed_at', 'items']);
+      expect(payload.properties.placed_at).toEqual({ type: 'integer', format: 'timestamp-millis' });
+      expect(payload.properties.coupon).toEqual({ type: ['string', 'null'], default: null });
+      expect(payload.properties.status.enum).toEqual(['PENDING', 'PAID', 'SHIPPED']);
+    });
+
+    it('inlines named types and marks recursive references', () => {
+      const schema = avroToJsonSchema({
+        type: 'record',
+        name: 'Node',
+        fields: [{ name: 'next', type: ['null', 'Node'], default: null }]
+      });
+
+      expect(schema.properties.next).toEqual({ type: 'object', 'x-avro-ref': 'Node', nullable: true, default: null });
+    });
+
+    it('keeps JSON Schema subjects as-is', () => {
+      const customers = bySubject('customers-value');
+
+      expect(customers.schema.payload.required).toEqual(['customer_id']);
+      expect(customers.semantics.purpose).toBe('Customer profile changes');
+    });
+
+    it('converts the first Protobuf message and keeps the rest as $defs', () => {
+      const { payload } = bySubject('payments-com.acme.payments.PaymentCaptured').schema;
+
+      expect(payload.title).toBe('com.acme.payments.PaymentCaptured');
+      expect(payload.properties.amount_cents).toEqual({ type: 'string', format: 'int64' });
+      expect(payload.properties.card).toEqual({ $ref: '#/$defs/Card' });
+      expect(payload.$defs.Card.properties).toHaveProperty('holder_name');
+    });
+  });
+
+  describe('naming and governance', () => {
+    it('recognises subject naming strategies', () => {
+      expect(parseSubjectName('orders-value')).toEqual({ topic: 'orders', channel: 'orders', strategy: 'TopicNameStrategy' });
+      expect(parseSubjectName('payments-com.acme.PaymentCaptured')).toEqual({
+        topic: 'payments',
+        channel: 'payment.captured',
+        strategy: 'TopicRecordNameStrategy'
+      });
+      expect(parseSubjectName('com.acme.OrderCreated')).toEqual({
+        topic: null,
+        channel: 'order.created',
+        strategy: 'RecordNameStrategy'
+      });
+    });
+
+    it('generates graph-form event URNs', () => {
+      expect(bySubject('orders-value').urn).toBe('urn:proto:event:shop/orders.event');
+      expect(bySubject('payments-com.acme.payments.PaymentCaptured').urn).toBe('urn:proto:event:shop/payment.captured');
+      expect(bySubject('orders-value').metadata).toMatchObject({ urn: 'urn:proto:event:shop/orders.event', kind: 'event', status: 'draft' });
+      expect(isValidURN(bySubject('orders-value').urn)).toBe(true);
+    });
+
+    it('detects PII in the latest schema and classifies the event', () => {
+      const orders = bySubject('orders-value');
+      const email = orders.schema.fields.find(f => f.name === 'customer_email');
+
+      expect(email).toMatchObject({ pii: true, category: 'email', tier: 'definite' });
+      expect(orders.governance.policy).toEqual({ classification: 'pii', legal_basis: 'gdpr' });
+      expect(orders.patterns.detected.map(p => p.pattern)).toContain('missing_dlq');
+    });
+  });
+});
@@ -0,0 +1,153 @@
+/*
+ * Tests for the offline spec bundler
+ * Covers root discovery, relative $ref resolution, file hashes and remote $ref refusal
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { bundleSpec, findRootSpec, detectSpecKind } = require('../../importers/shared/spec-bundle');
+const { OpenAPIImporter } = require('../../importers/openapi/importer');
+
+const openapiDir = path.join(__dirname, '../fixtures/openapi/multi-file');
+const asyncapiDir = path.join(__dirname, '../fixtures/asyncapi/multi-file');
+
+const sha256 = file => crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+
+describe('Spec bundler', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-bundle-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  it('bundles an OpenAPI directory and hashes every contributing file', async () => {
+    const bundle = await bundleSpec(openapiDir, { kind: 'openapi' });
+
+    expect(bundle.root).toBe(path.join(openapiDir, 'openapi.yaml'));
+    expect(bundle.kind).toBe('openapi');
+    expect(bundle.files.map(f => f.path).sort()).toEqual([
+      'openapi.yaml',
+      'paths/invoice.yaml',
+      'paths/invoices.yaml',
+      'schemas/customer.json',
+      'schemas/invoice.yaml'
+    ]);
+    expect(bundle.files.find(f => f.path === 'schemas/customer.json').sha256)
+      .toBe(sha256(path.join(openapiDir, 'schemas/customer.json')));
+    expect(bundle.remote_refs).toEqual([]);
+  });
+
+  it('leaves only internal $refs in the bundle', async () => {
+    const { document } = await bundleSpec(path.join(openapiDir, 'openapi.yaml'));
+    const refs = JSON.stringify(document).match(/"\$ref":"[^"]*"/g) || [];
+
+    expect(refs.length).toBeGreaterThan(0);
+    refs.forEach(ref => expect(ref).toMatch(/"\$ref":"#\//));
+    expect(document.paths['/invoices'].post.requestBody.content['application/json'].schema.properties.customer.properties.email)
+      .toEqual({ type: 'string', format: 'email' });
+  });
+
+  it('bundles an AsyncAPI directory', async () => {
+    const bundle = await bundleSpec(asyncapiDir, { kind: 'asyncapi' });
+    const { channels } = bundle.document;
+    const dispatched = channels['shipments.dispatched'].subscribe.message;
+    const delivered = channels['shipments.delivered'].subscribe.message;
+
+    expect(bundle.kind).toBe('asyncapi');
+    expect(dispatched.name).toBe('ShipmentDispatched');
+    // A file referenced twice is inlined once and pointed at from the other site
+    expect(delivered.payload.properties.address.properties.city).toEqual({ type: 'string' });
+    expect(dispatched.payload.properties.address).toEqual({
+      $ref: '#/channels/shipments.delivered/subscribe/message/payload/properties/address'
+    });
+    expect(bundle.files.map(f => f.path).sort()).toEqual([
+      'asyncapi.yaml',
+      'messages/shipment-delivered.yaml',
+      'messages/shipment-dispatched.yaml',
+      'schemas/address.yaml'
+    ]);
+  });
+
+  it('refuses remote $refs unless allowed', async () => {
+    await fs.writeFile(path.join(tmpDir, 'openapi.yaml'), [
+      'openapi: 3.0.3',
+      'info: {title: Remote, version: 1.0.0}',
+      'paths: {}',
+      'components:',
+      '  schemas:',
+      '    Money:',
+      "      $ref: 'https://schemas.example.com/money.yaml'"
+    ].join('\n'));
+
+    await expect(bundleSpec(tmpDir)).rejects.toThrow('Remote $ref refused: https://schemas.example.com/money.yaml');
+  });
+
+  it('reports a missing root document', async () => {
+    await fs.writeJson(path.join(tmpDir, 'schema.json'), { type: 'object' });
+
+    await expect(bundleSpec(tmpDir, { kind: 'asyncapi' })).rejects.toThrow('No AsyncAPI root document found');
+  });
+
+  it('prefers conventional names when several roots exist', async () => {
+    await fs.writeFile(path.join(tmpDir, 'legacy.yaml'), 'swagger: "2.0"\n');
+    await fs.writeFile(path.join(tmpDir, 'public.yaml'), 'openapi: 3.1.0\n');
+    await fs.writeFile(path.join(tmpDir, 'openapi.yaml'), 'openapi: 3.0.3\n');
+    await fs.writeFile(path.join(tmpDir, 'events.yaml'), 'asyncapi: 2.6.0\n');
+
+    expect(findRootSpec(tmpDir, 'openapi').file).toBe(path.join(tmpDir, 'openapi.yaml'));
+    expect(findRootSpec(tmpDir, 'asyncapi').file).toBe(path.join(tmpDir, 'events.yaml'));
+
+    await fs.remove(path.join(tmpDir, 'openapi.yaml'));
+    expect(() => findRootSpec(tmpDir, 'openapi')).toThrow('Multiple root documents found');
+  });
+
+  it('detects the spec kind from the top-level version key', () => {
+    expect(detectSpecKind('openapi: 3.1.0\ninfo: {}')).toBe('openapi');
+    expect(detectSpecKind('{"swagger": "2.0"}')).toBe('openapi');
+    expect(detectSpecKind("asyncapi: '3.0.0'")).toBe('asyncapi');
+    expect(detectSpecKind('type: object\nproperties:\n  openapi:\n    type: string')).toBeNull();
+  });
+});
+
+describe('OpenAPI Importer with multi-file specs', () => {
+  it('imports a directory and records contributing files in provenance', async () => {
+    const manifest = await new OpenAPIImporter({ strictMode: true }).import(openapiDir);
+
+    expect(manifest.service.name).toBe('Billing API');
+    expect(manifest.interface.endpoints.map(e => `${e.method} ${e.path}`)).toEqual([
+      'GET /invoices',
+      'POST /invoices',
+      'GET /invoices/{invoiceId}'
+    ]);
+    expect(manifest.provenance.root).toBe('openapi.yaml');
+    expect(manifest.provenance.files).toHaveLength(5);
+    expect(manifest.provenance.files.find(f => f.path === 'paths/invoices.yaml').sha256)
+      .toBe(sha256(path.join(openapiDir, 'paths/invoices.yaml')));
+  });
+
+  it('returns an error manifest when a remote $ref is refused', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-bundle-'));
+    try {
+      await fs.writeFile(path.join(dir, 'openapi.yaml'), [
+        'openapi: 3.0.3',
+        'info: {title: Remote, version: 1.0.0}',
+        'paths:',
+        '  /money:',
+        "    $ref: 'https://schemas.example.com/paths.yaml'"
+      ].join('\n'));
+
+      const manifest = await new OpenAPIImporter().import(path.join(dir, 'openapi.yaml'));
+
+      expect(manifest.metadata.status).toBe('error');
+      expect(manifest.metadata.error.message).toContain('Remote $ref refused');
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+});
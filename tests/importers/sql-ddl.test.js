@@ -0,0 +1,198 @@
+/*
+ * Tests for SQL DDL Importer
+ * Parses a flattened migration file offline and checks parity with the Postgres manifest shape
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs');
+const { SQLDDLImporter } = require('../../importers/sql/importer');
+const { parseDDL, normalizeType } = require('../../importers/sql/ddl-parser');
+const { detectDrift } = require('../../workflow/drift');
+
+const fixturePath = path.join(__dirname, '../fixtures/sql/shop-schema.sql');
+
+describe('DDL Parser', () => {
+  it('normalises DDL type names to information_schema types', () => {
+    expect(normalizeType('varchar(255)')).toMatchObject({ data_type: 'character varying', udt_name: 'varchar' });
+    expect(normalizeType('TIMESTAMP(3) WITHOUT TIME ZONE')).toMatchObject({ data_type: 'timestamp without time zone' });
+    expect(normalizeType('timestamptz')).toMatchObject({ data_type: 'timestamp with time zone' });
+    expect(normalizeType('bigserial')).toMatchObject({ data_type: 'bigint', serial: true });
+    expect(normalizeType('text[]')).toMatchObject({ data_type: 'array', udt_name: '_text' });
+    expect(normalizeType('public.order_status')).toMatchObject({ data_type: 'USER-DEFINED', udt_name: 'order_status' });
+  });
+
+  it('ignores semicolons inside strings, comments and dollar quotes', () => {
+    const parsed = parseDDL(`
+      CREATE TABLE notes (body TEXT DEFAULT 'a;b'); -- trailing; comment
+      CREATE FUNCTION f() RETURNS void AS $$ BEGIN PERFORM 1; END; $$ LANGUAGE plpgsql;
+    `);
+
+    expect(parsed.statements).toBe(2);
+    expect(parsed.skipped).toBe(1);
+    expect(parsed.relations[0].columns[0].column_default).toBe('\'a;b\'');
+  });
+
+  it('folds unquoted identifiers and keeps quoted ones', () => {
+    const parsed = parseDDL('CREATE TABLE Audit."EventLog" (ID int, "UserAgent" text);');
+    const relation = parsed.relations[0];
+
+    expect(relation.table_schema).toBe('audit');
+    expect(relation.table_name).toBe('EventLog');
+    expect(relation.columns.map(c => c.column_name)).toEqual(['id', 'UserAgent']);
+  });
+
+  it('applies ALTER TABLE column and constraint changes', () => {
+    const parsed = parseDDL(`
+      CREATE TABLE a (id int PRIMARY KEY, legacy text, code text);
+      ALTER TABLE a DROP COLUMN legacy, ALTER COLUMN code SET NOT NULL, ADD CONSTRAINT a_code_key UNIQUE (code);
+    `);
+    const relation = parsed.relations[0];
+
+    expect(relation.columns.map(c => c.column_name)).toEqual(['id', 'code']);
+    expect(relation.columns[1].is_nullable).toBe('NO');
+    expect(relation.uniqueConstraints).toEqual([{ constraint_name: 'a_code_key', columns: ['code'] }]);
+  });
+
+  it('warns about statements targeting unknown tables', () => {
+    const parsed = parseDDL('CREATE INDEX idx_missing ON missing (id);');
+
+    expect(parsed.relations).toHaveLength(0);
+    expect(parsed.warnings[0]).toContain('public.missing');
+  });
+});
+
+describe('SQL DDL Importer', () => {
+  let manifest;
+
+  beforeAll(async () => {
+    manifest = await new SQLDDLImporter().import(fixturePath);
+  });
+
+  const dataset = name => manifest.datasets.find(d => d.dataset.name === name);
+
+  it('produces a draft catalog manifest named after the file', () => {
+    expect(manifest.catalog).toEqual({ name: 'shop-schema', type: 'database', platform: 'postgresql' });
+    expect(manifest.metadata.status).toBe('draft');
+    expect(manifest.metadata.source.type).toBe('sql-ddl');
+    expect(manifest.datasets.map(d => d.dataset.name)).toEqual([
+      'shop.customers',
+      'shop.orders',
+      'shop.order_items',
+      'shop.customer_order_totals'
+    ]);
+  });
+
+  it('records the file hash as the spec hash instead of a connection hash', () => {
+    const expected = crypto.createHash('sha256')
+      .update(fs.readFileSync(fixturePath, 'utf-8'))
+      .digest('hex');
+
+    expect(manifest.provenance.importer).toBe('SQLDDLImporter');
+    expect(manifest.provenance.file_hash).toBe(expected);
+    expect(manifest.provenance.spec_hash).toBe(expected);
+    expect(manifest.provenance.connection_hash).toBeUndefined();
+  });
+
+  it('lets drift detection short-circuit on an unchanged DDL file', async () => {
+    const reimported = await new SQLDDLImporter().import(fixturePath);
+    const report = detectDrift(manifest, reimported);
+
+    expect(report.spec_hash.matched).toBe(true);
+    expect(report.short_circuit).toBe(true);
+  });
+
+  it('generates the same URNs as the Postgres importer', () => {
+    const customers = dataset('shop.customers');
+
+    expect(customers.dataset.urn).toBe('urn:proto:data:postgres/shop.customers');
+    expect(customers.schema.fields.email.urn).toBe('urn:proto:data:postgres/shop.customers.email');
+    expect(customers.metadata.source).toEqual({ type: 'postgres', schema: 'shop', table: 'customers' });
+  });
+
+  it('maps column types and nullability', () => {
+    const orders = dataset('shop.orders');
+
+    expect(orders.schema.fields.id).toMatchObject({ type: 'long', required: true });
+    expect(orders.schema.fields.total).toMatchObject({ type: 'decimal', required: true });
+    expect(orders.schema.fields.status.type).toBe('order_status');
+    expect(orders.schema.fields.tags.type).toBe('array');
+    expect(orders.schema.fields.placed_at).toMatchObject({ type: 'timestamp', required: false });
+  });
+
+  it('extracts keys and FK lineage from inline, table and ALTER constraints', () => {
+    const customers = dataset('shop.customers');
+    const orders = dataset('shop.orders');
+    const items = dataset('shop.order_items');
+
+    expect(customers.schema.primary_key).toEqual(['id']);
+    expect(customers.schema.keys.unique).toEqual(['email']);
+    expect(orders.schema.keys.foreign_keys).toEqual([{ field: 'customer_id', ref: 'shop.customers.id' }]);
+    expect(orders.schema.keys.indexes).toEqual([
+      { name: 'idx_orders_customer_status', columns: ['customer_id', 'status'], type: 'btree' }
+    ]);
+    expect(orders.lineage.sources).toEqual([{ type: 'table', id: 'shop.customers' }]);
+
+    // REFERENCES without a column list resolves to the target's primary key
+    expect(items.schema.primary_key).toEqual(['order_id', 'line_no']);
+    expect(items.schema.keys.foreign_keys).toEqual([{ field: 'order_id', ref: 'shop.orders.id' }]);
+    expect(items.schema.fields.unit_price.type).toBe('decimal');
+  });
+
+  it('detects PII from column names', () => {
+    const fields = dataset('shop.customers').schema.fields;
+
+    expect(fields.email).toMatchObject({ pii: true, pii_type: 'email' });
+    expect(fields.email.pii_confidence).toBeLessThan(1);
+    expect(fields.phone).toMatchObject({ pii: true, pii_type: 'phone' });
+    expect(fields.first_name).toMatchObject({ pii: true, pii_type: 'name' });
+    expect(fields.is_active.pii).toBeUndefined();
+  });
+
+  it('applies COMMENT ON to tables, views and columns', () => {
+    expect(dataset('shop.customers').dataset.description).toBe('Registered customers');
+    expect(dataset('shop.customers').schema.fields.email.description).toBe('Login email');
+    expect(dataset('shop.customer_order_totals').dataset.description).toBe('Lifetime spend per customer');
+  });
+
+  it('emits views with lineage and source column types', () => {
+    const view = dataset('shop.customer_order_totals');
+
+    expect(view.dataset.type).toBe('view');
+    expect(view.lineage.sources).toEqual([
+      { type: 'table', id: 'shop.customers' },
+      { type: 'table', id: 'shop.orders' }
+    ]);
+    expect(Object.keys(view.schema.fields)).toEqual(['customer_id', 'email', 'lifetime_total']);
+    expect(view.schema.fields.customer_id.type).toBe('long');
+    expect(view.schema.fields.email.pii).toBe(true);
+  });
+
+  it('reports parsed and skipped statement counts', () => {
+    expect(manifest.metadata.source.statements).toBe(14);
+    expect(manifest.metadata.source.skipped_statements).toBe(2);
+  });
+
+  it('filters by target schema', () => {
+    const result = new SQLDDLImporter().importFromString(
+      'CREATE TABLE a.t1 (id int); CREATE TABLE b.t2 (id int);',
+      { targetSchema: 'b' }
+    );
+
+    expect(result.catalog.name).toBe('b');
+    expect(result.datasets.map(d => d.dataset.name)).toEqual(['b.t2']);
+  });
+
+  it('returns an error manifest for a missing file', async () => {
+    const result = await new SQLDDLImporter().import('/nonexistent/schema.sql');
+
+    expect(result.metadata.status).toBe('error');
+    expect(result.metadata.error.file).toBe('/nonexistent/schema.sql');
+  });
+
+  it('throws in strict mode when no tables are found', () => {
+    const importer = new SQLDDLImporter({ strictMode: true });
+    expect(() => importer.importFromString('GRANT SELECT ON ALL TABLES IN SCHEMA public TO reader;'))
+      .toThrow('No tables found');
+  });
+});
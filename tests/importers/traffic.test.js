@@ -0,0 +1,181 @@
+/*
+ * Tests for Traffic Importer
+ * Covers Postman and HAR inputs, ID templating, param merging, schema inference and pattern detection
+ */
+
+const path = require('path');
+const { TrafficImporter } = require('../../importers/traffic/importer');
+const { inferSchema, mergeSchemas } = require('../../importers/traffic/schema-inference');
+
+const postmanPath = path.join(__dirname, '../fixtures/traffic/shop.postman_collection.json');
+const harPath = path.join(__dirname, '../fixtures/traffic/shop.har');
+
+describe('Traffic Importer', () => {
+  const endpoint = (manifest, method, endpointPath) =>
+    manifest.interface.endpoints.find(ep => ep.method === method && ep.path === endpointPath);
+
+  describe('Postman collections', () => {
+    let manifest;
+
+    beforeAll(async () => {
+      manifest = await new TrafficImporter().import(postmanPath);
+    });
+
+    it('names the service after the collection and records provenance', () => {
+      expect(manifest.service).toMatchObject({
+        name: 'Shop API',
+        urn: 'urn:proto:api:shop-api/service@0.0.0',
+        description: 'Legacy shop backend'
+      });
+      expect(manifest.metadata.source).toMatchObject({ type: 'postman', input_type: 'file', observations: 5 });
+      expect(manifest.provenance.importer).toBe('TrafficImporter');
+      expect(manifest.provenance.spec_version).toBe('postman-2.1.0');
+      expect(manifest.provenance.spec_hash).toMatch(/^[a-f0-9]{64}$/);
+    });
+
+    it('resolves collection variables and maps collection auth', () => {
+      expect(manifest.context.servers).toEqual([{ url: 'https://api.shop.example.com' }]);
+      expect(manifest.interface.authentication).toEqual({ type: 'apiKey', in: 'header' });
+    });
+
+    it('merges saved examples of the same request into one endpoint', () => {
+      expect(manifest.interface.endpoints.map(ep => `${ep.method} ${ep.path}`)).toEqual([
+        'GET /v1/orders',
+        'GET /v1/orders/{orderId}',
+        'POST /v1/orders'
+      ]);
+
+      const list = endpoint(manifest, 'GET', '/v1/orders');
+      expect(list.summary).toBe('List orders');
+      expect(list._observations).toBe(2);
+      expect(list.urn).toBe('urn:proto:api.endpoint:shop-api/route/v1.orders-get@0.0.0');
+    });
+
+    it('merges observed query params and scores inferred required flags', () => {
+      const { params } = endpoint(manifest, 'GET', '/v1/orders');
+
+      expect(params).toEqual([
+        { name: 'limit', in: 'query', required: true, schema: { type: 'integer' }, _confidence: 0.8 },
+        { name: 'cursor', in: 'query', required: false, schema: { type: 'string' } }
+      ]);
+    });
+
+    it('keeps Postman path variables as certain params', () => {
+      expect(endpoint(manifest, 'GET', '/v1/orders/{orderId}').params).toEqual([
+        { name: 'orderId', in: 'path', required: true, schema: { type: 'string' } }
+      ]);
+    });
+
+    it('infers response schemas across examples', () => {
+      const [response] = endpoint(manifest, 'GET', '/v1/orders').responses;
+      const item = response.schema.properties.data.items;
+
+      expect(response.status).toBe(200);
+      expect(response._confidence).toBe(0.8);
+      expect(item.properties.email).toEqual({ type: 'string', format: 'email' });
+      expect(item.properties.total).toEqual({ type: 'number' });
+      expect(item.required).toEqual(['id', 'email', 'total']);
+      expect(response.schema.properties.next_cursor).toEqual({ type: ['string', 'null'] });
+    });
+
+    it('infers request bodies and maps error responses', () => {
+      const create = endpoint(manifest, 'POST', '/v1/orders');
+      expect(create.request).toMatchObject({ contentType: 'application/json', required: true, _confidence: 0.65 });
+      expect(create.request.schema.properties.items.items.required).toEqual(['sku', 'quantity']);
+
+      expect(endpoint(manifest, 'GET', '/v1/orders/{orderId}').errors).toEqual([
+        { code: 'NOT_FOUND', http: 404, retriable: false }
+      ]);
+    });
+
+    it('feeds observed params and responses into pagination detection', () => {
+      expect(endpoint(manifest, 'GET', '/v1/orders').pagination).toEqual({
+        style: 'cursor',
+        params: { cursor: 'cursor', limit: 'limit' }
+      });
+      expect(endpoint(manifest, 'GET', '/v1/orders/{orderId}').pagination).toBeUndefined();
+    });
+  });
+
+  describe('HAR captures', () => {
+    let manifest;
+
+    beforeAll(async () => {
+      manifest = await new TrafficImporter().import(harPath);
+    });
+
+    it('skips static assets and preflight requests', () => {
+      expect(manifest.metadata.source).toMatchObject({ type: 'har', observations: 4 });
+      expect(manifest.service.name).toBe('api.shop.example.com');
+      expect(manifest.interface.endpoints.map(ep => `${ep.method} ${ep.path}`)).toEqual([
+        'GET /v1/orders/{order_id}',
+        'GET /v1/customers/{customer_id}/orders/{order_id}',
+        'POST /v1/exports'
+      ]);
+    });
+
+    it('templates ID-looking path segments with confidence', () => {
+      const nested = endpoint(manifest, 'GET', '/v1/customers/{customer_id}/orders/{order_id}');
+
+      expect(nested.params).toEqual([
+        { name: 'customer_id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' }, _confidence: 0.98 },
+        { name: 'order_id', in: 'path', required: true, schema: { type: 'integer' }, _confidence: 0.95 }
+      ]);
+    });
+
+    it('merges requests to the same templated route, including base64 bodies', () => {
+      const getOrder = endpoint(manifest, 'GET', '/v1/orders/{order_id}');
+
+      expect(getOrder._observations).toBe(2);
+      expect(getOrder.params.find(p => p.name === 'expand')).toMatchObject({ in: 'query', required: false });
+      expect(getOrder.responses[0].schema.properties.tracking).toEqual({ type: 'string' });
+      expect(getOrder.responses[0].schema.required).toEqual(['id', 'status']);
+    });
+
+    it('detects long-running operations from 202 + Location', () => {
+      expect(endpoint(manifest, 'POST', '/v1/exports').long_running).toEqual({
+        pattern: 'polling',
+        status_endpoint: '/v1/exports/{export_id}/status',
+        _confidence: 0.99
+      });
+    });
+
+    it('can keep literal segments when ID templating is disabled', async () => {
+      const result = await new TrafficImporter({ templateIds: false }).import(harPath);
+
+      expect(result.interface.endpoints.map(ep => ep.path)).toContain('/v1/orders/1042');
+    });
+  });
+
+  describe('schema inference', () => {
+    it('widens conflicting types and intersects required keys', () => {
+      const merged = mergeSchemas(inferSchema({ id: 1, tag: 'a' }), inferSchema({ id: 1.5 }));
+
+      expect(merged).toEqual({
+        type: 'object',
+        properties: { id: { type: 'number' }, tag: { type: 'string' } },
+        required: ['id']
+      });
+    });
+
+    it('keeps string formats only when every sample agrees', () => {
+      expect(mergeSchemas(inferSchema('2024-01-01'), inferSchema(null))).toEqual({ type: ['string', 'null'], format: 'date' });
+      expect(mergeSchemas(inferSchema('2024-01-01'), inferSchema('soon'))).toEqual({ type: 'string' });
+    });
+  });
+
+  describe('error handling', () => {
+    it('returns an error manifest for unknown documents', async () => {
+      const result = await new TrafficImporter().import({ openapi: '3.0.0' });
+
+      expect(result.metadata.status).toBe('error');
+      expect(result.metadata.error.message).toContain('Unrecognized traffic format');
+    });
+
+    it('throws in strict mode when no requests are captured', async () => {
+      const importer = new TrafficImporter({ strictMode: true });
+      await expect(importer.import({ log: { version: '1.2', entries: [] } }))
+        .rejects.toThrow('No API requests found in HAR capture');
+    });
+  });
+});
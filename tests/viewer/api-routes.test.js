@@ -1,5 +1,8 @@
 const { inject } = require('light-my-request');
 const { ProtocolViewerServer } = require('../../viewer/server.js');
+const { generateSigningKeyPair, signManifest } = require('../../workflow/signing.cjs');
+const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
 
 const FIXTURES_DIR = path.join(__dirname, '../fixtures/manifests');
@@ -138,4 +141,48 @@ describe('API Routes', () => {
 
   });
 
+  describe('GET /api/manifest/:filename/signature', () => {
+    let signedDir;
+    let signedApp;
+
+    beforeAll(async () => {
+      signedDir = await fs.mkdtemp(path.join(os.tmpdir(), 'viewer-signature-'));
+      const release = generateSigningKeyPair();
+      const manifest = { metadata: { urn: 'urn:proto:api:shop/orders@1.0.0', status: 'approved' }, catalog: { type: 'rest' } };
+      await fs.writeJson(path.join(signedDir, 'signed.json'), signManifest(manifest, release.privateKey));
+      await fs.writeJson(path.join(signedDir, 'unsigned.json'), manifest);
+      await fs.outputFile(path.join(signedDir, 'keys', 'release.pem'), release.publicKey);
+
+      signedApp = new ProtocolViewerServer(signedDir, { port: 3011, trustStore: path.join(signedDir, 'keys') }).app;
+    });
+
+    afterAll(async () => {
+      await fs.remove(signedDir);
+    });
+
+    test('verifies signatures against the trust store', async () => {
+      const res = await makeRequest(signedApp, '/api/manifest/signed.json/signature');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ filename: 'signed.json', trust_store: true, valid: true, status: 'valid', signer: 'release' });
+    });
+
+    test('reports unsigned manifests', async () => {
+      const res = await makeRequest(signedApp, '/api/manifest/unsigned.json/signature');
+      expect(res.body).toMatchObject({ valid: false, status: 'unsigned' });
+    });
+
+    test('treats every signature as untrusted without a trust store', async () => {
+      const untrustedApp = new ProtocolViewerServer(signedDir, { port: 3012 }).app;
+      const res = await makeRequest(untrustedApp, '/api/manifest/signed.json/signature');
+      expect(res.body).toMatchObject({ trust_store: false, valid: false, status: 'untrusted' });
+    });
+
+    test('returns 404 for non-existent file', async () => {
+      const res = await makeRequest(signedApp, '/api/manifest/does-not-exist.json/signature');
+      expect(res.status).toBe(404);
+    });
+
+  });
+
 });
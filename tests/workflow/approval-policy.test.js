@@ -0,0 +1,162 @@
+/**
+ * Approval Policy and Audit Log Tests
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_POLICY,
+  loadApprovalPolicy,
+  resolveApprovalPolicy,
+  describeManifest,
+  resolveRequirements,
+  recordSignOff,
+  evaluateApprovalPolicy
+} = require('../../workflow/approval-policy');
+const { appendAuditEntry, readAuditLog, AUDIT_EVENTS } = require('../../workflow/audit-log');
+const { approve, StateTransitionError } = require('../../workflow/state-machine');
+
+const POLICY = {
+  default: { min_approvals: 1 },
+  rules: [
+    { name: 'pii', match: { classification: ['pii'] }, min_approvals: 2, require_owner_team: true },
+    { name: 'external-apis', match: { kind: ['api'], classification: ['external'] }, required_teams: ['platform'] }
+  ]
+};
+
+function piiManifest() {
+  return {
+    metadata: {
+      status: 'draft',
+      urn: 'urn:proto:data:warehouse/users@1.0.0',
+      governance: { owner: 'payments' }
+    },
+    dataset: { name: 'users' },
+    schema: { fields: { email: { type: 'string', pii: true } } }
+  };
+}
+
+describe('Approval Policy', () => {
+  test('describes kind, classifications and owning team', () => {
+    expect(describeManifest(piiManifest())).toEqual({
+      kind: 'data',
+      classifications: ['pii'],
+      ownerTeam: 'payments'
+    });
+
+    const event = { metadata: { kind: 'event' }, governance: { policy: { classification: 'internal' } } };
+    expect(describeManifest(event)).toEqual({ kind: 'event', classifications: ['internal'], ownerTeam: null });
+  });
+
+  test('combines every matching rule, strictest requirement wins', () => {
+    const manifest = piiManifest();
+    manifest.metadata.urn = 'urn:proto:api:shop/users@1.0.0';
+    manifest.metadata.governance.classification = 'external';
+
+    expect(resolveRequirements(manifest, POLICY)).toEqual({
+      rules: ['pii', 'external-apis'],
+      min_approvals: 2,
+      required_teams: ['platform'],
+      owner_team: 'payments',
+      owner_team_required: true
+    });
+    expect(resolveRequirements({ metadata: { kind: 'api' } }, POLICY).rules).toEqual([]);
+  });
+
+  test('requires a quorum including the owning team', () => {
+    let manifest = recordSignOff(piiManifest(), { reviewer: 'carol', team: 'platform' });
+    let evaluation = evaluateApprovalPolicy(manifest, POLICY);
+    expect(evaluation.satisfied).toBe(false);
+    expect(evaluation.missing).toEqual([
+      '1 more approval(s) (1/2)',
+      'an approval from the owning team payments'
+    ]);
+
+    // Signing again replaces the earlier sign-off rather than counting twice
+    manifest = recordSignOff(manifest, { reviewer: 'carol', team: 'platform', comment: 'LGTM' });
+    expect(manifest.metadata.approvals).toHaveLength(1);
+    expect(evaluateApprovalPolicy(manifest, POLICY).satisfied).toBe(false);
+
+    manifest = recordSignOff(manifest, { reviewer: 'alice', team: 'payments' });
+    evaluation = evaluateApprovalPolicy(manifest, POLICY);
+    expect(evaluation.satisfied).toBe(true);
+    expect(evaluation.approvers.map(approver => approver.reviewer)).toEqual(['carol', 'alice']);
+  });
+
+  test('takes team membership from the policy when it lists teams', () => {
+    const policy = { ...POLICY, teams: { payments: ['alice'] } };
+    let manifest = recordSignOff(piiManifest(), { reviewer: 'carol', team: 'payments' });
+    manifest = recordSignOff(manifest, { reviewer: 'dave', team: 'payments' });
+
+    expect(evaluateApprovalPolicy(manifest, policy).missing).toEqual(['an approval from the owning team payments']);
+
+    manifest = recordSignOff(manifest, { reviewer: 'alice' });
+    expect(evaluateApprovalPolicy(manifest, policy).satisfied).toBe(true);
+  });
+
+  test('approve() refuses to transition until the policy is satisfied, even when forced', () => {
+    const manifest = recordSignOff(piiManifest(), { reviewer: 'alice', team: 'payments' });
+
+    expect(() => approve(manifest, { policy: POLICY, force: true })).toThrow(StateTransitionError);
+    expect(() => approve(manifest, { policy: POLICY })).toThrow('Approval policy not satisfied');
+
+    const approved = approve(recordSignOff(manifest, { reviewer: 'bob' }), { policy: POLICY, approvedBy: 'bob' });
+    expect(approved.metadata.status).toBe('approved');
+    expect(approved.metadata.approvals).toHaveLength(2);
+
+    // Without a policy any single reviewer may approve
+    expect(evaluateApprovalPolicy(manifest, DEFAULT_POLICY).satisfied).toBe(true);
+  });
+
+  test('resolves requirements from the draft as discovered, not the reviewed manifest', () => {
+    const draft = recordSignOff(piiManifest(), { reviewer: 'mallory', team: 'payments' });
+    const reviewed = JSON.parse(JSON.stringify(draft));
+    reviewed.schema.fields.email.pii = false;
+
+    expect(evaluateApprovalPolicy(reviewed, POLICY).satisfied).toBe(true);
+    expect(evaluateApprovalPolicy(reviewed, POLICY, { requirementsFrom: draft }).missing).toEqual(['1 more approval(s) (1/2)']);
+    expect(() => approve(reviewed, { policy: POLICY, requirementsFrom: draft })).toThrow('Approval policy not satisfied');
+  });
+
+  test('loads policy files and rejects malformed ones', async () => {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'approval-policy-'));
+    try {
+      const manifestPath = path.join(tmpDir, 'data-manifest.draft.json');
+      expect((await resolveApprovalPolicy(manifestPath)).source).toBeNull();
+
+      await fs.writeJson(path.join(tmpDir, 'approval-policy.json'), POLICY);
+      const resolved = await resolveApprovalPolicy(manifestPath);
+      expect(resolved.source).toBe(path.join(tmpDir, 'approval-policy.json'));
+      expect(resolved.policy.rules[0]).toMatchObject({ name: 'pii', min_approvals: 2, require_owner_team: true });
+
+      const badPath = path.join(tmpDir, 'bad.json');
+      await fs.writeJson(badPath, { rules: [{ match: { owner: 'x' } }] });
+      await expect(loadApprovalPolicy(badPath)).rejects.toThrow('rules[0].match.owner is not supported');
+      await fs.writeJson(badPath, { default: { min_approvals: 0 } });
+      await expect(loadApprovalPolicy(badPath)).rejects.toThrow('default.min_approvals must be a positive integer');
+    } finally {
+      await fs.remove(tmpDir);
+    }
+  });
+});
+
+describe('Audit Log', () => {
+  test('appends entries and filters them by URN', async () => {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'audit-log-'));
+    try {
+      await appendAuditEntry(tmpDir, { event: AUDIT_EVENTS.VOTE, urn: 'urn:a', actor: 'alice' });
+      await appendAuditEntry(tmpDir, { event: AUDIT_EVENTS.VOTE, urn: 'urn:b', actor: 'bob' });
+      await appendAuditEntry(tmpDir, { event: AUDIT_EVENTS.TRANSITION, urn: 'urn:a', actor: 'bob', from: 'draft', to: 'approved' });
+
+      const all = await readAuditLog(tmpDir);
+      expect(all.map(entry => entry.event)).toEqual(['vote', 'vote', 'transition']);
+      expect(all[0].timestamp).toBeTruthy();
+      expect((await readAuditLog(tmpDir, { urn: 'urn:a' })).map(entry => entry.actor)).toEqual(['alice', 'bob']);
+
+      await expect(appendAuditEntry(tmpDir, { event: 'edit' })).rejects.toThrow('Unknown audit event: edit');
+    } finally {
+      await fs.remove(tmpDir);
+    }
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Audit Log Chain Tests
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+  appendAuditEntry,
+  readAuditLog,
+  verifyAuditLog,
+  getAuditLogPath,
+  AUDIT_EVENTS,
+  AUDIT_ISSUES,
+  GENESIS_HASH
+} = require('../../workflow/audit-log');
+const { jsonCanon, contentHash } = require('../../workflow/content-hash.cjs');
+
+describe('Audit Log chain', () => {
+  let workspace;
+
+  const writeLines = lines => fs.writeFile(getAuditLogPath(workspace), `${lines.join('\n')}\n`, 'utf-8');
+  const readLines = async () => (await fs.readFile(getAuditLogPath(workspace), 'utf-8')).trim().split('\n');
+
+  beforeEach(async () => {
+    workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'audit-chain-'));
+    const manifest = { metadata: { urn: 'urn:proto:api:shop/orders@1.0.0', status: 'draft' } };
+    await fs.writeJson(path.join(workspace, 'api-manifest.draft.json'), manifest);
+
+    await appendAuditEntry(workspace, {
+      event: AUDIT_EVENTS.DISCOVER,
+      urn: manifest.metadata.urn,
+      manifest: 'api-manifest.draft.json',
+      actor: 'ci',
+      before_hash: null,
+      after_hash: contentHash(manifest)
+    });
+    await appendAuditEntry(workspace, { event: AUDIT_EVENTS.REVIEW, urn: manifest.metadata.urn, actor: 'alice', valid: true });
+    await appendAuditEntry(workspace, { event: AUDIT_EVENTS.VOTE, urn: manifest.metadata.urn, actor: 'bob' });
+  });
+
+  afterEach(async () => {
+    await fs.remove(workspace);
+  });
+
+  test('canonical JSON ignores key order and undefined values', () => {
+    expect(jsonCanon({ b: 1, a: [{ d: 2, c: undefined }] })).toBe('{"a":[{"d":2}],"b":1}');
+    expect(contentHash({ a: 1, b: 2 })).toBe(contentHash({ b: 2, a: 1 }));
+  });
+
+  test('chains entries by sequence number and hash', async () => {
+    const entries = await readAuditLog(workspace);
+
+    expect(entries.map(entry => entry.seq)).toEqual([1, 2, 3]);
+    expect(entries[0].prev_hash).toBe(GENESIS_HASH);
+    expect(entries[1].prev_hash).toBe(entries[0].hash);
+    expect(entries[2].prev_hash).toBe(entries[1].hash);
+
+    const report = await verifyAuditLog(workspace);
+    expect(report).toMatchObject({ valid: true, entries: 3, head: entries[2].hash, issues: [] });
+  });
+
+  test('detects edited entries', async () => {
+    const lines = await readLines();
+    const edited = JSON.parse(lines[1]);
+    edited.actor = 'mallory';
+    lines[1] = JSON.stringify(edited);
+    await writeLines(lines);
+
+    const report = await verifyAuditLog(workspace);
+    expect(report.valid).toBe(false);
+    expect(report.issues).toEqual([expect.objectContaining({ type: AUDIT_ISSUES.EDITED, line: 2, seq: 2 })]);
+  });
+
+  test('detects removed and reordered entries', async () => {
+    const lines = await readLines();
+    await writeLines([lines[0], lines[2]]);
+
+    let report = await verifyAuditLog(workspace);
+    expect(report.issues.map(issue => issue.type)).toEqual([AUDIT_ISSUES.GAP, AUDIT_ISSUES.BROKEN_CHAIN]);
+
+    await writeLines([lines[1], lines[0], lines[2]]);
+    report = await verifyAuditLog(workspace);
+    expect(report.valid).toBe(false);
+    expect(report.issues[0]).toMatchObject({ type: AUDIT_ISSUES.GAP, line: 1 });
+  });
+
+  test('reports unreadable entries and refuses to extend a broken log', async () => {
+    const lines = await readLines();
+    await writeLines([lines[0], '{"seq": 2, "event": "vo', lines[2]]);
+
+    const report = await verifyAuditLog(workspace);
+    expect(report.issues).toEqual([expect.objectContaining({ type: AUDIT_ISSUES.CORRUPT, line: 2 })]);
+    await expect(readAuditLog(workspace)).rejects.toThrow('Corrupt audit log entry');
+
+    await writeLines([...lines, JSON.stringify({ event: 'vote', actor: 'mallory' })]);
+    await expect(appendAuditEntry(workspace, { event: AUDIT_EVENTS.VOTE })).rejects.toThrow('last entry is not chained');
+  });
+
+  test('detects manifests edited outside the audited workflow', async () => {
+    const manifestPath = path.join(workspace, 'api-manifest.draft.json');
+    await fs.writeJson(manifestPath, { metadata: { urn: 'urn:proto:api:shop/orders@1.0.0', status: 'approved' } });
+
+    const report = await verifyAuditLog(workspace);
+    expect(report.issues).toEqual([
+      expect.objectContaining({ type: AUDIT_ISSUES.UNTRACKED_EDIT, file: 'api-manifest.draft.json', seq: 1 })
+    ]);
+    expect((await verifyAuditLog(workspace, { checkFiles: false })).valid).toBe(true);
+  });
+});
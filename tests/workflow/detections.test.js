@@ -0,0 +1,144 @@
+/**
+ * Detection Review Tests
+ */
+
+const {
+  listDetections,
+  applyDetectionDecisions,
+  recordDetectionDecisions,
+  exportDetectionRules,
+  DETECTION_KINDS
+} = require('../../workflow/detections');
+
+function apiManifest() {
+  return {
+    metadata: { status: 'draft', urn: 'urn:proto:api:shop/orders@1.0.0' },
+    service: { name: 'orders' },
+    interface: {
+      endpoints: [
+        { method: 'GET', path: '/orders', pagination: { style: 'cursor', _confidence: 0.8 } },
+        { method: 'POST', path: '/exports', long_running: { pattern: 'polling' } }
+      ]
+    },
+    operations: { rate_limits: [{ scope: 'global', limit: 100, window: '1m' }] }
+  };
+}
+
+function dataManifest() {
+  return {
+    metadata: {
+      status: 'draft',
+      overrides: [{ operation: 'set', path: 'x', previous_value: { pii: true } }]
+    },
+    dataset: { name: 'public.users' },
+    schema: {
+      fields: {
+        id: { type: 'long' },
+        email: { type: 'string', pii: true, pii_type: 'email' },
+        nickname: { type: 'string', pii: true, pii_type: 'name', pii_confidence: 0.6 }
+      }
+    }
+  };
+}
+
+describe('detection review', () => {
+  test('lists detections across manifest shapes, ignoring override history', () => {
+    expect(listDetections(apiManifest()).map(d => [d.id, d.path])).toEqual([
+      ['pagination:GET /orders', 'interface.endpoints.0.pagination'],
+      ['long_running:POST /exports', 'interface.endpoints.1.long_running'],
+      ['rate_limit:global', 'operations.rate_limits']
+    ]);
+
+    expect(listDetections(dataManifest()).map(d => d.id)).toEqual(['pii:email', 'pii:nickname']);
+
+    const event = { delivery: { contract: { dlq: { topic: 'x.dlq' }, retry_policy: { max_attempts: 3 } } } };
+    expect(listDetections(event).map(d => d.kind)).toEqual([DETECTION_KINDS.DLQ, DETECTION_KINDS.RETRY]);
+  });
+
+  test('strips rejected detections and records overrides with reviewer and reason', () => {
+    const draft = dataManifest();
+    const review = applyDetectionDecisions(draft, {
+      accept: ['email'],
+      reject: ['pii:nickname'],
+      reviewer: 'alice',
+      reason: 'display name only'
+    });
+    const { fields } = review.manifest.schema;
+
+    expect(fields.nickname).toEqual({ type: 'string', pii: false });
+    expect(fields.email.pii).toBe(true);
+    expect(draft.schema.fields.nickname.pii).toBe(true);
+
+    const recorded = review.manifest.metadata.overrides.filter(o => o.detection === 'pii:nickname');
+    expect(recorded.map(o => o.path)).toEqual([
+      'schema.fields.nickname.pii',
+      'schema.fields.nickname.pii_type',
+      'schema.fields.nickname.pii_confidence'
+    ]);
+    expect(recorded[0]).toMatchObject({
+      reviewer: 'alice',
+      reason: 'Rejected pii detection pii:nickname: display name only',
+      previous_value: true,
+      new_value: false
+    });
+    expect(review.manifest.metadata.detection_review).toMatchObject({
+      reviewer: 'alice',
+      accepted: [{ id: 'pii:email' }],
+      rejected: [{ id: 'pii:nickname', reason: 'display name only' }]
+    });
+  });
+
+  test('applies decisions recorded by earlier sign-offs, letting new selectors win', () => {
+    const first = applyDetectionDecisions(apiManifest(), { reject: ['lro', 'pagination'], reviewer: 'carol', reason: 'sync' });
+    const draft = recordDetectionDecisions(apiManifest(), first);
+
+    expect(draft.interface.endpoints[1].long_running).toBeDefined();
+    expect(draft.metadata.detection_decisions.map(d => [d.id, d.decision, d.reviewer])).toEqual([
+      ['pagination:GET /orders', 'rejected', 'carol'],
+      ['long_running:POST /exports', 'rejected', 'carol']
+    ]);
+
+    const review = applyDetectionDecisions(draft, { accept: ['pagination'], reviewer: 'alice' });
+
+    expect(review.accepted.map(d => [d.id, d.reviewer])).toEqual([['pagination:GET /orders', 'alice']]);
+    expect(review.rejected.map(d => [d.id, d.reviewer, d.reason])).toEqual([['long_running:POST /exports', 'carol', 'sync']]);
+    expect(review.manifest.interface.endpoints[0].pagination).toBeDefined();
+    expect(review.manifest.interface.endpoints[1].long_running).toBeUndefined();
+    expect(review.manifest.metadata.detection_decisions).toBeUndefined();
+  });
+
+  test('selects every detection of a kind', () => {
+    const review = applyDetectionDecisions(apiManifest(), { reject: ['lro', 'rate_limits'] });
+
+    expect(review.rejected.map(d => d.id)).toEqual(['long_running:POST /exports', 'rate_limit:global']);
+    expect(review.manifest.interface.endpoints[1].long_running).toBeUndefined();
+    expect(review.manifest.operations.rate_limits).toBeUndefined();
+    expect(review.manifest.interface.endpoints[0].pagination).toBeDefined();
+  });
+
+  test('rejects unknown and contradictory selectors', () => {
+    expect(() => applyDetectionDecisions(apiManifest(), { reject: ['pii'] }))
+      .toThrow('No detection matches "pii" (available: pagination:GET /orders, long_running:POST /exports, rate_limit:global)');
+    expect(() => applyDetectionDecisions(apiManifest(), { accept: ['pagination'], reject: ['interface.endpoints.0.pagination'] }))
+      .toThrow('both accepted and rejected: pagination:GET /orders');
+  });
+
+  test('exports decisions as override rules', () => {
+    const piiReview = applyDetectionDecisions(dataManifest(), { accept: ['email'], reject: ['nickname'] });
+    const { rules } = exportDetectionRules(piiReview, { author: 'alice', context: 'public.users' });
+
+    expect(rules.map(rule => [rule.type, rule.classification, rule.pattern.field])).toEqual([
+      ['pii_pattern', 'email', 'email'],
+      ['classification', 'public', 'nickname']
+    ]);
+    expect(rules[0].metadata.author).toBe('alice');
+
+    const apiReview = applyDetectionDecisions(apiManifest(), { accept: ['pagination', 'rate_limit'], reject: ['lro'] });
+    const api = exportDetectionRules(apiReview);
+
+    expect(api.rules).toHaveLength(1);
+    expect(api.rules[0]).toMatchObject({ type: 'api_pattern', classification: 'pagination', pattern: { endpoint: '/orders', method: 'GET' } });
+    expect(api.skipped.map(s => s.id)).toEqual(['rate_limit:global', 'long_running:POST /exports']);
+    expect(api.exporter.getPendingRules()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Drift Detection Tests
+ */
+
+const path = require('path');
+const {
+  detectDrift,
+  toDiffShape,
+  renderDriftMarkdown,
+  getAcknowledgementPath,
+  parseAcknowledgements,
+  DRIFT_STATUS
+} = require('../../workflow/drift');
+
+function createImportedApi({ specHash = 'abc', endpoints, overrides }) {
+  return {
+    service: { name: 'Orders API', version: '1.0.0', urn: 'urn:proto:api:orders-api/service@1.0.0' },
+    interface: {
+      authentication: { type: 'apiKey', in: 'header' },
+      endpoints
+    },
+    metadata: {
+      status: 'approved',
+      source: { type: 'openapi', imported_at: '2025-01-01T00:00:00Z' },
+      ...(overrides && { overrides })
+    },
+    provenance: { importer: 'OpenAPIImporter', spec_hash: specHash }
+  };
+}
+
+const orderSchema = {
+  type: 'object',
+  properties: { id: { type: 'string' }, total: { type: 'number' } },
+  required: ['id']
+};
+
+const listOrders = {
+  method: 'GET',
+  path: '/orders',
+  responses: [{ status: 200, schema: orderSchema }]
+};
+
+const createOrder = {
+  method: 'POST',
+  path: '/orders',
+  request: { contentType: 'application/json', required: true, schema: orderSchema },
+  responses: [{ status: 201 }]
+};
+
+describe('drift detection', () => {
+  test('short-circuits when the spec hash matches', () => {
+    const approved = createImportedApi({ endpoints: [listOrders] });
+    const current = createImportedApi({ endpoints: [] });
+
+    const report = detectDrift(approved, current);
+
+    expect(report.status).toBe(DRIFT_STATUS.UNCHANGED);
+    expect(report.short_circuit).toBe(true);
+    expect(report.spec_hash).toEqual({ approved: 'abc', current: 'abc', matched: true });
+    expect(report.summary).toBeNull();
+  });
+
+  test('reports breaking drift for removed endpoints and response fields', () => {
+    const approved = createImportedApi({ endpoints: [listOrders, createOrder] });
+    const current = createImportedApi({
+      specHash: 'def',
+      endpoints: [{
+        ...listOrders,
+        responses: [{ status: 200, schema: { type: 'object', properties: { total: { type: 'number' } } } }]
+      }]
+    });
+
+    const report = detectDrift(approved, current);
+
+    expect(report.status).toBe(DRIFT_STATUS.BREAKING);
+    expect(report.urn).toBe('urn:proto:api:orders-api/service@1.0.0');
+    expect(report.breaking.breakingChanges.map(c => c.description)).toEqual(
+      expect.arrayContaining(['Endpoint removed: POST /orders', 'Property removed: id'])
+    );
+    expect(report.breaking.riskScore).toBeGreaterThan(0);
+  });
+
+  test('reports non-breaking drift for added endpoints', () => {
+    const approved = createImportedApi({ endpoints: [listOrders] });
+    const current = createImportedApi({ specHash: 'def', endpoints: [listOrders, createOrder] });
+
+    const report = detectDrift(approved, current);
+
+    expect(report.status).toBe(DRIFT_STATUS.DRIFTED);
+    expect(report.summary).toMatchObject({ breaking: 0, compatible: 1 });
+  });
+
+  test('re-applies approved overrides before comparing', () => {
+    const approved = createImportedApi({
+      endpoints: [listOrders],
+      overrides: [{ operation: 'delete', path: 'interface.authentication', reason: 'Public endpoint' }]
+    });
+    delete approved.interface.authentication;
+    const current = createImportedApi({ specHash: 'def', endpoints: [listOrders] });
+
+    const report = detectDrift(approved, current);
+
+    expect(report.carried_overrides).toBe(1);
+    expect(report.status).toBe(DRIFT_STATUS.UNCHANGED);
+  });
+
+  test('normalises data and event manifests for diffing', () => {
+    const data = toDiffShape({
+      datasets: [{ dataset: { name: 'public.users' }, schema: { fields: { email: { type: 'string', required: true } } } }]
+    });
+    expect(data.service.tables).toEqual([
+      { name: 'public.users', columns: [{ name: 'email', type: 'string', nullable: false }] }
+    ]);
+
+    const event = toDiffShape({
+      protocol: 'event-protocol/v1',
+      event: { name: 'orders', version: '2.0.0' },
+      schema: { payload: orderSchema },
+      delivery: { contract: { topic: 'orders' } }
+    });
+    expect(event.catalog.endpoints).toEqual([{ method: 'PUBLISH', path: 'orders', response: orderSchema }]);
+  });
+
+  test('renders a Markdown report', () => {
+    const approved = createImportedApi({ endpoints: [listOrders, createOrder] });
+    const current = createImportedApi({ specHash: 'def', endpoints: [listOrders] });
+
+    const markdown = renderDriftMarkdown(detectDrift(approved, current), { source: './openapi.json' });
+
+    expect(markdown).toContain('# Drift Report');
+    expect(markdown).toContain('- **Status:** breaking');
+    expect(markdown).toContain('## Breaking Changes');
+    expect(markdown).toContain('Endpoint removed: POST /orders');
+    expect(markdown).toContain('Breaking drift fails the check (exit code 1) until the manifest is re-approved.');
+    expect(markdown).toContain('`{ "spec_hash": "def", "reason": "..." }`');
+  });
+
+  test('honors an acknowledgement for the re-discovered spec hash only', () => {
+    const approved = createImportedApi({ endpoints: [listOrders, createOrder] });
+    const current = createImportedApi({ specHash: 'def', endpoints: [listOrders] });
+    const acknowledgements = [{ spec_hash: 'def', reason: 'POST /orders moved to the checkout API', acknowledged_by: 'alice' }];
+
+    const report = detectDrift(approved, current, { acknowledgements });
+    expect(report.status).toBe(DRIFT_STATUS.BREAKING);
+    expect(report.acknowledged).toEqual(acknowledgements[0]);
+    expect(renderDriftMarkdown(report, { approvedPath: 'artifacts/api.approved.json' }))
+      .toContain('Acknowledged by alice: POST /orders moved to the checkout API.');
+
+    const later = createImportedApi({ specHash: 'ghi', endpoints: [listOrders] });
+    expect(detectDrift(approved, later, { acknowledgements }).acknowledged).toBeNull();
+  });
+
+  test('locates and validates acknowledgement files', () => {
+    expect(getAcknowledgementPath('artifacts/api.approved.json')).toBe(path.join('artifacts', 'api.approved.drift-ack.json'));
+    expect(parseAcknowledgements({ acknowledged: [] }, 'ack.json')).toEqual([]);
+    expect(() => parseAcknowledgements({}, 'ack.json')).toThrow('acknowledged must be an array');
+    expect(() => parseAcknowledgements({ acknowledged: [{ spec_hash: 'def' }] }, 'ack.json'))
+      .toThrow('Invalid drift acknowledgements in ack.json: acknowledged[0].reason is required');
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Git-aware Manifest Diff Tests
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+  diffRevisions,
+  pairManifests,
+  renderRevisionsText,
+  renderRevisionsMarkdown,
+  FILE_CHANGE
+} = require('../../workflow/git-diff');
+
+const API_URN = 'urn:proto:api:orders/service';
+
+function apiManifest(version, endpoints) {
+  return {
+    metadata: { urn: `${API_URN}@${version}`, kind: 'api', version },
+    catalog: { type: 'api', endpoints }
+  };
+}
+
+function dataManifest(fields) {
+  return {
+    dataset: { name: 'public.orders', type: 'table' },
+    schema: { fields },
+    metadata: { urn: 'urn:proto:data:postgres/public.orders', kind: 'data' }
+  };
+}
+
+describe('git-aware manifest diff', () => {
+  let repo;
+
+  const git = (...args) => execFileSync('git', args, { cwd: repo, stdio: 'pipe' }).toString();
+  const write = (file, value) => fs.outputJsonSync(path.join(repo, file), value, { spaces: 2 });
+  const commit = message => {
+    git('add', '-A');
+    git('commit', '-q', '-m', message);
+  };
+
+  beforeEach(() => {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'git-diff-'));
+    git('init', '-q');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'user.name', 'Test');
+    git('config', 'commit.gpgsign', 'false');
+
+    write('manifests/orders-api.json', apiManifest('1.0.0', [
+      { method: 'GET', path: '/orders' },
+      { method: 'DELETE', path: '/orders/{id}' }
+    ]));
+    write('manifests/orders-table.json', dataManifest({ id: { type: 'long', required: true } }));
+    write('manifests/legacy.json', {
+      metadata: { urn: 'urn:proto:api:legacy/service', kind: 'api' },
+      catalog: { type: 'api', endpoints: [{ method: 'GET', path: '/v0' }] }
+    });
+    write('manifests/notes.json', { hello: 'not a manifest' });
+    write('other/ignored.json', apiManifest('9.0.0', []));
+    commit('base');
+  });
+
+  afterEach(() => {
+    fs.removeSync(repo);
+  });
+
+  test('pairs renamed and version-bumped manifests by URN', () => {
+    fs.removeSync(path.join(repo, 'manifests/orders-api.json'));
+    write('manifests/api/orders.json', apiManifest('2.0.0', [{ method: 'GET', path: '/orders' }]));
+
+    const report = diffRevisions({ base: 'HEAD', dir: path.join(repo, 'manifests') });
+
+    expect(report.files).toHaveLength(1);
+    expect(report.files[0]).toMatchObject({
+      change: FILE_CHANGE.RENAMED,
+      old_path: 'manifests/orders-api.json',
+      new_path: 'manifests/api/orders.json',
+      verdict: 'breaking',
+      versions: { old: '1.0.0', new: '2.0.0' }
+    });
+    expect(report.files[0].breaking.breakingChanges[0].category).toBe('removed_endpoint');
+    expect(report.status).toBe('breaking');
+  });
+
+  test('compares two committed revisions and aggregates per-file verdicts', () => {
+    write('manifests/orders-table.json', dataManifest({
+      id: { type: 'long', required: true },
+      note: { type: 'string' }
+    }));
+    fs.removeSync(path.join(repo, 'manifests/legacy.json'));
+    write('manifests/payments.json', {
+      metadata: { urn: 'urn:proto:api:payments/service', kind: 'api' },
+      catalog: { type: 'api', endpoints: [] }
+    });
+    write('other/ignored.json', apiManifest('9.0.0', [{ method: 'GET', path: '/x' }]));
+    commit('head');
+
+    const report = diffRevisions({ base: 'HEAD~1', head: 'HEAD', dir: path.join(repo, 'manifests') });
+    const byPath = file => report.files.find(f => (f.new_path || f.old_path) === file);
+
+    expect(report.head).toBe('HEAD');
+    expect(report.summary).toMatchObject({ files: 3, added: 1, removed: 1, modified: 1, breaking: 1, nonBreaking: 2 });
+    expect(byPath('manifests/orders-table.json')).toMatchObject({ change: FILE_CHANGE.MODIFIED, verdict: 'non_breaking' });
+    expect(byPath('manifests/legacy.json')).toMatchObject({ change: FILE_CHANGE.REMOVED, verdict: 'breaking' });
+    expect(byPath('manifests/payments.json')).toMatchObject({ change: FILE_CHANGE.ADDED, verdict: 'non_breaking' });
+    expect(report.files.some(f => f.new_path === 'other/ignored.json')).toBe(false);
+
+    expect(renderRevisionsText(report)).toContain('BREAKING      manifests/legacy.json (removed)');
+    expect(renderRevisionsMarkdown(report)).toContain('| non_breaking | modified | `manifests/orders-table.json` |');
+  });
+
+  test('scores impact against consumers in the head revision', () => {
+    write('manifests/storefront.json', {
+      metadata: { urn: 'urn:proto:api:storefront/service', kind: 'api' },
+      catalog: { type: 'api', endpoints: [] },
+      relationships: { depends_on: [`${API_URN}@1.0.0`] }
+    });
+    write('manifests/orders-api.json', apiManifest('1.0.0', [{ method: 'GET', path: '/orders' }]));
+
+    const report = diffRevisions({ base: 'HEAD', dir: path.join(repo, 'manifests') });
+    const orders = report.files.find(f => f.urn === `${API_URN}@1.0.0`);
+
+    expect(orders.impact.affectedManifests).toEqual(['urn:proto:api:storefront/service']);
+  });
+
+  test('reports no changes for an untouched tree', () => {
+    const report = diffRevisions({ base: 'HEAD', dir: repo });
+
+    expect(report).toMatchObject({ status: 'unchanged', head: 'working tree', files: [] });
+    expect(renderRevisionsText(report)).toContain('No manifest changes.');
+  });
+
+  test('fails on unknown revisions', () => {
+    expect(() => diffRevisions({ base: 'does-not-exist', dir: repo })).toThrow(/git ls-tree failed/);
+  });
+});
+
+describe('pairManifests', () => {
+  test('keeps manifests without URNs paired by path', () => {
+    const pairs = pairManifests(
+      [{ path: 'a.json', urn: null }, { path: 'b.json', urn: 'urn:proto:api:x/y@1' }],
+      [{ path: 'a.json', urn: null }, { path: 'c.json', urn: 'urn:proto:api:x/y@2' }]
+    );
+
+    expect(pairs.map(p => [p.old?.path, p.new?.path])).toEqual([
+      ['a.json', 'a.json'],
+      ['b.json', 'c.json']
+    ]);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Manifest Diff Tests
+ */
+
+const { diffManifests, renderDiffText, renderDiffMarkdown, DIFF_STATUS } = require('../../workflow/manifest-diff');
+const { buildGraph } = require('../../workflow/graph-builder');
+
+const DATA_URN = 'urn:proto:data:postgres/public.users';
+
+function createDataset(fields) {
+  return {
+    dataset: { name: 'public.users', type: 'table', urn: DATA_URN },
+    schema: { primary_key: ['id'], fields },
+    metadata: { urn: DATA_URN, kind: 'data', status: 'approved' }
+  };
+}
+
+const baseFields = {
+  id: { type: 'long', required: true },
+  email: { type: 'string', required: true, pii: true }
+};
+
+describe('manifest diff', () => {
+  test('reports identical manifests as unchanged', () => {
+    const report = diffManifests(createDataset(baseFields), createDataset(baseFields));
+
+    expect(report.status).toBe(DIFF_STATUS.UNCHANGED);
+    expect(report.summary.totalChanges).toBe(0);
+    expect(report.migration).toBeNull();
+    expect(renderDiffText(report)).toContain('No changes.');
+  });
+
+  test('reports added columns as non-breaking', () => {
+    const report = diffManifests(
+      createDataset(baseFields),
+      createDataset({ ...baseFields, nickname: { type: 'string' } })
+    );
+
+    expect(report.status).toBe(DIFF_STATUS.NON_BREAKING);
+    expect(report.urn).toBe(DATA_URN);
+    expect(report.summary.breaking).toBe(0);
+    expect(report.summary.totalChanges).toBeGreaterThan(0);
+    expect(report.migration.strategy.approach).toBe('simple');
+  });
+
+  test('scores breaking changes against downstream consumers', () => {
+    const consumer = {
+      urn: 'urn:proto:event:cdc/public.users',
+      relationships: { derives_from: [DATA_URN] },
+      metadata: { urn: 'urn:proto:event:cdc/public.users', kind: 'event' }
+    };
+    const { graph } = buildGraph([
+      { path: 'users.json', manifest: createDataset(baseFields) },
+      { path: 'users-cdc.json', manifest: consumer }
+    ]);
+
+    const report = diffManifests(
+      createDataset(baseFields),
+      createDataset({ id: baseFields.id }),
+      { graph }
+    );
+
+    expect(report.status).toBe(DIFF_STATUS.BREAKING);
+    expect(report.breaking.breakingChanges[0]).toMatchObject({ type: 'removed', category: 'removed_field' });
+    expect(report.impact).toMatchObject({ totalAffected: 1, affectedManifests: [consumer.urn] });
+    expect(report.breaking.riskScore).toBeGreaterThan(0);
+  });
+
+  test('renders categorized Markdown', () => {
+    const report = diffManifests(
+      createDataset(baseFields),
+      createDataset({ id: baseFields.id, nickname: { type: 'string' } })
+    );
+    const markdown = renderDiffMarkdown(report, { oldPath: 'old.json', newPath: 'new.json' });
+
+    expect(markdown).toContain('# Manifest Diff');
+    expect(markdown).toContain('- **Old:** `old.json`');
+    expect(markdown).toContain('| Breaking | 1 |');
+    expect(markdown).toContain('## Breaking Changes');
+    expect(markdown).toContain('## Other Changes');
+    expect(markdown).toContain('## Migration');
+  });
+});
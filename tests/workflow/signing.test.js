@@ -0,0 +1,115 @@
+/**
+ * Manifest Signing Tests
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+  SIGNATURE_STATUS,
+  generateSigningKeyPair,
+  getKeyId,
+  loadSigningKey,
+  signManifest,
+  verifyManifestSignature,
+  loadTrustStore
+} = require('../../workflow/signing.cjs');
+const { revertToDraft, deprecate } = require('../../workflow/state-machine');
+
+describe('Manifest Signing', () => {
+  let dir;
+  let release;
+  let manifest;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'signing-'));
+    release = generateSigningKeyPair();
+    manifest = {
+      metadata: { urn: 'urn:proto:api:shop/orders@1.0.0', status: 'approved' },
+      catalog: { type: 'rest', endpoints: [{ pattern: '/orders', method: 'GET' }] }
+    };
+    await fs.outputFile(path.join(dir, 'trusted', 'release.pem'), release.publicKey);
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('signs the canonical JSON, independent of key order', async () => {
+    const trustStore = await loadTrustStore(path.join(dir, 'trusted'));
+    const signed = signManifest(manifest, release.privateKey, { signedAt: new Date('2026-01-01T00:00:00Z') });
+
+    expect(manifest.metadata.signature).toBeUndefined();
+    expect(signed.metadata.signature).toMatchObject({
+      alg: 'ed25519',
+      key_id: release.keyId,
+      signed_at: '2026-01-01T00:00:00.000Z'
+    });
+
+    const reordered = { catalog: signed.catalog, metadata: { status: 'approved', ...signed.metadata } };
+    expect(verifyManifestSignature(reordered, trustStore)).toMatchObject({
+      valid: true,
+      status: SIGNATURE_STATUS.VALID,
+      signer: 'release'
+    });
+  });
+
+  test('reports unsigned, untrusted and modified manifests', async () => {
+    const trustStore = await loadTrustStore(path.join(dir, 'trusted'));
+    const other = generateSigningKeyPair();
+
+    expect(verifyManifestSignature(manifest, trustStore).status).toBe(SIGNATURE_STATUS.UNSIGNED);
+    expect(verifyManifestSignature(signManifest(manifest, other.privateKey), trustStore)).toMatchObject({
+      valid: false,
+      status: SIGNATURE_STATUS.UNTRUSTED,
+      key_id: other.keyId
+    });
+
+    const tampered = signManifest(manifest, release.privateKey);
+    tampered.catalog.endpoints = [];
+    expect(verifyManifestSignature(tampered, trustStore).status).toBe(SIGNATURE_STATUS.INVALID);
+
+    const forged = signManifest(manifest, release.privateKey);
+    forged.metadata.signature.value = signManifest(manifest, other.privateKey).metadata.signature.value;
+    expect(verifyManifestSignature(forged, trustStore).status).toBe(SIGNATURE_STATUS.INVALID);
+  });
+
+  test('loads trust stores from PEM files and JSON key lists', async () => {
+    const other = generateSigningKeyPair();
+    await fs.writeJson(path.join(dir, 'keys.json'), {
+      keys: [{ name: 'release', public_key: release.publicKey }, { name: 'ci', public_key: other.publicKey }]
+    });
+
+    const fromJson = await loadTrustStore(path.join(dir, 'keys.json'));
+    expect([...fromJson.keys()].sort()).toEqual([release.keyId, other.keyId].sort());
+    expect(fromJson.get(other.keyId).name).toBe('ci');
+
+    const fromFile = await loadTrustStore(path.join(dir, 'trusted', 'release.pem'));
+    expect([...fromFile.keys()]).toEqual([release.keyId]);
+
+    const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    await fs.writeFile(path.join(dir, 'trusted', 'rsa.pem'), rsa.publicKey.export({ type: 'spki', format: 'pem' }));
+    await expect(loadTrustStore(path.join(dir, 'trusted'))).rejects.toThrow('expected ed25519');
+    await expect(loadTrustStore(path.join(dir, 'missing'))).rejects.toThrow('Trust store not found');
+  });
+
+  test('loads Ed25519 signing keys from PEM files', async () => {
+    const keyPath = path.join(dir, 'release.key');
+    await fs.writeFile(keyPath, release.privateKey);
+
+    const key = await loadSigningKey(keyPath);
+    expect(getKeyId(key)).toBe(release.keyId);
+    await expect(loadSigningKey(path.join(dir, 'trusted', 'release.pem'))).rejects.toThrow('Invalid signing key');
+  });
+
+  test('drops the signature when an approved manifest is reverted to draft', () => {
+    const signed = signManifest(manifest, release.privateKey);
+    expect(revertToDraft(signed).metadata.signature).toBeUndefined();
+  });
+
+  test('drops the signature when a signed manifest is deprecated', () => {
+    const signed = signManifest(manifest, release.privateKey);
+    expect(deprecate(signed, { reason: 'Moving to v2' }).metadata.signature).toBeUndefined();
+  });
+});
@@ -15,10 +15,17 @@ const {
   approve,
   revertToDraft,
   deprecate,
+  submitForReview,
+  reject,
+  sunset,
+  retire,
+  findActiveConsumers,
+  isPastSunset,
   getNextStates,
   isTerminalState,
   StateTransitionError
 } = require('../../workflow/state-machine');
+const { buildGraph } = require('../../workflow/graph-builder');
 const {
   applyOverrides,
   applyOverride,
@@ -29,7 +36,9 @@ const {
   getOverridePath,
   getOverrideHistory,
   saveOverrides,
-  loadOverrides
+  loadOverrides,
+  rebaseOverrides,
+  REBASE_CONFLICTS
 } = require('../../workflow/overrides');
 
 describe('Workflow System', () => {
@@ -310,20 +319,86 @@ describe('Workflow System', () => {
       });
     });
 
+    describe('Lifecycle', () => {
+      const users = 'urn:proto:data:warehouse/users@1.0.0';
+      const workspace = status => buildGraph([
+        { path: 'users.json', manifest: { metadata: { urn: users, kind: 'data', status: 'approved' } } },
+        {
+          path: 'orders.json',
+          manifest: { metadata: { urn: 'urn:proto:api:shop/orders@1.0.0', kind: 'api', status, depends_on: [users] } }
+        }
+      ]).graph;
+
+      test('reviews, rejects and reworks a draft', () => {
+        const inReview = submitForReview({ metadata: { status: 'draft' } }, { actor: 'alice' });
+        expect(inReview.metadata.status).toBe('in_review');
+        expect(inReview.metadata.submitted_at).toBeDefined();
+
+        expect(() => reject(inReview, {})).toThrow('Rejection requires a reason');
+        const rejected = reject(inReview, { reason: 'Missing owner', actor: 'bob' });
+        expect(rejected.metadata).toMatchObject({ status: 'rejected', rejection_reason: 'Missing owner', rejected_by: 'bob' });
+        expect(rejected.metadata.state_history.map(entry => entry.by)).toEqual(['alice', 'bob']);
+
+        expect(() => approve(rejected)).toThrow(StateTransitionError);
+        const reworked = revertToDraft(rejected);
+        expect(reworked.metadata.status).toBe('draft');
+        expect(reworked.metadata.rejection_reason).toBeUndefined();
+      });
+
+      test('refuses to deprecate while active consumers remain, unless forced', () => {
+        const manifest = { metadata: { urn: users, status: 'approved' } };
+
+        expect(findActiveConsumers(workspace('approved'), users)).toEqual([
+          { urn: 'urn:proto:api:shop/orders@1.0.0', kind: 'depends_on' }
+        ]);
+        expect(() => deprecate(manifest, { graph: workspace('approved') })).toThrow('1 active consumer(s)');
+        expect(deprecate(manifest, { graph: workspace('approved'), force: true }).metadata.status).toBe('deprecated');
+
+        // Consumers on their way out no longer block
+        expect(findActiveConsumers(workspace('deprecated'), users)).toEqual([]);
+        expect(deprecate(manifest, { graph: workspace('deprecated') }).metadata.status).toBe('deprecated');
+      });
+
+      test('schedules a sunset with a replacement and retires after it', () => {
+        const deprecated = { metadata: { urn: users, status: 'deprecated' } };
+
+        expect(() => sunset(deprecated, {})).toThrow('valid sunset date');
+        expect(() => sunset(deprecated, { sunsetAt: '2026-06-30', replacement: 'users-v2' })).toThrow('Invalid replacement URN');
+
+        const scheduled = sunset(deprecated, { sunsetAt: '2026-06-30', replacement: 'urn:proto:data:warehouse/users@2.0.0' });
+        expect(scheduled.metadata).toMatchObject({
+          status: 'sunset',
+          sunset_at: '2026-06-30T00:00:00.000Z',
+          replaced_by: 'urn:proto:data:warehouse/users@2.0.0'
+        });
+        expect(isPastSunset(scheduled, new Date('2026-06-01'))).toBe(false);
+        expect(isPastSunset(scheduled, new Date('2026-07-01'))).toBe(true);
+
+        expect(() => retire(scheduled, { now: new Date('2026-06-01') })).toThrow('before the sunset date');
+        const retired = retire(scheduled, { now: new Date('2026-07-01') });
+        expect(retired.metadata).toMatchObject({ status: 'retired', retired_at: '2026-07-01T00:00:00.000Z' });
+        expect(isPastSunset(retired, new Date('2026-07-01'))).toBe(false);
+        expect(isTerminalState(retired)).toBe(true);
+      });
+    });
+
     describe('State Queries', () => {
       test('returns next states for draft', () => {
         const manifest = { metadata: { status: 'draft' } };
         const nextStates = getNextStates(manifest);
 
         expect(nextStates).toContain('approved');
-        expect(nextStates).toHaveLength(1);
+        expect(nextStates).toContain('in_review');
+        expect(nextStates).toHaveLength(2);
       });
 
       test('identifies terminal state', () => {
+        const retired = { metadata: { status: 'retired' } };
         const deprecated = { metadata: { status: 'deprecated' } };
         const draft = { metadata: { status: 'draft' } };
 
-        expect(isTerminalState(deprecated)).toBe(true);
+        expect(isTerminalState(retired)).toBe(true);
+        expect(isTerminalState(deprecated)).toBe(false);
         expect(isTerminalState(draft)).toBe(false);
       });
     });
@@ -481,5 +556,109 @@ describe('Workflow System', () => {
         }
       });
     });
+
+    describe('Override Rebase', () => {
+      const base = {
+        metadata: { status: 'draft' },
+        catalog: { type: 'rest', title: 'Orders', endpoints: { list: { summary: 'List' } } }
+      };
+
+      test('rebases clean overrides and records their new base value', async () => {
+        const draft = { ...base, catalog: { ...base.catalog, version: '2.0.0' } };
+        const overrides = [createSetOverride('catalog.type', 'graphql', 'Fix type')];
+
+        const result = await rebaseOverrides(overrides, draft, { base });
+
+        expect(result.conflicts).toBe(0);
+        expect(result.results[0].status).toBe('clean');
+        expect(result.overrides).toEqual([{ ...overrides[0], base_value: 'rest' }]);
+      });
+
+      test('detects vanished targets and changed base values', async () => {
+        const draft = { metadata: { status: 'draft' }, catalog: { type: 'grpc', title: 'Orders' } };
+        const overrides = [
+          createSetOverride('catalog.type', 'graphql', 'Fix type'),
+          createSetOverride('catalog.endpoints.list.summary', 'List orders', 'Wording'),
+          createMergeOverride('catalog.endpoints.list', { tags: ['orders'] }, 'Tagging')
+        ];
+
+        const result = await rebaseOverrides(overrides, draft, { base });
+
+        expect(result.results.map(r => r.conflict?.type)).toEqual([
+          REBASE_CONFLICTS.BASE_CHANGED,
+          REBASE_CONFLICTS.PATH_MISSING,
+          REBASE_CONFLICTS.PATH_MISSING
+        ]);
+        expect(result.results[0]).toMatchObject({ base_value: 'rest', current_value: 'grpc' });
+        expect(result.unresolved).toBe(3);
+        expect(result.overrides).toEqual(overrides);
+      });
+
+      test('uses recorded base values when no base manifest is given', async () => {
+        const draft = { metadata: { status: 'draft' }, catalog: { type: 'rest' } };
+        const overrides = [{ ...createSetOverride('catalog.type', 'graphql', 'Fix'), base_value: 'soap' }];
+
+        const result = await rebaseOverrides(overrides, draft);
+
+        expect(result.results[0].conflict.type).toBe(REBASE_CONFLICTS.BASE_CHANGED);
+      });
+
+      test('records the overridden value at creation so a first rebase needs no base', async () => {
+        const overrides = [
+          createSetOverride('catalog.type', 'graphql', 'Fix type', base),
+          createDeleteOverride('catalog.title', 'Drop title', base),
+          createSetOverride('catalog.owner', 'payments', 'Add owner', base)
+        ];
+        expect(overrides.map(override => override.base_value)).toEqual(['rest', 'Orders', undefined]);
+        expect(overrides[2]).not.toHaveProperty('base_value');
+
+        const draft = { metadata: { status: 'draft' }, catalog: { type: 'grpc', title: 'Orders' } };
+        const result = await rebaseOverrides(overrides, draft);
+
+        expect(result.results.map(r => r.status)).toEqual(['conflict', 'clean', 'clean']);
+        expect(result.results[0]).toMatchObject({
+          conflict: { type: REBASE_CONFLICTS.BASE_CHANGED },
+          base_value: 'rest',
+          current_value: 'grpc'
+        });
+      });
+
+      test('marks overrides the draft already satisfies as redundant', async () => {
+        const draft = { metadata: { status: 'draft' }, catalog: { type: 'graphql' } };
+        const overrides = [
+          createSetOverride('catalog.type', 'graphql', 'Fix type'),
+          createDeleteOverride('catalog.title', 'Drop title')
+        ];
+
+        const result = await rebaseOverrides(overrides, draft, { base });
+
+        expect(result.results.map(r => r.status)).toEqual(['redundant', 'redundant']);
+        expect(result.conflicts).toBe(0);
+      });
+
+      test('resolves conflicts with a strategy', async () => {
+        const draft = { metadata: { status: 'draft' }, catalog: { type: 'grpc' } };
+        const overrides = [createSetOverride('catalog.type', 'graphql', 'Fix type')];
+
+        const ours = await rebaseOverrides(overrides, draft, { base, strategy: 'ours' });
+        expect(ours.overrides).toEqual([{ ...overrides[0], base_value: 'grpc' }]);
+        expect(ours.unresolved).toBe(0);
+
+        const theirs = await rebaseOverrides(overrides, draft, { base, strategy: 'theirs' });
+        expect(theirs.overrides).toEqual([]);
+
+        await expect(rebaseOverrides(overrides, draft, { strategy: 'mine' })).rejects.toThrow('Unknown rebase strategy');
+      });
+
+      test('resolves conflicts through a callback', async () => {
+        const draft = { metadata: { status: 'draft' }, catalog: { type: 'grpc' } };
+        const resolve = jest.fn().mockResolvedValue('ours');
+
+        const result = await rebaseOverrides([createSetOverride('catalog.type', 'graphql')], draft, { base, resolve });
+
+        expect(resolve).toHaveBeenCalledWith(expect.objectContaining({ path: 'catalog.type', status: 'conflict' }));
+        expect(result.results[0].resolution).toBe('ours');
+      });
+    });
   });
 });
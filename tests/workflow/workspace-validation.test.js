@@ -0,0 +1,200 @@
+/**
+ * Workspace Validation Tests
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+  validateWorkspace,
+  fieldToPointer,
+  indexPointers,
+  renderValidationText,
+  toSarif
+} = require('../../workflow/workspace-validation');
+
+function apiManifest(urn, overrides = {}) {
+  return {
+    metadata: {
+      status: 'draft',
+      urn,
+      kind: 'api',
+      version: '1.0.0',
+      source: { type: 'openapi', imported_at: '2025-01-01T00:00:00Z' }
+    },
+    catalog: {
+      type: 'rest',
+      endpoints: [{ id: 'urn:proto:api.endpoint:shop/orders/list@1.0.0', pattern: '/orders', method: 'GET' }]
+    },
+    provenance: { importer: 'test-suite', imported_at: '2025-01-01T00:00:00Z', spec_hash: 'abc' },
+    ...overrides
+  };
+}
+
+describe('workspace validation', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'workspace-validation-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('passes a consistent workspace', async () => {
+    await fs.outputJson(path.join(dir, 'orders.json'), apiManifest('urn:proto:api:shop/orders@1.0.0'), { spaces: 2 });
+    await fs.outputJson(path.join(dir, 'storefront.json'), apiManifest('urn:proto:api:shop/storefront@1.0.0', {
+      relationships: { depends_on: ['urn:proto:api:shop/orders@1.0.0'] }
+    }), { spaces: 2 });
+
+    const report = await validateWorkspace(dir);
+
+    expect(report.valid).toBe(true);
+    expect(report.summary).toMatchObject({ files: 2, invalid: 0, errors: 0 });
+    expect(report.graph.edges).toBe(1);
+  });
+
+  test('reports structural and cross-protocol issues with pointers and positions', async () => {
+    const broken = apiManifest('urn:proto:api:shop/orders@1.0.0', {
+      catalog: { type: 'rest', endpoints: [{ id: 'urn:proto:api.endpoint:shop/orders/list@1.0.0', pattern: '/orders', method: 'FETCH' }] },
+      relationships: { depends_on: ['urn:proto:api:shop/missing@1.0.0'] }
+    });
+    delete broken.metadata.status;
+    await fs.outputJson(path.join(dir, 'orders.json'), broken, { spaces: 2 });
+    await fs.writeFile(path.join(dir, 'corrupt.json'), '{ "metadata": ');
+
+    const report = await validateWorkspace(dir);
+    const orders = report.files.find(file => file.path.endsWith('orders.json'));
+    const byPointer = pointer => orders.issues.find(issue => issue.pointer === pointer);
+
+    expect(report.valid).toBe(false);
+    expect(report.summary.invalid).toBe(2);
+    expect(byPointer('/metadata/status')).toMatchObject({ source: 'structural', severity: 'error', line: 2 });
+    expect(byPointer('/catalog/endpoints/0/method')).toMatchObject({ severity: 'warning', line: 17 });
+    expect(byPointer('/relationships/depends_on/0')).toMatchObject({
+      source: 'cross_protocol',
+      rule: 'urn_references',
+      line: 28
+    });
+    expect(report.files.find(file => file.path.endsWith('corrupt.json')).issues[0]).toMatchObject({
+      rule: 'parse',
+      severity: 'error',
+      pointer: ''
+    });
+
+    const text = renderValidationText(report, { baseDir: dir });
+    expect(text).toContain('orders.json (urn:proto:api:shop/orders@1.0.0)');
+    expect(text).toContain('/metadata/status  Missing required field: metadata.status [structural]');
+  });
+
+  test('emits SARIF 2.1.0 with regions and logical locations', async () => {
+    const manifest = apiManifest('urn:proto:api:shop/orders@1.0.0');
+    delete manifest.catalog.type;
+    await fs.outputJson(path.join(dir, 'orders.json'), manifest, { spaces: 2 });
+
+    const sarif = toSarif(await validateWorkspace(dir), { baseDir: dir });
+    const [run] = sarif.runs;
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(run.tool.driver.rules.map(rule => rule.id)).toEqual(['structural']);
+    expect(run.results[0]).toMatchObject({
+      ruleId: 'structural',
+      level: 'error',
+      message: { text: 'Missing required field: catalog.type' },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: 'orders.json' },
+          region: { startLine: 12, startColumn: 3 }
+        },
+        logicalLocations: [{ fullyQualifiedName: '/catalog/type', kind: 'member' }]
+      }]
+    });
+  });
+
+  test('reports manifests without a URN instead of skipping them', async () => {
+    const noUrn = apiManifest('urn:proto:api:shop/orders@1.0.0');
+    delete noUrn.metadata.urn;
+    delete noUrn.catalog.type;
+    await fs.outputJson(path.join(dir, 'orders.json'), noUrn, { spaces: 2 });
+    await fs.outputJson(path.join(dir, 'legacy.json'), apiManifest('urn:events:shop:order:created'), { spaces: 2 });
+
+    const report = await validateWorkspace(dir);
+    const issuesOf = name => report.files.find(file => file.path.endsWith(name)).issues;
+
+    expect(report.valid).toBe(false);
+    expect(report.summary).toMatchObject({ files: 2, invalid: 2 });
+    expect(issuesOf('orders.json')).toEqual(expect.arrayContaining([
+      expect.objectContaining({ rule: 'structural', pointer: '/metadata/urn', message: 'Missing required field: metadata.urn', line: 2 }),
+      expect.objectContaining({ rule: 'structural', pointer: '/catalog/type' })
+    ]));
+    expect(issuesOf('legacy.json')[0]).toMatchObject({
+      rule: 'structural',
+      severity: 'error',
+      pointer: '/metadata/urn',
+      message: 'Invalid URN format: "urn:events:shop:order:created"'
+    });
+  });
+
+  test('walks subdirectories and skips override sidecars and approval policies', async () => {
+    const nested = apiManifest('urn:proto:api:shop/payments@1.0.0');
+    delete nested.catalog.type;
+    await fs.outputJson(path.join(dir, 'orders.json'), apiManifest('urn:proto:api:shop/orders@1.0.0'), { spaces: 2 });
+    await fs.outputJson(path.join(dir, 'payments', 'v1', 'payments.json'), nested, { spaces: 2 });
+    await fs.outputFile(path.join(dir, 'payments', 'corrupt.json'), '{');
+    await fs.outputJson(path.join(dir, 'orders.overrides.json'), { overrides: [] });
+    await fs.outputJson(path.join(dir, 'approval-policy.json'), { default: { min_approvals: 1 } });
+
+    const report = await validateWorkspace(dir);
+
+    expect(report.valid).toBe(false);
+    expect(report.summary).toMatchObject({ files: 3, invalid: 2 });
+    expect(report.files.map(file => path.relative(dir, file.path)).sort()).toEqual([
+      'orders.json',
+      path.join('payments', 'corrupt.json'),
+      path.join('payments', 'v1', 'payments.json')
+    ]);
+    expect(report.files.find(file => file.path.endsWith('payments.json'))).toMatchObject({
+      urn: 'urn:proto:api:shop/payments@1.0.0',
+      valid: false
+    });
+    expect(report.graph.nodes).toBeGreaterThanOrEqual(2);
+  });
+
+  test('skips JSON that is not shaped like a manifest', async () => {
+    await fs.outputJson(path.join(dir, 'orders.json'), apiManifest('urn:proto:api:shop/orders@1.0.0'), { spaces: 2 });
+    await fs.outputJson(path.join(dir, 'drift-report.json'), {
+      urn: 'urn:proto:api:shop/orders@1.0.0',
+      spec_hash: { approved: 'a', current: 'b', matched: false },
+      changes: { breaking: [], nonBreaking: [], compatible: [], internal: [] }
+    });
+    await fs.outputJson(path.join(dir, 'package.json'), { name: 'shop', version: '1.0.0' });
+    await fs.outputJson(path.join(dir, 'ids.json'), ['urn:proto:api:shop/orders@1.0.0']);
+
+    const report = await validateWorkspace(dir);
+
+    expect(report.valid).toBe(true);
+    expect(report.files.map(file => path.basename(file.path))).toEqual(['orders.json']);
+  });
+
+  test('fails on a missing directory', async () => {
+    await expect(validateWorkspace(path.join(dir, 'nope'))).rejects.toThrow('Directory not found');
+  });
+});
+
+describe('JSON pointers', () => {
+  test('converts validator field paths', () => {
+    expect(fieldToPointer('catalog.endpoints[2].id')).toBe('/catalog/endpoints/2/id');
+    expect(fieldToPointer('relationships.depends_on[0]')).toBe('/relationships/depends_on/0');
+    expect(fieldToPointer('contract_type')).toBe('');
+    expect(fieldToPointer(undefined)).toBe('');
+  });
+
+  test('indexes member and element positions', () => {
+    const positions = indexPointers('{\n  "a/b": {\n    "list": [1, "x\\"y"]\n  }\n}');
+
+    expect(positions.get('')).toEqual({ line: 1, column: 1 });
+    expect(positions.get('/a~1b')).toEqual({ line: 2, column: 3 });
+    expect(positions.get('/a~1b/list/1')).toEqual({ line: 3, column: 17 });
+  });
+});
@@ -1,13 +1,28 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { validatePath } = require('../middleware/validate-path.js');
+const { loadTrustStore, verifyManifestSignature } = require('../../workflow/signing.cjs');
 
 /**
  * Setup API routes for the protocol viewer
  * @param {object} app - Express app instance
  * @param {string} artifactsDir - Path to artifacts directory
+ * @param {object} [options] - Route options
+ * @param {string} [options.trustStore] - Trust store of public keys allowed to sign manifests
  */
-function setupApiRoutes(app, artifactsDir) {
+function setupApiRoutes(app, artifactsDir, options = {}) {
+  // Loaded on first use; without a trust store every signature is untrusted
+  let trustStorePromise = null;
+  const getTrustStore = () => {
+    if (!options.trustStore) return Promise.resolve(new Map());
+    if (!trustStorePromise) {
+      trustStorePromise = loadTrustStore(options.trustStore).catch(err => {
+        trustStorePromise = null;
+        throw err;
+      });
+    }
+    return trustStorePromise;
+  };
 
   /**
    * GET /api/health
@@ -128,6 +143,43 @@ function setupApiRoutes(app, artifactsDir) {
       res.status(500).json({ error: 'Failed to read manifest' });
     }
   });
+
+  /**
+   * GET /api/manifest/:filename/signature
+   * Verify a manifest's signature against the server's trust store
+   */
+  app.get('/api/manifest/:filename/signature', validatePath, async (req, res) => {
+    const { filename } = req.params;
+    const filePath = path.join(artifactsDir, filename);
+
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return res.status(404).json({ error: 'Manifest not found' });
+      }
+      if (err instanceof SyntaxError) {
+        return res.status(400).json({ error: 'Invalid JSON in manifest file' });
+      }
+      console.error('Failed to read manifest:', err);
+      return res.status(500).json({ error: 'Failed to read manifest' });
+    }
+
+    let trustStore;
+    try {
+      trustStore = await getTrustStore();
+    } catch (err) {
+      console.error('Failed to load trust store:', err);
+      return res.status(500).json({ error: 'Failed to load trust store' });
+    }
+
+    res.json({
+      filename,
+      trust_store: Boolean(options.trustStore),
+      ...verifyManifestSignature(manifest, trustStore)
+    });
+  });
 }
 
 module.exports = { setupApiRoutes };
@@ -16,6 +16,7 @@ class ProtocolViewerServer {
    * @param {object} options - Server configuration options
    * @param {number} options.port - Port to listen on (default: 3000)
    * @param {boolean} options.enableCors - Enable CORS (default: true in dev, false in production)
+   * @param {string} [options.trustStore] - Trust store of public keys allowed to sign manifests
    */
   constructor(artifactsDir, options = {}) {
     this.artifactsDir = path.resolve(artifactsDir);
@@ -23,6 +24,7 @@ class ProtocolViewerServer {
     this.enableCors = options.enableCors !== undefined
       ? options.enableCors
       : process.env.NODE_ENV !== 'production';
+    this.trustStore = options.trustStore ? path.resolve(options.trustStore) : null;
 
     this.app = express();
     this.server = null;
@@ -72,7 +74,7 @@ class ProtocolViewerServer {
    */
   setupRoutes() {
     // API routes first
-    setupApiRoutes(this.app, this.artifactsDir);
+    setupApiRoutes(this.app, this.artifactsDir, { trustStore: this.trustStore });
 
     // Static file serving and SPA fallback last
     const publicDir = path.join(__dirname, 'public');
@@ -0,0 +1,289 @@
+/**
+ * Approval Policy
+ *
+ * Decides how many reviewers must sign off on a draft before it can move to
+ * approved. A policy has a default requirement plus rules matched by manifest
+ * kind and classification (`pii` is derived from detected PII fields), e.g.
+ * "PII contracts need two approvers, one of them from the owning team".
+ * Sign-offs are collected on the draft under `metadata.approvals`.
+ *
+ * Policy file (approval-policy.json, next to the manifests):
+ *
+ *   {
+ *     "default": { "min_approvals": 1 },
+ *     "rules": [
+ *       { "name": "pii", "match": { "classification": ["pii"] },
+ *         "min_approvals": 2, "require_owner_team": true },
+ *       { "name": "external-apis", "match": { "kind": ["api"], "classification": ["external"] },
+ *         "min_approvals": 2, "required_teams": ["platform"] }
+ *     ],
+ *     "teams": { "payments": ["alice", "bob"] }
+ *   }
+ *
+ * When `teams` is present, a reviewer's team is taken from it rather than
+ * from what the reviewer claimed when signing off.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { parseURN } = require('../core/graph/urn-utils');
+const { listDetections, DETECTION_KINDS } = require('./detections');
+
+/**
+ * Policy file looked up next to a manifest
+ */
+const APPROVAL_POLICY_FILE = 'approval-policy.json';
+
+/**
+ * Policy used when none is configured: any single reviewer may approve
+ */
+const DEFAULT_POLICY = {
+  default: { min_approvals: 1 },
+  rules: []
+};
+
+/**
+ * Load and check an approval policy file
+ *
+ * @param {string} policyPath - Path to the policy JSON
+ * @returns {Promise<Object>} Normalized policy
+ */
+async function loadApprovalPolicy(policyPath) {
+  if (!await fs.pathExists(policyPath)) {
+    throw new Error(`Approval policy not found: ${policyPath}`);
+  }
+  return normalizePolicy(await fs.readJson(policyPath), policyPath);
+}
+
+/**
+ * Resolve the policy for a manifest: an explicit file, else
+ * approval-policy.json in the manifest's directory, else DEFAULT_POLICY
+ *
+ * @param {string} manifestPath - Path to the draft manifest
+ * @param {string} [policyPath] - Explicit policy file
+ * @returns {Promise<{policy: Object, source: string|null}>}
+ */
+async function resolveApprovalPolicy(manifestPath, policyPath) {
+  const candidate = policyPath || path.join(path.dirname(manifestPath), APPROVAL_POLICY_FILE);
+  if (policyPath || await fs.pathExists(candidate)) {
+    return { policy: await loadApprovalPolicy(candidate), source: candidate };
+  }
+  return { policy: DEFAULT_POLICY, source: null };
+}
+
+/**
+ * Check a policy's shape and fill in defaults
+ *
+ * @param {Object} policy - Raw policy
+ * @param {string} [source] - Where the policy came from, for error messages
+ * @returns {Object} Normalized policy
+ */
+function normalizePolicy(policy, source = 'approval policy') {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error(`Invalid ${source}: expected an object`);
+  }
+
+  const checkRequirement = (requirement, label) => {
+    const min = requirement.min_approvals ?? 1;
+    if (!Number.isInteger(min) || min < 1) {
+      throw new Error(`Invalid ${source}: ${label}.min_approvals must be a positive integer`);
+    }
+    if (requirement.required_teams !== undefined && !Array.isArray(requirement.required_teams)) {
+      throw new Error(`Invalid ${source}: ${label}.required_teams must be an array`);
+    }
+    return {
+      min_approvals: min,
+      required_teams: requirement.required_teams || [],
+      require_owner_team: Boolean(requirement.require_owner_team)
+    };
+  };
+
+  const rules = policy.rules || [];
+  if (!Array.isArray(rules)) {
+    throw new Error(`Invalid ${source}: rules must be an array`);
+  }
+
+  return {
+    default: checkRequirement(policy.default || {}, 'default'),
+    rules: rules.map((rule, index) => {
+      const label = `rules[${index}]`;
+      const match = rule.match || {};
+      for (const key of Object.keys(match)) {
+        if (!['kind', 'classification'].includes(key)) {
+          throw new Error(`Invalid ${source}: ${label}.match.${key} is not supported (use kind or classification)`);
+        }
+      }
+      return {
+        name: rule.name || label,
+        match: {
+          kind: [].concat(match.kind || []),
+          classification: [].concat(match.classification || [])
+        },
+        ...checkRequirement(rule, label)
+      };
+    }),
+    teams: policy.teams || null
+  };
+}
+
+/**
+ * Facts about a manifest that policies match on
+ *
+ * @param {Object} manifest - Manifest to describe
+ * @returns {{kind: string|null, classifications: Array<string>, ownerTeam: string|null}}
+ */
+function describeManifest(manifest) {
+  const metadata = manifest.metadata || {};
+  const governance = metadata.governance || {};
+
+  const classifications = new Set(
+    [
+      governance.classification,
+      metadata.classification,
+      manifest.governance?.policy?.classification
+    ]
+      .flat()
+      .filter(label => typeof label === 'string' && label !== '')
+  );
+  if (governance.pii || listDetections(manifest).some(detection => detection.kind === DETECTION_KINDS.PII)) {
+    classifications.add('pii');
+  }
+
+  return {
+    kind: metadata.kind || parseURN(metadata.urn)?.kind || null,
+    classifications: [...classifications].sort(),
+    ownerTeam: governance.owner || manifest.catalog?.owner || metadata.owner || null
+  };
+}
+
+/**
+ * Combine the default requirement with every matching rule (strictest wins)
+ *
+ * @param {Object} manifest - Manifest to approve
+ * @param {Object} [policy] - Normalized policy (default: DEFAULT_POLICY)
+ * @returns {{rules: Array<string>, min_approvals: number, required_teams: Array<string>, owner_team: string|null, owner_team_required: boolean}}
+ */
+function resolveRequirements(manifest, policy = DEFAULT_POLICY) {
+  const normalized = normalizePolicy(policy);
+  const facts = describeManifest(manifest);
+
+  const matching = normalized.rules.filter(rule =>
+    (rule.match.kind.length === 0 || rule.match.kind.includes(facts.kind)) &&
+    (rule.match.classification.length === 0 ||
+      rule.match.classification.some(label => facts.classifications.includes(label)))
+  );
+
+  const requirements = [normalized.default, ...matching];
+  return {
+    rules: matching.map(rule => rule.name),
+    min_approvals: Math.max(...requirements.map(requirement => requirement.min_approvals)),
+    required_teams: [...new Set(requirements.flatMap(requirement => requirement.required_teams))],
+    owner_team: facts.ownerTeam,
+    owner_team_required: requirements.some(requirement => requirement.require_owner_team)
+  };
+}
+
+/**
+ * Record a reviewer's sign-off on a draft
+ *
+ * A reviewer has at most one sign-off; signing again replaces the earlier one.
+ *
+ * @param {Object} manifest - Draft manifest (not mutated)
+ * @param {Object} signOff
+ * @param {string} signOff.reviewer - Reviewer name
+ * @param {string} [signOff.team] - Team the reviewer signs for
+ * @param {string} [signOff.comment] - Free-form comment
+ * @returns {Object} Manifest with the sign-off in metadata.approvals
+ */
+function recordSignOff(manifest, signOff) {
+  if (!signOff?.reviewer) {
+    throw new Error('Sign-off requires a reviewer');
+  }
+
+  const result = JSON.parse(JSON.stringify(manifest));
+  result.metadata = result.metadata || {};
+  const approvals = (result.metadata.approvals || []).filter(entry => entry.reviewer !== signOff.reviewer);
+
+  approvals.push({
+    reviewer: signOff.reviewer,
+    ...(signOff.team && { team: signOff.team }),
+    signed_at: new Date().toISOString(),
+    ...(signOff.comment && { comment: signOff.comment })
+  });
+  result.metadata.approvals = approvals;
+
+  return result;
+}
+
+/**
+ * Check a draft's sign-offs against a policy
+ *
+ * Requirements are resolved from `options.requirementsFrom` when given. Pass
+ * the draft as discovered there: a reviewer rejecting the PII detections or
+ * overriding the classification must not lower the quorum they sign off on.
+ *
+ * @param {Object} manifest - Draft manifest with metadata.approvals
+ * @param {Object} [policy] - Policy (default: DEFAULT_POLICY)
+ * @param {Object} [options]
+ * @param {Object} [options.requirementsFrom] - Manifest to resolve the requirements from (default: manifest)
+ * @returns {{satisfied: boolean, requirements: Object, approvers: Array<{reviewer: string, teams: Array<string>}>, missing: Array<string>}}
+ */
+function evaluateApprovalPolicy(manifest, policy = DEFAULT_POLICY, options = {}) {
+  const normalized = normalizePolicy(policy);
+  const requirements = resolveRequirements(options.requirementsFrom || manifest, normalized);
+
+  const approvers = (manifest.metadata?.approvals || []).map(entry => ({
+    reviewer: entry.reviewer,
+    teams: teamsOf(entry, normalized.teams)
+  }));
+  const hasTeam = team => approvers.some(approver => approver.teams.includes(team));
+
+  const missing = [];
+  if (approvers.length < requirements.min_approvals) {
+    missing.push(`${requirements.min_approvals - approvers.length} more approval(s) (${approvers.length}/${requirements.min_approvals})`);
+  }
+  if (requirements.owner_team_required) {
+    if (!requirements.owner_team) {
+      missing.push('an owning team on the manifest (metadata.governance.owner)');
+    } else if (!hasTeam(requirements.owner_team)) {
+      missing.push(`an approval from the owning team ${requirements.owner_team}`);
+    }
+  }
+  for (const team of requirements.required_teams) {
+    if (!hasTeam(team)) {
+      missing.push(`an approval from team ${team}`);
+    }
+  }
+
+  return {
+    satisfied: missing.length === 0,
+    requirements,
+    approvers,
+    missing
+  };
+}
+
+/**
+ * Teams a sign-off counts for
+ * @private
+ */
+function teamsOf(entry, teams) {
+  if (!teams) {
+    return entry.team ? [entry.team] : [];
+  }
+  return Object.entries(teams)
+    .filter(([, members]) => Array.isArray(members) && members.includes(entry.reviewer))
+    .map(([team]) => team);
+}
+
+module.exports = {
+  APPROVAL_POLICY_FILE,
+  DEFAULT_POLICY,
+  loadApprovalPolicy,
+  resolveApprovalPolicy,
+  normalizePolicy,
+  describeManifest,
+  resolveRequirements,
+  recordSignOff,
+  evaluateApprovalPolicy
+};
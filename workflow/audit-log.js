@@ -0,0 +1,250 @@
+/**
+ * Workspace Audit Log
+ *
+ * Append-only, hash-chained JSONL record of everything that happens to the
+ * manifests in a workspace: discovery, overrides, reviews, approval votes and
+ * state transitions. Each entry records who acted, when, on which URN, and
+ * the content hashes of the file before and after the event.
+ *
+ * Every entry carries a sequence number, the hash of the previous entry and
+ * its own hash over the rest of its fields, so editing, removing or
+ * reordering entries breaks the chain. verifyAuditLog() also compares each
+ * manifest's current content with the last hash the log recorded for it, to
+ * catch edits made outside the audited workflow.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { contentHash, fileContentHash } = require('./content-hash.cjs');
+
+/**
+ * Log file name, relative to the workspace directory
+ */
+const AUDIT_LOG_FILE = 'audit.log.jsonl';
+
+/**
+ * Audit event types
+ */
+const AUDIT_EVENTS = {
+  DISCOVER: 'discover',
+  OVERRIDE: 'override',
+  REVIEW: 'review',
+  VOTE: 'vote',
+  TRANSITION: 'transition'
+};
+
+/**
+ * prev_hash of the first entry
+ */
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Problems verifyAuditLog() reports
+ */
+const AUDIT_ISSUES = {
+  CORRUPT: 'corrupt',
+  UNCHAINED: 'unchained',
+  EDITED: 'edited',
+  GAP: 'gap',
+  BROKEN_CHAIN: 'broken_chain',
+  UNTRACKED_EDIT: 'untracked_edit'
+};
+
+/**
+ * Get the audit log path for a workspace directory
+ *
+ * @param {string} workspaceDir - Directory holding the manifests
+ * @returns {string} Path to the log file
+ */
+function getAuditLogPath(workspaceDir) {
+  return path.join(workspaceDir, AUDIT_LOG_FILE);
+}
+
+/**
+ * Append an entry to a workspace's audit log
+ *
+ * @param {string} workspaceDir - Directory holding the manifests
+ * @param {Object} entry - Entry to record
+ * @param {string} entry.event - One of AUDIT_EVENTS
+ * @param {string} [entry.urn] - Manifest URN
+ * @param {string} [entry.manifest] - File the event read or wrote, relative to the workspace
+ * @param {string} [entry.actor] - Reviewer or system that acted
+ * @param {string} [entry.before_hash] - Content hash of the file before the event
+ * @param {string} [entry.after_hash] - Content hash of the file after the event
+ * @returns {Promise<Object>} The recorded entry (with seq, timestamp and hashes)
+ */
+async function appendAuditEntry(workspaceDir, entry) {
+  if (!entry || !Object.values(AUDIT_EVENTS).includes(entry.event)) {
+    throw new Error(`Unknown audit event: ${entry?.event}`);
+  }
+
+  const lines = await readLines(getAuditLogPath(workspaceDir));
+  const last = lines.length > 0 ? lines[lines.length - 1].entry : null;
+  if (lines.length > 0 && !last?.hash) {
+    throw new Error(`Cannot append to ${getAuditLogPath(workspaceDir)}: last entry is not chained (run audit verify)`);
+  }
+
+  const record = {
+    seq: last ? last.seq + 1 : 1,
+    timestamp: new Date().toISOString(),
+    ...entry,
+    prev_hash: last ? last.hash : GENESIS_HASH
+  };
+  record.hash = hashEntry(record);
+
+  await fs.ensureDir(workspaceDir);
+  await fs.appendFile(getAuditLogPath(workspaceDir), `${JSON.stringify(record)}\n`, 'utf-8');
+  return record;
+}
+
+/**
+ * Read a workspace's audit log
+ *
+ * @param {string} workspaceDir - Directory holding the manifests
+ * @param {Object} [options]
+ * @param {string} [options.urn] - Only return entries for this URN
+ * @returns {Promise<Array<Object>>} Entries in the order they were recorded
+ */
+async function readAuditLog(workspaceDir, options = {}) {
+  const logPath = getAuditLogPath(workspaceDir);
+  const entries = (await readLines(logPath)).map(({ line, entry }) => {
+    if (!entry) {
+      throw new Error(`Corrupt audit log entry at ${logPath}:${line}`);
+    }
+    return entry;
+  });
+
+  return options.urn ? entries.filter(entry => entry.urn === options.urn) : entries;
+}
+
+/**
+ * Verify a workspace's audit log
+ *
+ * Checks that every entry parses, that its hash matches its content, that
+ * sequence numbers have no gaps and that each entry links to the previous
+ * one. With `checkFiles` (the default), each JSON file the log recorded an
+ * after_hash for must still have that content.
+ *
+ * @param {string} workspaceDir - Directory holding the manifests
+ * @param {Object} [options]
+ * @param {boolean} [options.checkFiles=true] - Compare files with their last recorded hash
+ * @returns {Promise<{valid: boolean, path: string, entries: number, head: string|null, issues: Array<Object>}>}
+ */
+async function verifyAuditLog(workspaceDir, options = {}) {
+  const { checkFiles = true } = options;
+  const logPath = getAuditLogPath(workspaceDir);
+  if (!await fs.pathExists(logPath)) {
+    throw new Error(`Audit log not found: ${logPath}`);
+  }
+
+  const lines = await readLines(logPath);
+  const issues = [];
+  const issue = (type, line, message, extra = {}) => issues.push({ type, line, message, ...extra });
+
+  let previous = null;
+  // After an unreadable entry the next one cannot be linked; skip its link checks
+  let resync = false;
+  for (const { line, entry } of lines) {
+    if (!entry) {
+      issue(AUDIT_ISSUES.CORRUPT, line, 'Entry is not valid JSON');
+      resync = true;
+      continue;
+    }
+    if (!entry.hash || !Number.isInteger(entry.seq)) {
+      issue(AUDIT_ISSUES.UNCHAINED, line, 'Entry has no sequence number or hash', { seq: entry.seq });
+      resync = true;
+      continue;
+    }
+
+    if (hashEntry(entry) !== entry.hash) {
+      issue(AUDIT_ISSUES.EDITED, line, `Entry #${entry.seq} does not match its hash (edited after it was written)`, { seq: entry.seq });
+    }
+
+    if (!resync) {
+      const expectedSeq = previous ? previous.seq + 1 : 1;
+      if (entry.seq !== expectedSeq) {
+        issue(AUDIT_ISSUES.GAP, line, `Expected entry #${expectedSeq}, found #${entry.seq} (entries removed or reordered)`, { seq: entry.seq });
+      }
+      if (entry.prev_hash !== (previous ? previous.hash : GENESIS_HASH)) {
+        issue(AUDIT_ISSUES.BROKEN_CHAIN, line, `Entry #${entry.seq} does not link to the entry before it`, { seq: entry.seq });
+      }
+    }
+
+    previous = entry;
+    resync = false;
+  }
+
+  if (checkFiles) {
+    const lastRecorded = new Map();
+    for (const { line, entry } of lines) {
+      if (entry?.manifest && entry.after_hash) {
+        lastRecorded.set(entry.manifest, { line, entry });
+      }
+    }
+
+    for (const [file, { line, entry }] of lastRecorded) {
+      const filePath = path.join(workspaceDir, file);
+      if (!file.endsWith('.json') || !await fs.pathExists(filePath)) continue;
+
+      if (await fileContentHash(filePath) !== entry.after_hash) {
+        issue(AUDIT_ISSUES.UNTRACKED_EDIT, line, `${file} changed outside the audited workflow since entry #${entry.seq}`, {
+          seq: entry.seq,
+          file
+        });
+      }
+    }
+  }
+
+  return {
+    valid: issues.length === 0,
+    path: logPath,
+    entries: lines.length,
+    head: previous ? previous.hash : null,
+    issues
+  };
+}
+
+/**
+ * Hash of an entry over every field except its own hash
+ * @private
+ */
+function hashEntry(entry) {
+  const rest = { ...entry };
+  delete rest.hash;
+  return contentHash(rest);
+}
+
+/**
+ * Parse the log into lines, keeping unparseable ones as { entry: null }
+ * @private
+ */
+async function readLines(logPath) {
+  if (!await fs.pathExists(logPath)) {
+    return [];
+  }
+
+  const content = await fs.readFile(logPath, 'utf-8');
+  const lines = [];
+  content.split('\n').forEach((raw, index) => {
+    if (raw.trim() === '') return;
+    let entry = null;
+    try {
+      entry = JSON.parse(raw);
+    } catch {
+      entry = null;
+    }
+    lines.push({ line: index + 1, entry });
+  });
+  return lines;
+}
+
+module.exports = {
+  AUDIT_LOG_FILE,
+  AUDIT_EVENTS,
+  AUDIT_ISSUES,
+  GENESIS_HASH,
+  getAuditLogPath,
+  appendAuditEntry,
+  readAuditLog,
+  verifyAuditLog
+};
@@ -0,0 +1,57 @@
+/**
+ * Content Hashing
+ *
+ * Canonical JSON and SHA-256 content hashes for manifests, so the same
+ * content hashes the same regardless of key order or file formatting.
+ *
+ * jsonCanon is the canonicalizer for workflow hashing and signing: the audit
+ * log, manifest signatures and the ES module catalog all use it. Keys whose
+ * value is undefined are skipped, matching what JSON.stringify writes to
+ * disk. The .cjs extension lets both CommonJS and ES modules load it.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+/**
+ * Canonicalize JSON for stable hashing (sorted keys, no whitespace)
+ *
+ * @param {*} value - JSON-serializable value
+ * @returns {string} Canonical JSON
+ */
+function jsonCanon(value) {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return '[' + value.map(v => jsonCanon(v)).join(',') + ']';
+  const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+  return '{' + keys.map(k => JSON.stringify(k) + ':' + jsonCanon(value[k])).join(',') + '}';
+}
+
+/**
+ * SHA-256 of a value's canonical JSON
+ *
+ * @param {*} value - JSON-serializable value
+ * @returns {string} Hex digest
+ */
+function contentHash(value) {
+  return crypto.createHash('sha256').update(jsonCanon(value)).digest('hex');
+}
+
+/**
+ * Content hash of a JSON file
+ *
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string|null>} Hex digest, or null if the file is missing or not JSON
+ */
+async function fileContentHash(filePath) {
+  try {
+    return contentHash(await fs.readJson(filePath));
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  jsonCanon,
+  contentHash,
+  fileContentHash
+};
@@ -0,0 +1,354 @@
+/**
+ * Detection Review
+ *
+ * Lists the heuristic detections an importer left in a manifest (PII fields,
+ * pagination, long-running operations, rate limits, DLQ and retry policies)
+ * and applies a reviewer's accept/reject decisions to them at approval time.
+ * Rejected detections are stripped through regular override operations, so
+ * the manifest's override history records who rejected what and why.
+ * Decisions can also be turned into shareable override rules.
+ */
+
+const {
+  applyOverride,
+  createSetOverride,
+  createDeleteOverride,
+  getFieldByPath
+} = require('./overrides');
+const { RuleExporter } = require('../core/overrides/exporter');
+
+/**
+ * Detection kinds
+ */
+const DETECTION_KINDS = {
+  PII: 'pii',
+  PAGINATION: 'pagination',
+  LONG_RUNNING: 'long_running',
+  RATE_LIMIT: 'rate_limit',
+  DLQ: 'dlq',
+  RETRY: 'retry_policy'
+};
+
+/**
+ * Alternative spellings accepted as kind selectors
+ */
+const KIND_ALIASES = {
+  lro: DETECTION_KINDS.LONG_RUNNING,
+  rate_limits: DETECTION_KINDS.RATE_LIMIT,
+  retry: DETECTION_KINDS.RETRY
+};
+
+/**
+ * Sections that hold review history or source data rather than detections
+ */
+const SKIPPED_SECTIONS = new Set(['metadata', 'provenance']);
+
+/**
+ * Decision values kept in metadata.detection_decisions
+ */
+const DECISIONS = ['accepted', 'rejected'];
+
+/**
+ * List the detections in a manifest
+ *
+ * @param {Object} manifest - Manifest to inspect
+ * @returns {Array<{id: string, kind: string, name: string, path: string, value: *}>}
+ */
+function listDetections(manifest) {
+  const detections = [];
+
+  const add = (kind, name, fieldPath, value, extra = {}) => {
+    let id = `${kind}:${name}`;
+    if (detections.some(detection => detection.id === id)) id = `${id}@${fieldPath}`;
+    detections.push({ id, kind, name, path: fieldPath, value, ...extra });
+  };
+
+  const visit = (node, parts, key) => {
+    if (!node || typeof node !== 'object') return;
+    const at = parts.join('.');
+    const child = name => (at ? `${at}.${name}` : name);
+
+    if (!Array.isArray(node)) {
+      if (node.pii === true) {
+        add(DETECTION_KINDS.PII, node.name || key, child('pii'), true, { piiType: node.pii_type || node.category || null });
+      }
+
+      const endpointName = node.method && (node.path || node.pattern)
+        ? `${node.method} ${node.path || node.pattern}`
+        : at;
+      if (node.pagination && typeof node.pagination === 'object') {
+        add(DETECTION_KINDS.PAGINATION, endpointName, child('pagination'), node.pagination, endpointOf(node));
+      }
+      if (node.long_running && typeof node.long_running === 'object') {
+        add(DETECTION_KINDS.LONG_RUNNING, endpointName, child('long_running'), node.long_running, endpointOf(node));
+      }
+      if (Array.isArray(node.rate_limits) && node.rate_limits.length > 0) {
+        add(DETECTION_KINDS.RATE_LIMIT, node.rate_limits.map(limit => limit.scope || 'global').join('+'), child('rate_limits'), node.rate_limits);
+      }
+      if (node.dlq) {
+        add(DETECTION_KINDS.DLQ, at, child('dlq'), node.dlq);
+      }
+      if (node.retry_policy) {
+        add(DETECTION_KINDS.RETRY, at, child('retry_policy'), node.retry_policy);
+      }
+    }
+
+    for (const [name, value] of Object.entries(node)) {
+      if (parts.length === 0 && SKIPPED_SECTIONS.has(name)) continue;
+      visit(value, [...parts, name], name);
+    }
+  };
+
+  visit(manifest, [], null);
+  return detections;
+}
+
+/**
+ * Apply accept/reject decisions to a manifest's detections
+ *
+ * Selectors match a detection by id (`pii:email`), name (`email`), path
+ * (`schema.fields.email.pii`) or kind (`long_running`, which selects every
+ * long-running detection). Every selector must match at least one detection,
+ * and no detection may be both accepted and rejected.
+ *
+ * Decisions recorded on the draft by earlier sign-offs
+ * (metadata.detection_decisions, see recordDetectionDecisions) are applied
+ * as well; a selector given now wins over a recorded decision on the same
+ * detection. Recorded decisions whose detection is gone are dropped.
+ *
+ * @param {Object} manifest - Manifest to review (not mutated)
+ * @param {Object} decisions
+ * @param {Array<string>} [decisions.accept] - Selectors to accept
+ * @param {Array<string>} [decisions.reject] - Selectors to reject
+ * @param {string} [decisions.reviewer] - Reviewer recorded on every decision
+ * @param {string} [decisions.reason] - Reason recorded on rejections
+ * @returns {{manifest: Object, accepted: Array<Object>, rejected: Array<Object>}} Accepted and rejected detections carry the deciding `reviewer` (and `reason`)
+ */
+function applyDetectionDecisions(manifest, decisions = {}) {
+  const { accept = [], reject = [], reviewer = null, reason = null } = decisions;
+  const detections = listDetections(manifest);
+
+  const accepted = selectDetections(detections, accept);
+  const rejected = selectDetections(detections, reject);
+
+  const conflicting = accepted.filter(detection => rejected.includes(detection));
+  if (conflicting.length > 0) {
+    throw new Error(`Detection(s) both accepted and rejected: ${conflicting.map(d => d.id).join(', ')}`);
+  }
+
+  const decided = new Map();
+  for (const recorded of manifest?.metadata?.detection_decisions || []) {
+    const detection = detections.find(candidate => candidate.id === recorded.id);
+    if (detection && DECISIONS.includes(recorded.decision)) {
+      decided.set(detection.id, { detection, decision: recorded.decision, reviewer: recorded.reviewer || null, reason: recorded.reason || null });
+    }
+  }
+  accepted.forEach(detection => decided.set(detection.id, { detection, decision: 'accepted', reviewer, reason: null }));
+  rejected.forEach(detection => decided.set(detection.id, { detection, decision: 'rejected', reviewer, reason }));
+
+  const review = { accepted: [], rejected: [] };
+  for (const detection of detections.filter(candidate => decided.has(candidate.id))) {
+    const entry = decided.get(detection.id);
+    review[entry.decision].push({
+      ...detection,
+      reviewer: entry.reviewer,
+      ...(entry.decision === 'rejected' && entry.reason && { reason: entry.reason })
+    });
+  }
+
+  let result = JSON.parse(JSON.stringify(manifest));
+  for (const detection of review.rejected) {
+    for (const operation of stripOperations(detection, result)) {
+      result = applyOverride(result, {
+        ...operation,
+        reason: `Rejected ${detection.kind} detection ${detection.id}${detection.reason ? `: ${detection.reason}` : ''}`,
+        ...(detection.reviewer && { reviewer: detection.reviewer }),
+        detection: detection.id
+      });
+    }
+  }
+
+  if (result.metadata) {
+    delete result.metadata.detection_decisions;
+  }
+  if (review.accepted.length > 0 || review.rejected.length > 0) {
+    result.metadata = result.metadata || {};
+    result.metadata.detection_review = {
+      reviewed_at: new Date().toISOString(),
+      ...(reviewer && { reviewer }),
+      accepted: review.accepted.map(summarize),
+      rejected: review.rejected.map(detection => ({ ...summarize(detection), ...(detection.reason && { reason: detection.reason }) }))
+    };
+  }
+
+  return { manifest: result, ...review };
+}
+
+/**
+ * Record review decisions on a draft that is still waiting for its approval
+ * quorum, so the sign-off that completes the quorum applies them
+ *
+ * @param {Object} manifest - Draft manifest (not mutated)
+ * @param {Object} review - Result of applyDetectionDecisions on the draft
+ * @returns {Object} Manifest with the decisions in metadata.detection_decisions
+ */
+function recordDetectionDecisions(manifest, review) {
+  const result = JSON.parse(JSON.stringify(manifest));
+  result.metadata = result.metadata || {};
+  const decidedAt = new Date().toISOString();
+
+  const decisions = [
+    ...review.accepted.map(detection => ({ detection, decision: 'accepted' })),
+    ...review.rejected.map(detection => ({ detection, decision: 'rejected' }))
+  ].map(({ detection, decision }) => ({
+    id: detection.id,
+    decision,
+    ...(detection.reviewer && { reviewer: detection.reviewer }),
+    ...(detection.reason && { reason: detection.reason }),
+    decided_at: decidedAt
+  }));
+
+  // Keep a decision's original time when it has not changed
+  const previous = new Map((result.metadata.detection_decisions || []).map(entry => [entry.id, entry]));
+  result.metadata.detection_decisions = decisions.map(entry => {
+    const earlier = previous.get(entry.id);
+    return earlier && earlier.decision === entry.decision && earlier.reviewer === entry.reviewer
+      ? { ...entry, decided_at: earlier.decided_at }
+      : entry;
+  });
+  if (result.metadata.detection_decisions.length === 0) {
+    delete result.metadata.detection_decisions;
+  }
+
+  return result;
+}
+
+/**
+ * Turn review decisions into override rules
+ *
+ * Accepted PII becomes a `pii_pattern` rule and rejected PII a `public`
+ * classification rule; accepted pagination and long-running detections
+ * become `api_pattern` rules. Other decisions have no rule form and are
+ * returned as skipped.
+ *
+ * @param {Object} review - Result of applyDetectionDecisions
+ * @param {Object} [options]
+ * @param {string} [options.author] - Rule author (the reviewer)
+ * @param {string} [options.context] - Context recorded on PII rules (dataset or service name)
+ * @param {RuleExporter} [options.exporter] - Exporter to add the rules to
+ * @returns {{exporter: RuleExporter, rules: Array<Object>, skipped: Array<Object>}}
+ */
+function exportDetectionRules(review, options = {}) {
+  const exporter = options.exporter || new RuleExporter();
+  const ruleOptions = { author: options.author || 'anonymous' };
+  const rules = [];
+  const skipped = [];
+
+  for (const [decision, detections] of [['accepted', review.accepted], ['rejected', review.rejected]]) {
+    for (const detection of detections) {
+      const description = `${decision === 'accepted' ? 'Accepted' : 'Rejected'} ${detection.kind} detection ${detection.id} during approval`;
+
+      if (detection.kind === DETECTION_KINDS.PII) {
+        const fieldName = detection.name.split('.').pop();
+        rules.push(decision === 'accepted'
+          ? exporter.createPIIRule({
+            fieldName,
+            context: options.context,
+            type: detection.piiType || 'pii',
+            confidence: 0.95
+          }, { ...ruleOptions, description })
+          : exporter.createClassificationRule({
+            fieldName,
+            context: options.context,
+            classification: 'public',
+            confidence: 0.95
+          }, { ...ruleOptions, description }));
+      } else if (decision === 'accepted' && detection.endpoint) {
+        rules.push(exporter.createAPIRule({
+          endpoint: detection.endpoint,
+          method: detection.method,
+          pattern: detection.kind,
+          confidence: 0.95
+        }, { ...ruleOptions, description }));
+      } else {
+        skipped.push({ decision, id: detection.id });
+      }
+    }
+  }
+
+  return { exporter, rules, skipped };
+}
+
+/**
+ * Resolve selectors to detections
+ * @private
+ */
+function selectDetections(detections, selectors) {
+  const selected = new Set();
+
+  for (const selector of selectors.map(s => s.trim()).filter(Boolean)) {
+    const kind = KIND_ALIASES[selector] || selector;
+    const matches = detections.filter(detection =>
+      detection.id === selector ||
+      detection.path === selector ||
+      detection.name === selector ||
+      detection.kind === kind
+    );
+
+    if (matches.length === 0) {
+      const available = detections.map(detection => detection.id).join(', ') || 'none';
+      throw new Error(`No detection matches "${selector}" (available: ${available})`);
+    }
+    matches.forEach(match => selected.add(match));
+  }
+
+  return detections.filter(detection => selected.has(detection));
+}
+
+/**
+ * Override operations that strip a rejected detection
+ * @private
+ */
+function stripOperations(detection, manifest) {
+  if (detection.kind !== DETECTION_KINDS.PII) {
+    return [createDeleteOverride(detection.path, undefined, manifest)];
+  }
+
+  // Keep the field, but mark it as not PII and drop the classification details
+  const fieldPath = detection.path.slice(0, -'.pii'.length);
+  const operations = [createSetOverride(detection.path, false, undefined, manifest)];
+  for (const key of ['pii_type', 'pii_confidence']) {
+    if (getFieldByPath(manifest, `${fieldPath}.${key}`) !== undefined) {
+      operations.push(createDeleteOverride(`${fieldPath}.${key}`, undefined, manifest));
+    }
+  }
+  return operations;
+}
+
+/**
+ * Endpoint fields for API pattern detections
+ * @private
+ */
+function endpointOf(node) {
+  return { endpoint: node.path || node.pattern, method: node.method };
+}
+
+/**
+ * @private
+ */
+function summarize(detection) {
+  return {
+    id: detection.id,
+    kind: detection.kind,
+    path: detection.path,
+    ...(detection.reviewer && { reviewer: detection.reviewer })
+  };
+}
+
+module.exports = {
+  DETECTION_KINDS,
+  listDetections,
+  applyDetectionDecisions,
+  recordDetectionDecisions,
+  exportDetectionRules
+};
@@ -0,0 +1,316 @@
+/**
+ * Drift Detection
+ *
+ * Compares a freshly re-discovered draft against its approved manifest.
+ * Unchanged sources short-circuit on `provenance.spec_hash`; otherwise the
+ * pair is normalised into DiffEngine's shape, diffed, and run through
+ * BreakingChangeDetector. Overrides recorded on the approved manifest are
+ * carried onto the draft first so approved corrections do not count as drift.
+ *
+ * Breaking drift fails the check until it is acknowledged: an entry in the
+ * approved manifest's `.drift-ack.json` sidecar naming the re-discovered
+ * source's spec hash marks that exact revision as reviewed.
+ */
+
+const path = require('path');
+
+const { DiffEngine } = require('../diff/engine');
+const { BreakingChangeDetector } = require('../diff/breaking-detector');
+const { ProtocolGraph } = require('../core/graph/protocol-graph');
+const {
+  applyOverrides,
+  createSetOverride,
+  createDeleteOverride,
+  getFieldByPath
+} = require('./overrides');
+
+/**
+ * Drift statuses
+ */
+const DRIFT_STATUS = {
+  UNCHANGED: 'unchanged',
+  DRIFTED: 'drifted',
+  BREAKING: 'breaking'
+};
+
+/**
+ * Detect drift between an approved manifest and a re-discovered draft
+ *
+ * @param {Object} approved - Approved manifest
+ * @param {Object} current - Freshly imported draft manifest
+ * @param {Object} [options]
+ * @param {ProtocolGraph} [options.graph] - Graph used for downstream impact analysis
+ * @param {Array<Object>} [options.acknowledgements] - Acknowledged-drift entries ({ spec_hash, reason, acknowledged_by })
+ * @returns {Object} Drift report
+ */
+function detectDrift(approved, current, options = {}) {
+  const approvedHash = approved?.provenance?.spec_hash || null;
+  const currentHash = current?.provenance?.spec_hash || null;
+
+  const report = {
+    status: DRIFT_STATUS.UNCHANGED,
+    urn: resolveManifestURN(approved) || resolveManifestURN(current),
+    checked_at: new Date().toISOString(),
+    spec_hash: {
+      approved: approvedHash,
+      current: currentHash,
+      matched: Boolean(approvedHash && approvedHash === currentHash)
+    },
+    short_circuit: false,
+    carried_overrides: 0,
+    summary: null,
+    changes: { breaking: [], nonBreaking: [], compatible: [], internal: [] },
+    breaking: null,
+    acknowledged: null
+  };
+
+  // Identical source documents cannot drift
+  if (report.spec_hash.matched) {
+    report.short_circuit = true;
+    return report;
+  }
+
+  const { manifest: reconciled, carried } = carryApprovedOverrides(approved, current);
+  report.carried_overrides = carried;
+
+  const diffEngine = new DiffEngine({ includeMetadata: false });
+  const diff = diffEngine.diff(toDiffShape(approved), toDiffShape(reconciled));
+
+  const detector = new BreakingChangeDetector(options.graph || new ProtocolGraph());
+  const breaking = detector.detectBreakingChanges(diff, report.urn);
+
+  report.summary = diff.summary;
+  report.changes = diff.changes;
+  report.breaking = {
+    riskScore: breaking.riskScore,
+    recommendation: breaking.recommendation,
+    downstreamImpact: breaking.downstreamImpact,
+    breakingChanges: breaking.breakingChanges,
+    migrationHints: detector.generateMigrationHints(breaking.breakingChanges)
+  };
+
+  if (breaking.hasBreakingChanges) {
+    report.status = DRIFT_STATUS.BREAKING;
+    report.acknowledged = (options.acknowledgements || [])
+      .find(entry => currentHash && entry.spec_hash === currentHash) || null;
+  } else if (diff.summary.totalChanges > 0) {
+    report.status = DRIFT_STATUS.DRIFTED;
+  }
+
+  return report;
+}
+
+/**
+ * Re-apply overrides recorded on the approved manifest to the new draft
+ *
+ * @param {Object} approved - Approved manifest (with metadata.overrides history)
+ * @param {Object} current - Draft manifest
+ * @returns {{manifest: Object, carried: number}}
+ */
+function carryApprovedOverrides(approved, current) {
+  const records = approved?.metadata?.overrides || [];
+  if (records.length === 0 || !current?.metadata) {
+    return { manifest: current, carried: 0 };
+  }
+
+  // Merge records only list merged keys, so take the approved value wholesale
+  const operations = records.map(record => (
+    record.operation === 'delete'
+      ? createDeleteOverride(record.path, record.reason)
+      : createSetOverride(record.path, getFieldByPath(approved, record.path), record.reason)
+  ));
+
+  return { manifest: applyOverrides(current, operations), carried: operations.length };
+}
+
+/**
+ * Get path for the drift acknowledgement sidecar
+ * Converts: artifacts/api.approved.json → artifacts/api.approved.drift-ack.json
+ */
+function getAcknowledgementPath(approvedPath) {
+  const parsed = path.parse(approvedPath);
+  return path.join(parsed.dir, `${parsed.name}.drift-ack${parsed.ext}`);
+}
+
+/**
+ * Validate the entries of a drift acknowledgement file
+ *
+ * @param {Object} document - Parsed `{ acknowledged: [...] }` file
+ * @param {string} source - File path, for error messages
+ * @returns {Array<Object>} Acknowledged-drift entries
+ * @throws {Error} If an entry lacks its spec hash or reason
+ */
+function parseAcknowledgements(document, source) {
+  const entries = document?.acknowledged;
+  if (!Array.isArray(entries)) {
+    throw new Error(`Invalid drift acknowledgements in ${source}: acknowledged must be an array`);
+  }
+
+  entries.forEach((entry, index) => {
+    for (const field of ['spec_hash', 'reason']) {
+      if (typeof entry?.[field] !== 'string' || entry[field] === '') {
+        throw new Error(`Invalid drift acknowledgements in ${source}: acknowledged[${index}].${field} is required`);
+      }
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Normalise importer output into the shapes DiffEngine compares
+ * (`catalog.endpoints` for APIs and events, `service.tables` for data)
+ *
+ * @param {Object} manifest - Manifest in importer or protocol shape
+ * @returns {Object} Manifest DiffEngine can compare
+ */
+function toDiffShape(manifest) {
+  if (!manifest || manifest.catalog?.endpoints || manifest.service?.tables) {
+    return manifest || {};
+  }
+
+  if (manifest.interface?.endpoints) {
+    const auth = manifest.interface.authentication?.type;
+    return {
+      metadata: { kind: 'api', version: manifest.service?.version },
+      catalog: {
+        endpoints: manifest.interface.endpoints.map(endpoint => ({
+          method: endpoint.method,
+          path: endpoint.path,
+          request: endpoint.request?.schema,
+          response: (endpoint.responses || []).find(r => r.status >= 200 && r.status < 300)?.schema,
+          auth
+        }))
+      }
+    };
+  }
+
+  const datasets = Array.isArray(manifest.datasets)
+    ? manifest.datasets
+    : (manifest.dataset ? [manifest] : null);
+  if (datasets) {
+    return {
+      metadata: { kind: 'data' },
+      service: {
+        tables: datasets.map(entry => ({
+          name: entry.dataset?.name,
+          columns: Object.entries(entry.schema?.fields || {}).map(([name, field]) => ({
+            name,
+            type: field.type,
+            nullable: !field.required
+          }))
+        }))
+      }
+    };
+  }
+
+  // Event payloads are what consumers read, so they diff like a response body
+  if (manifest.protocol === 'event-protocol/v1' || manifest.event) {
+    return {
+      metadata: { kind: 'api', version: manifest.event?.version },
+      catalog: {
+        endpoints: [{
+          method: 'PUBLISH',
+          path: manifest.delivery?.contract?.topic || manifest.event?.name || manifest.urn,
+          response: manifest.schema?.payload
+        }]
+      }
+    };
+  }
+
+  return manifest;
+}
+
+/**
+ * Render a drift report as Markdown
+ *
+ * @param {Object} report - Report from detectDrift
+ * @param {Object} [context] - { source, approvedPath }
+ * @returns {string} Markdown document
+ */
+function renderDriftMarkdown(report, context = {}) {
+  const lines = ['# Drift Report', ''];
+
+  if (context.source) lines.push(`- **Source:** \`${context.source}\``);
+  if (context.approvedPath) lines.push(`- **Approved manifest:** \`${context.approvedPath}\``);
+  if (report.urn) lines.push(`- **URN:** \`${report.urn}\``);
+  lines.push(`- **Status:** ${report.status}`);
+  lines.push(`- **Checked at:** ${report.checked_at}`);
+  lines.push('');
+
+  if (report.short_circuit) {
+    lines.push('Source spec hash matches the approved manifest; no drift.');
+    return `${lines.join('\n')}\n`;
+  }
+
+  const { summary } = report;
+  lines.push('## Summary', '');
+  lines.push('| Impact | Changes |');
+  lines.push('|--------|---------|');
+  lines.push(`| Breaking | ${summary.breaking} |`);
+  lines.push(`| Non-breaking | ${summary.nonBreaking} |`);
+  lines.push(`| Compatible | ${summary.compatible} |`);
+  lines.push(`| Internal | ${summary.internal} |`);
+  lines.push('');
+
+  if (report.carried_overrides > 0) {
+    lines.push(`${report.carried_overrides} approved override(s) were re-applied before comparison.`, '');
+  }
+
+  if (report.breaking?.breakingChanges.length > 0) {
+    lines.push('## Breaking Changes', '');
+    lines.push(`Risk score: **${report.breaking.riskScore}/100** (${report.breaking.recommendation.level}) — ${report.breaking.recommendation.message}`, '');
+    for (const change of report.breaking.breakingChanges) {
+      lines.push(`- **${change.category}** \`${change.path}\`: ${change.description}`);
+    }
+    lines.push('');
+
+    if (report.acknowledged) {
+      const by = report.acknowledged.acknowledged_by ? ` by ${report.acknowledged.acknowledged_by}` : '';
+      lines.push(`Acknowledged${by}: ${report.acknowledged.reason}. The check passes for this source revision.`, '');
+    } else {
+      lines.push('Breaking drift fails the check (exit code 1) until the manifest is re-approved.');
+      if (report.spec_hash.current) {
+        const sidecar = context.approvedPath ? path.basename(getAcknowledgementPath(context.approvedPath)) : '<approved>.drift-ack.json';
+        lines.push(`To accept this source revision as is, add \`{ "spec_hash": "${report.spec_hash.current}", "reason": "..." }\` to \`acknowledged\` in \`${sidecar}\`.`);
+      }
+      lines.push('');
+    }
+  }
+
+  const other = [...report.changes.nonBreaking, ...report.changes.compatible];
+  if (other.length > 0) {
+    lines.push('## Other Changes', '');
+    for (const change of other) {
+      lines.push(`- \`${change.path}\`: ${change.description} (${change.impact})`);
+    }
+    lines.push('');
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Best-effort URN lookup across manifest shapes
+ *
+ * @param {Object} manifest - Manifest in importer or protocol shape
+ * @returns {string|null} URN, or null when the manifest carries none
+ */
+function resolveManifestURN(manifest) {
+  return manifest?.metadata?.urn ||
+    manifest?.service?.urn ||
+    manifest?.dataset?.urn ||
+    manifest?.urn ||
+    null;
+}
+
+module.exports = {
+  DRIFT_STATUS,
+  detectDrift,
+  carryApprovedOverrides,
+  toDiffShape,
+  getAcknowledgementPath,
+  parseAcknowledgements,
+  resolveManifestURN,
+  renderDriftMarkdown
+};
@@ -0,0 +1,324 @@
+/**
+ * Git-aware Manifest Diff
+ *
+ * Answers "what did this branch change contractually?". Manifests are read
+ * from two git revisions with plain `git ls-tree` / `git show` (or from the
+ * working tree), paired by URN so renamed and version-bumped files still line
+ * up, and every changed pair is run through diffManifests. The per-file
+ * results roll up into one report whose status is the worst verdict.
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+const { diffManifests, DIFF_STATUS } = require('./manifest-diff');
+const { resolveManifestURN } = require('./drift');
+const { buildGraph } = require('./graph-builder');
+const { isValidURN } = require('../core/graph/urn-utils');
+
+/**
+ * How a manifest file changed between the two revisions
+ */
+const FILE_CHANGE = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  MODIFIED: 'modified',
+  RENAMED: 'renamed'
+};
+
+const SEVERITY = [DIFF_STATUS.UNCHANGED, DIFF_STATUS.NON_BREAKING, DIFF_STATUS.BREAKING];
+
+/**
+ * Diff every manifest that changed between two revisions
+ *
+ * @param {Object} options
+ * @param {string} options.base - Base revision (e.g. origin/main)
+ * @param {string} [options.head] - Head revision; the working tree when omitted
+ * @param {string} [options.dir='.'] - Directory (inside the repository) holding the manifests
+ * @param {ProtocolGraph} [options.graph] - Graph for downstream impact; built from the head manifests when omitted
+ * @returns {Object} Aggregate report with per-file verdicts
+ */
+function diffRevisions(options) {
+  const { base, head = null, dir = '.' } = options;
+  if (!base) {
+    throw new Error('A base revision is required');
+  }
+
+  const root = git(['rev-parse', '--show-toplevel'], path.resolve(dir)).trim();
+  const scope = path.relative(root, path.resolve(dir)) || '.';
+
+  const oldEntries = readManifests(root, scope, base);
+  const newEntries = readManifests(root, scope, head);
+  // Only graph-form URNs can become nodes; other manifests just get no impact
+  const graph = options.graph || buildGraph(newEntries
+    .filter(entry => isValidURN(entry.manifest.metadata?.urn))
+    .map(entry => ({ path: entry.path, manifest: entry.manifest }))).graph;
+
+  const files = [];
+  for (const { old: before, new: after } of pairManifests(oldEntries, newEntries)) {
+    if (before && after && before.text === after.text) continue;
+    files.push(diffPair(before, after, graph));
+  }
+
+  const summary = {
+    files: files.length,
+    added: files.filter(f => f.change === FILE_CHANGE.ADDED).length,
+    removed: files.filter(f => f.change === FILE_CHANGE.REMOVED).length,
+    modified: files.filter(f => f.change === FILE_CHANGE.MODIFIED).length,
+    renamed: files.filter(f => f.change === FILE_CHANGE.RENAMED).length,
+    breaking: files.filter(f => f.verdict === DIFF_STATUS.BREAKING).length,
+    nonBreaking: files.filter(f => f.verdict === DIFF_STATUS.NON_BREAKING).length,
+    unchanged: files.filter(f => f.verdict === DIFF_STATUS.UNCHANGED).length
+  };
+
+  return {
+    status: files.reduce((worst, file) => (
+      SEVERITY.indexOf(file.verdict) > SEVERITY.indexOf(worst) ? file.verdict : worst
+    ), DIFF_STATUS.UNCHANGED),
+    base,
+    head: head || 'working tree',
+    dir: scope,
+    compared_at: new Date().toISOString(),
+    summary,
+    files
+  };
+}
+
+/**
+ * Read every JSON manifest under a directory at a revision
+ *
+ * @param {string} root - Repository root
+ * @param {string} scope - Directory relative to the root
+ * @param {string|null} revision - Revision, or null for the working tree
+ * @returns {Array<{path: string, text: string, manifest: Object, urn: string|null}>}
+ */
+function readManifests(root, scope, revision) {
+  const listing = revision
+    ? git(['ls-tree', '-r', '-z', '--name-only', revision, '--', scope], root)
+    : git(['ls-files', '-z', '--cached', '--others', '--exclude-standard', '--', scope], root);
+
+  const entries = [];
+  for (const file of new Set(listing.split('\0').filter(name => name.endsWith('.json')))) {
+    let text;
+    if (revision) {
+      text = git(['show', `${revision}:${file}`], root);
+    } else {
+      const fullPath = path.join(root, file);
+      // ls-files --cached still lists files deleted from the working tree
+      if (!fs.existsSync(fullPath)) continue;
+      text = fs.readFileSync(fullPath, 'utf-8');
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(text);
+    } catch {
+      continue;
+    }
+    if (!isManifest(manifest)) continue;
+
+    entries.push({ path: file, text, manifest, urn: resolveManifestURN(manifest) });
+  }
+
+  return entries;
+}
+
+/**
+ * Pair manifests across revisions by URN (ignoring the @version suffix),
+ * falling back to the file path for manifests without a URN
+ *
+ * @param {Array<Object>} oldEntries - Entries from readManifests at the base
+ * @param {Array<Object>} newEntries - Entries from readManifests at the head
+ * @returns {Array<{old: Object|null, new: Object|null}>}
+ */
+function pairManifests(oldEntries, newEntries) {
+  const pairs = new Map();
+  const add = (side, entry) => {
+    let key = pairingKey(entry);
+    // Two files claiming one URN on the same side are kept apart by path
+    if (pairs.get(key)?.[side]) key = `path:${entry.path}`;
+    if (!pairs.has(key)) pairs.set(key, { old: null, new: null });
+    pairs.get(key)[side] = entry;
+  };
+
+  oldEntries.forEach(entry => add('old', entry));
+  newEntries.forEach(entry => add('new', entry));
+
+  return [...pairs.values()];
+}
+
+/**
+ * Diff one pair and give the file its verdict
+ * @private
+ */
+function diffPair(before, after, graph) {
+  let change = FILE_CHANGE.MODIFIED;
+  if (!before) change = FILE_CHANGE.ADDED;
+  else if (!after) change = FILE_CHANGE.REMOVED;
+  else if (before.path !== after.path) change = FILE_CHANGE.RENAMED;
+
+  const file = {
+    change,
+    urn: after?.urn || before.urn,
+    old_path: before?.path || null,
+    new_path: after?.path || null
+  };
+
+  // Dropping a whole contract breaks every consumer; adding one breaks none
+  if (change === FILE_CHANGE.REMOVED) {
+    return { ...file, verdict: DIFF_STATUS.BREAKING, summary: null };
+  }
+  if (change === FILE_CHANGE.ADDED) {
+    return { ...file, verdict: DIFF_STATUS.NON_BREAKING, summary: null };
+  }
+
+  const report = diffManifests(before.manifest, after.manifest, { graph });
+  return {
+    ...file,
+    verdict: report.status,
+    versions: report.versions,
+    summary: report.summary,
+    changes: report.changes,
+    breaking: report.breaking,
+    impact: report.impact
+  };
+}
+
+/**
+ * Render an aggregate git diff report as plain text
+ *
+ * @param {Object} report - Report from diffRevisions
+ * @returns {string} Text summary
+ */
+function renderRevisionsText(report) {
+  const lines = [
+    `Comparing ${report.base} → ${report.head} (${report.dir})`,
+    `Status: ${report.status}`,
+    ''
+  ];
+
+  if (report.files.length === 0) {
+    lines.push('No manifest changes.');
+    return lines.join('\n');
+  }
+
+  for (const file of report.files) {
+    lines.push(`${verdictLabel(file.verdict)}  ${describeFile(file)}`);
+    for (const change of file.breaking?.breakingChanges || []) {
+      lines.push(`    - ${change.path}: ${change.description}`);
+    }
+    if (file.impact?.totalAffected > 0) {
+      lines.push(`    downstream: ${file.impact.affectedManifests.join(', ')}`);
+    }
+  }
+
+  const { summary } = report;
+  lines.push('', `${summary.files} manifest(s) changed: ${summary.breaking} breaking, ${summary.nonBreaking} non-breaking, ${summary.unchanged} without contract changes`);
+  return lines.join('\n');
+}
+
+/**
+ * Render an aggregate git diff report as Markdown
+ *
+ * @param {Object} report - Report from diffRevisions
+ * @returns {string} Markdown document
+ */
+function renderRevisionsMarkdown(report) {
+  const lines = ['# Manifest Changes', ''];
+  lines.push(`- **Base:** \`${report.base}\``);
+  lines.push(`- **Head:** \`${report.head}\``);
+  lines.push(`- **Status:** ${report.status}`);
+  lines.push('');
+
+  if (report.files.length === 0) {
+    lines.push('No manifest changes.');
+    return `${lines.join('\n')}\n`;
+  }
+
+  lines.push('| Verdict | Change | File | URN | Breaking | Risk |');
+  lines.push('|---------|--------|------|-----|----------|------|');
+  for (const file of report.files) {
+    const breaking = file.summary ? file.summary.breaking : '—';
+    const risk = file.breaking ? `${file.breaking.riskScore}/100` : '—';
+    lines.push(`| ${file.verdict} | ${file.change} | \`${file.new_path || file.old_path}\` | \`${file.urn || '—'}\` | ${breaking} | ${risk} |`);
+  }
+  lines.push('');
+
+  const breakingFiles = report.files.filter(file => file.breaking?.breakingChanges.length > 0);
+  if (breakingFiles.length > 0) {
+    lines.push('## Breaking Changes', '');
+    for (const file of breakingFiles) {
+      lines.push(`### \`${file.new_path}\``, '');
+      for (const change of file.breaking.breakingChanges) {
+        lines.push(`- **${change.category}** \`${change.path}\`: ${change.description}`);
+      }
+      if (file.impact.totalAffected > 0) {
+        lines.push('', `Downstream: ${file.impact.affectedManifests.map(urn => `\`${urn}\``).join(', ')}`);
+      }
+      lines.push('');
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Run git and return stdout
+ * @private
+ */
+function git(args, cwd) {
+  try {
+    return execFileSync('git', args, {
+      cwd,
+      encoding: 'utf-8',
+      maxBuffer: 64 * 1024 * 1024,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+  } catch (error) {
+    const detail = error.stderr?.toString().trim() || error.message;
+    throw new Error(`git ${args[0]} failed: ${detail}`);
+  }
+}
+
+/**
+ * Whether parsed JSON looks like a protocol manifest
+ * @private
+ */
+function isManifest(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+    Boolean(resolveManifestURN(value) || value.catalog || value.service || value.dataset || value.event);
+}
+
+/**
+ * Pairing key: URN without its @version, else the file path
+ * @private
+ */
+function pairingKey(entry) {
+  return entry.urn ? `urn:${entry.urn.replace(/@[^/@]*$/, '')}` : `path:${entry.path}`;
+}
+
+/**
+ * File path with its change, for the text report
+ * @private
+ */
+function describeFile(file) {
+  if (file.change === FILE_CHANGE.RENAMED) return `${file.old_path} → ${file.new_path} (renamed)`;
+  return `${file.new_path || file.old_path} (${file.change})`;
+}
+
+/**
+ * Fixed-width verdict column for the text report
+ * @private
+ */
+function verdictLabel(verdict) {
+  return { breaking: 'BREAKING    ', non_breaking: 'non-breaking', unchanged: 'unchanged   ' }[verdict];
+}
+
+module.exports = {
+  FILE_CHANGE,
+  diffRevisions,
+  readManifests,
+  pairManifests,
+  renderRevisionsText,
+  renderRevisionsMarkdown
+};
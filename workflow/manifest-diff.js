@@ -0,0 +1,208 @@
+/**
+ * Manifest Diff
+ *
+ * Compares any two manifests of the same contract: both are normalised into
+ * DiffEngine's shape, diffed, run through BreakingChangeDetector for risk and
+ * downstream impact, and MigrationSuggester for a migration guide. Unlike
+ * drift detection there is no spec-hash short circuit and no override
+ * carrying; what is on disk is what gets compared.
+ */
+
+const { DiffEngine } = require('../diff/engine');
+const { BreakingChangeDetector } = require('../diff/breaking-detector');
+const { MigrationSuggester } = require('../diff/migration-suggester');
+const { ProtocolGraph } = require('../core/graph/protocol-graph');
+const { toDiffShape, resolveManifestURN } = require('./drift');
+
+/**
+ * Diff statuses, from least to most severe
+ */
+const DIFF_STATUS = {
+  UNCHANGED: 'unchanged',
+  NON_BREAKING: 'non_breaking',
+  BREAKING: 'breaking'
+};
+
+/**
+ * Impact categories in report order, with their labels
+ */
+const CATEGORIES = [
+  ['breaking', 'Breaking'],
+  ['nonBreaking', 'Non-breaking'],
+  ['compatible', 'Compatible'],
+  ['internal', 'Internal']
+];
+
+/**
+ * Diff two manifests
+ *
+ * @param {Object} oldManifest - Previous manifest
+ * @param {Object} newManifest - New manifest
+ * @param {Object} [options]
+ * @param {ProtocolGraph} [options.graph] - Graph used for downstream impact analysis
+ * @returns {Object} Diff report
+ */
+function diffManifests(oldManifest, newManifest, options = {}) {
+  const diffEngine = new DiffEngine({ includeMetadata: false });
+  const diff = diffEngine.diff(toDiffShape(oldManifest), toDiffShape(newManifest));
+
+  const urn = resolveManifestURN(newManifest) || resolveManifestURN(oldManifest);
+  const detector = new BreakingChangeDetector(options.graph || new ProtocolGraph());
+  const breaking = detector.detectBreakingChanges(diff, urn);
+
+  let status = DIFF_STATUS.UNCHANGED;
+  if (breaking.hasBreakingChanges) {
+    status = DIFF_STATUS.BREAKING;
+  } else if (diff.summary.totalChanges > 0) {
+    status = DIFF_STATUS.NON_BREAKING;
+  }
+
+  return {
+    status,
+    urn,
+    compared_at: new Date().toISOString(),
+    versions: {
+      old: diff.oldVersion || null,
+      new: diff.newVersion || null
+    },
+    summary: diff.summary,
+    changes: diff.changes,
+    breaking: {
+      riskScore: breaking.riskScore,
+      recommendation: breaking.recommendation,
+      breakingChanges: breaking.breakingChanges,
+      migrationHints: detector.generateMigrationHints(breaking.breakingChanges)
+    },
+    impact: breaking.downstreamImpact,
+    migration: status === DIFF_STATUS.UNCHANGED
+      ? null
+      : new MigrationSuggester({ includeCodeExamples: false }).generateMigrationGuide(diff, breaking)
+  };
+}
+
+/**
+ * Render a diff report as plain text for the terminal
+ *
+ * @param {Object} report - Report from diffManifests
+ * @param {Object} [context] - { oldPath, newPath }
+ * @returns {string} Text summary
+ */
+function renderDiffText(report, context = {}) {
+  const lines = [];
+
+  if (context.oldPath && context.newPath) lines.push(`Comparing ${context.oldPath} → ${context.newPath}`);
+  if (report.urn) lines.push(`URN: ${report.urn}`);
+  if (report.versions.old || report.versions.new) {
+    lines.push(`Version: ${report.versions.old || '?'} → ${report.versions.new || '?'}`);
+  }
+  lines.push(`Status: ${report.status}`, '');
+
+  if (report.status === DIFF_STATUS.UNCHANGED) {
+    lines.push('No changes.');
+    return lines.join('\n');
+  }
+
+  for (const [key, label] of CATEGORIES) {
+    const changes = report.changes[key] || [];
+    if (changes.length === 0) continue;
+
+    lines.push(`${label} (${changes.length}):`);
+    for (const change of changes) {
+      lines.push(`  - [${change.type}] ${change.path}: ${change.description}`);
+    }
+    lines.push('');
+  }
+
+  if (report.status === DIFF_STATUS.BREAKING) {
+    lines.push(`Risk score: ${report.breaking.riskScore}/100 (${report.breaking.recommendation.level}) — ${report.breaking.recommendation.message}`);
+  }
+  if (report.impact.totalAffected > 0) {
+    lines.push(`Downstream impact: ${report.impact.totalAffected} manifest(s)${report.impact.criticalPath ? ', including a critical path' : ''}`);
+    for (const urn of report.impact.affectedManifests) {
+      lines.push(`  - ${urn}`);
+    }
+  }
+
+  return lines.join('\n').trimEnd();
+}
+
+/**
+ * Render a diff report as Markdown
+ *
+ * @param {Object} report - Report from diffManifests
+ * @param {Object} [context] - { oldPath, newPath }
+ * @returns {string} Markdown document
+ */
+function renderDiffMarkdown(report, context = {}) {
+  const lines = ['# Manifest Diff', ''];
+
+  if (context.oldPath) lines.push(`- **Old:** \`${context.oldPath}\``);
+  if (context.newPath) lines.push(`- **New:** \`${context.newPath}\``);
+  if (report.urn) lines.push(`- **URN:** \`${report.urn}\``);
+  if (report.versions.old || report.versions.new) {
+    lines.push(`- **Version:** ${report.versions.old || '?'} → ${report.versions.new || '?'}`);
+  }
+  lines.push(`- **Status:** ${report.status}`);
+  lines.push('');
+
+  if (report.status === DIFF_STATUS.UNCHANGED) {
+    lines.push('No changes.');
+    return `${lines.join('\n')}\n`;
+  }
+
+  lines.push('## Summary', '');
+  lines.push('| Impact | Changes |');
+  lines.push('|--------|---------|');
+  for (const [key, label] of CATEGORIES) {
+    lines.push(`| ${label} | ${report.summary[key]} |`);
+  }
+  lines.push('');
+
+  if (report.status === DIFF_STATUS.BREAKING) {
+    lines.push('## Breaking Changes', '');
+    lines.push(`Risk score: **${report.breaking.riskScore}/100** (${report.breaking.recommendation.level}) — ${report.breaking.recommendation.message}`, '');
+    for (const change of report.breaking.breakingChanges) {
+      lines.push(`- **${change.category}** \`${change.path}\`: ${change.description}`);
+    }
+    lines.push('');
+  }
+
+  const other = [...report.changes.nonBreaking, ...report.changes.compatible, ...report.changes.internal];
+  if (other.length > 0) {
+    lines.push('## Other Changes', '');
+    for (const change of other) {
+      lines.push(`- \`${change.path}\`: ${change.description} (${change.impact})`);
+    }
+    lines.push('');
+  }
+
+  if (report.impact.totalAffected > 0) {
+    lines.push('## Downstream Impact', '');
+    lines.push(`${report.impact.totalAffected} manifest(s) depend on this contract${report.impact.criticalPath ? ', including a critical path' : ''}:`, '');
+    for (const urn of report.impact.affectedManifests) {
+      lines.push(`- \`${urn}\``);
+    }
+    lines.push('');
+  }
+
+  if (report.migration?.suggestions.length > 0) {
+    lines.push('## Migration', '');
+    lines.push(`${report.migration.strategy.description} (estimated ${report.migration.effort.estimatedHours}h, ${report.migration.effort.complexity} complexity).`, '');
+    for (const suggestion of report.migration.suggestions) {
+      lines.push(`- ${suggestion.change}`);
+      for (const step of suggestion.steps) {
+        lines.push(`  - ${step}`);
+      }
+    }
+    lines.push('');
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  DIFF_STATUS,
+  diffManifests,
+  renderDiffText,
+  renderDiffMarkdown
+};
@@ -8,6 +8,21 @@
 const fs = require('fs-extra');
 const path = require('path');
 
+/**
+ * Conflicts detected when rebasing overrides onto a re-imported draft
+ */
+const REBASE_CONFLICTS = {
+  PATH_MISSING: 'path_missing',
+  BASE_CHANGED: 'base_changed'
+};
+
+/**
+ * Conflict resolution strategies
+ * - ours: keep the reviewer override and rebase it onto the new draft
+ * - theirs: drop the override and accept the re-imported value
+ */
+const REBASE_STRATEGIES = ['ours', 'theirs'];
+
 /**
  * Apply overrides to a manifest
  *
@@ -45,6 +60,8 @@ function applyOverrides(manifest, overrides) {
  * @param {string} override.path - JSON path to target field (e.g., 'catalog.type')
  * @param {*} override.value - New value (for set/merge operations)
  * @param {string} override.reason - Reason for override
+ * @param {string} [override.reviewer] - Who made the override
+ * @param {string} [override.detection] - Detection id, for overrides that reject a detection
  * @returns {Object} Updated manifest
  */
 function applyOverride(manifest, override) {
@@ -62,6 +79,8 @@ function applyOverride(manifest, override) {
     timestamp,
     reason: reason || 'No reason provided'
   };
+  if (override.reviewer) overrideRecord.reviewer = override.reviewer;
+  if (override.detection) overrideRecord.detection = override.detection;
 
   // Ensure metadata.overrides exists
   if (!manifest.metadata) {
@@ -144,6 +163,146 @@ async function loadOverrides(manifestPath) {
   return overrideData.overrides || [];
 }
 
+/**
+ * Rebase overrides onto a re-imported draft
+ *
+ * Each override is replayed against the new draft and compared with its base
+ * value: the `base_value` recorded when the override was created or by a
+ * previous rebase, or the value in `options.base` (the draft the overrides
+ * were written against). Overrides
+ * whose target vanished or whose base changed upstream are reported as
+ * conflicts and resolved with `options.strategy` or `options.resolve`.
+ * Kept overrides record the new draft's value as their `base_value`.
+ *
+ * @param {Array<Object>} overrides - Override operations
+ * @param {Object} manifest - Re-imported draft manifest
+ * @param {Object} [options]
+ * @param {Object} [options.base] - Manifest the overrides were originally recorded against
+ * @param {string} [options.strategy] - 'ours' or 'theirs' for every conflict
+ * @param {Function} [options.resolve] - async (result) => 'ours' | 'theirs' | null, for interactive resolution
+ * @returns {Promise<{overrides: Array<Object>, results: Array<Object>, conflicts: number, unresolved: number}>}
+ */
+async function rebaseOverrides(overrides, manifest, options = {}) {
+  const { base = null, strategy = null, resolve = null } = options;
+
+  if (strategy && !REBASE_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown rebase strategy: ${strategy} (expected ${REBASE_STRATEGIES.join(' or ')})`);
+  }
+
+  const rebased = [];
+  const results = [];
+
+  for (const [index, override] of (overrides || []).entries()) {
+    const result = {
+      index,
+      operation: override.operation,
+      path: override.path,
+      ...checkRebase(override, manifest, base)
+    };
+
+    if (result.status === 'conflict') {
+      result.resolution = strategy || (resolve ? await resolve(result) : null) || null;
+    }
+
+    if (result.status !== 'conflict' || result.resolution === 'ours') {
+      rebased.push(withBaseValue(override, result.current_value));
+    } else if (!result.resolution) {
+      // Unresolved conflicts keep the override untouched
+      rebased.push(override);
+    }
+
+    results.push(result);
+  }
+
+  const conflicts = results.filter(r => r.status === 'conflict');
+
+  return {
+    overrides: rebased,
+    results,
+    conflicts: conflicts.length,
+    unresolved: conflicts.filter(r => !r.resolution).length
+  };
+}
+
+/**
+ * Classify a single override against the new draft
+ * @private
+ */
+function checkRebase(override, manifest, baseManifest) {
+  const { operation, path: fieldPath, value } = override;
+  const current = getFieldByPath(manifest, fieldPath);
+
+  const hasRecordedBase = Object.prototype.hasOwnProperty.call(override, 'base_value');
+  const baseKnown = hasRecordedBase || Boolean(baseManifest);
+  const baseValue = hasRecordedBase ? override.base_value : getFieldByPath(baseManifest, fieldPath);
+
+  const parentPath = fieldPath.split('.').slice(0, -1).join('.');
+  const parentMissing = parentPath !== '' && !isPresent(getFieldByPath(manifest, parentPath));
+  const parentExisted = hasRecordedBase
+    ? override.base_value !== undefined
+    : !baseManifest || parentPath === '' || isPresent(getFieldByPath(baseManifest, parentPath));
+
+  const conflict = (type, message) => ({
+    status: 'conflict',
+    conflict: { type, message },
+    base_value: baseValue,
+    current_value: current
+  });
+  const clean = status => ({ status, base_value: baseValue, current_value: current });
+
+  switch (operation) {
+    case 'delete':
+      if (current === undefined) return clean('redundant');
+      if (baseKnown && !isSameValue(baseValue, current)) {
+        return conflict(REBASE_CONFLICTS.BASE_CHANGED, `Value at ${fieldPath} changed since the override was recorded`);
+      }
+      return clean('clean');
+
+    case 'merge':
+      if (!current || typeof current !== 'object') {
+        return conflict(REBASE_CONFLICTS.PATH_MISSING, `Merge target ${fieldPath} no longer exists`);
+      }
+      if (baseKnown && !isSameValue(baseValue, current)) {
+        return conflict(REBASE_CONFLICTS.BASE_CHANGED, `Value at ${fieldPath} changed since the override was recorded`);
+      }
+      return clean('clean');
+
+    default:
+      if (isSameValue(value, current)) return clean('redundant');
+      if ((parentMissing && parentExisted) || (baseKnown && baseValue !== undefined && current === undefined)) {
+        return conflict(REBASE_CONFLICTS.PATH_MISSING, `Target ${fieldPath} no longer exists in the draft`);
+      }
+      if (baseKnown && !isSameValue(baseValue, current)) {
+        return conflict(REBASE_CONFLICTS.BASE_CHANGED, `Value at ${fieldPath} changed since the override was recorded`);
+      }
+      return clean('clean');
+  }
+}
+
+/**
+ * Copy an override with the draft value it now applies on top of
+ * @private
+ */
+function withBaseValue(override, currentValue) {
+  const rest = { ...override };
+  delete rest.base_value;
+  return currentValue === undefined ? rest : { ...rest, base_value: currentValue };
+}
+
+/**
+ * @private
+ */
+function isPresent(value) {
+  return value !== undefined && value !== null;
+}
+
+/**
+ * @private
+ */
+function isSameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
 /**
  * Get path for override file
  * Converts: artifacts/manifest.json → artifacts/manifest.overrides.json
@@ -214,37 +373,48 @@ function deleteFieldByPath(obj, fieldPath) {
 
 /**
  * Create a set override operation
+ *
+ * Pass the draft the override is written against to record its current value
+ * as `base_value`, so a later rebase can tell when upstream changed it.
  */
-function createSetOverride(path, value, reason) {
-  return {
+function createSetOverride(path, value, reason, manifest) {
+  return withRecordedBase({
     operation: 'set',
     path,
     value,
     reason
-  };
+  }, manifest);
 }
 
 /**
  * Create a delete override operation
  */
-function createDeleteOverride(path, reason) {
-  return {
+function createDeleteOverride(path, reason, manifest) {
+  return withRecordedBase({
     operation: 'delete',
     path,
     reason
-  };
+  }, manifest);
 }
 
 /**
  * Create a merge override operation
  */
-function createMergeOverride(path, value, reason) {
-  return {
+function createMergeOverride(path, value, reason, manifest) {
+  return withRecordedBase({
     operation: 'merge',
     path,
     value,
     reason
-  };
+  }, manifest);
+}
+
+/**
+ * Record the value an override replaces, when the draft is known
+ * @private
+ */
+function withRecordedBase(override, manifest) {
+  return manifest ? withBaseValue(override, getFieldByPath(manifest, override.path)) : override;
 }
 
 /**
@@ -263,11 +433,15 @@ function hasOverrides(manifest) {
 }
 
 module.exports = {
+  REBASE_CONFLICTS,
+  REBASE_STRATEGIES,
   applyOverrides,
   applyOverride,
   saveOverrides,
   loadOverrides,
+  rebaseOverrides,
   getOverridePath,
+  getFieldByPath,
   createSetOverride,
   createDeleteOverride,
   createMergeOverride,
@@ -0,0 +1,224 @@
+/**
+ * Manifest Signing
+ *
+ * Ed25519 detached signatures for approved manifests, so consumers can prove
+ * a manifest came out of our approval pipeline unchanged.
+ *
+ * The signature lives in `metadata.signature` and covers the canonical JSON
+ * (jsonCanon) of the whole manifest except the signature itself. Signatures
+ * are checked against a trust store of allowed public keys: a directory of
+ * PEM files, a single PEM file, or a JSON file of the form
+ * `{ "keys": [{ "name": "...", "public_key": "-----BEGIN PUBLIC KEY-----..." }] }`.
+ *
+ * CommonJS (.cjs) so the ES module catalog (src/catalog/signature.js) verifies
+ * with this same implementation.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { jsonCanon } = require('./content-hash.cjs');
+
+/**
+ * Only supported signature algorithm
+ */
+const SIGNATURE_ALGORITHM = 'ed25519';
+
+/**
+ * Outcomes of verifyManifestSignature()
+ */
+const SIGNATURE_STATUS = {
+  VALID: 'valid',
+  UNSIGNED: 'unsigned',
+  UNTRUSTED: 'untrusted',
+  INVALID: 'invalid'
+};
+
+const PEM_EXTENSIONS = ['.pem', '.pub'];
+
+/**
+ * Generate an Ed25519 key pair as PEM strings
+ *
+ * @returns {{privateKey: string, publicKey: string, keyId: string}}
+ */
+function generateSigningKeyPair() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync(SIGNATURE_ALGORITHM, {
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+  });
+  return { privateKey, publicKey, keyId: getKeyId(publicKey) };
+}
+
+/**
+ * Fingerprint of a public key (first 16 hex characters of the SHA-256 of its DER encoding)
+ *
+ * @param {string|crypto.KeyObject} key - Public key, or a private key to derive it from
+ * @returns {string} Key id
+ */
+function getKeyId(key) {
+  const publicKey = key instanceof crypto.KeyObject && key.type === 'public' ? key : crypto.createPublicKey(key);
+  const der = publicKey.export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('hex').slice(0, 16);
+}
+
+/**
+ * Load an Ed25519 private key from a PEM file
+ *
+ * @param {string} keyPath - Path to the private key
+ * @returns {Promise<crypto.KeyObject>}
+ */
+async function loadSigningKey(keyPath) {
+  if (!await fs.pathExists(keyPath)) {
+    throw new Error(`Signing key not found: ${keyPath}`);
+  }
+
+  let key;
+  try {
+    key = crypto.createPrivateKey(await fs.readFile(keyPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Invalid signing key ${keyPath}: ${error.message}`);
+  }
+  if (key.asymmetricKeyType !== SIGNATURE_ALGORITHM) {
+    throw new Error(`Signing key ${keyPath} is ${key.asymmetricKeyType}, expected ${SIGNATURE_ALGORITHM}`);
+  }
+  return key;
+}
+
+/**
+ * Sign a manifest
+ *
+ * Replaces any existing signature. The input manifest is not modified.
+ *
+ * @param {Object} manifest - Manifest to sign
+ * @param {string|crypto.KeyObject} privateKey - Ed25519 private key
+ * @param {Object} [options]
+ * @param {Date} [options.signedAt] - Signing time (default: now)
+ * @returns {Object} Signed copy of the manifest
+ */
+function signManifest(manifest, privateKey, options = {}) {
+  const signed = {
+    ...manifest,
+    metadata: { ...(manifest.metadata || {}) }
+  };
+  delete signed.metadata.signature;
+
+  const value = crypto.sign(null, Buffer.from(jsonCanon(signed)), privateKey).toString('base64');
+  signed.metadata.signature = {
+    alg: SIGNATURE_ALGORITHM,
+    key_id: getKeyId(privateKey),
+    signed_at: (options.signedAt || new Date()).toISOString(),
+    value
+  };
+  return signed;
+}
+
+/**
+ * Verify a manifest's signature against a trust store
+ *
+ * @param {Object} manifest - Manifest to verify
+ * @param {Map<string, {name: string, key: crypto.KeyObject}>} trustStore - Allowed keys by key id (see loadTrustStore)
+ * @returns {{valid: boolean, status: string, key_id: string|null, signer: string|null, signed_at: string|null, message: string}}
+ */
+function verifyManifestSignature(manifest, trustStore) {
+  const signature = manifest?.metadata?.signature;
+  const result = (status, message) => ({
+    valid: status === SIGNATURE_STATUS.VALID,
+    status,
+    key_id: signature?.key_id || null,
+    signer: trustStore.get(signature?.key_id)?.name || null,
+    signed_at: signature?.signed_at || null,
+    message
+  });
+
+  if (!signature) {
+    return result(SIGNATURE_STATUS.UNSIGNED, 'Manifest is not signed');
+  }
+  if (signature.alg !== SIGNATURE_ALGORITHM || typeof signature.value !== 'string') {
+    return result(SIGNATURE_STATUS.INVALID, `Unsupported signature algorithm: ${signature.alg}`);
+  }
+
+  const trusted = trustStore.get(signature.key_id);
+  if (!trusted) {
+    return result(SIGNATURE_STATUS.UNTRUSTED, `Signed with key ${signature.key_id}, which is not in the trust store`);
+  }
+
+  const unsigned = { ...manifest, metadata: { ...manifest.metadata } };
+  delete unsigned.metadata.signature;
+
+  let verified = false;
+  try {
+    verified = crypto.verify(null, Buffer.from(jsonCanon(unsigned)), trusted.key, Buffer.from(signature.value, 'base64'));
+  } catch {
+    verified = false;
+  }
+
+  return verified
+    ? result(SIGNATURE_STATUS.VALID, `Signed by ${trusted.name} (${signature.key_id})`)
+    : result(SIGNATURE_STATUS.INVALID, 'Signature does not match the manifest content (modified after signing)');
+}
+
+/**
+ * Load a trust store of allowed public keys
+ *
+ * @param {string} storePath - Directory of PEM files, a PEM file, or a JSON key list
+ * @returns {Promise<Map<string, {name: string, key: crypto.KeyObject}>>} Keys by key id
+ */
+async function loadTrustStore(storePath) {
+  if (!await fs.pathExists(storePath)) {
+    throw new Error(`Trust store not found: ${storePath}`);
+  }
+
+  const entries = [];
+  if ((await fs.stat(storePath)).isDirectory()) {
+    const files = (await fs.readdir(storePath))
+      .filter(file => PEM_EXTENSIONS.includes(path.extname(file)))
+      .sort();
+    for (const file of files) {
+      entries.push({
+        name: path.basename(file, path.extname(file)),
+        pem: await fs.readFile(path.join(storePath, file), 'utf-8'),
+        source: path.join(storePath, file)
+      });
+    }
+  } else if (path.extname(storePath) === '.json') {
+    const store = await fs.readJson(storePath);
+    if (!Array.isArray(store?.keys)) {
+      throw new Error(`Trust store ${storePath} must contain a "keys" array`);
+    }
+    store.keys.forEach((entry, index) => {
+      entries.push({ name: entry.name || `key-${index + 1}`, pem: entry.public_key, source: `${storePath}#keys[${index}]` });
+    });
+  } else {
+    entries.push({
+      name: path.basename(storePath, path.extname(storePath)),
+      pem: await fs.readFile(storePath, 'utf-8'),
+      source: storePath
+    });
+  }
+
+  const trustStore = new Map();
+  for (const { name, pem, source } of entries) {
+    let key;
+    try {
+      key = crypto.createPublicKey(pem);
+    } catch (error) {
+      throw new Error(`Invalid public key in trust store (${source}): ${error.message}`);
+    }
+    if (key.asymmetricKeyType !== SIGNATURE_ALGORITHM) {
+      throw new Error(`Trust store key ${source} is ${key.asymmetricKeyType}, expected ${SIGNATURE_ALGORITHM}`);
+    }
+    trustStore.set(getKeyId(key), { name, key });
+  }
+  return trustStore;
+}
+
+module.exports = {
+  SIGNATURE_ALGORITHM,
+  SIGNATURE_STATUS,
+  generateSigningKeyPair,
+  getKeyId,
+  loadSigningKey,
+  signManifest,
+  verifyManifestSignature,
+  loadTrustStore
+};
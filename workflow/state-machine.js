@@ -2,16 +2,31 @@
  * Manifest State Machine
  *
  * Manages state transitions for protocol manifests.
- * Validates and executes transitions between states: draft → approved
+ * Validates and executes transitions along the manifest lifecycle:
+ *
+ *   draft → in_review → approved → deprecated → sunset → retired
+ *              ↓
+ *           rejected → draft
+ *
+ * Deprecating, sunsetting or retiring a manifest that other manifests in the
+ * protocol graph still consume requires force.
  */
 
+const { evaluateApprovalPolicy } = require('./approval-policy');
+const { EdgeKind } = require('../core/graph/protocol-graph');
+const { isValidURN } = require('../core/graph/urn-utils');
+
 /**
  * Valid manifest states
  */
 const STATES = {
   DRAFT: 'draft',
+  IN_REVIEW: 'in_review',
+  REJECTED: 'rejected',
   APPROVED: 'approved',
-  DEPRECATED: 'deprecated'
+  DEPRECATED: 'deprecated',
+  SUNSET: 'sunset',
+  RETIRED: 'retired'
 };
 
 /**
@@ -19,11 +34,31 @@ const STATES = {
  * Maps current state to allowed next states
  */
 const TRANSITIONS = {
-  [STATES.DRAFT]: [STATES.APPROVED],
+  [STATES.DRAFT]: [STATES.IN_REVIEW, STATES.APPROVED],
+  [STATES.IN_REVIEW]: [STATES.APPROVED, STATES.REJECTED, STATES.DRAFT],
+  [STATES.REJECTED]: [STATES.DRAFT], // Rework and resubmit
   [STATES.APPROVED]: [STATES.DEPRECATED, STATES.DRAFT], // Can revert or deprecate
-  [STATES.DEPRECATED]: [] // Terminal state
+  [STATES.DEPRECATED]: [STATES.SUNSET, STATES.RETIRED],
+  [STATES.SUNSET]: [STATES.RETIRED],
+  [STATES.RETIRED]: [] // Terminal state
 };
 
+/**
+ * States in which a manifest is on its way out and no longer counts as an active consumer
+ */
+const END_OF_LIFE_STATES = [STATES.DEPRECATED, STATES.SUNSET, STATES.RETIRED];
+
+/**
+ * Edge kinds whose source depends on the target (the source is a consumer of the target)
+ */
+const CONSUMER_EDGE_KINDS = [
+  EdgeKind.DEPENDS_ON,
+  EdgeKind.CONSUMES,
+  EdgeKind.READS_FROM,
+  EdgeKind.DERIVES_FROM,
+  EdgeKind.EXPOSES
+];
+
 /**
  * State transition error
  */
@@ -64,6 +99,7 @@ function isValidTransition(currentState, targetState) {
  * @param {Object} options - Transition options
  * @param {boolean} options.force - Force transition even if invalid
  * @param {string} options.approvedBy - User/system that approved
+ * @param {string} [options.actor] - User/system recorded on other transitions
  * @returns {Object} New manifest with updated state
  * @throws {StateTransitionError} If transition is invalid and not forced
  */
@@ -108,6 +144,10 @@ function transition(manifest, targetState, options = {}) {
   // Update state
   newManifest.metadata.status = targetState;
 
+  // A signature covers the whole manifest, so it no longer matches once the
+  // state changes; callers holding a signing key re-sign the result
+  delete newManifest.metadata.signature;
+
   // Add transition metadata
   const timestamp = new Date().toISOString();
 
@@ -123,12 +163,13 @@ function transition(manifest, targetState, options = {}) {
     newManifest.metadata.state_history = [];
   }
 
+  const actor = options.approvedBy || options.actor;
   newManifest.metadata.state_history.push({
     from: currentState,
     to: targetState,
     timestamp,
     forced: options.force || false,
-    ...(options.approvedBy && { by: options.approvedBy })
+    ...(actor && { by: actor })
   });
 
   return newManifest;
@@ -137,28 +178,87 @@ function transition(manifest, targetState, options = {}) {
 /**
  * Approve a draft manifest
  *
+ * With an approval policy, the draft's sign-offs (metadata.approvals) must
+ * satisfy it; --force does not bypass the quorum.
+ *
  * @param {Object} manifest - Draft manifest to approve
  * @param {Object} options - Approval options
+ * @param {Object} [options.policy] - Approval policy the sign-offs must satisfy
+ * @param {Object} [options.requirementsFrom] - Draft as discovered, to resolve the policy requirements from
+ *   before detection decisions and overrides were applied (default: manifest)
  * @returns {Object} Approved manifest
- * @throws {StateTransitionError} If not in draft state
+ * @throws {StateTransitionError} If not in draft state or the policy is not satisfied
  */
 function approve(manifest, options = {}) {
+  if (options.policy && manifest.metadata?.status !== STATES.APPROVED) {
+    const evaluation = evaluateApprovalPolicy(manifest, options.policy, {
+      requirementsFrom: options.requirementsFrom
+    });
+    if (!evaluation.satisfied) {
+      throw new StateTransitionError(
+        `Approval policy not satisfied: missing ${evaluation.missing.join('; ')}`,
+        manifest.metadata?.status,
+        STATES.APPROVED
+      );
+    }
+  }
   return transition(manifest, STATES.APPROVED, options);
 }
 
 /**
- * Revert an approved manifest back to draft
+ * Submit a draft for review
  *
- * @param {Object} manifest - Approved manifest to revert
+ * @param {Object} manifest - Draft manifest
+ * @param {Object} options - Transition options
+ * @returns {Object} Manifest in review
+ * @throws {StateTransitionError} If not in draft state
+ */
+function submitForReview(manifest, options = {}) {
+  const result = transition(manifest, STATES.IN_REVIEW, options);
+  if (result === manifest) return manifest;
+  result.metadata.submitted_at = new Date().toISOString();
+  return result;
+}
+
+/**
+ * Reject a manifest under review
+ *
+ * @param {Object} manifest - Manifest in review
+ * @param {Object} options - Rejection options
+ * @param {string} options.reason - Why the manifest was rejected (required)
+ * @param {string} [options.actor] - Reviewer who rejected it
+ * @returns {Object} Rejected manifest
+ * @throws {StateTransitionError} If no reason is given or not in review
+ */
+function reject(manifest, options = {}) {
+  if (!options.reason) {
+    throw new StateTransitionError('Rejection requires a reason', manifest.metadata?.status, STATES.REJECTED);
+  }
+
+  const result = transition(manifest, STATES.REJECTED, options);
+  if (result === manifest) return manifest;
+  result.metadata.rejected_at = new Date().toISOString();
+  result.metadata.rejection_reason = options.reason;
+  if (options.actor) {
+    result.metadata.rejected_by = options.actor;
+  }
+  return result;
+}
+
+/**
+ * Revert an approved, in-review or rejected manifest back to draft
+ *
+ * @param {Object} manifest - Manifest to revert
  * @param {Object} options - Revert options
  * @returns {Object} Draft manifest
- * @throws {StateTransitionError} If not in approved state
+ * @throws {StateTransitionError} If the current state cannot return to draft
  */
 function revertToDraft(manifest, options = {}) {
-  // Remove approval metadata when reverting
+  // Remove approval and review metadata when reverting
   const result = transition(manifest, STATES.DRAFT, options);
-  delete result.metadata.approved_at;
-  delete result.metadata.approved_by;
+  for (const key of ['approved_at', 'approved_by', 'submitted_at', 'rejected_at', 'rejected_by', 'rejection_reason']) {
+    delete result.metadata[key];
+  }
   return result;
 }
 
@@ -168,9 +268,13 @@ function revertToDraft(manifest, options = {}) {
  * @param {Object} manifest - Manifest to deprecate
  * @param {Object} options - Deprecation options
  * @param {string} options.reason - Reason for deprecation
+ * @param {ProtocolGraph} [options.graph] - Workspace graph, to check for active consumers
+ * @param {boolean} [options.force] - Deprecate despite active consumers
  * @returns {Object} Deprecated manifest
+ * @throws {StateTransitionError} If active consumers remain and not forced
  */
 function deprecate(manifest, options = {}) {
+  guardActiveConsumers(manifest, STATES.DEPRECATED, options);
   const result = transition(manifest, STATES.DEPRECATED, options);
 
   if (options.reason) {
@@ -182,6 +286,126 @@ function deprecate(manifest, options = {}) {
   return result;
 }
 
+/**
+ * Schedule the end of a deprecated manifest
+ *
+ * @param {Object} manifest - Deprecated manifest
+ * @param {Object} options - Sunset options
+ * @param {string|Date} options.sunsetAt - Date after which the manifest may be retired (required)
+ * @param {string} [options.replacement] - URN of the manifest that replaces it
+ * @param {ProtocolGraph} [options.graph] - Workspace graph, to check for active consumers
+ * @param {boolean} [options.force] - Sunset despite active consumers
+ * @returns {Object} Manifest in sunset
+ * @throws {StateTransitionError} If the date or replacement is invalid, or active consumers remain
+ */
+function sunset(manifest, options = {}) {
+  const currentState = manifest.metadata?.status;
+  const sunsetAt = options.sunsetAt ? new Date(options.sunsetAt) : null;
+  if (!sunsetAt || Number.isNaN(sunsetAt.getTime())) {
+    throw new StateTransitionError(`Sunset requires a valid sunset date (got ${options.sunsetAt})`, currentState, STATES.SUNSET);
+  }
+  if (options.replacement && !isValidURN(options.replacement)) {
+    throw new StateTransitionError(`Invalid replacement URN: ${options.replacement}`, currentState, STATES.SUNSET);
+  }
+
+  guardActiveConsumers(manifest, STATES.SUNSET, options);
+  const result = transition(manifest, STATES.SUNSET, options);
+  if (result === manifest) return manifest;
+  result.metadata.sunset_at = sunsetAt.toISOString();
+  if (options.replacement) {
+    result.metadata.replaced_by = options.replacement;
+  }
+  return result;
+}
+
+/**
+ * Retire a manifest
+ *
+ * A manifest in sunset can only be retired once its sunset date has passed.
+ *
+ * @param {Object} manifest - Deprecated or sunset manifest
+ * @param {Object} options - Retirement options
+ * @param {Date} [options.now] - Current time (default: now)
+ * @param {ProtocolGraph} [options.graph] - Workspace graph, to check for active consumers
+ * @param {boolean} [options.force] - Retire early or despite active consumers
+ * @returns {Object} Retired manifest
+ * @throws {StateTransitionError} If the sunset date is still ahead or active consumers remain
+ */
+function retire(manifest, options = {}) {
+  const now = options.now || new Date();
+  const sunsetAt = manifest.metadata?.sunset_at;
+  if (sunsetAt && new Date(sunsetAt) > now && !options.force) {
+    throw new StateTransitionError(
+      `Cannot retire before the sunset date ${sunsetAt}`,
+      manifest.metadata.status,
+      STATES.RETIRED
+    );
+  }
+
+  guardActiveConsumers(manifest, STATES.RETIRED, options);
+  const result = transition(manifest, STATES.RETIRED, options);
+  if (result === manifest) return manifest;
+  result.metadata.retired_at = now.toISOString();
+  return result;
+}
+
+/**
+ * Manifests in the graph that still consume a manifest
+ *
+ * Consumers that are themselves deprecated, sunset or retired are not active.
+ *
+ * @param {ProtocolGraph} graph - Workspace graph
+ * @param {string} urn - URN of the manifest
+ * @returns {Array<{urn: string, kind: string}>} Active consumers and the edge kind they consume through
+ */
+function findActiveConsumers(graph, urn) {
+  if (!graph || !urn || !graph.hasNode(urn)) {
+    return [];
+  }
+
+  const consumers = new Map();
+  for (const edge of graph.getInEdges(urn)) {
+    if (!CONSUMER_EDGE_KINDS.includes(edge.kind) || edge.from === urn) continue;
+    const status = graph.getNode(edge.from)?.manifest?.metadata?.status;
+    if (END_OF_LIFE_STATES.includes(status) || consumers.has(edge.from)) continue;
+    consumers.set(edge.from, { urn: edge.from, kind: edge.kind });
+  }
+  return [...consumers.values()];
+}
+
+/**
+ * Check whether a manifest is past its sunset date and not yet retired
+ *
+ * @param {Object} manifest - The manifest
+ * @param {Date} [now] - Current time (default: now)
+ * @returns {boolean}
+ */
+function isPastSunset(manifest, now = new Date()) {
+  const sunsetAt = manifest?.metadata?.sunset_at;
+  return Boolean(sunsetAt) &&
+    manifest.metadata.status !== STATES.RETIRED &&
+    new Date(sunsetAt) <= now;
+}
+
+/**
+ * Refuse end-of-life transitions while active consumers remain
+ * @private
+ */
+function guardActiveConsumers(manifest, targetState, options) {
+  if (options.force || !options.graph || manifest.metadata?.status === targetState) return;
+
+  const consumers = findActiveConsumers(options.graph, manifest.metadata?.urn);
+  if (consumers.length > 0) {
+    const error = new StateTransitionError(
+      `Cannot move ${manifest.metadata.urn} to ${targetState}: ${consumers.length} active consumer(s) (${consumers.map(c => c.urn).join(', ')}); use force to override`,
+      manifest.metadata.status,
+      targetState
+    );
+    error.consumers = consumers;
+    throw error;
+  }
+}
+
 /**
  * Get possible next states for a manifest
  *
@@ -205,7 +429,7 @@ function getNextStates(manifest) {
  */
 function isTerminalState(manifest) {
   const currentState = manifest.metadata?.status;
-  return currentState === STATES.DEPRECATED;
+  return Boolean(currentState) && TRANSITIONS[currentState]?.length === 0;
 }
 
 module.exports = {
@@ -215,8 +439,14 @@ module.exports = {
   isValidTransition,
   transition,
   approve,
+  submitForReview,
+  reject,
   revertToDraft,
   deprecate,
+  sunset,
+  retire,
+  findActiveConsumers,
+  isPastSunset,
   getNextStates,
   isTerminalState
 };
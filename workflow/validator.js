@@ -6,6 +6,7 @@
  */
 
 const { isValidURN: isProtocolURN } = require('../core/graph/urn-utils');
+const { STATES } = require('./state-machine');
 /**
  * Validation result structure
  * @typedef {Object} ValidationResult
@@ -105,7 +106,7 @@ function validateMetadata(metadata, errors, warnings, suggestions) {
   }
 
   // Status validation
-  const validStatuses = ['draft', 'approved', 'deprecated'];
+  const validStatuses = Object.values(STATES);
   if (!metadata.status) {
     errors.push({
       field: 'metadata.status',
@@ -168,6 +169,33 @@ function validateMetadata(metadata, errors, warnings, suggestions) {
       message: 'Draft manifest should not have approved_at timestamp'
     });
   }
+
+  // Lifecycle validation
+  if (metadata.status === STATES.REJECTED && !metadata.rejection_reason) {
+    warnings.push({
+      field: 'metadata.rejection_reason',
+      message: 'Rejected manifest should record a rejection_reason'
+    });
+  }
+
+  if (metadata.status === STATES.SUNSET && !metadata.sunset_at) {
+    errors.push({
+      field: 'metadata.sunset_at',
+      message: 'Manifest in sunset must have a sunset_at date'
+    });
+  } else if (metadata.sunset_at && Number.isNaN(new Date(metadata.sunset_at).getTime())) {
+    errors.push({
+      field: 'metadata.sunset_at',
+      message: `Invalid sunset_at date "${metadata.sunset_at}"`
+    });
+  }
+
+  if (metadata.replaced_by && !isProtocolURN(metadata.replaced_by)) {
+    warnings.push({
+      field: 'metadata.replaced_by',
+      message: `Replacement "${metadata.replaced_by}" is not a valid protocol URN`
+    });
+  }
 }
 
 /**
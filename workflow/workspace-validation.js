@@ -0,0 +1,445 @@
+/**
+ * Workspace Validation
+ *
+ * Validates every manifest in a directory in one pass: the set is loaded into
+ * a ProtocolGraph, then each manifest runs through the structural validator
+ * and CrossValidator against that shared graph. Issues are reported per file
+ * with a JSON pointer (RFC 6901) to the offending field and, where the field
+ * exists in the file, the line and column it sits on, so the report can be
+ * rendered as text, JSON or SARIF 2.1 for code-scanning annotations.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { validateManifest } = require('./validator');
+const { CrossValidator } = require('../validation/cross-validator');
+const { buildGraph } = require('./graph-builder');
+const { APPROVAL_POLICY_FILE } = require('./approval-policy');
+const { isValidURN } = require('../core/graph/urn-utils');
+const { version: TOOL_VERSION } = require('../package.json');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * Validator `field` values that name a check rather than a location;
+ * these point at the document root
+ */
+const PSEUDO_FIELDS = new Set(['root', 'contract_type', 'dependencies', 'pii_exposure']);
+
+/**
+ * Rule descriptions for the SARIF driver
+ */
+const RULES = {
+  structural: 'Manifest structure, required fields and formats',
+  parse: 'Manifest file is valid JSON',
+  urn_references: 'Referenced URNs are well-formed and resolve in the workspace',
+  version_compatibility: 'Referenced versions satisfy declared ranges',
+  circular_dependencies: 'Dependencies do not form cycles',
+  pii_exposure: 'PII is not exposed through public endpoints'
+};
+
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+/**
+ * JSON files that sit next to manifests but are not manifests
+ */
+const OVERRIDES_SUFFIX = '.overrides.json';
+const SKIPPED_DIRECTORIES = new Set(['node_modules']);
+
+/**
+ * Top-level sections that mark a JSON document as a manifest; anything else
+ * (drift reports, package.json, tool output) is left out of the workspace
+ */
+const MANIFEST_SECTIONS = ['metadata', 'catalog', 'service', 'dataset', 'event', 'schema'];
+
+/**
+ * Validate every manifest in a directory
+ *
+ * @param {string} dir - Manifests directory
+ * @param {Object} [options]
+ * @param {Object} [options.crossValidatorOptions] - Passed to CrossValidator#validate
+ * @returns {Promise<Object>} Report with per-file issues
+ */
+async function validateWorkspace(dir, options = {}) {
+  if (!await fs.pathExists(dir)) {
+    throw new Error(`Directory not found: ${dir}`);
+  }
+
+  const entries = (await loadWorkspaceFiles(dir))
+    .sort((a, b) => a.path.localeCompare(b.path));
+  // Only graph-form URNs can become nodes; the rest are flagged structurally
+  const { graph, stats } = buildGraph(entries.filter(entry => isValidURN(entry.manifest?.metadata?.urn)));
+  const crossValidator = new CrossValidator(graph);
+
+  const files = [];
+  for (const entry of entries) {
+    const text = await fs.readFile(entry.path, 'utf-8');
+
+    if (entry.error) {
+      files.push(fileResult(entry.path, null, [{
+        source: 'parse',
+        rule: 'parse',
+        severity: 'error',
+        message: `Invalid JSON: ${entry.error.message}`,
+        field: null,
+        pointer: '',
+        line: 1,
+        column: 1
+      }]));
+      continue;
+    }
+
+    const structural = validateManifest(entry.manifest);
+    const urnError = checkManifestURN(entry.manifest);
+    if (urnError) {
+      structural.errors.unshift(urnError);
+    }
+    const cross = crossValidator.validate(entry.manifest, options.crossValidatorOptions || {});
+    const positions = indexPointers(text);
+    const locate = issue => ({ ...issue, ...locateField(issue.field, positions) });
+
+    const issues = [
+      ...structural.errors.map(issue => structuralIssue(issue, 'error')),
+      ...structural.warnings.map(issue => structuralIssue(issue, 'warning')),
+      ...cross.issues.errors.map(crossIssue),
+      ...cross.issues.warnings.map(crossIssue),
+      ...cross.issues.info.map(crossIssue)
+    ].map(locate);
+
+    files.push(fileResult(entry.path, entry.manifest?.metadata?.urn || null, issues));
+  }
+
+  const issues = files.flatMap(file => file.issues);
+  const summary = {
+    files: files.length,
+    invalid: files.filter(file => !file.valid).length,
+    errors: issues.filter(issue => issue.severity === 'error').length,
+    warnings: issues.filter(issue => issue.severity === 'warning').length,
+    info: issues.filter(issue => issue.severity === 'info').length
+  };
+
+  return {
+    valid: summary.errors === 0,
+    directory: dir,
+    validated_at: new Date().toISOString(),
+    graph: { nodes: graph.graph.order, edges: graph.graph.size, build: stats },
+    summary,
+    files
+  };
+}
+
+/**
+ * Convert a validator field path (`catalog.endpoints[0].id`) to a JSON pointer
+ * (`/catalog/endpoints/0/id`)
+ *
+ * @param {string|null|undefined} field - Field path from a validator
+ * @returns {string} JSON pointer; `''` for the document root
+ */
+function fieldToPointer(field) {
+  if (!field || PSEUDO_FIELDS.has(field)) return '';
+
+  const segments = [];
+  for (const part of field.split('.')) {
+    const [name, ...indexes] = part.split(/\[(\d+)\]/).filter(Boolean);
+    segments.push(name, ...indexes);
+  }
+  return segments.map(segment => `/${segment.replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * Map every JSON pointer in a document to the 1-based line and column where
+ * its value (or, for object members, its key) starts
+ *
+ * @param {string} text - JSON document text
+ * @returns {Map<string, {line: number, column: number}>}
+ */
+function indexPointers(text) {
+  const positions = new Map();
+  let offset = 0;
+  let line = 1;
+  let column = 1;
+
+  const advance = () => {
+    if (text[offset] === '\n') {
+      line += 1;
+      column = 1;
+    } else {
+      column += 1;
+    }
+    offset += 1;
+  };
+  const skipWhitespace = () => {
+    while (offset < text.length && /\s/.test(text[offset])) advance();
+  };
+  const readString = () => {
+    const start = offset;
+    advance();
+    while (offset < text.length && text[offset] !== '"') {
+      if (text[offset] === '\\') advance();
+      advance();
+    }
+    advance();
+    return JSON.parse(text.slice(start, offset));
+  };
+  const escape = key => key.replace(/~/g, '~0').replace(/\//g, '~1');
+
+  const readValue = (pointer) => {
+    skipWhitespace();
+    if (!positions.has(pointer)) positions.set(pointer, { line, column });
+
+    const char = text[offset];
+    if (char === '{') {
+      advance();
+      skipWhitespace();
+      while (offset < text.length && text[offset] !== '}') {
+        const memberPosition = { line, column };
+        const key = readString();
+        positions.set(`${pointer}/${escape(key)}`, memberPosition);
+        skipWhitespace();
+        advance(); // ':'
+        readValue(`${pointer}/${escape(key)}`);
+        skipWhitespace();
+        if (text[offset] === ',') advance();
+        skipWhitespace();
+      }
+      advance();
+    } else if (char === '[') {
+      advance();
+      skipWhitespace();
+      let index = 0;
+      while (offset < text.length && text[offset] !== ']') {
+        readValue(`${pointer}/${index}`);
+        index += 1;
+        skipWhitespace();
+        if (text[offset] === ',') advance();
+        skipWhitespace();
+      }
+      advance();
+    } else if (char === '"') {
+      readString();
+    } else {
+      while (offset < text.length && !/[\s,\]}]/.test(text[offset])) advance();
+    }
+  };
+
+  try {
+    readValue('');
+  } catch {
+    // Malformed input: keep whatever positions were found
+  }
+  return positions;
+}
+
+/**
+ * Render a validation report as plain text
+ *
+ * @param {Object} report - Report from validateWorkspace
+ * @param {Object} [context] - { baseDir } for relative file paths
+ * @returns {string} Text report
+ */
+function renderValidationText(report, context = {}) {
+  const lines = [`Validated ${report.summary.files} manifest(s) in ${report.directory}`, ''];
+
+  for (const file of report.files) {
+    if (file.issues.length === 0) continue;
+
+    lines.push(`${relativeURI(file.path, context.baseDir)}${file.urn ? ` (${file.urn})` : ''}`);
+    for (const issue of file.issues) {
+      const location = issue.line ? `${issue.line}:${issue.column}` : '-';
+      lines.push(`  ${location.padEnd(8)}${issue.severity.padEnd(9)}${issue.pointer || '/'}  ${issue.message} [${issue.rule}]`);
+    }
+    lines.push('');
+  }
+
+  const { summary } = report;
+  lines.push(`${summary.errors} error(s), ${summary.warnings} warning(s), ${summary.info} info in ${summary.invalid}/${summary.files} invalid manifest(s)`);
+  return lines.join('\n');
+}
+
+/**
+ * Convert a validation report to a SARIF 2.1.0 log
+ *
+ * @param {Object} report - Report from validateWorkspace
+ * @param {Object} [context] - { baseDir } that artifact URIs are relative to (default: cwd)
+ * @returns {Object} SARIF log
+ */
+function toSarif(report, context = {}) {
+  const ruleIds = [...new Set(report.files.flatMap(file => file.issues.map(issue => issue.rule)))].sort();
+
+  const results = report.files.flatMap(file => file.issues.map(issue => {
+    const physicalLocation = {
+      artifactLocation: { uri: relativeURI(file.path, context.baseDir) }
+    };
+    if (issue.line) {
+      physicalLocation.region = { startLine: issue.line, startColumn: issue.column };
+    }
+
+    const result = {
+      ruleId: issue.rule,
+      level: SARIF_LEVELS[issue.severity] || 'note',
+      message: { text: issue.suggestion ? `${issue.message}. ${issue.suggestion}` : issue.message },
+      locations: [{
+        physicalLocation,
+        logicalLocations: [{ fullyQualifiedName: issue.pointer || '/', kind: 'member' }]
+      }],
+      properties: { pointer: issue.pointer, source: issue.source }
+    };
+    if (file.urn) result.properties.urn = file.urn;
+    return result;
+  }));
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'protocol-discover',
+          version: TOOL_VERSION,
+          rules: ruleIds.map(id => ({
+            id,
+            shortDescription: { text: RULES[id] || id }
+          }))
+        }
+      },
+      results
+    }]
+  };
+}
+
+/**
+ * Read every .json file under a directory, recursively
+ *
+ * Files that fail to parse are returned with `manifest: null` and the parse
+ * error. Override sidecars, approval policies and JSON without a manifest's
+ * shape (such as the drift-report.json `discover --against` writes) are not
+ * manifests and are left out.
+ * @private
+ */
+async function loadWorkspaceFiles(dir) {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!entry.name.startsWith('.') && !SKIPPED_DIRECTORIES.has(entry.name)) {
+        files.push(...await loadWorkspaceFiles(fullPath));
+      }
+      continue;
+    }
+    if (!entry.name.endsWith('.json') || entry.name.endsWith(OVERRIDES_SUFFIX) || entry.name === APPROVAL_POLICY_FILE) {
+      continue;
+    }
+
+    let manifest;
+    try {
+      manifest = await fs.readJson(fullPath);
+    } catch (error) {
+      files.push({ path: fullPath, manifest: null, error });
+      continue;
+    }
+    if (isManifestShaped(manifest)) {
+      files.push({ path: fullPath, manifest });
+    }
+  }
+  return files;
+}
+
+/**
+ * Whether parsed JSON has the shape of a manifest
+ * @private
+ */
+function isManifestShaped(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+    MANIFEST_SECTIONS.some(section => value[section] && typeof value[section] === 'object');
+}
+
+/**
+ * Structural error for a missing or malformed metadata.urn, which the
+ * manifest validator does not check
+ * @private
+ */
+function checkManifestURN(manifest) {
+  const urn = manifest?.metadata?.urn;
+  if (urn === undefined || urn === null || urn === '') {
+    return { field: 'metadata.urn', message: 'Missing required field: metadata.urn' };
+  }
+  if (!isValidURN(urn)) {
+    return { field: 'metadata.urn', message: `Invalid URN format: "${typeof urn === 'string' ? urn : JSON.stringify(urn)}"` };
+  }
+  return null;
+}
+
+/**
+ * Per-file result
+ * @private
+ */
+function fileResult(filePath, urn, issues) {
+  return {
+    path: filePath,
+    urn,
+    valid: !issues.some(issue => issue.severity === 'error'),
+    issues
+  };
+}
+
+/**
+ * Normalize a structural validator issue
+ * @private
+ */
+function structuralIssue(issue, severity) {
+  return {
+    source: 'structural',
+    rule: 'structural',
+    severity,
+    message: issue.message,
+    field: issue.field || null,
+    pointer: fieldToPointer(issue.field)
+  };
+}
+
+/**
+ * Normalize a CrossValidator issue
+ * @private
+ */
+function crossIssue(issue) {
+  return {
+    source: 'cross_protocol',
+    rule: issue.rule,
+    severity: issue.severity,
+    message: issue.message,
+    field: issue.field || null,
+    pointer: fieldToPointer(issue.field),
+    ...(issue.value !== undefined && { value: issue.value }),
+    ...(issue.suggestion && { suggestion: issue.suggestion })
+  };
+}
+
+/**
+ * Line and column of a field, falling back to its nearest existing ancestor
+ * (missing fields are reported where they should have been)
+ * @private
+ */
+function locateField(field, positions) {
+  let pointer = fieldToPointer(field);
+  while (!positions.has(pointer) && pointer !== '') {
+    pointer = pointer.slice(0, pointer.lastIndexOf('/'));
+  }
+  const position = positions.get(pointer);
+  return position ? { line: position.line, column: position.column } : {};
+}
+
+/**
+ * Forward-slash path relative to a base directory
+ * @private
+ */
+function relativeURI(filePath, baseDir = process.cwd()) {
+  return path.relative(baseDir, path.resolve(filePath)).split(path.sep).join('/');
+}
+
+module.exports = {
+  validateWorkspace,
+  fieldToPointer,
+  indexPointers,
+  renderValidationText,
+  toSarif
+};